@@ -10,6 +10,7 @@ import template from './FileUpload.html?raw';
  * - A title label
  * - A descriptive text
  * - A file input field
+ * - A slot for additional form content (e.g. import options)
  * - A confirm and a cancel button
  *
  * The component is fully customizable via attributes and provides
@@ -35,6 +36,9 @@ import template from './FileUpload.html?raw';
  *
  * @fires cancel - Fired when the cancel button is clicked.
  *
+ * @fires change - Fired when the selected files change.
+ * @property {FileList} detail.files - The files selected by the user.
+ *
  * @attr {string} title - Sets the dialog title text.
  * @attr {string} text - Sets the description text below the title.
  * @attr {string} confirm-text - Label text for the confirm button.
@@ -78,6 +82,18 @@ export class FileUpload extends HTMLElement {
             );
         });
 
+        this.html.input.addEventListener('change', () => {
+            this.dispatchEvent(
+                new CustomEvent('change', {
+                    detail: {
+                        files: this.html.input.files,
+                    },
+                    bubbles: true,
+                    composed: true,
+                }),
+            );
+        });
+
         this.html.cancel.addEventListener('click', () => {
             this.dispatchEvent(
                 new CustomEvent('cancel', {
@@ -149,6 +165,17 @@ export class FileUpload extends HTMLElement {
         this.html.cancel.text = value;
     }
 
+    /** @type {FileList} The currently selected files */
+    get files() {
+        return this.html?.input.files;
+    }
+
+    set files(value) {
+        const transfer = new DataTransfer();
+        for (const file of value) transfer.items.add(file);
+        this.html.input.files = transfer.files;
+    }
+
     /** @type {string|null} The currently accepted file types/extensions */
     get accept() {
         return this.html?.input.getAttribute('accept');
@@ -46,6 +46,9 @@ export class GeBaseLayerPicker extends HTMLElement {
         /** @type {Record<string, any[]>} grouped elements added via addElement */
         this.elements = {};
 
+        /** @type {Map<object, HTMLElement>} composed buttons keyed by their element */
+        this.buttons = new Map();
+
         /** @type {any[]} list of currently applied imagery layers (if synchronizing with Cesium) */
         this.currentImageryLayers = [];
 
@@ -189,6 +192,7 @@ export class GeBaseLayerPicker extends HTMLElement {
     compose() {
         if (this.html.content) {
             this.html.content.replaceChildren();
+            this.buttons.clear();
             for (const group of Object.keys(this.elements)) {
                 const htmlGroup = document.createElement('div');
                 htmlGroup.classList.add('group');
@@ -239,6 +243,7 @@ export class GeBaseLayerPicker extends HTMLElement {
                         );
                         this.collapsed = true;
                     });
+                    this.buttons.set(element, button);
                     if (element.active) button.click();
 
                     const eleTitle = document.createElement('span');
@@ -256,6 +261,23 @@ export class GeBaseLayerPicker extends HTMLElement {
         return;
     }
 
+    /**
+     * Activate an element as if the user had selected it.
+     *
+     * @param {string} index - the element index (e.g. `imagery`, `terrain`, `style`)
+     * @param {string} name - the display name of the element
+     * @returns {boolean} true if a matching element was found
+     */
+    activate(index, name) {
+        const element = Object.values(this.elements)
+            .flat()
+            .find(element => element.index === index && element.name === name);
+        const button = this.buttons.get(element);
+        if (!button) return false;
+        button.click();
+        return true;
+    }
+
     /**
      * Append dynamic content (groups & buttons) to dropdown body.
      */
@@ -16,8 +16,10 @@ function uuidv4() {
  * Each list item can display:
  * - An icon (via `src`)
  * - A text label (`name`)
+ * - An optional secondary text below the label (`info`)
  * - A checkbox (`checked`)
  * - An optional numeric input (`ge-input-field`)
+ * - Optional action buttons, as children with `slot="actions"`
  * - A delete button (shown by default)
  *
  * It also supports callback hooks for click, checkbox toggle, input change,
@@ -51,6 +53,7 @@ function uuidv4() {
  * @property {string} id - Unique identifier (auto-generated if not provided).
  * @property {any} obj - Optional custom object reference stored in the item.
  * @property {string} name - Display label shown next to icon.
+ * @property {string} info - Secondary text shown below the label (hidden if empty).
  * @property {string} src - URL for the icon displayed on the left.
  * @property {boolean} checked - Whether checkbox is on/off.
  * @property {boolean} active - Current active state (toggled on click).
@@ -67,12 +70,14 @@ export class GeListItem extends HTMLElement {
     #onCheckedCallback;
     #onClickCallback;
     #onDeleteCallback;
+    #initialized = false;
 
     /**
      * @param {object} [options]
      * @param {string} [options.id=uuidv4()] - Unique id (default auto-generated)
      * @param {any} [options.obj] - Arbitrary object payload to store with item
      * @param {string} [options.name=""] - Item label
+     * @param {string} [options.info=""] - Secondary text below the label
      * @param {string} [options.src=""] - Icon URL
      * @param {boolean} [options.checked=false] - Initial checkbox state
      * @param {boolean} [options.withInput=false] - Whether to show an embedded `<ge-input-field>`
@@ -92,6 +97,7 @@ export class GeListItem extends HTMLElement {
         id = uuidv4(),
         obj,
         name = '',
+        info = '',
         src = '',
         checked = false,
         withInput = false,
@@ -133,13 +139,23 @@ export class GeListItem extends HTMLElement {
 
             spanContainer: this.shadow.querySelector('.span-container'),
             span: this.shadow.querySelector('#span'),
+            info: this.shadow.querySelector('#info'),
 
             checkboxContainer: this.shadow.querySelector('.checkbox-container'),
             checkbox: this.shadow.querySelector('#checkbox'),
 
             deleteButton: this.shadow.querySelector('.delete-button'),
+            actions: this.shadow.querySelector('slot[name=actions]'),
         };
 
+        this.html.actions.addEventListener('slotchange', () => {
+            this.toggleAttribute(
+                'with-actions',
+                this.html.actions.assignedElements().length > 0,
+            );
+        });
+        this.html.actions.addEventListener('click', e => e.stopPropagation());
+
         if (!this.withInput) {
             this.shadow.querySelector('ge-input-field').remove();
         } else {
@@ -168,6 +184,7 @@ export class GeListItem extends HTMLElement {
         this.id = id;
         this.obj = obj;
         this.name = name;
+        this.info = info;
         this.src = src;
         this.onClickCallback = onClickCallback;
         this.onInputChangeCallback = onInputChangeCallback;
@@ -185,6 +202,10 @@ export class GeListItem extends HTMLElement {
 
         this.active = false;
 
+        // items may be detached and re-attached (undo/redo), bind listeners only once
+        if (this.#initialized) return;
+        this.#initialized = true;
+
         this.html.checkboxContainer.addEventListener('click', e =>
             e.stopPropagation(),
         );
@@ -238,6 +259,20 @@ export class GeListItem extends HTMLElement {
         }
     }
 
+    /** @type {string} Secondary text displayed below the label */
+    get info() {
+        return this.html.info.textContent;
+    }
+    set info(value) {
+        if (value) {
+            this.html.info.textContent = value;
+            this.setAttribute('with-info', true);
+        } else {
+            this.html.info.textContent = '';
+            this.removeAttribute('with-info');
+        }
+    }
+
     /** @type {string} Icon URL */
     get src() {
         return this.html.icon.src;
@@ -6,6 +6,7 @@ import template from './ge-list.html?raw';
  *
  * Provides methods for **adding**, **removing** and **clearing** items.
  * Fires optional hooks (`onFirstItemAdded`, `onLastItemRemoved`) when list transitions from empty/non-empty states.
+ * Every change of the items is announced with a `change` event.
  *
  * @summary
  * Programmatic list UI container with lifecycle hooks.
@@ -29,6 +30,8 @@ import template from './ge-list.html?raw';
  * </script>
  * ```
  *
+ * @fires change - Fired after items were added or removed.
+ *
  * @property {HTMLElement[]} items - Current array of elements in the list.
  * @property {Function} onFirstItemAdded - Callback invoked when first item is added.
  * @property {Function} onLastItemRemoved - Callback invoked when the last item is removed.
@@ -93,6 +96,7 @@ export class GeList extends HTMLElement {
         }
         if (this.queue.length == 1 || this.html.list.childElementCount == 1)
             this.onFirstItemAdded();
+        this.dispatchEvent(new CustomEvent('change'));
     }
 
     /**
@@ -104,6 +108,7 @@ export class GeList extends HTMLElement {
             this.items.splice(this.items.indexOf(item), 1);
             this.html.list.removeChild(item);
             if (this.html.list.childElementCount == 0) this.onLastItemRemoved();
+            this.dispatchEvent(new CustomEvent('change'));
         }
     }
 
@@ -115,6 +120,7 @@ export class GeList extends HTMLElement {
         this.items = [];
         this.html.list.replaceChildren();
         this.onLastItemRemoved();
+        this.dispatchEvent(new CustomEvent('change'));
     }
 }
 
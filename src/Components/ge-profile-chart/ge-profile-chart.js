@@ -0,0 +1,336 @@
+import styles from './ge-profile-chart.css?raw';
+import template from './ge-profile-chart.html?raw';
+
+const PADDING = {top: 16, right: 16, bottom: 36, left: 56};
+
+const COLORS = {
+    background: '#ffffff',
+    grid: '#e0e0e0',
+    axis: '#555555',
+    terrain: 'rgba(139, 106, 62, 0.6)',
+    terrainLine: '#8b6a3e',
+    surface: '#1f6fb2',
+    cursor: '#d32f2f',
+};
+
+const FONT = '12px sans-serif';
+
+/**
+ * `<ge-profile-chart>` – Canvas chart of an elevation profile.
+ *
+ * The terrain is drawn as a filled area, the surface (terrain plus buildings and
+ * mesh) as a line on top of it. Hovering the chart shows a cursor with the
+ * distance and heights at that position.
+ *
+ * @summary
+ * Elevation profile chart with hover cursor.
+ *
+ * @example
+ * ```
+ * const chart = document.createElement('ge-profile-chart');
+ * chart.labels = {distance: 'Distance', height: 'Height'};
+ * chart.profile = await ElevationProfile.sample(app, cartesians);
+ * chart.addEventListener('hover', e => console.log(e.detail));
+ * ```
+ *
+ * @fires hover - Fired when the hovered sample changes.
+ * @property {ProfilePoint|null} detail - The hovered sample, null when the pointer leaves the chart.
+ *
+ * @fires close - Fired when the chart is removed from the document.
+ *
+ * @property {ElevationProfile} profile - The displayed profile.
+ * @property {{distance: string, height: string}} labels - Axis titles.
+ * @property {{symbol: string, size: number}} unit - Length unit of the axes and its size in meters.
+ * @property {function(number, number): string} formatNumber - Formats a tick value (in `unit`)
+ *     with the given number of decimals.
+ * @property {function(number): string} formatLength - Formats the values of the hover cursor.
+ */
+export class GeProfileChart extends HTMLElement {
+    constructor() {
+        super();
+        this.shadow = this.attachShadow({mode: 'open'});
+        this.shadow.innerHTML = `
+        <style>${styles}</style>
+        ${template}
+        `;
+
+        this.html = {
+            canvas: this.shadow.querySelector('canvas'),
+        };
+
+        this._profile = undefined;
+        this._hoverIndex = -1;
+        this.labels = {distance: '', height: ''};
+        this.unit = {symbol: 'm', size: 1};
+        this.formatNumber = (value, decimals) => value.toFixed(decimals);
+        this.formatLength = value => `${value.toFixed(2)} m`;
+
+        this.html.canvas.addEventListener('mousemove', e =>
+            this.#onMouseMove(e),
+        );
+        this.html.canvas.addEventListener('mouseleave', () =>
+            this.#setHoverIndex(-1),
+        );
+    }
+
+    connectedCallback() {
+        this.#draw();
+    }
+
+    disconnectedCallback() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    /** @type {ElevationProfile} The displayed profile */
+    get profile() {
+        return this._profile;
+    }
+
+    set profile(value) {
+        this._profile = value;
+        this._hoverIndex = -1;
+        this.#draw();
+    }
+
+    /**
+     * Redraws the chart, e.g. after changing {@link GeProfileChart#unit} or the formatters.
+     */
+    redraw() {
+        this.#draw();
+    }
+
+    /**
+     * Returns the chart as image.
+     * @param {string} [type='image/png']
+     * @returns {string} Data URL of the image.
+     */
+    toDataURL(type = 'image/png') {
+        return this.html.canvas.toDataURL(type);
+    }
+
+    /**
+     * Value ranges of the profile in meters, extended to values that are round in the axis unit.
+     * @returns {{maxDistance: number, minHeight: number, maxHeight: number, heightStep: number, distanceStep: number}}
+     */
+    #ranges() {
+        const points = this._profile.points;
+        let minHeight = Math.min(...points.map(p => p.terrain));
+        let maxHeight = Math.max(...points.map(p => p.surface));
+        if (maxHeight - minHeight < 1) {
+            minHeight -= 0.5;
+            maxHeight += 0.5;
+        }
+        const size = this.unit.size;
+        const heightStep = niceStep((maxHeight - minHeight) / size) * size;
+        const maxDistance = Math.max(this._profile.length, 1);
+        return {
+            maxDistance,
+            minHeight: Math.floor(minHeight / heightStep) * heightStep,
+            maxHeight: Math.ceil(maxHeight / heightStep) * heightStep,
+            heightStep,
+            distanceStep: niceStep(maxDistance / size) * size,
+        };
+    }
+
+    #draw() {
+        const canvas = this.html.canvas;
+        const ctx = canvas.getContext('2d');
+        const {width, height} = canvas;
+        ctx.fillStyle = COLORS.background;
+        ctx.fillRect(0, 0, width, height);
+        if (!this._profile?.points.length) return;
+
+        const points = this._profile.points;
+        const ranges = this.#ranges();
+        const plotWidth = width - PADDING.left - PADDING.right;
+        const plotHeight = height - PADDING.top - PADDING.bottom;
+        const x = distance =>
+            PADDING.left + (distance / ranges.maxDistance) * plotWidth;
+        const y = h =>
+            PADDING.top +
+            (1 -
+                (h - ranges.minHeight) /
+                    (ranges.maxHeight - ranges.minHeight)) *
+                plotHeight;
+
+        // Tick values in the axis unit, with as many decimals as the step needs.
+        const tick = (value, step) =>
+            this.formatNumber(
+                value / this.unit.size,
+                Math.max(0, -Math.floor(Math.log10(step / this.unit.size))),
+            );
+
+        ctx.font = FONT;
+        ctx.lineWidth = 1;
+
+        // Grid and tick labels
+        ctx.strokeStyle = COLORS.grid;
+        ctx.fillStyle = COLORS.axis;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (
+            let h = ranges.minHeight;
+            h <= ranges.maxHeight + ranges.heightStep / 2;
+            h += ranges.heightStep
+        ) {
+            ctx.beginPath();
+            ctx.moveTo(PADDING.left, y(h));
+            ctx.lineTo(width - PADDING.right, y(h));
+            ctx.stroke();
+            ctx.fillText(tick(h, ranges.heightStep), PADDING.left - 6, y(h));
+        }
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (
+            let d = 0;
+            d <= ranges.maxDistance + ranges.distanceStep / 100;
+            d += ranges.distanceStep
+        ) {
+            ctx.beginPath();
+            ctx.moveTo(x(d), PADDING.top);
+            ctx.lineTo(x(d), height - PADDING.bottom);
+            ctx.stroke();
+            ctx.fillText(
+                tick(d, ranges.distanceStep),
+                x(d),
+                height - PADDING.bottom + 4,
+            );
+        }
+
+        // Axis titles
+        ctx.fillText(
+            `${this.labels.distance} [${this.unit.symbol}]`,
+            PADDING.left + plotWidth / 2,
+            height - 14,
+        );
+        ctx.save();
+        ctx.translate(12, PADDING.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${this.labels.height} [${this.unit.symbol}]`, 0, 0);
+        ctx.restore();
+
+        // Terrain area
+        ctx.beginPath();
+        ctx.moveTo(x(points[0].distance), y(ranges.minHeight));
+        points.forEach(p => ctx.lineTo(x(p.distance), y(p.terrain)));
+        ctx.lineTo(x(points[points.length - 1].distance), y(ranges.minHeight));
+        ctx.closePath();
+        ctx.fillStyle = COLORS.terrain;
+        ctx.fill();
+        ctx.beginPath();
+        points.forEach((p, i) =>
+            i === 0
+                ? ctx.moveTo(x(p.distance), y(p.terrain))
+                : ctx.lineTo(x(p.distance), y(p.terrain)),
+        );
+        ctx.strokeStyle = COLORS.terrainLine;
+        ctx.stroke();
+
+        // Surface line
+        ctx.beginPath();
+        points.forEach((p, i) =>
+            i === 0
+                ? ctx.moveTo(x(p.distance), y(p.surface))
+                : ctx.lineTo(x(p.distance), y(p.surface)),
+        );
+        ctx.strokeStyle = COLORS.surface;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+
+        // Axes
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = COLORS.axis;
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, PADDING.top);
+        ctx.lineTo(PADDING.left, height - PADDING.bottom);
+        ctx.lineTo(width - PADDING.right, height - PADDING.bottom);
+        ctx.stroke();
+
+        // Hover cursor
+        const point = points[this._hoverIndex];
+        if (!point) return;
+        ctx.strokeStyle = COLORS.cursor;
+        ctx.beginPath();
+        ctx.moveTo(x(point.distance), PADDING.top);
+        ctx.lineTo(x(point.distance), height - PADDING.bottom);
+        ctx.stroke();
+        ctx.fillStyle = COLORS.cursor;
+        ctx.beginPath();
+        ctx.arc(x(point.distance), y(point.surface), 3, 0, 2 * Math.PI);
+        ctx.fill();
+
+        const text = `${this.formatLength(point.distance)} | ${this.formatLength(point.surface)}`;
+        const right = x(point.distance) > PADDING.left + plotWidth / 2;
+        ctx.textAlign = right ? 'right' : 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(
+            text,
+            x(point.distance) + (right ? -6 : 6),
+            PADDING.top + 2,
+        );
+    }
+
+    /**
+     * Selects the sample closest to the pointer.
+     * @param {MouseEvent} e
+     */
+    #onMouseMove(e) {
+        if (!this._profile?.points.length) return;
+        const rect = this.html.canvas.getBoundingClientRect();
+        const scale = this.html.canvas.width / rect.width;
+        const plotWidth = this.html.canvas.width - PADDING.left - PADDING.right;
+        const distance =
+            (((e.clientX - rect.left) * scale - PADDING.left) / plotWidth) *
+            Math.max(this._profile.length, 1);
+
+        const points = this._profile.points;
+        if (distance < 0 || distance > points[points.length - 1].distance) {
+            this.#setHoverIndex(-1);
+            return;
+        }
+
+        let index = 0;
+        for (let i = 1; i < points.length; i++) {
+            if (
+                Math.abs(points[i].distance - distance) <
+                Math.abs(points[index].distance - distance)
+            ) {
+                index = i;
+            }
+        }
+        this.#setHoverIndex(index);
+    }
+
+    /**
+     * @param {number} index - Index of the hovered sample, -1 for none.
+     */
+    #setHoverIndex(index) {
+        if (index === this._hoverIndex) return;
+        this._hoverIndex = index;
+        this.#draw();
+        this.dispatchEvent(
+            new CustomEvent('hover', {
+                detail: this._profile?.points[index] ?? null,
+            }),
+        );
+    }
+}
+
+/**
+ * Returns a round step size (1, 2 or 5 times a power of ten) giving about five ticks for the range.
+ * @param {number} range
+ * @returns {number}
+ */
+function niceStep(range) {
+    const raw = range / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const residual = raw / magnitude;
+    if (residual > 5) return 10 * magnitude;
+    if (residual > 2) return 5 * magnitude;
+    if (residual > 1) return 2 * magnitude;
+    return magnitude;
+}
+
+if (!customElements.get('ge-profile-chart'))
+    customElements.define('ge-profile-chart', GeProfileChart);
@@ -3,16 +3,23 @@ import {DefaultState} from '../States/DefaultState.js';
 import {ExcavationState} from '../States/ExcavationState.js';
 import {FirstPersonState} from '../States/FirstPersonState.js';
 import {InformationState} from '../States/InformationState.js';
+import {AngleMeasurementState} from '../States/MeasurementStates/AngleMeasurementState.js';
 import {AreaMeasurementState} from '../States/MeasurementStates/AreaMeasurementState.js';
+import {ClearanceMeasurementState} from '../States/MeasurementStates/ClearanceMeasurementState.js';
+import {CoordinateMeasurementState} from '../States/MeasurementStates/CoordinateMeasurementState.js';
+import {EditMeasurementState} from '../States/MeasurementStates/EditMeasurementState.js';
 import {HeightMeasurementState} from '../States/MeasurementStates/HeightMeasurementState.js';
 import {LengthMeasurementState} from '../States/MeasurementStates/LengthMeasurementState.js';
 import {LineMeasurementState} from '../States/MeasurementStates/LineMeasurementState.js';
 import {PolygonMeasurementState} from '../States/MeasurementStates/PolygonMeasurementState.js';
+import {ProfileMeasurementState} from '../States/MeasurementStates/ProfileMeasurementState.js';
 import {ViewshedState} from '../States/ViewshedState.js';
 import {WaterLevelState} from '../States/WaterLevelState.js';
 import {viewer} from '../viewer.js';
+import {CommandStack} from './Commands/CommandStack.js';
 import {GUIManager} from './GUIManager.js';
 import {CustomHandler} from './Handler.js';
+import {Snapper} from './Snapper.js';
 import {Translator} from './Translator';
 import {URLManager} from './URLManager';
 import {DXFExporter} from './Writer/DXFExporter.js';
@@ -32,6 +39,11 @@ import {DXFExporter} from './Writer/DXFExporter.js';
  * @property {HeightMeasurementState} height - Vertical difference measurement mode.
  * @property {LengthMeasurementState} length - Linear length measurement mode.
  * @property {AreaMeasurementState} area - Area measurement mode.
+ * @property {ProfileMeasurementState} profile - Elevation profile mode.
+ * @property {EditMeasurementState} edit - Vertex editing of finished measurements.
+ * @property {AngleMeasurementState} angle - Angle and bearing measurement mode.
+ * @property {CoordinateMeasurementState} coordinates - Coordinate point measurement mode.
+ * @property {ClearanceMeasurementState} clearance - Clearance between two objects.
  * @property {ViewshedState} viewshed - Visibility/viewshed analysis state.
  * @property {FirstPersonState} pedestrian - First-person navigation state.
  * @property {ExcavationState} excavation - Volume/excavation calculation or mode.
@@ -51,6 +63,21 @@ const STATES = {
         document.getElementById('lengthMeasureBtn'),
     ),
     area: new AreaMeasurementState(document.getElementById('areaMeasureBtn')),
+    profile: new ProfileMeasurementState(
+        document.getElementById('profileMeasureBtn'),
+    ),
+    edit: new EditMeasurementState(
+        document.getElementById('editMeasurementBtn'),
+    ),
+    angle: new AngleMeasurementState(
+        document.getElementById('angleMeasureBtn'),
+    ),
+    coordinates: new CoordinateMeasurementState(
+        document.getElementById('coordinateMeasureBtn'),
+    ),
+    clearance: new ClearanceMeasurementState(
+        document.getElementById('clearanceMeasureBtn'),
+    ),
     viewshed: new ViewshedState(document.getElementById('visibility-btn')),
     pedestrian: new FirstPersonState(document.getElementById('pedestrian_btn')),
     excavation: new ExcavationState(document.getElementById('excavationBtn')),
@@ -83,11 +110,17 @@ const STATES = {
  * @property {Map<string, State>} activeStates - Map of currently active State objects.
  * @property {Array} measurements - Array for all in-memory measurement objects.
  * @property {Array} excavations - Array/registry for excavation features.
+ * @property {CommandStack} commandStack - Undo/redo history (Ctrl+Z, Ctrl+Y / Ctrl+Shift+Z).
+ * @property {Snapper} snapper - Snapping of drawn points to existing geometry.
  *
  * @example
  * // Access/apply a specific state:
  * app.applyState(STATES.polygon);
  * app.removeState(STATES.line);
+ *
+ * // Execute an undoable command:
+ * app.commandStack.execute(new AddExcavationPit(app, cartesians));
+ * app.undo();
  */
 class Application {
     /**
@@ -152,6 +185,31 @@ class Application {
         this.activeStates = new Map();
         this.measurements = new Array();
         this.excavations = new Array();
+        this.commandStack = new CommandStack();
+        this.snapper = new Snapper(this);
+
+        // Undo/redo shortcuts, ignored while typing into input fields
+        document.addEventListener('keydown', event => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            const target = event.composedPath()[0];
+            if (
+                target instanceof HTMLInputElement ||
+                target instanceof HTMLTextAreaElement ||
+                target instanceof HTMLSelectElement ||
+                target?.isContentEditable
+            ) {
+                return;
+            }
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.redo();
+            }
+        });
 
         // Cleanup currently selected entity on deselection or invalid ids
         this.viewer?.selectedEntityChanged?.addEventListener(() => {
@@ -217,6 +275,22 @@ class Application {
         this.activeStates.set(state.name, state);
     }
 
+    /**
+     * Reverts the most recent command of the command stack.
+     * @returns {boolean} True if a command was undone.
+     */
+    undo() {
+        return this.commandStack.undo();
+    }
+
+    /**
+     * Re-applies the most recently undone command of the command stack.
+     * @returns {boolean} True if a command was redone.
+     */
+    redo() {
+        return this.commandStack.redo();
+    }
+
     /**
      * Removes/deactivates a state and restores all relevant dependencies.
      * @param {State} state - The state to remove.
@@ -0,0 +1,342 @@
+/**
+ * ClearanceWorker – Web Worker for the minimum 3D distance between two geometries.
+ *
+ * Expects a message with two properties:
+ *   - `a`: Simplices of the first geometry (Array<Array<[number, number, number]>>)
+ *   - `b`: Simplices of the second geometry, same format
+ * A simplex is a point, a segment or a triangle, given as one to three vertices.
+ *
+ * Sends back the shortest connection `{distance, from, to}`, with `from` on `a`
+ * and `to` on `b`. The distance is Infinity if one of the geometries is empty,
+ * and 0 at an intersection point if the geometries touch or cross each other.
+ * Only surfaces are compared: an object entirely inside a closed mesh of the other
+ * gets the distance to that mesh.
+ *
+ * The simplices of the larger geometry are held in a bounding volume hierarchy,
+ * so meshes of glTF models with many triangles can be compared.
+ *
+ * @example
+ * // In main thread:
+ * worker.postMessage({a: [[[0, 0, 0]]], b: [[[1, 0, 0], [1, 1, 0]]]});
+ * // The worker will post back: {distance: 1, from: [0, 0, 0], to: [1, 0, 0]}
+ */
+
+/**
+ * Maximum number of simplices in a leaf of the bounding volume hierarchy.
+ * @type {number}
+ */
+const LEAF_SIZE = 8;
+
+onmessage = e => {
+    let a = e.data.a.map(bounds);
+    let b = e.data.b.map(bounds);
+    const swapped = a.length > b.length;
+    if (swapped) [a, b] = [b, a];
+
+    const tree = buildTree(b);
+    let best = {distance: Infinity, from: null, to: null};
+    for (const sa of a) {
+        best = nearest(tree, sa, best);
+        if (best.distance === 0) break;
+    }
+    if (swapped) best = {distance: best.distance, from: best.to, to: best.from};
+    postMessage(best);
+};
+
+/**
+ * Bounding volume hierarchy, split at the median of the longest axis.
+ * @param {{vertices: number[][], min: number[], max: number[]}[]} items
+ * @returns {{min: number[], max: number[], items?: object[], left?: object, right?: object}}
+ */
+function buildTree(items) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const item of items) {
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.min(min[i], item.min[i]);
+            max[i] = Math.max(max[i], item.max[i]);
+        }
+    }
+    if (items.length <= LEAF_SIZE) return {min, max, items};
+
+    const extent = [0, 1, 2].map(i => max[i] - min[i]);
+    const axis = extent.indexOf(Math.max(...extent));
+    const center = item => item.min[axis] + item.max[axis];
+    const sorted = [...items].sort((u, v) => center(u) - center(v));
+    const half = sorted.length >> 1;
+    return {
+        min,
+        max,
+        left: buildTree(sorted.slice(0, half)),
+        right: buildTree(sorted.slice(half)),
+    };
+}
+
+/**
+ * Improves the best connection with the simplices of a tree node closer than it.
+ * @param {object} node - Node of {@link buildTree}.
+ * @param {{vertices: number[][], min: number[], max: number[]}} simplex - Simplex of the first geometry.
+ * @param {{distance: number, from: number[], to: number[]}} best
+ * @returns {{distance: number, from: number[], to: number[]}}
+ */
+function nearest(node, simplex, best) {
+    // Skip nodes whose bounding boxes are already farther apart.
+    if (boxDistance(node, simplex) >= best.distance) return best;
+    if (node.items) {
+        for (const item of node.items) {
+            if (boxDistance(item, simplex) >= best.distance) continue;
+            const result = closestSimplices(simplex.vertices, item.vertices);
+            if (result.distance < best.distance) best = result;
+        }
+        return best;
+    }
+    const [first, second] =
+        boxDistance(node.left, simplex) <= boxDistance(node.right, simplex)
+            ? [node.left, node.right]
+            : [node.right, node.left];
+    return nearest(second, simplex, nearest(first, simplex, best));
+}
+
+/**
+ * @param {number[][]} vertices
+ * @returns {{vertices: number[][], min: number[], max: number[]}}
+ */
+function bounds(vertices) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const v of vertices) {
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.min(min[i], v[i]);
+            max[i] = Math.max(max[i], v[i]);
+        }
+    }
+    return {vertices, min, max};
+}
+
+/**
+ * Distance between two axis-aligned bounding boxes, a lower bound for their contents.
+ * @returns {number}
+ */
+function boxDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < 3; i++) {
+        const gap = Math.max(a.min[i] - b.max[i], b.min[i] - a.max[i], 0);
+        sum += gap * gap;
+    }
+    return Math.sqrt(sum);
+}
+
+/**
+ * Closest points of two simplices: every vertex against the other simplex,
+ * every edge against every edge of the other simplex, and every edge against
+ * the other simplex if it is a triangle, to find crossings.
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {{distance: number, from: number[], to: number[]}}
+ */
+function closestSimplices(a, b) {
+    let best = {distance: Infinity, from: null, to: null};
+    const consider = (from, to) => {
+        const distance = Math.hypot(
+            to[0] - from[0],
+            to[1] - from[1],
+            to[2] - from[2],
+        );
+        if (distance < best.distance) best = {distance, from, to};
+    };
+
+    for (const p of a) consider(p, closestOnSimplex(p, b));
+    for (const p of b) consider(closestOnSimplex(p, a), p);
+    for (const [p1, q1] of edges(a)) {
+        for (const [p2, q2] of edges(b)) {
+            const [from, to] = closestSegmentSegment(p1, q1, p2, q2);
+            consider(from, to);
+        }
+    }
+    if (best.distance === 0) return best;
+
+    for (const [triangle, segments] of [
+        [b, edges(a)],
+        [a, edges(b)],
+    ]) {
+        if (triangle.length !== 3) continue;
+        for (const [p, q] of segments) {
+            const hit = intersectSegmentTriangle(p, q, ...triangle);
+            if (hit) return {distance: 0, from: hit, to: hit};
+        }
+    }
+    return best;
+}
+
+/**
+ * @param {number[][]} simplex
+ * @returns {number[][][]} Edges as [start, end].
+ */
+function edges(simplex) {
+    if (simplex.length === 2) return [simplex];
+    if (simplex.length === 3) {
+        return [
+            [simplex[0], simplex[1]],
+            [simplex[1], simplex[2]],
+            [simplex[2], simplex[0]],
+        ];
+    }
+    return [];
+}
+
+/**
+ * @param {number[]} p
+ * @param {number[][]} simplex
+ * @returns {number[]} Closest point of the simplex to p.
+ */
+function closestOnSimplex(p, simplex) {
+    switch (simplex.length) {
+        case 1:
+            return simplex[0];
+        case 2:
+            return closestOnSegment(p, simplex[0], simplex[1]);
+        default:
+            return closestOnTriangle(p, simplex[0], simplex[1], simplex[2]);
+    }
+}
+
+const sub = (u, v) => [u[0] - v[0], u[1] - v[1], u[2] - v[2]];
+const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+const along = (p, d, t) => [p[0] + d[0] * t, p[1] + d[1] * t, p[2] + d[2] * t];
+const clamp01 = t => Math.min(Math.max(t, 0), 1);
+const cross = (u, v) => [
+    u[1] * v[2] - u[2] * v[1],
+    u[2] * v[0] - u[0] * v[2],
+    u[0] * v[1] - u[1] * v[0],
+];
+
+/**
+ * @param {number[]} p
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+function closestOnSegment(p, a, b) {
+    const ab = sub(b, a);
+    const length = dot(ab, ab);
+    if (!length) return a;
+    return along(a, ab, clamp01(dot(sub(p, a), ab) / length));
+}
+
+/**
+ * Closest point on a triangle by its Voronoi regions (Ericson, Real-Time Collision Detection, 5.1.5).
+ * @param {number[]} p
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number[]} c
+ * @returns {number[]}
+ */
+function closestOnTriangle(p, a, b, c) {
+    const ab = sub(b, a);
+    const ac = sub(c, a);
+    const ap = sub(p, a);
+    const d1 = dot(ab, ap);
+    const d2 = dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) return a;
+
+    const bp = sub(p, b);
+    const d3 = dot(ab, bp);
+    const d4 = dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) return b;
+
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) return along(a, ab, d1 / (d1 - d3));
+
+    const cp = sub(p, c);
+    const d5 = dot(ab, cp);
+    const d6 = dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) return c;
+
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) return along(a, ac, d2 / (d2 - d6));
+
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        return along(b, sub(c, b), (d4 - d3) / (d4 - d3 + (d5 - d6)));
+    }
+
+    const denominator = va + vb + vc;
+    if (!denominator) return closestOnSegment(p, a, b);
+    const v = vb / denominator;
+    const w = vc / denominator;
+    return along(along(a, ab, v), ac, w);
+}
+
+/**
+ * Closest points of two segments (Ericson, Real-Time Collision Detection, 5.1.9).
+ * @param {number[]} p1
+ * @param {number[]} q1
+ * @param {number[]} p2
+ * @param {number[]} q2
+ * @returns {number[][]} [point on the first, point on the second segment]
+ */
+function closestSegmentSegment(p1, q1, p2, q2) {
+    const d1 = sub(q1, p1);
+    const d2 = sub(q2, p2);
+    const r = sub(p1, p2);
+    const a = dot(d1, d1);
+    const e = dot(d2, d2);
+    const f = dot(d2, r);
+
+    let s;
+    let t;
+    if (!a && !e) return [p1, p2];
+    if (!a) {
+        s = 0;
+        t = clamp01(f / e);
+    } else {
+        const c = dot(d1, r);
+        if (!e) {
+            t = 0;
+            s = clamp01(-c / a);
+        } else {
+            const b = dot(d1, d2);
+            const denominator = a * e - b * b;
+            s = denominator ? clamp01((b * f - c * e) / denominator) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = clamp01(-c / a);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp01((b - c) / a);
+            }
+        }
+    }
+    return [along(p1, d1, s), along(p2, d2, t)];
+}
+
+/**
+ * Intersection of a segment with a triangle (Möller–Trumbore).
+ * Segments in the plane of the triangle do not count; their crossings are found
+ * by the edge and vertex tests.
+ * @param {number[]} p - Start of the segment.
+ * @param {number[]} q - End of the segment.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number[]} c
+ * @returns {number[]|undefined} The intersection point, if any.
+ */
+function intersectSegmentTriangle(p, q, a, b, c) {
+    const d = sub(q, p);
+    const ab = sub(b, a);
+    const ac = sub(c, a);
+    const h = cross(d, ac);
+    const det = dot(ab, h);
+    if (Math.abs(det) < 1e-12) return;
+
+    const ap = sub(p, a);
+    const u = dot(ap, h) / det;
+    if (u < 0 || u > 1) return;
+    const k = cross(ap, ab);
+    const v = dot(d, k) / det;
+    if (v < 0 || u + v > 1) return;
+    const t = dot(ac, k) / det;
+    if (t < 0 || t > 1) return;
+    return along(p, d, t);
+}
@@ -2,8 +2,9 @@
  * @abstract
  * Abstract base class for a Command pattern implementation.
  *
- * Subclasses must implement the `execute()` method to perform
- * the associated action.
+ * Subclasses must implement the `execute()` and `undo()` methods to perform
+ * and revert the associated action. Commands are recorded by the
+ * {@link CommandStack} of the application, which drives undo/redo.
  *
  * @summary
  * Abstract command interface; to be extended by concrete commands.
@@ -13,10 +14,14 @@
  *   execute() {
  *     console.log("Executing command logic!");
  *   }
+ *   undo() {
+ *     console.log("Reverting command logic!");
+ *   }
  * }
  *
  * const cmd = new LogCommand();
  * cmd.execute(); // Logs: Executing command logic!
+ * cmd.undo(); // Logs: Reverting command logic!
  */
 export class Command {
     /**
@@ -27,4 +32,49 @@ export class Command {
     execute() {
         throw new Error('Command.execute() must be implemented');
     }
+
+    /**
+     * @abstract
+     * Reverts the effect of `execute()`. Must be implemented by subclasses.
+     * @throws {Error} Always throws unless implemented by subclass.
+     */
+    undo() {
+        throw new Error('Command.undo() must be implemented');
+    }
+
+    /**
+     * Re-applies the command after it has been undone.
+     * Defaults to `execute()`.
+     * @returns {any} Result of `execute()`.
+     */
+    redo() {
+        return this.execute();
+    }
+
+    /**
+     * Tries to absorb a command that is recorded directly after this one,
+     * e.g. to combine many small transform steps into a single history entry.
+     * @param {Command} command - The command that is about to be recorded.
+     * @returns {boolean} True if the command was merged into this one.
+     */
+    // eslint-disable-next-line @typescript-eslint/no-unused-vars
+    merge(command) {
+        return false;
+    }
+
+    /**
+     * True if the command no longer applies (e.g. its target has been destroyed).
+     * Expired commands are skipped by the command stack.
+     * @type {boolean}
+     */
+    get expired() {
+        return false;
+    }
+
+    /**
+     * Releases resources kept alive for undo/redo once the command leaves the history.
+     * @param {boolean} undone - True if the command was in undone state when discarded.
+     */
+    // eslint-disable-next-line @typescript-eslint/no-unused-vars
+    dispose(undone) {}
 }
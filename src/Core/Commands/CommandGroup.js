@@ -0,0 +1,57 @@
+import {Command} from './Command.js';
+
+/**
+ * CommandGroup – Composite command that executes several commands as one history entry.
+ *
+ * Children are executed in order and undone in reverse order, so e.g. "delete all"
+ * actions can be reverted with a single undo.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {Command[]} commands - Commands to bundle.
+ *
+ * @property {Command[]} commands - The bundled commands.
+ *
+ * @example
+ * const group = new CommandGroup(items.map(item => new RemoveMeasurement(app, item)));
+ * app.commandStack.execute(group);
+ */
+export class CommandGroup extends Command {
+    /**
+     * @param {Command[]} commands
+     */
+    constructor(commands) {
+        super();
+        this.commands = commands;
+    }
+
+    /**
+     * Executes all bundled commands in order.
+     */
+    execute() {
+        this.commands.forEach(command => command.execute());
+    }
+
+    /**
+     * Undoes all bundled commands in reverse order.
+     */
+    undo() {
+        [...this.commands].reverse().forEach(command => command.undo());
+    }
+
+    /**
+     * Redoes all bundled commands in order.
+     */
+    redo() {
+        this.commands.forEach(command => command.redo());
+    }
+
+    /**
+     * Forwards disposal to all bundled commands.
+     * @param {boolean} undone
+     */
+    dispose(undone) {
+        this.commands.forEach(command => command.dispose(undone));
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * CommandStack – Undo/redo history for {@link Command} objects.
+ *
+ * Commands are either executed through the stack (`execute`) or recorded after
+ * they have already been applied interactively (`push`), e.g. at the end of a gizmo drag.
+ * Recording a new command clears the redo history. The history is capped at `limit` entries;
+ * discarded commands are asked to release their resources via `dispose()`.
+ *
+ * @class
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit=100] - Maximum number of undoable commands.
+ *
+ * @property {number} limit - Maximum number of undoable commands.
+ * @property {boolean} canUndo - True if there is a command to undo.
+ * @property {boolean} canRedo - True if there is a command to redo.
+ *
+ * @example
+ * const stack = new CommandStack();
+ * stack.execute(new AddExcavationPit(app, cartesians));
+ * stack.undo(); // removes the pit again
+ * stack.redo(); // restores it
+ */
+export class CommandStack {
+    #undoStack;
+    #redoStack;
+    #busy;
+
+    /**
+     * @param {object} [options]
+     */
+    constructor({limit = 100} = {}) {
+        this.limit = limit;
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#busy = false;
+    }
+
+    /**
+     * True if there is a command to undo.
+     * @type {boolean}
+     */
+    get canUndo() {
+        this.#dropExpired(this.#undoStack);
+        return this.#undoStack.length > 0;
+    }
+
+    /**
+     * True if there is a command to redo.
+     * @type {boolean}
+     */
+    get canRedo() {
+        this.#dropExpired(this.#redoStack);
+        return this.#redoStack.length > 0;
+    }
+
+    /**
+     * Executes a command and records it in the history.
+     * @param {Command} command
+     * @returns {any} Whatever `command.execute()` returns.
+     */
+    execute(command) {
+        const result = command.execute();
+        this.push(command);
+        return result;
+    }
+
+    /**
+     * Records a command that has already been applied.
+     * Ignored while an undo/redo is running, so reverted actions are not recorded twice.
+     * @param {Command} command
+     */
+    push(command) {
+        if (this.#busy) return;
+
+        this.#redoStack.forEach(c => c.dispose(true));
+        this.#redoStack = [];
+
+        const last = this.#undoStack[this.#undoStack.length - 1];
+        if (last && !last.expired && last.merge(command)) return;
+
+        this.#undoStack.push(command);
+        while (this.#undoStack.length > this.limit) {
+            this.#undoStack.shift().dispose(false);
+        }
+    }
+
+    /**
+     * Reverts the most recent command.
+     * @returns {boolean} True if a command was undone.
+     */
+    undo() {
+        if (!this.canUndo) return false;
+        const command = this.#undoStack.pop();
+        this.#run(() => command.undo());
+        this.#redoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Re-applies the most recently undone command.
+     * @returns {boolean} True if a command was redone.
+     */
+    redo() {
+        if (!this.canRedo) return false;
+        const command = this.#redoStack.pop();
+        this.#run(() => command.redo());
+        this.#undoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Empties the whole history and disposes all recorded commands.
+     */
+    clear() {
+        this.#undoStack.forEach(c => c.dispose(false));
+        this.#redoStack.forEach(c => c.dispose(true));
+        this.#undoStack = [];
+        this.#redoStack = [];
+    }
+
+    /**
+     * Runs an undo/redo step while suppressing recording of nested commands.
+     * @param {Function} callback
+     */
+    #run(callback) {
+        this.#busy = true;
+        try {
+            callback();
+        } finally {
+            this.#busy = false;
+        }
+    }
+
+    /**
+     * Removes expired commands from the top of a stack.
+     * @param {Command[]} stack
+     */
+    #dropExpired(stack) {
+        while (stack.length > 0 && stack[stack.length - 1].expired) {
+            stack.pop();
+        }
+    }
+}
@@ -1,4 +1,5 @@
 import {MEASUREMENT_POINT_COLOR} from '../../constants.js';
+import {Command} from '../Commands/Command.js';
 import {PointEntity} from '../Entity.js';
 import {PointSet3D} from '../PointSet3D.js';
 import {uuidv4} from '../utilities.js';
@@ -149,24 +150,126 @@ export class Drawing {
      * @method
      */
     addPoint() {
-        this.point = new PointEntity(this.app, {color: this.color}).onSet(
-            () => {
-                if (!this.maxPoints || this.pointSet.length < this.maxPoints) {
-                    this.addPoint();
-                    this.onSetCallback();
-                    return;
+        this.point = new PointEntity(this.app, {
+            color: this.color,
+            snap: (position, detail) => this.snap(position, detail),
+        }).onSet(() => {
+            if (!this.maxPoints || this.pointSet.length < this.maxPoints) {
+                const position = this.point.position;
+                this.addPoint();
+                this.onSetCallback();
+                if (!this.maxPoints) {
+                    this.app.commandStack?.push(
+                        new AddDrawingPoint(this, position),
+                    );
                 }
-                if (this.pointSet.points.every(point => !point.isBeingHeld)) {
-                    return this.terminate();
-                }
-            },
-        );
+                return;
+            }
+            if (this.pointSet.points.every(point => !point.isBeingHeld)) {
+                return this.terminate();
+            }
+        });
         this.pointSet.push(this.point);
         this.point.onMove(() => {
             this.onMoveCallback();
         });
     }
 
+    /**
+     * Remove the most recently set point of an unfinished drawing.
+     * The point following the cursor is recreated as the new last point.
+     * @returns {boolean} True if a point was removed.
+     */
+    removeLastPoint() {
+        if (this.finished || this.destroyed || this.pointSet.length < 2) {
+            return false;
+        }
+        this.pointSet.pop();
+        this.pointSet.pop();
+        this.addPoint();
+        this.onSetCallback();
+        this.onMoveCallback();
+        return true;
+    }
+
+    /**
+     * Snap the position of the point following the cursor via the application's snapper.
+     * Earlier points of this drawing are snap targets and the reference for the angle constraint.
+     * @param {Cesium.Cartesian3} position - Picked position.
+     * @param {{windowPosition?: Cesium.Cartesian2, pickedFeature?: any}} [detail] - Details of the pick.
+     * @returns {Cesium.Cartesian3}
+     */
+    snap(position, {windowPosition, pickedFeature} = {}) {
+        if (!this.app.snapper) return position;
+        const held = this.pointSet.points.find(point => point.isBeingHeld);
+        const index = this.pointSet.points.indexOf(held);
+        return this.app.snapper.snap(position, {
+            windowPosition: windowPosition,
+            pickedFeature: pickedFeature,
+            previous: this.cartesians.slice(0, Math.max(index, 0)),
+            ignore: held ? [this.cartesians[index]] : [],
+        });
+    }
+
+    /**
+     * Re-insert a set point at the given position in front of the point following the cursor.
+     * @param {Cesium.Cartesian3} position - Position of the restored point.
+     * @returns {boolean} True if the point was restored.
+     */
+    restorePoint(position) {
+        if (this.finished || this.destroyed) return false;
+        this.pointSet.pop();
+        const point = new PointEntity(this.app, {
+            position: position,
+            color: this.color,
+            snap: (position, detail) => this.snap(position, detail),
+        });
+        this.pointSet.push(point);
+        point.onMove(() => {
+            this.onMoveCallback();
+        });
+        this.addPoint();
+        this.onSetCallback();
+        this.onMoveCallback();
+        return true;
+    }
+
+    /**
+     * Set the given positions one after another as if the user had placed them.
+     * Used to rebuild drawings from stored coordinates.
+     * @param {Cesium.Cartesian3[]} positions - Positions of the points to set.
+     */
+    replay(positions) {
+        for (const position of positions) {
+            if (this.finished || this.destroyed || !this.point) return;
+            this.point.position = position.clone();
+            this.point.leftUpHandler?.();
+        }
+    }
+
+    /**
+     * Replace the points of a finished drawing, e.g. after a vertex was inserted or deleted.
+     * The point handles are recreated and stay draggable.
+     * @param {Cesium.Cartesian3[]} positions - New point positions.
+     */
+    setPositions(positions) {
+        const pointSet = this.pointSet;
+        const show = pointSet.show;
+        // Keep the array instance, measurements hold a reference to it.
+        pointSet.cartesians.splice(
+            0,
+            pointSet.cartesians.length,
+            ...positions.map(position => position.clone()),
+        );
+        pointSet.points = pointSet.cartesians;
+        pointSet.selectable = true;
+        pointSet.forEach(point => {
+            point.snap = (position, detail) => this.snap(position, detail);
+            point.onMove(() => this.onMoveCallback());
+        });
+        if (show === false) pointSet.show = false;
+    }
+
     /**
      * Trigger drawing finalization (called internally).
      * Removes last point if no maxPoints, sets finished to true.
@@ -224,3 +327,51 @@ export class Drawing {
         this.onFinishCallback();
     }
 }
+
+/**
+ * AddDrawingPoint – Records a point set by the user while a drawing is in progress.
+ *
+ * Undo removes the point again, redo re-inserts it at the same position.
+ * Expires as soon as the drawing is finished or destroyed.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {Drawing} drawing - The drawing the point belongs to.
+ * @param {Cesium.Cartesian3} position - Position of the set point.
+ */
+export class AddDrawingPoint extends Command {
+    /**
+     * @param {Drawing} drawing
+     * @param {Cesium.Cartesian3} position
+     */
+    constructor(drawing, position) {
+        super();
+        this.drawing = drawing;
+        this.position = position;
+    }
+
+    /**
+     * True once the drawing has been finished or destroyed.
+     * @type {boolean}
+     */
+    get expired() {
+        return !!(this.drawing.finished || this.drawing.destroyed);
+    }
+
+    /**
+     * Re-inserts the point.
+     * @returns {boolean}
+     */
+    execute() {
+        return this.drawing.restorePoint(this.position);
+    }
+
+    /**
+     * Removes the point.
+     * @returns {boolean}
+     */
+    undo() {
+        return this.drawing.removeLastPoint();
+    }
+}
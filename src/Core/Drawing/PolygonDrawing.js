@@ -102,7 +102,7 @@ export class PolygonDrawing extends Drawing {
     }
 
     /**
-     * Primary polygon color (applies to both area and outline).
+     * Primary polygon color (applies to points, outline and the semi-transparent area).
      * @type {Cesium.Color}
      */
     get color() {
@@ -114,7 +114,8 @@ export class PolygonDrawing extends Drawing {
             this.line.polyline.material.color = value;
         }
         if (this.polygon) {
-            this.polygon.polygon.material = value;
+            this.polygon.polygon.material = value.withAlpha(0.5);
+            this.polygon.polygon.outlineColor = value;
         }
     }
 
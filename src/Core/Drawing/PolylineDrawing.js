@@ -126,6 +126,12 @@ export class PolylineDrawing extends Drawing {
                 outlineColor: value,
                 outlineWidth: 0,
             });
+            this.line.polyline.depthFailMaterial =
+                new PolylineOutlineMaterialProperty({
+                    color: value.withAlpha(0.4),
+                    outlineColor: value.withAlpha(0.4),
+                    outlineWidth: 0,
+                });
         }
     }
 
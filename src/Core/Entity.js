@@ -44,9 +44,12 @@ export class Entity {
  * @param {boolean} [options.hideWhileHolding=true] - Hide marker while dragging/holding.
  * @param {number} [options.pixelOffset=-2] - Offset for display tweak.
  * @param {Color} [options.highlightColor] - Color when highlighted (optional).
+ * @param {function(Cartesian3, object):Cartesian3} [options.snap] - Adjusts the picked position while the point is held,
+ *   receives the position and the `viewer-mouse-move-3d` event detail.
  *
  * @property {Color} color - Current visual color.
  * @property {Color} highlightColor - Highlight override color.
+ * @property {Function|undefined} snap - Adjusts the picked position while the point is held.
  * @property {boolean} reactive - True if entity responds reactively to conditions.
  * @property {boolean} deletable - Allows deletion via properties.
  * @property {boolean} isBeingHeld - Whether the user is actively dragging the point.
@@ -101,10 +104,12 @@ export class PointEntity extends Entity {
             hideWhileHolding: hideWhileHolding = true,
             pixelOffset: pixelOffset = -2,
             highlightColor: highlightColor,
+            snap: snap,
         } = {},
     ) {
         super(app);
         this.highlightColor = highlightColor;
+        this.snap = snap;
         this.color = color;
 
         this.lastPickedPosition = Cartesian3.ZERO;
@@ -259,6 +264,18 @@ export class PointEntity extends Entity {
         return this;
     }
 
+    /**
+     * Remove an onMove callback registered with {@link PointEntity#onMove}.
+     * @param {function(PointEntity):void} callback - The registered function.
+     * @returns {PointEntity}
+     */
+    removeOnMove(callback) {
+        this.#onMoveCallbacks = this.#onMoveCallbacks.filter(
+            registered => registered !== callback,
+        );
+        return this;
+    }
+
     /**
      * Remove last onMove callback.
      * @returns {PointEntity}
@@ -348,11 +365,12 @@ export class PointEntity extends Entity {
                     this.primitive.id === event.detail.pickedFeature?.id?.id ||
                     this.isBeingHeld;
                 if (this.isBeingHeld) {
-                    this.lastPickedPosition =
-                        event.detail.pickedPosition &&
-                        !event.detail.pickedPosition.equals(Cartesian3.ZERO)
-                            ? event.detail.pickedPosition
-                            : this.lastPickedPosition;
+                    const picked = event.detail.pickedPosition;
+                    if (picked && !picked.equals(Cartesian3.ZERO)) {
+                        this.lastPickedPosition = this.snap
+                            ? this.snap(picked, event.detail)
+                            : picked;
+                    }
                     this.updatePosition();
                 }
             };
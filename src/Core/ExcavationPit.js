@@ -1,12 +1,29 @@
 import {GeListItem} from '../Components/ge-list-item/ge-list-item.js';
 import {Command} from './Commands/Command.js';
 import {MESH} from './Layer.js';
+import {AREA_UNITS, LENGTH_UNITS, unitSettings} from './UnitSettings.js';
 
 import {
+    BoundingSphere,
+    Cartesian2,
+    Cartesian3,
+    Cartographic,
     ClippingPolygon,
     ClippingPolygonCollection,
     Color,
+    ColorGeometryInstanceAttribute,
+    ComponentDatatype,
     EllipsoidTerrainProvider,
+    Geometry,
+    GeometryAttribute,
+    GeometryInstance,
+    Math as CesiumMath,
+    Matrix4,
+    PerInstanceColorAppearance,
+    PolygonPipeline,
+    Primitive,
+    PrimitiveType,
+    Transforms,
 } from '@cesium/engine';
 import {ErrorGeWindow} from '../Components/ge-window/ge-window.js';
 import {i18next} from '../i18n.js';
@@ -17,17 +34,53 @@ import {
     cartesianToMinZ,
     radiansArrayToCartesian,
     safeSampleTerrainMostDetailed,
-    stack,
     subsamplePolygon,
     uuidv4,
 } from './utilities.js';
 
+/**
+ * Upper limit for the number of terrain samples used to compute the volume of a pit.
+ * The grid spacing grows with the pit area to stay below this limit.
+ * @type {number}
+ */
+const MAX_REPORT_SAMPLES = 4096;
+
+/**
+ * Upper limit for the number of berms of a pit.
+ * @type {number}
+ */
+const MAX_BERMS = 50;
+
+/**
+ * Upper limit for the miter length at outline corners, relative to the wall offset.
+ * Keeps the walls at acute corners from spiking out.
+ * @type {number}
+ */
+const MAX_MITER = 4;
+
+/**
+ * @typedef {object} ExcavationReport
+ * @property {number} depth - Largest depth of the floor below the highest outline point (m).
+ * @property {number} floorHeight - Lowest ellipsoidal height of the floor (m).
+ * @property {number} cutVolume - Terrain volume above the pit surface (floor and walls) inside the opening (m³).
+ * @property {number} fillVolume - Volume between terrain and floor where the floor lies above the terrain (m³).
+ * @property {number} floorArea - Horizontal area of the floor (m²).
+ * @property {number} openingArea - Horizontal area of the opening at the terrain (m²).
+ * @property {number} wallArea - Area of the walls and berms between terrain and floor (m²).
+ * @property {number} gridSpacing - Spacing of the terrain samples used for the volumes (m).
+ */
+
 /**
  * ExcavationPit – Represents a 3D excavation (pit/trench) visualization in a Cesium scene.
  *
  * Handles polygon and wall generation, height/depth calculations, subsampling for accurate terrain following,
  * and manages Cesium entities plus global/layer clipping polygons for rendering excavation pits.
  *
+ * The outline is the edge of the pit floor. The walls rise from there to the terrain, leaning outwards
+ * by `slope` metres per metre of height and stepping back by `bermWidth` every `bermInterval` metres
+ * below the highest outline point. The opening at the terrain is used as clipping polygon.
+ * With `vertexDepths` every outline vertex gets its own depth, which results in a sloped floor.
+ *
  * @class
  *
  * @param {any} app - Cesium application/viewer instance.
@@ -36,6 +89,10 @@ import {
  * @param {string} [options.name=''] - Optional user-facing name for the pit.
  * @param {Cartesian3[]} options.cartesians - 3D cartesian coordinates of the pit polygon.
  * @param {number} [options.depth=0] - Depth (vertical offset) below the maximum Z for the pit.
+ * @param {number[]} [options.vertexDepths] - Depth per outline vertex; overrides `depth` for a sloped floor.
+ * @param {number} [options.slope=0] - Horizontal offset of the walls per metre of height (0 = vertical).
+ * @param {number} [options.bermInterval=0] - Vertical distance between berms (0 = no berms).
+ * @param {number} [options.bermWidth=0] - Horizontal width of each berm.
  * @param {boolean} [options.show=true] - Show/hide pit on creation.
  * @param {number} [options.approxSpacing=5] - Edge sampling spacing (meters) for accurate terrain following.
  * @param {Color} [options.pitColor=Color.fromCssColorString('#222222')] - Color to use for pit walls and fill.
@@ -46,16 +103,22 @@ import {
  * @property {any} app - Application/viewer reference.
  * @property {Cartesian3[]} cartesians - Input polygon (editable live).
  * @property {number} depth - Vertical cut depth of the pit.
+ * @property {number[]|undefined} vertexDepths - Depth per outline vertex, if the floor is sloped.
+ * @property {number} slope - Horizontal offset of the walls per metre of height.
+ * @property {number} bermInterval - Vertical distance between berms.
+ * @property {number} bermWidth - Horizontal width of each berm.
  * @property {boolean} show - Show or hide the pit (entities and clipping polygons).
  * @property {number} approxSpacing - Spacing for subsampling terrain.
  * @property {Color} pitColor - Main color used for pit fill/wall.
  * @property {boolean} initialized - True after pit entities and clipping have been created.
  * @property {number} cartesiansMinZ - Minimum Z/Elevation sampled.
  * @property {number} cartesiansMaxZ - Maximum Z/Elevation sampled.
+ * @property {ExcavationReport|undefined} report - Result of the last {@link ExcavationPit#computeReport} call.
  *
  * @method update() - (async) Prepare terrain, perform subsampling, setup wall and polygon entities and clipping.
  * @method subsample() - (async) Subdivide polygon edges, sample precise heights from terrain.
- * @method updateEntity() - Update or create Cesium polygon and wall entities for pit.
+ * @method updateEntity() - Update or create the Cesium floor entity and wall primitive for pit.
+ * @method computeReport() - (async) Compute excavated volume, floor and wall area from terrain samples.
  * @method clear() - Remove/clear all globally/layer-applied clipping polygons for this pit.
  * @method destroy() - Remove all visualizations and clipping from the app.
  *
@@ -64,19 +127,24 @@ import {
  * await pit.update();
  * pit.show = false; // Hide pit
  * pit.depth = 15;   // Adjust and rerender
+ * pit.slope = ExcavationPit.slopeFromAngle(60);
+ * await pit.update();
+ * const {cutVolume} = await pit.computeReport();
  */
 export class ExcavationPit {
     #cartesians;
     #cartesiansMinZ;
     #cartesiansMaxZ;
-    #wallEntity;
+    #wallPrimitive;
     #polygonEntity;
     //clippingPolygon
     #cartoSubsamples;
     #cartesianSubsamples;
     #terrainProvider;
     #depth;
+    #vertexDepths;
     #show;
+    #surface;
 
     /**
      * @param {any} app - Parent Cesium app/viewer context.
@@ -89,6 +157,10 @@ export class ExcavationPit {
             name = '',
             cartesians,
             depth = 0,
+            vertexDepths,
+            slope = 0,
+            bermInterval = 0,
+            bermWidth = 0,
             show = true,
             approxSpacing = 5,
             pitColor = Color.fromCssColorString('#222222', new Color()),
@@ -114,13 +186,38 @@ export class ExcavationPit {
         this.approxSpacing = approxSpacing;
         this.pitColor = pitColor;
         this.initialized = false;
+        this.report = undefined;
+        this.slope = slope;
+        this.bermInterval = bermInterval;
+        this.bermWidth = bermWidth;
         this.cartesians = cartesians;
         this.show = show;
         this.afterInitCallback = afterInitCallback;
         this.depth = depth;
+        this.vertexDepths = vertexDepths;
         this.update();
     }
 
+    /**
+     * Converts a batter angle (wall inclination against the horizontal) to a slope.
+     * @param {number} angle - Angle in degrees; 90 is a vertical wall.
+     * @returns {number} Horizontal offset per metre of height.
+     */
+    static slopeFromAngle(angle) {
+        if (!(angle > 0) || angle >= 90) return 0;
+        return 1 / Math.tan(CesiumMath.toRadians(angle));
+    }
+
+    /**
+     * Converts a slope to a batter angle.
+     * @param {number} slope - Horizontal offset per metre of height.
+     * @returns {number} Angle in degrees; 90 is a vertical wall.
+     */
+    static angleFromSlope(slope) {
+        if (!(slope > 0)) return 90;
+        return CesiumMath.toDegrees(Math.atan(1 / slope));
+    }
+
     /**
      * Get the minimum Z of the current (sampled) polygon.
      * @type {number}
@@ -151,15 +248,34 @@ export class ExcavationPit {
 
     /**
      * The vertical depth "cut" of the excavation.
+     * Per-vertex depths are shifted by the same amount, so a sloped floor keeps its shape.
      * @type {number}
      */
     get depth() {
         return this.#depth;
     }
     set depth(depth) {
+        if (this.#vertexDepths && this.#depth !== undefined) {
+            const offset = depth - this.#depth;
+            this.#vertexDepths = this.#vertexDepths.map(d => d + offset);
+        }
         this.#depth = depth;
     }
 
+    /**
+     * Depth per outline vertex for a sloped floor, or undefined for a flat floor at `depth`.
+     * Missing entries fall back to `depth`.
+     * @type {number[]|undefined}
+     */
+    get vertexDepths() {
+        return this.#vertexDepths;
+    }
+    set vertexDepths(vertexDepths) {
+        this.#vertexDepths = vertexDepths?.length
+            ? vertexDepths.map(Number)
+            : undefined;
+    }
+
     /**
      * Show/hide the pit (entities and active clipping polygons).
      * @type {boolean}
@@ -172,7 +288,7 @@ export class ExcavationPit {
 
         if (this.initialized) {
             this.#polygonEntity.show = show;
-            this.#wallEntity.show = show;
+            this.#wallPrimitive.show = show;
             this.clear();
 
             if (show) {
@@ -203,7 +319,7 @@ export class ExcavationPit {
     destroy() {
         if (this.initialized) {
             this.app.viewer.entities.remove(this.#polygonEntity);
-            this.app.viewer.entities.remove(this.#wallEntity);
+            this.app.viewer.scene.primitives.remove(this.#wallPrimitive);
             this.app.viewer.scene.globe.clippingPolygons.remove(
                 this.clippingPolygon,
             );
@@ -216,20 +332,19 @@ export class ExcavationPit {
     }
 
     /**
-     * Update or (re)create the Cesium polygon and wall entities for this pit,
+     * Update or (re)create the Cesium floor entity and wall primitive for this pit,
      * using the latest subsampled heights/z-values.
      */
     updateEntity() {
-        const height = this.#cartesiansMaxZ - this.#depth;
-        const minimumHeights = stack(height, this.#cartesianSubsamples.length);
+        const floor = this.#surface.rings[0].map(this.#surface.toWorld);
 
         if (!this.initialized) {
             this.#polygonEntity =
                 this.app.viewer.dataSourceDisplay.defaultDataSource.entities.add(
                     {
                         polygon: {
-                            hierarchy: this.#cartesianSubsamples,
-                            height: height,
+                            hierarchy: floor,
+                            perPositionHeight: true,
                             material: this.pitColor,
                             outline: true,
                             outlineColor: Color.BLACK,
@@ -243,30 +358,228 @@ export class ExcavationPit {
                         },
                     },
                 );
+        } else {
+            this.#polygonEntity.polygon.hierarchy = floor;
+            this.app.viewer.scene.primitives.remove(this.#wallPrimitive);
+        }
 
-            this.#wallEntity = this.app.viewer.entities.add({
-                wall: {
-                    positions: this.#cartesianSubsamples,
-                    minimumHeights: minimumHeights,
-                    material: this.pitColor,
-                    outline: true,
-                    outlineColor: Color.BLACK,
-                    //shadows: ShadowMode.RECEIVE_ONLY
-                },
-                properties: {
-                    terrain: true,
-                    reactive: false,
-                    deletable: false,
-                    selectable: false,
+        this.#wallPrimitive = this.app.viewer.scene.primitives.add(
+            this.#createWallPrimitive(),
+        );
+    }
+
+    /**
+     * Builds the triangulated wall (including berms) as a primitive with flat shaded faces.
+     * @returns {Primitive}
+     */
+    #createWallPrimitive() {
+        const {rings, toWorld, wallTriangles} = this.#surface;
+        const vertices = rings.flat();
+        const positions = new Float64Array(wallTriangles.length * 9);
+        const normals = new Float32Array(wallTriangles.length * 9);
+
+        wallTriangles.forEach((triangle, i) => {
+            const [a, b, c] = triangle.map(index => toWorld(vertices[index]));
+            const normal = Cartesian3.normalize(
+                Cartesian3.cross(
+                    Cartesian3.subtract(b, a, new Cartesian3()),
+                    Cartesian3.subtract(c, a, new Cartesian3()),
+                    new Cartesian3(),
+                ),
+                new Cartesian3(),
+            );
+            [a, b, c].forEach((position, j) => {
+                Cartesian3.pack(position, positions, i * 9 + j * 3);
+                Cartesian3.pack(normal, normals, i * 9 + j * 3);
+            });
+        });
+
+        const geometry = new Geometry({
+            attributes: {
+                position: new GeometryAttribute({
+                    componentDatatype: ComponentDatatype.DOUBLE,
+                    componentsPerAttribute: 3,
+                    values: positions,
+                }),
+                normal: new GeometryAttribute({
+                    componentDatatype: ComponentDatatype.FLOAT,
+                    componentsPerAttribute: 3,
+                    values: normals,
+                }),
+            },
+            primitiveType: PrimitiveType.TRIANGLES,
+            boundingSphere: BoundingSphere.fromVertices(positions),
+        });
+
+        return new Primitive({
+            geometryInstances: new GeometryInstance({
+                geometry: geometry,
+                attributes: {
+                    color: ColorGeometryInstanceAttribute.fromColor(
+                        this.pitColor,
+                    ),
                 },
+            }),
+            appearance: new PerInstanceColorAppearance({
+                translucent: false,
+                closed: false,
+            }),
+            asynchronous: false,
+            allowPicking: false,
+            show: this.show,
+        });
+    }
+
+    /**
+     * Builds the pit surface from the subsampled outline in a local east-north frame at the pit center.
+     *
+     * Every outline sample gets a vertical profile from the floor up to the terrain. The profiles are
+     * stored as rings (floor, start and end of each berm, opening), so that all rings have the same
+     * number of vertices and neighbouring rings can be joined to wall triangles.
+     *
+     * @returns {{
+     *     rings: {x: number, y: number, h: number}[][],
+     *     toWorld: (vertex: {x: number, y: number, h: number}) => Cartesian3,
+     *     toLocal: (cartesian: Cartesian3) => Cartesian3,
+     *     wallTriangles: number[][],
+     * }} Rings with local x/y and ellipsoidal height h, vertex transforms and wall triangles
+     * as index triples into the flattened rings.
+     */
+    #createSurface() {
+        const enu = Transforms.eastNorthUpToFixedFrame(
+            BoundingSphere.fromPoints(this.cartesians).center,
+        );
+        const inverse = Matrix4.inverseTransformation(enu, new Matrix4());
+        const toLocal = cartesian =>
+            Matrix4.multiplyByPoint(inverse, cartesian, new Cartesian3());
+        const toWorld = ({x, y, h}) => {
+            const carto = Cartographic.fromCartesian(
+                Matrix4.multiplyByPoint(
+                    enu,
+                    new Cartesian3(x, y, 0),
+                    new Cartesian3(),
+                ),
+            );
+            return Cartesian3.fromRadians(carto.longitude, carto.latitude, h);
+        };
+
+        const outline = this.cartesians.map(toLocal);
+        const depths = outline.map(
+            (_, i) => this.#vertexDepths?.[i] ?? this.#depth,
+        );
+
+        // the subsamples are closed, the last one repeats the first
+        const samples = this.#cartesianSubsamples
+            .slice(0, -1)
+            .map(cartesian => {
+                const local = toLocal(cartesian);
+                const floor =
+                    this.#cartesiansMaxZ -
+                    depthAlongOutline(local.x, local.y, outline, depths);
+                const terrain = Cartographic.fromCartesian(cartesian).height;
+                return {
+                    x: local.x,
+                    y: local.y,
+                    floor,
+                    top: Math.max(terrain, floor),
+                };
             });
-        } else {
-            this.#polygonEntity.polygon.positions = this.#cartesianSubsamples;
-            this.#polygonEntity.polygon.height = height;
 
-            this.#wallEntity.wall.positions = this.#cartesianSubsamples;
-            this.#wallEntity.wall.minimumHeights = minimumHeights;
+        const berms = [];
+        const maxDepth = Math.max(...depths);
+        if (this.bermInterval > 0 && this.bermWidth > 0) {
+            for (
+                let depth = this.bermInterval;
+                depth < maxDepth && berms.length < MAX_BERMS;
+                depth += this.bermInterval
+            ) {
+                berms.unshift(this.#cartesiansMaxZ - depth);
+            }
         }
+
+        const orientation = Math.sign(polygonArea(samples)) || 1;
+        const rings = [];
+        samples.forEach((sample, j) => {
+            const [nx, ny] = outwardMiter(
+                samples[(j - 1 + samples.length) % samples.length],
+                sample,
+                samples[(j + 1) % samples.length],
+                orientation,
+            );
+            const profile = [{offset: 0, h: sample.floor}];
+            let offset = 0;
+            let h = sample.floor;
+            for (const level of berms) {
+                const clamped = Math.min(
+                    Math.max(level, sample.floor),
+                    sample.top,
+                );
+                offset += this.slope * (clamped - h);
+                h = clamped;
+                profile.push({offset, h});
+                if (level > sample.floor && level < sample.top) {
+                    offset += this.bermWidth;
+                }
+                profile.push({offset, h});
+            }
+            offset += this.slope * (sample.top - h);
+            profile.push({offset, h: sample.top});
+
+            profile.forEach(({offset, h}, k) => {
+                rings[k] ??= [];
+                rings[k][j] = {
+                    x: sample.x + offset * nx,
+                    y: sample.y + offset * ny,
+                    h,
+                };
+            });
+        });
+
+        const n = samples.length;
+        const vertices = rings.flat();
+        const wallTriangles = [];
+        for (let k = 0; k < rings.length - 1; k++) {
+            for (let j = 0; j < n; j++) {
+                const a = k * n + j;
+                const b = k * n + ((j + 1) % n);
+                const c = b + n;
+                const d = a + n;
+                [
+                    [a, b, c],
+                    [a, c, d],
+                ].forEach(triangle => {
+                    const area = triangleArea(
+                        ...triangle.map(index => vertices[index]),
+                    );
+                    if (area > CesiumMath.EPSILON7)
+                        wallTriangles.push(triangle);
+                });
+            }
+        }
+
+        return {rings, toWorld, toLocal, wallTriangles};
+    }
+
+    /**
+     * Floor and wall triangles of the pit surface, e.g. for CAD exports.
+     * Empty until the pit has been sampled.
+     * @type {Cartesian3[][]}
+     * @readonly
+     */
+    get triangles() {
+        if (!this.#surface) return [];
+        const {rings, toWorld, wallTriangles} = this.#surface;
+        const vertices = rings.flat();
+        const indices = PolygonPipeline.triangulate(
+            rings[0].map(({x, y}) => new Cartesian2(x, y)),
+        );
+        const floorTriangles = [];
+        for (let i = 0; i < indices.length; i += 3) {
+            floorTriangles.push([indices[i], indices[i + 1], indices[i + 2]]);
+        }
+        return [...floorTriangles, ...wallTriangles].map(triangle =>
+            triangle.map(index => toWorld(vertices[index])),
+        );
     }
 
     /**
@@ -289,6 +602,93 @@ export class ExcavationPit {
         this.#cartesiansMinZ = cartesianToMinZ(this.#cartesianSubsamples);
     }
 
+    /**
+     * Computes the excavation report of the pit.
+     *
+     * The volumes are integrated over a regular grid of terrain samples inside the opening,
+     * measured against the pit surface made of floor, walls and berms. Areas are measured in the
+     * horizontal plane at the pit center, except for the wall area, which is the true surface area.
+     *
+     * @async
+     * @returns {Promise<ExcavationReport|undefined>} The report or undefined if the pit has not been sampled yet.
+     */
+    async computeReport() {
+        if (!this.#terrainProvider || !this.#surface) return;
+
+        const {rings, toWorld, wallTriangles} = this.#surface;
+        const floor = rings[0];
+        const opening = rings[rings.length - 1];
+        const vertices = rings.flat();
+
+        const floorTriangles = [];
+        const indices = PolygonPipeline.triangulate(
+            floor.map(({x, y}) => new Cartesian2(x, y)),
+        );
+        for (let i = 0; i < indices.length; i += 3) {
+            floorTriangles.push([indices[i], indices[i + 1], indices[i + 2]]);
+        }
+        const surface = [...floorTriangles, ...wallTriangles]
+            .map(triangle => triangle.map(index => vertices[index]))
+            .filter(triangle => Math.abs(planarArea(...triangle)) > 1e-6);
+
+        const floorArea = Math.abs(polygonArea(floor));
+        const openingArea = Math.abs(polygonArea(opening));
+        const gridSpacing = Math.max(
+            1,
+            Math.sqrt(openingArea / MAX_REPORT_SAMPLES),
+        );
+        const minX = Math.min(...opening.map(p => p.x));
+        const maxX = Math.max(...opening.map(p => p.x));
+        const minY = Math.min(...opening.map(p => p.y));
+        const maxY = Math.max(...opening.map(p => p.y));
+
+        const samples = [];
+        const surfaceHeights = [];
+        for (let x = minX + gridSpacing / 2; x < maxX; x += gridSpacing) {
+            for (let y = minY + gridSpacing / 2; y < maxY; y += gridSpacing) {
+                const h = surfaceHeight(x, y, surface);
+                if (h === undefined) continue;
+                samples.push(Cartographic.fromCartesian(toWorld({x, y, h})));
+                surfaceHeights.push(h);
+            }
+        }
+
+        const sampled =
+            samples.length > 0
+                ? await safeSampleTerrainMostDetailed(
+                      this.#terrainProvider,
+                      samples,
+                  )
+                : [];
+        const cellArea = gridSpacing * gridSpacing;
+        let cutVolume = 0;
+        let fillVolume = 0;
+        sampled.forEach((carto, i) => {
+            const height = carto.height - surfaceHeights[i];
+            if (height > 0) cutVolume += height * cellArea;
+            else fillVolume -= height * cellArea;
+        });
+
+        const wallArea = wallTriangles.reduce(
+            (sum, triangle) =>
+                sum + triangleArea(...triangle.map(index => vertices[index])),
+            0,
+        );
+        const floorHeight = Math.min(...floor.map(vertex => vertex.h));
+
+        this.report = {
+            depth: this.#cartesiansMaxZ - floorHeight,
+            floorHeight: floorHeight,
+            cutVolume: cutVolume,
+            fillVolume: fillVolume,
+            floorArea: floorArea,
+            openingArea: openingArea,
+            wallArea: wallArea,
+            gridSpacing: gridSpacing,
+        };
+        return this.report;
+    }
+
     /**
      * Removes clipping polygons (pit edges) from the globe and all mesh layers.
      */
@@ -330,8 +730,10 @@ export class ExcavationPit {
         await this.subsample();
         this.clear();
 
+        this.#surface = this.#createSurface();
+        const {rings, toWorld} = this.#surface;
         this.clippingPolygon = new ClippingPolygon({
-            positions: this.cartesians,
+            positions: rings[rings.length - 1].map(toWorld),
         });
 
         this.updateEntity();
@@ -343,6 +745,191 @@ export class ExcavationPit {
     }
 }
 
+/**
+ * Computes the signed area of a polygon in the xy-plane (shoelace formula).
+ * @param {{x: number, y: number}[]} points
+ * @returns {number}
+ */
+function polygonArea(points) {
+    let area = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        area += p.x * q.y - q.x * p.y;
+    });
+    return area / 2;
+}
+
+/**
+ * Computes the signed area of a triangle in the xy-plane.
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @param {{x: number, y: number}} c
+ * @returns {number}
+ */
+function planarArea(a, b, c) {
+    return ((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+}
+
+/**
+ * Computes the surface area of a triangle with local x/y and height h.
+ * @param {{x: number, y: number, h: number}} a
+ * @param {{x: number, y: number, h: number}} b
+ * @param {{x: number, y: number, h: number}} c
+ * @returns {number}
+ */
+function triangleArea(a, b, c) {
+    const cross = Cartesian3.cross(
+        new Cartesian3(b.x - a.x, b.y - a.y, b.h - a.h),
+        new Cartesian3(c.x - a.x, c.y - a.y, c.h - a.h),
+        new Cartesian3(),
+    );
+    return Cartesian3.magnitude(cross) / 2;
+}
+
+/**
+ * Interpolates the height of a surface at a point of the xy-plane.
+ * @param {number} x
+ * @param {number} y
+ * @param {{x: number, y: number, h: number}[][]} triangles - Non-degenerate surface triangles.
+ * @returns {number|undefined} The height or undefined if the point lies outside of the surface.
+ */
+function surfaceHeight(x, y, triangles) {
+    const point = {x, y};
+    for (const [a, b, c] of triangles) {
+        const area = planarArea(a, b, c);
+        const u = planarArea(point, b, c) / area;
+        const v = planarArea(a, point, c) / area;
+        const w = 1 - u - v;
+        if (u >= 0 && v >= 0 && w >= 0) return u * a.h + v * b.h + w * c.h;
+    }
+}
+
+/**
+ * Interpolates the depth at a point on the outline from the depths of the two
+ * vertices of the nearest edge.
+ * @param {number} x
+ * @param {number} y
+ * @param {Cartesian3[]} outline - Outline vertices in the local frame.
+ * @param {number[]} depths - Depth per outline vertex.
+ * @returns {number}
+ */
+function depthAlongOutline(x, y, outline, depths) {
+    let nearest = {distance: Infinity, depth: depths[0]};
+    outline.forEach((start, i) => {
+        const j = (i + 1) % outline.length;
+        const end = outline[j];
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = dx * dx + dy * dy;
+        const t =
+            length > 0
+                ? Math.min(
+                      Math.max(
+                          ((x - start.x) * dx + (y - start.y) * dy) / length,
+                          0,
+                      ),
+                      1,
+                  )
+                : 0;
+        const distance = Math.hypot(start.x + t * dx - x, start.y + t * dy - y);
+        if (distance < nearest.distance) {
+            nearest = {
+                distance: distance,
+                depth: depths[i] + t * (depths[j] - depths[i]),
+            };
+        }
+    });
+    return nearest.depth;
+}
+
+/**
+ * Computes the outward miter vector at an outline vertex. Moving the vertex by the
+ * vector times an offset moves both adjacent edges outwards by that offset.
+ * @param {{x: number, y: number}} previous
+ * @param {{x: number, y: number}} current
+ * @param {{x: number, y: number}} next
+ * @param {number} orientation - 1 for counter-clockwise outlines, -1 for clockwise ones.
+ * @returns {number[]} The miter vector as [x, y].
+ */
+function outwardMiter(previous, current, next, orientation) {
+    const normal = (from, to) => {
+        const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        return [
+            (orientation * (to.y - from.y)) / length,
+            (-orientation * (to.x - from.x)) / length,
+        ];
+    };
+    const [ax, ay] = normal(previous, current);
+    const [bx, by] = normal(current, next);
+    const scale = Math.min(
+        1 / Math.max(1 + ax * bx + ay * by, 1e-6),
+        MAX_MITER,
+    );
+    return [(ax + bx) * scale, (ay + by) * scale];
+}
+
+/**
+ * Values of a pit report by their column key, converted to the length and area unit of
+ * {@link unitSettings}; volumes stay in cubic meters.
+ * @param {object} report - See {@link ExcavationPit#computeReport}.
+ * @returns {Array<[string, number, string]>} Key, value and unit per column.
+ */
+function reportColumns(report) {
+    const {lengthUnit, areaUnit} = unitSettings;
+    const length = value => value / LENGTH_UNITS[lengthUnit];
+    const area = value => value / AREA_UNITS[areaUnit];
+    return [
+        ['depth', length(report.depth), lengthUnit],
+        ['floor-height', length(report.floorHeight), lengthUnit],
+        ['cut', report.cutVolume, 'm³'],
+        ['fill', report.fillVolume, 'm³'],
+        ['floor-area', area(report.floorArea), areaUnit],
+        ['opening-area', area(report.openingArea), areaUnit],
+        ['wall-area', area(report.wallArea), areaUnit],
+    ];
+}
+
+/**
+ * Creates a CSV report (semicolon separated) with depth, volumes and areas of the given pits.
+ * The headers name the units of the unit settings. Pits without a computed report are left out.
+ * @param {ExcavationPit[]} excavationPits
+ * @returns {string}
+ */
+export function createExcavationReportCSV(excavationPits) {
+    const t = (key, unit) =>
+        i18next.t(`common:body.tools.excavation.report.${key}`, {unit});
+    const columns = reportColumns({});
+    const header = [t('name'), ...columns.map(([key, , unit]) => t(key, unit))];
+    const rows = excavationPits
+        .filter(pit => pit.report)
+        .map(({name, report}) => [
+            `"${String(name).replace(/"/g, '""')}"`,
+            ...reportColumns(report).map(([, value]) =>
+                unitSettings.formatNumber(value),
+            ),
+        ]);
+    return [header, ...rows].map(row => row.join(';')).join('\n');
+}
+
+/**
+ * Computes the report of the pit of a list item and shows it in the item:
+ * the excavated volume as info text, volumes and areas as tooltip.
+ * @export
+ * @param {GeListItem} item
+ */
+export async function updateExcavationReport(item) {
+    const report = await item.obj.computeReport();
+    if (!report) return;
+    const t = (key, unit) =>
+        i18next.t(`common:body.tools.excavation.report.${key}`, {unit});
+    const format = value => unitSettings.formatNumber(value);
+    item.info = `${format(report.cutVolume)} m³`;
+    item.title = reportColumns(report)
+        .filter(([key]) => key !== 'depth' && key !== 'floor-height')
+        .map(([key, value, unit]) => `${t(key, unit)}: ${format(value)}`)
+        .join('\n');
+}
+
 /**
  * AddExcavationPit – Command to create and register a new excavation pit,
  * including UI integration in a list component and bi-directional data binding.
@@ -351,31 +938,58 @@ export class ExcavationPit {
  *
  * Registers both the underlying 3D pit (ExcavationPit) and a UI control item (GeListItem)
  * with full callback support for interactive show/hide, depth editing, and removal.
+ * Undo hides the pit and detaches its list item; redo re-attaches both.
+ * Once the list item exists, an `excavation-pit-created` event with the item as
+ * `detail.item` is dispatched on `window`, so the UI can add its own actions.
  *
  * @class
  * @extends Command
  *
- * @method execute(app, cartesians, name, depth)
- *   @param {any} app - The application instance.
- *   @param {Cartesian3[]} cartesians - Array of surface positions for the new pit.
- *   @param {string} [name] - Display name for the pit (auto-generated if not given).
- *   @param {number} [depth] - Initial excavation depth (optional; uses min/max Z if not provided).
+ * @param {any} app - The application instance.
+ * @param {Cartesian3[]} cartesians - Array of surface positions for the new pit.
+ * @param {string} [name] - Display name for the pit (auto-generated if not given).
+ * @param {number} [depth] - Initial excavation depth (optional; uses min/max Z if not provided).
+ * @param {boolean} [show=true] - Initial visibility of the pit.
+ * @param {object} [walls] - Wall and floor shape, see {@link ExcavationPit}.
+ * @param {number} [walls.slope=0] - Horizontal offset of the walls per metre of height.
+ * @param {number} [walls.bermInterval=0] - Vertical distance between berms.
+ * @param {number} [walls.bermWidth=0] - Horizontal width of each berm.
+ * @param {number[]} [walls.vertexDepths] - Depth per outline vertex for a sloped floor.
+ *
+ * @property {GeListItem} item - List item of the pit, available once the pit is initialized.
  *
  * @example
- * const cmd = new AddExcavationPit();
- * cmd.execute(app, coords, "Pit #1", 15);
+ * const cmd = new AddExcavationPit(app, coords, "Pit #1", 15);
+ * app.commandStack.execute(cmd);
  */
 export class AddExcavationPit extends Command {
     /**
-     * Create a new pit, setup UI/GeListItem, and register event handlers for changes.
      * @param {any} app
      * @param {Cartesian3[]} cartesians
      * @param {string} [name]
      * @param {number} [depth]
+     * @param {boolean} [show=true]
+     * @param {object} [walls]
      */
-    execute(app, cartesians, name, depth) {
+    constructor(app, cartesians, name, depth, show = true, walls = {}) {
+        super();
+        this.app = app;
+        this.cartesians = cartesians;
+        this.name = name;
+        this.depth = depth;
+        this.show = show;
+        this.walls = walls;
+        this.undone = false;
+    }
+
+    /**
+     * Create a new pit, setup UI/GeListItem, and register event handlers for changes.
+     */
+    execute() {
         const excavationPitList = document.querySelector('#excavationPitList');
         if (!excavationPitList) return;
+        const app = this.app;
+        const depth = this.depth;
         const func = () => {
             excavationPit.afterInitCallback = () => {};
             removeEventListener('ready', func);
@@ -384,7 +998,7 @@ export class AddExcavationPit extends Command {
                 name: excavationPit.name,
                 obj: excavationPit,
                 src: 'images/common/shovel.svg',
-                checked: true,
+                checked: this.show,
                 withInput: true,
                 inputMin: -500,
                 inputMax: 500,
@@ -401,57 +1015,134 @@ export class AddExcavationPit extends Command {
                 },
                 onInputChangeCallback: value => {
                     excavationPit.depth = Number(value);
-                    excavationPit.update();
+                    excavationPit
+                        .update()
+                        .then(() => updateExcavationReport(item));
                 },
                 onCheckedCallback: checked => {
                     excavationPit.show = checked;
                 },
                 onDeleteCallback: () => {
-                    const command = new RemoveExcavationPit();
-                    command.execute(item);
+                    app.commandStack.execute(new RemoveExcavationPit(item));
                 },
             });
 
-            excavationPitList.push(item);
+            this.item = item;
+            if (this.undone || !this.show) excavationPit.show = false;
+            if (!this.undone) excavationPitList.push(item);
+            updateExcavationReport(item);
+            window.dispatchEvent(
+                new CustomEvent('excavation-pit-created', {detail: {item}}),
+            );
         };
 
         const excavationPit = new ExcavationPit(app, {
-            cartesians: cartesians,
+            cartesians: this.cartesians,
             afterInitCallback: () => {
                 //window.dispatchEvent(new CustomEvent('ready', { detail: 1 }));
                 func();
             },
-            name: name
-                ? name
+            name: this.name
+                ? this.name
                 : `Baugrube ${excavationPitList.html.list.childElementCount + 1}`,
             depth: depth,
+            show: this.show,
+            ...this.walls,
         });
+        this.excavationPit = excavationPit;
         return;
     }
+
+    /**
+     * Hides the pit and removes its list item.
+     */
+    undo() {
+        this.undone = true;
+        if (!this.item) return;
+        detachExcavationPitItem(this.item);
+    }
+
+    /**
+     * Re-attaches the pit and its list item.
+     */
+    redo() {
+        this.undone = false;
+        if (!this.item) return;
+        attachExcavationPitItem(this.item);
+    }
+
+    /**
+     * Destroys the pit if the command is discarded in undone state.
+     * @param {boolean} undone
+     */
+    dispose(undone) {
+        if (undone) this.excavationPit?.destroy();
+    }
 }
 
 /**
- * RemoveExcavationPit – Command to destroy an excavation pit and remove its UI control from the list.
+ * RemoveExcavationPit – Command to remove an excavation pit and its UI control from the list.
+ *
+ * The pit is only hidden while the command is undoable; it is destroyed
+ * once the command drops out of the history.
  *
  * @class
  * @extends Command
  *
- * @method execute(item)
- *   @param {GeListItem} item - The UI list item for the excavation pit to remove.
+ * @param {GeListItem} item - The UI list item for the excavation pit to remove.
  *
  * @example
- * const remove = new RemoveExcavationPit();
- * remove.execute(item);
+ * const remove = new RemoveExcavationPit(item);
+ * app.commandStack.execute(remove);
  */
-class RemoveExcavationPit extends Command {
+export class RemoveExcavationPit extends Command {
     /**
-     * Destroys the associated ExcavationPit and removes its UI.
      * @param {GeListItem} item
      */
-    execute(item) {
-        const excavationPitList = document.querySelector('#excavationPitList');
-        if (!excavationPitList) return;
-        item.obj.destroy();
-        excavationPitList.remove(item);
+    constructor(item) {
+        super();
+        this.item = item;
+    }
+
+    /**
+     * Hides the associated ExcavationPit and removes its UI.
+     */
+    execute() {
+        detachExcavationPitItem(this.item);
+    }
+
+    /**
+     * Re-attaches the pit and its list item.
+     */
+    undo() {
+        attachExcavationPitItem(this.item);
+    }
+
+    /**
+     * Destroys the pit if the removal becomes permanent.
+     * @param {boolean} undone
+     */
+    dispose(undone) {
+        if (!undone) this.item.obj.destroy();
     }
 }
+
+/**
+ * Hides the pit of a list item and removes the item from the excavation pit list.
+ * @param {GeListItem} item
+ */
+function detachExcavationPitItem(item) {
+    const excavationPitList = document.querySelector('#excavationPitList');
+    if (excavationPitList?.items.includes(item)) excavationPitList.remove(item);
+    item.obj.show = false;
+}
+
+/**
+ * Appends a list item to the excavation pit list and restores its pit visibility.
+ * @param {GeListItem} item
+ */
+function attachExcavationPitItem(item) {
+    const excavationPitList = document.querySelector('#excavationPitList');
+    if (!excavationPitList?.items.includes(item)) excavationPitList?.push(item);
+    item.obj.show = item.checked;
+}
@@ -251,6 +251,7 @@ export class CustomHandler {
                     detail: {
                         pickedPosition: pickedPosition,
                         pickedFeature: pickedFeature,
+                        windowPosition: event.position,
                     },
                 }),
             );
@@ -305,6 +306,7 @@ export class CustomHandler {
                         detail: {
                             pickedPosition: pickedPosition,
                             pickedFeature: pickedFeature,
+                            windowPosition: event.endPosition,
                         },
                     }),
                 );
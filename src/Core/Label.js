@@ -1,4 +1,5 @@
 import {Cartesian3, Color, LabelStyle} from '@cesium/engine';
+import {unitSettings} from './UnitSettings.js';
 import {uuidv4} from './utilities.js';
 
 /**
@@ -6,6 +7,7 @@ import {uuidv4} from './utilities.js';
  *
  * Encapsulates a Cesium entity (with a label), providing easy access to label content, number/unit formatting,
  * show/hide, and position, as well as destruction/cleanup logic.
+ * Numbers are formatted by {@link UnitSettings} and redrawn when these settings change.
  *
  * @class
  *
@@ -16,13 +18,13 @@ import {uuidv4} from './utilities.js';
  * @param {string|number} [options.value=''] - Initial text/numeric value.
  * @param {string} [options.font='Helvetica'] - Label font family.
  * @param {number} [options.size=24] - Label font size (pixels).
- * @param {string} [options.unit=''] - Unit string to be appended to numeric values.
+ * @param {string} [options.unit=''] - Base unit of numeric values ('m', 'm²', '°'), converted to the configured unit.
  * @param {string} [options.prefix=''] - Prefix string for label text.
  * @param {boolean} [options.show=true] - Initial visibility.
  *
  * @property {string} id - UUID for this label.
  * @property {number} size - Font size (px).
- * @property {string} unit - Unit suffix for values.
+ * @property {string} unit - Base unit of numeric values.
  * @property {string} prefix - Prefix shown before values.
  * @property {string} font - Font family.
  * @property {boolean} show - Show/hide label in scene.
@@ -86,6 +88,14 @@ export class Label {
 
         (this.value = value), (this.show = show);
         this.position = position;
+
+        this.unitSettingsChangedHandle = () => {
+            if (this.entity) this.value = this._value;
+        };
+        window.addEventListener(
+            'unit-settings-changed',
+            this.unitSettingsChangedHandle,
+        );
     }
 
     /**
@@ -101,7 +111,7 @@ export class Label {
     }
 
     /**
-     * Set label content (formats numeric to 2 decimal places + prefix + unit).
+     * Set label content (formats numeric values in the configured unit and precision + prefix).
      * Accepts either a string or a number.
      * @type {string|number}
      */
@@ -110,15 +120,25 @@ export class Label {
     }
 
     set value(value) {
-        let content = Number(value).toFixed(2);
-
         // Use value as string if not a valid number
-        content = isNaN(content) ? value : content;
+        const content =
+            value === '' || isNaN(Number(value))
+                ? value
+                : unitSettings.format(Number(value), this.unit);
 
-        this.entity.label.text = `${this.prefix}${content}${this.unit}`;
+        this.entity.label.text = `${this.prefix}${content}`;
         this._value = value;
     }
 
+    /**
+     * The displayed text, including prefix and unit.
+     * @type {string}
+     * @readonly
+     */
+    get text() {
+        return this.entity?.label.text?.getValue() ?? '';
+    }
+
     /**
      * Set or get label 3D position.
      * Accepts either a Cesium Cartesian3 or an array [x, y, z].
@@ -136,6 +156,10 @@ export class Label {
      * Remove the label's Cesium entity from the viewer.
      */
     destroy() {
+        window.removeEventListener(
+            'unit-settings-changed',
+            this.unitSettingsChangedHandle,
+        );
         this.app.viewer.entities.remove(this.entity);
         this.entity = null;
     }
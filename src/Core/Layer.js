@@ -5,6 +5,7 @@ import {
     CustomShader,
     CustomShaderTranslucencyMode,
     JulianDate,
+    defined,
 } from '@cesium/engine';
 import {Variables} from '../global.js';
 import {ShaderFactory} from './ShaderFactory.js';
@@ -40,6 +41,7 @@ import {updateHideIDs, uuidv4} from './utilities.js';
  * @param {number} [options.dynamicScreenSpaceErrorHeightFalloff=0.25]
  * @param {any} [options.styleManager] - Optional reference for managing thematic styling/feature visibility.
  * @param {Function} [options.onShowChange=()=>{}] - Callback for when 'show' value changes.
+ * @param {Function} [options.onRemove=()=>{}] - Callback for when the content is removed from the scene.
  *
  * @property {string} id         - Unique ID for this layer.
  * @property {string} name       - Display/UI name.
@@ -81,6 +83,7 @@ export class Layer {
         GLTF: 'gltf',
         GEOJSON: 'geojson',
         GEOJSON3D: 'geojson3d',
+        DATASOURCE: 'datasource',
         IMAGERY: 'imagery',
         BASELAYER: 'baselayer',
         TERRAIN: 'terrain',
@@ -111,6 +114,7 @@ export class Layer {
      * @param {number} [options.dynamicScreenSpaceErrorHeightFalloff=0.25] - Height falloff for LOD optimization.
      * @param {any} [options.styleManager] - Style manager/controller (handles coloring/visibility in groups).
      * @param {function(boolean):void} [options.onShowChange=()=>{}] - Callback, triggered whenever layer.visible ('show') changes.
+     * @param {function():void} [options.onRemove=()=>{}] - Callback, triggered once the content is removed, e.g. to stop reloading it.
      *
      * @property {any} viewer - Cesium Viewer reference for layer/scene access.
      * @property {string} id - Unique identifier.
@@ -131,6 +135,7 @@ export class Layer {
      * @property {boolean} show - Show/hide full layer (triggers onShowChange and per-type side effects).
      * @property {boolean} opaque - Enables disables full alpha/transparency.
      * @property {function(boolean):void} onShowChange - Called when `show` state toggled.
+     * @property {function():void} onRemove - Called when the content is removed.
      *
      * @example
      * const terrainLayer = new Layer(viewer, {
@@ -165,6 +170,7 @@ export class Layer {
             dynamicScreenSpaceErrorHeightFalloff = 0.25,
             styleManager,
             onShowChange = () => {},
+            onRemove = () => {},
         } = {},
     ) {
         this.viewer = viewer;
@@ -182,6 +188,7 @@ export class Layer {
         this.originalShader = customShader;
         this.onShowChange = onShowChange;
         this.onShowChange(show);
+        this.onRemove = onRemove;
 
         this._maximumScreenSpaceError = maximumScreenSpaceError;
 
@@ -492,7 +499,8 @@ export class Layer {
             case Layer.LayerTypes.POINTS:
                 return this.content.boundingSphere;
             case Layer.LayerTypes.GEOJSON:
-            case Layer.LayerTypes.GEOJSON3D: {
+            case Layer.LayerTypes.GEOJSON3D:
+            case Layer.LayerTypes.DATASOURCE: {
                 const positions = this.content.entities.values
                     .map(entity => {
                         switch (true) {
@@ -504,9 +512,14 @@ export class Layer {
                                 return entity.polyline.positions.getValue(
                                     JulianDate.now(),
                                 );
+                            case !!entity.position:
+                                return [
+                                    entity.position.getValue(JulianDate.now()),
+                                ];
                         }
                     })
-                    .reduce((acc, arr) => acc.concat(arr), []);
+                    .reduce((acc, arr) => acc.concat(arr), [])
+                    .filter(defined);
                 return BoundingSphere.fromPoints(
                     positions,
                     new BoundingSphere(),
@@ -525,7 +538,8 @@ export class Layer {
 
     /**
      * Removes the Cesium primitive/entity/etc. for this layer from the scene and severs parent links.
-     * Handles resource de-allocation by layer type (removes primitive, data source, imagery, or terrain).
+     * Handles resource de-allocation by layer type (removes primitive, data source, imagery, or terrain)
+     * and triggers the onRemove callback.
      */
     removeContent() {
         if (this.content) {
@@ -539,6 +553,7 @@ export class Layer {
                     this.viewer.dataSources.remove(this.content);
                     break;
                 case Layer.LayerTypes.GEOJSON3D:
+                case Layer.LayerTypes.DATASOURCE:
                     this.viewer.dataSources.remove(this.content);
                     break;
                 case Layer.LayerTypes.IMAGERY:
@@ -555,6 +570,7 @@ export class Layer {
             }
             this.content.parent = null;
             this.content = null;
+            this.onRemove();
         }
     }
 
@@ -653,6 +669,7 @@ export const MESH = Layer.LayerTypes.MESH;
 export const GLTF = Layer.LayerTypes.GLTF;
 export const GEOJSON = Layer.LayerTypes.GEOJSON;
 export const GEOJSON3D = Layer.LayerTypes.GEOJSON3D;
+export const DATASOURCE = Layer.LayerTypes.DATASOURCE;
 export const IMAGERY = Layer.LayerTypes.IMAGERY;
 export const TERRAIN = Layer.LayerTypes.TERRAIN;
 export const COLLECTION = Layer.LayerTypes.COLLECTION;
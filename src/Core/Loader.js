@@ -45,6 +45,7 @@ import {
     PARTICLE_SYSTEM,
 } from './Layer.js';
 import {LayerCollection} from './LayerCollection.js';
+import {OGCAPIClient} from './OGCAPIClient.js';
 import {ParticleSystemLayer} from './ParticleSystemLayer.js';
 import {SHADERS, ShaderFactory} from './ShaderFactory.js';
 import {safeSampleTerrainMostDetailed} from './utilities.js';
@@ -520,18 +521,17 @@ export async function add3DGeoJson(app, options = {}) {
 
 import {HeightReference} from '@cesium/engine';
 /**
- * This function loads geojson based on given options.
- * @param {Application} app
- * @param options
- * @returns
+ * Applies the styling options of {@link addGeoJson} to the entities of a loaded GeoJSON dataSource.
+ * Called again whenever the dataSource is reloaded with new data.
+ * @param {GeoJsonDataSource} dataSource
+ * @param options - Same options as for addGeoJson
+ * @returns {Promise<GeoJsonDataSource>}
  */
-export async function addGeoJson(app, options = {}) {
+export async function styleGeoJson(dataSource, options = {}) {
     let {
         target,
-        url,
         layerName = target,
         show = true,
-        table = true,
         color,
         outlineColor,
         clampToGround = true,
@@ -542,7 +542,6 @@ export async function addGeoJson(app, options = {}) {
         billboardScale = 1.0,
         billboardVerticalOrigin = 'CENTER',
         height = 0.0,
-        fill = true,
         outlineWidth = 1,
     } = options;
 
@@ -554,22 +553,8 @@ export async function addGeoJson(app, options = {}) {
         outlineColor = Color.fromCssColorString(outlineColor);
     }
 
-    //if layer with exactly the same target exists, return
-    if (defined(app.layerCollection.getLayerByName(target))) {
-        return;
-    }
-
-    //translate options
-    const tOptions = translateObject(options);
-
-    let dataSource = await GeoJsonDataSource.load(url, {
-        ...tOptions,
-        credit: undefined,
-    });
-
     //configuring geojson
-    dataSource = await configureGeojson({
-        app,
+    await configureGeojson({
         dataSource,
         layerName,
         outline,
@@ -647,6 +632,38 @@ export async function addGeoJson(app, options = {}) {
         entity.properties?.addProperty('deletable', deletable);
     }
 
+    return dataSource;
+}
+
+/**
+ * This function loads geojson based on given options.
+ * @param {Application} app
+ * @param options
+ * @returns
+ */
+export async function addGeoJson(app, options = {}) {
+    const {
+        target,
+        url,
+        layerName = target,
+        show = true,
+        table = true,
+    } = options;
+
+    //if layer with exactly the same target exists, return
+    if (defined(app.layerCollection.getLayerByName(target))) {
+        return;
+    }
+
+    //translate options
+    const tOptions = translateObject(options);
+
+    const dataSource = await GeoJsonDataSource.load(url, {
+        ...tOptions,
+        credit: undefined,
+    });
+    await styleGeoJson(dataSource, options);
+
     const credit = tOptions.credit ? new Credit(tOptions.credit) : undefined;
 
     const layer = new Layer(app.viewer, {
@@ -692,6 +709,156 @@ export async function addGeoJson(app, options = {}) {
     return layer;
 }
 
+/**
+ * Adds a GeoJSON layer whose features depend on the view extent. The features
+ * are requested for the current view rectangle and again whenever the camera
+ * stops moving while the layer is visible. Pending requests are aborted.
+ * Reloading stops once the layer is removed, through the table entry or otherwise.
+ * @param {Application} app
+ * @param options - Same options as for addGeoJson, without url
+ * @param {(rectangle: Rectangle | undefined, signal?: AbortSignal) => Promise<Object>} loadFeatures -
+ * Returns a GeoJSON FeatureCollection in WGS84 for a view rectangle.
+ * @returns {Promise<Layer | undefined>}
+ */
+export async function addExtentGeoJson(app, options, loadFeatures) {
+    const {camera} = app.viewer;
+    const layer = await addGeoJson(app, {
+        ...options,
+        table: false,
+        url: await loadFeatures(camera.computeViewRectangle()),
+    });
+    if (!layer) return;
+
+    let controller;
+    const reload = async () => {
+        if (!layer.content || !layer.show) return;
+        controller?.abort();
+        controller = new AbortController();
+        const signal = controller.signal;
+        try {
+            const data = await loadFeatures(
+                camera.computeViewRectangle(),
+                signal,
+            );
+            if (signal.aborted || !layer.content) return;
+            await layer.content.load(data, {
+                ...translateObject(options),
+                credit: undefined,
+            });
+            await styleGeoJson(layer.content, options);
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error(error);
+        }
+    };
+    const removeListener = camera.moveEnd.addEventListener(reload);
+    layer.onRemove = () => {
+        removeListener();
+        controller?.abort();
+    };
+
+    if (options.table !== false) {
+        addEntryToTable(
+            '#localdataTable',
+            options.layerName ?? options.target,
+            layer.id,
+            () => {
+                app.layerCollection.removeLayer(layer);
+            },
+            options.deletable ?? true,
+        );
+        const cb = document.getElementById(`cb_${layer.id}`);
+        checkCheckbox(cb);
+        cb.addEventListener('change', () => {
+            switchCheckbox(app, Variables.hideIDs, cb, layer);
+            reload();
+        });
+    }
+    return layer;
+}
+
+/**
+ * Adds a collection of an OGC API – Features service as GeoJSON layer.
+ * Without a fixed `bbox`, the features follow the view extent.
+ * @param {Application} app
+ * @param options - Options of addGeoJson plus `url` (landing page), `collection`,
+ * `bbox`, `filter`, `filterLang`, `parameters`, `limit` and `maxFeatures`
+ * @param {OGCAPIClient} [client] - Client of an already opened service
+ * @returns {Promise<Layer | undefined>}
+ */
+export async function addOGCFeatures(app, options, client) {
+    const {url, collection, bbox, filter, filterLang, parameters} = options;
+    client ??= new OGCAPIClient(url, options);
+    const query = {filter, filterLang, parameters};
+    const geoJsonOptions = {...options, target: options.target ?? collection};
+
+    if (bbox) {
+        return addGeoJson(app, {
+            ...geoJsonOptions,
+            url: await client.getFeatures(collection, {...query, bbox}),
+        });
+    }
+    return addExtentGeoJson(app, geoJsonOptions, (rectangle, signal) => {
+        if (!rectangle) {
+            return {type: 'FeatureCollection', features: []};
+        }
+        return client.getFeatures(collection, {
+            ...query,
+            bbox: OGCAPIClient.bbox(rectangle),
+            signal,
+        });
+    });
+}
+
+/**
+ * Adds the map tiles (`type: 'ogcTiles'`) or maps (`type: 'ogcMaps'`) of an
+ * OGC API collection as imagery layer.
+ * @param {Application} app
+ * @param options - `url` (landing page), `collection`, `type`, `layerName`, `show`, `table`, `credit`
+ * @param {OGCAPIClient} [client] - Client of an already opened service
+ * @returns {Promise<Layer>}
+ */
+export async function addOGCImagery(app, options, client) {
+    const {
+        url,
+        collection,
+        type = 'ogcTiles',
+        layerName = collection,
+        show = true,
+        table = true,
+        credit,
+    } = options;
+    client ??= new OGCAPIClient(url);
+
+    const providerOptions = credit ? {credit: i18next.t(credit)} : {};
+    const provider =
+        type === 'ogcMaps'
+            ? await client.createMapProvider(collection, providerOptions)
+            : await client.createTilesProvider(collection, providerOptions);
+    const imageryLayer = app.viewer.imageryLayers.addImageryProvider(provider);
+    imageryLayer.show = show;
+
+    const layer = new Layer(app.viewer, {
+        content: imageryLayer,
+        name: layerName,
+        type: IMAGERY,
+        tags: ['specialImagery'],
+        show: show,
+    });
+    app.layerCollection.addContent(layer);
+
+    if (table === true) {
+        addEntryToTable('#localdataTable', layerName, layer.id, () => {
+            app.layerCollection.removeLayer(layer);
+        });
+        const cb = document.getElementById(`cb_${layer.id}`);
+        checkCheckbox(cb, show);
+        cb.addEventListener('change', () => {
+            switchCheckbox(app, Variables.hideIDs, cb, layer);
+        });
+    }
+    return layer;
+}
+
 /**
  * Configures a dataSource object. All entities inside the dataSource object are given the same properties.
  * @param options
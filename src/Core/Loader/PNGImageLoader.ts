@@ -4,6 +4,8 @@ import {
     Rectangle,
     SingleTileImageryProvider,
 } from '@cesium/engine';
+import {isProjectCoord} from '../utilities';
+import {boundingBoxProjectCoordsToWGS} from '../utils2';
 
 export type BoundingBox = {
     left: number;
@@ -46,7 +48,9 @@ export async function getImageDimensions(
 }
 
 /**
- * Load a PNG/JPG world file (PGW/JGW) and calculate the bounding box in map coordinates.
+ * Load a PNG/JPG world file (PGW/JGW) and calculate the bounding box in WGS84 degrees.
+ * World files with coordinates beyond the range of degrees are taken to be in the project
+ * coordinate system and reprojected by the corners.
  *
  * @param {string} pngUrl - URL to the PNG/JPG image.
  * @param {string} pgwUrl - URL to its paired PGW/JGW (world) file.
@@ -74,6 +78,16 @@ export async function getPngBoundingBox(
     const right = left + width * xSize;
     const bottom = top + height * ySize;
 
+    if (isProjectCoord([left, top]) || isProjectCoord([right, bottom])) {
+        const [west, south, east, north] = boundingBoxProjectCoordsToWGS([
+            left,
+            bottom,
+            right,
+            top,
+        ]);
+        return {left: west, bottom: south, right: east, top: north};
+    }
+
     const bb = {
         left,
         bottom,
@@ -0,0 +1,284 @@
+import {
+    ArcType,
+    CallbackProperty,
+    Cartesian3,
+    Math as CesiumMath,
+    PolylineDashMaterialProperty,
+} from '@cesium/engine';
+import {
+    DRAWING_LINE_PIXELWIDTH,
+    MEASUREMENT_POINT_COLOR,
+    MEASUREMENT_POLYGON_COLOR_LINE,
+} from '../../constants.js';
+import {PolylineDrawing} from '../Drawing/PolylineDrawing.js';
+import {
+    cartesianToProjectCoord,
+    projectCoordToCartesian,
+} from '../utilities.js';
+import {Measurement} from './Measurement.js';
+
+/**
+ * AngleMeasurement – Horizontal angle or bearing in the project CRS.
+ *
+ * Extends {@link Measurement} and uses a {@link PolylineDrawing}:
+ * - three points give the interior angle at the second point (0°–180°),
+ * - two points give the azimuth of the line, clockwise from grid north (0°–360°).
+ *   A dashed line marks grid north at the first point.
+ *
+ * Both are computed from the projected x/y coordinates, i.e. in plan view, and labeled
+ * in the angle unit of the {@link UnitSettings} (degrees or gon). The measurement
+ * finishes by itself after the third point.
+ *
+ * @class
+ * @extends Measurement
+ *
+ * @param {any} app - The Cesium Viewer or host application context.
+ * @param {object} [options]
+ * @param {Cesium.Cartesian3[]} [options.cartesians=[]] - Initial points (optional).
+ * @param {Cesium.Color} [options.pointColor=MEASUREMENT_POINT_COLOR] - Color of the points.
+ * @param {Cesium.Color} [options.lineColor=MEASUREMENT_POLYGON_COLOR_LINE] - Color of the legs.
+ * @param {boolean} [options.render=false] - If true, the points are drawn interactively.
+ * @param {Function} [options.onFinishCallback] - Called when the measurement is finished.
+ *
+ * @example
+ * const measurement = new AngleMeasurement(app, {
+ *     render: true,
+ *     onFinishCallback: () => console.log(measurement.mode, measurement.angle),
+ * });
+ */
+export class AngleMeasurement extends Measurement {
+    /**
+     * @param {any} app
+     * @param {object} [options] - See class doc for details.
+     */
+    constructor(
+        app,
+        {
+            cartesians = [],
+            pointColor = MEASUREMENT_POINT_COLOR,
+            lineColor = MEASUREMENT_POLYGON_COLOR_LINE,
+            render = false,
+            onFinishCallback = () => {},
+        } = {},
+    ) {
+        super(app, {cartesians, unit: '°', onFinishCallback});
+
+        /**
+         * Color of the legs.
+         * @type {Cesium.Color}
+         */
+        this.lineColor = lineColor;
+
+        /**
+         * Whether this measurement has finished.
+         * @type {boolean}
+         */
+        this.finished = false;
+
+        if (render) {
+            this.render = render;
+            this.drawing = new PolylineDrawing(app, {
+                points: cartesians,
+                lineColor: lineColor,
+                pointColor: pointColor,
+                onMoveCallback: () => this.updateLabel(),
+                onSetCallback: () => {
+                    // Three set points plus the one following the cursor.
+                    if (this.drawing.pointSet.length > 3) this.terminate();
+                },
+            });
+            this.cartesians = this.drawing.pointSet.cartesians;
+        }
+
+        /**
+         * Dashed grid north reference of a bearing, as long as the measured line.
+         * @type {Cesium.Entity}
+         */
+        this.northLine = app.viewer.entities.add({
+            polyline: {
+                positions: new CallbackProperty(
+                    () => this.calculateNorthLine(),
+                    false,
+                ),
+                width: DRAWING_LINE_PIXELWIDTH,
+                arcType: ArcType.NONE,
+                material: new PolylineDashMaterialProperty({
+                    color: lineColor,
+                }),
+                depthFailMaterial: new PolylineDashMaterialProperty({
+                    color: lineColor.withAlpha(0.4),
+                }),
+            },
+            properties: {
+                reactive: false,
+                deletable: false,
+                selectable: false,
+            },
+        });
+    }
+
+    /**
+     * Show or hide the legs, points, north reference and label.
+     * @type {boolean}
+     */
+    get show() {
+        return this._show;
+    }
+    set show(value) {
+        this._show = value;
+        this.label.show = value;
+        this.northLine.show = value;
+        if (this.drawing) this.drawing.show = value;
+    }
+
+    /**
+     * Color of the legs.
+     * @type {Cesium.Color}
+     */
+    get color() {
+        return this._color ?? this.lineColor;
+    }
+    set color(value) {
+        this._color = value;
+        if (this.drawing) this.drawing.lineColor = value;
+        this.northLine.polyline.material = new PolylineDashMaterialProperty({
+            color: value,
+        });
+    }
+
+    /**
+     * 'angle' for three points, 'bearing' for two, undefined otherwise.
+     * @type {string|undefined}
+     * @readonly
+     */
+    get mode() {
+        switch (this.cartesians.length) {
+            case 3:
+                return 'angle';
+            case 2:
+                return 'bearing';
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Interior angle or azimuth in degrees.
+     * @type {number|undefined}
+     * @readonly
+     */
+    get angle() {
+        return this.calculate();
+    }
+
+    /**
+     * Computes the interior angle at the second point or the azimuth, in degrees.
+     * @returns {number|undefined}
+     */
+    calculate() {
+        const coords = this.cartesians.map(c => cartesianToProjectCoord(c));
+        if (this.mode === 'angle') {
+            const [a, b, c] = coords;
+            const u = [a[0] - b[0], a[1] - b[1]];
+            const v = [c[0] - b[0], c[1] - b[1]];
+            const length = Math.hypot(...u) * Math.hypot(...v);
+            if (!length) return;
+            const cos = (u[0] * v[0] + u[1] * v[1]) / length;
+            return CesiumMath.toDegrees(
+                Math.acos(CesiumMath.clamp(cos, -1, 1)),
+            );
+        }
+        if (this.mode === 'bearing') {
+            const [a, b] = coords;
+            if (a[0] === b[0] && a[1] === b[1]) return;
+            const azimuth = CesiumMath.toDegrees(
+                Math.atan2(b[0] - a[0], b[1] - a[1]),
+            );
+            return (azimuth + 360) % 360;
+        }
+    }
+
+    /**
+     * Grid north reference of a bearing: from the first point northwards, as long as the line.
+     * @returns {Cesium.Cartesian3[]}
+     */
+    calculateNorthLine() {
+        if (this.mode !== 'bearing') return [];
+        const [a, b] = this.cartesians.map(c => cartesianToProjectCoord(c));
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        return [
+            this.cartesians[0],
+            projectCoordToCartesian([a[0], a[1] + length, a[2] ?? 0]),
+        ];
+    }
+
+    /**
+     * Updates the label at the vertex (angle) or the line's center (bearing).
+     */
+    updateLabel() {
+        if (!this.label) return;
+        const angle = this.calculate();
+        if (angle === undefined) {
+            this.label.show = false;
+            return;
+        }
+        const {x, y, z} =
+            this.mode === 'angle'
+                ? this.cartesians[1]
+                : Cartesian3.midpoint(
+                      this.cartesians[0],
+                      this.cartesians[1],
+                      new Cartesian3(),
+                  );
+        this.label.position = [x, y, z];
+        this.label.prefix = this.mode === 'angle' ? 'α = ' : 'Az = ';
+        this.label.value = angle;
+        this.label.show = this._show !== false;
+    }
+
+    /**
+     * Finalizes the measurement once two or three points are set and fires the finish callback.
+     * @returns {boolean} True if finished.
+     */
+    terminate() {
+        if (this.finished) return true;
+
+        // While drawing, the last point is the one following the cursor.
+        const count = this.render
+            ? this.cartesians.length - 1
+            : this.cartesians.length;
+        if (count < 2) return false;
+        if (this.render && !this.drawing.terminate()) return false;
+
+        this.updateLabel();
+        document.documentElement.style.cursor = 'default';
+        this.finished = true;
+        this.onFinishCallback();
+        return true;
+    }
+
+    /**
+     * Cancel and remove this measurement.
+     * @returns {boolean} True if canceled, false if already destroyed.
+     */
+    cancel() {
+        if (!this.destroyed) {
+            this.destroy();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Destroy the drawing, north reference and label.
+     * @returns {null}
+     */
+    destroy() {
+        this.destroyed = true;
+        this.drawing?.destroy();
+        this.app.viewer.entities.remove(this.northLine);
+        this.label?.destroy();
+        document.documentElement.style.cursor = 'default';
+        return null;
+    }
+}
@@ -0,0 +1,366 @@
+import {
+    Axis,
+    Cartesian2,
+    Cartesian3,
+    Cesium3DTileFeature,
+    Entity,
+    JulianDate,
+    Matrix4,
+    Model,
+    PolygonGeometry,
+    VertexFormat,
+} from '@cesium/engine';
+import {GltfReader} from '../Reader/GltfReader.js';
+
+/**
+ * Pixel spacing of the grid on which the picked object is located with `scene.pick`.
+ * @type {number}
+ */
+const PICK_STEP = 24;
+
+/**
+ * Upper limit of picks per object; each one renders the pick pass.
+ * @type {number}
+ */
+const MAX_PICKS = 150;
+
+/**
+ * Number of picks between which the sampling yields to the browser.
+ * @type {number}
+ */
+const PICKS_PER_FRAME = 10;
+
+/**
+ * Pixel spacing of the depth samples between grid nodes that hit the object.
+ * @type {number}
+ */
+const SAMPLE_STEP = 6;
+
+/**
+ * Upper limit of depth samples per object; each one only reads the depth buffer.
+ * @type {number}
+ */
+const MAX_SAMPLES = 1500;
+
+/**
+ * Triangles of glTF models in their scene system, read once per model.
+ * @type {WeakMap<Model, number[][][]>}
+ */
+const modelGeometries = new WeakMap();
+
+/**
+ * Clearance – Minimum 3D distance between two picked objects.
+ *
+ * The geometry of an object is gathered as points, segments and triangles:
+ * - GeoJSON and other entities with heights give their exact polygon, extruded polygon,
+ *   polyline or point geometry,
+ * - glTF models give the triangles of their file, placed with their current model matrix,
+ * - 3D tiles features (buildings), clamped entities and models whose file cannot be read
+ *   have no geometry on the CPU; their visible surface is sampled from the depth buffer
+ *   instead. A coarse grid of picks around the picked pixel outlines the object, the depth
+ *   buffer is then read on a finer grid inside that outline. Surfaces hidden from the
+ *   current view are not part of the result, and the precision depends on the zoom; such
+ *   geometries are flagged as `sampled`. The picks are spread over several frames while
+ *   the camera is locked, so the page stays responsive.
+ *
+ * The distance itself is computed in a {@link ClearanceWorker} off the main thread.
+ *
+ * @class
+ *
+ * @static
+ * @method geometryOf(app, pickedFeature, windowPosition) - (async) Returns the simplices of a picked object.
+ * @method compute(a, b) - (async) Returns the shortest connection between two geometries.
+ * @method isSameObject(a, b) - Whether two picks hit the same object.
+ *
+ * @example
+ * const a = await Clearance.geometryOf(app, first.pickedFeature, first.windowPosition);
+ * const b = await Clearance.geometryOf(app, second.pickedFeature, second.windowPosition);
+ * const {distance, from, to} = await Clearance.compute(a, b);
+ * const approximate = a.sampled || b.sampled;
+ */
+export class Clearance {
+    /**
+     * Gathers the geometry of a picked object.
+     * @async
+     * @param {any} app - The application instance.
+     * @param {any} pickedFeature - Result of `scene.pick`.
+     * @param {Cesium.Cartesian2} windowPosition - Picked pixel.
+     * @returns {Promise<{simplices: number[][][], sampled: boolean}>} Simplices of one to
+     *     three [x, y, z] vertices in ECEF, and whether they were sampled from the screen.
+     */
+    static async geometryOf(app, pickedFeature, windowPosition) {
+        const entity = pickedFeature?.id;
+        if (entity instanceof Entity) {
+            const simplices = entityGeometry(entity, JulianDate.now());
+            if (simplices) return {simplices: simplices, sampled: false};
+        }
+        if (pickedFeature?.primitive instanceof Model) {
+            const simplices = await modelGeometry(app, pickedFeature.primitive);
+            if (simplices) return {simplices: simplices, sampled: false};
+        }
+        return {
+            simplices: await sampleScreen(app, pickedFeature, windowPosition),
+            sampled: true,
+        };
+    }
+
+    /**
+     * Computes the shortest connection between two geometries.
+     * @async
+     * @param {{simplices: number[][][]}} a - First geometry, see {@link Clearance.geometryOf}.
+     * @param {{simplices: number[][][]}} b - Second geometry.
+     * @returns {Promise<{distance: number, from: Cesium.Cartesian3, to: Cesium.Cartesian3}|undefined>}
+     *     Undefined if one of the geometries is empty.
+     */
+    static compute(a, b) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(
+                new URL('../ClearanceWorker.js', import.meta.url),
+            );
+            worker.onmessage = e => {
+                worker.terminate();
+                const {distance, from, to} = e.data;
+                if (!isFinite(distance)) return resolve();
+                resolve({
+                    distance: distance,
+                    from: Cartesian3.fromArray(from),
+                    to: Cartesian3.fromArray(to),
+                });
+            };
+            worker.onerror = error => {
+                worker.terminate();
+                reject(error);
+            };
+            worker.postMessage({a: a.simplices, b: b.simplices});
+        });
+    }
+
+    /**
+     * Whether two picks hit the same object. Parts of a building split over several tiles
+     * count as the same object if they share their UUID.
+     * @param {any} a - Result of `scene.pick`.
+     * @param {any} b - Result of `scene.pick`.
+     * @returns {boolean}
+     */
+    static isSameObject(a, b) {
+        if (!a || !b) return false;
+        if (a instanceof Cesium3DTileFeature) {
+            if (!(b instanceof Cesium3DTileFeature)) return false;
+            if (a.tileset !== b.tileset) return false;
+            const uuid = a.getProperty('UUID');
+            if (uuid !== undefined) return uuid === b.getProperty('UUID');
+            return a.content === b.content && a.featureId === b.featureId;
+        }
+        return a.primitive === b.primitive && a.id === b.id;
+    }
+}
+
+/**
+ * Exact geometry of an entity with heights.
+ * @param {Entity} entity
+ * @param {JulianDate} time
+ * @returns {number[][][]|undefined} Undefined if the entity is clamped to the ground or has no supported graphics.
+ */
+function entityGeometry(entity, time) {
+    const toArray = position => [position.x, position.y, position.z];
+
+    if (entity.polygon) {
+        const polygon = entity.polygon;
+        const hierarchy = polygon.hierarchy?.getValue(time);
+        const height = polygon.height?.getValue(time);
+        const extrudedHeight = polygon.extrudedHeight?.getValue(time);
+        const perPositionHeight = polygon.perPositionHeight?.getValue(time);
+        if (!hierarchy) return;
+        if (
+            height === undefined &&
+            extrudedHeight === undefined &&
+            !perPositionHeight
+        ) {
+            return;
+        }
+        const geometry = PolygonGeometry.createGeometry(
+            new PolygonGeometry({
+                polygonHierarchy: hierarchy,
+                height: height,
+                extrudedHeight: extrudedHeight,
+                perPositionHeight: perPositionHeight,
+                vertexFormat: VertexFormat.POSITION_ONLY,
+            }),
+        );
+        if (!geometry) return [];
+        const values = geometry.attributes.position.values;
+        const vertex = i => [
+            values[3 * i],
+            values[3 * i + 1],
+            values[3 * i + 2],
+        ];
+        const simplices = [];
+        for (let i = 0; i < geometry.indices.length; i += 3) {
+            simplices.push([
+                vertex(geometry.indices[i]),
+                vertex(geometry.indices[i + 1]),
+                vertex(geometry.indices[i + 2]),
+            ]);
+        }
+        return simplices;
+    }
+
+    if (entity.polyline) {
+        if (entity.polyline.clampToGround?.getValue(time)) return;
+        const positions = entity.polyline.positions?.getValue(time) ?? [];
+        return positions
+            .slice(1)
+            .map((position, i) => [toArray(positions[i]), toArray(position)]);
+    }
+
+    if (entity.point || entity.billboard) {
+        const position = entity.position?.getValue(time);
+        return position ? [[toArray(position)]] : [];
+    }
+}
+
+/**
+ * Triangles of a glTF model in ECEF, read from the file the model was loaded from.
+ * Applies the same transforms as `Cesium.Model`: model matrix, axis correction from
+ * glTF (Y up, Z forward) to Cesium (Z up, X forward) and scale.
+ * @param {any} app
+ * @param {Model} model
+ * @returns {Promise<number[][][]|undefined>} Undefined if the file cannot be read.
+ */
+async function modelGeometry(app, model) {
+    let simplices = modelGeometries.get(model);
+    if (!simplices) {
+        const url = app.layerCollection.getLayerById(model.id)?.url;
+        if (!url) return;
+        try {
+            const buffer = await (await fetch(url)).arrayBuffer();
+            simplices = new GltfReader().read(buffer);
+        } catch (error) {
+            console.warn(error);
+            return;
+        }
+        modelGeometries.set(model, simplices);
+    }
+
+    const transform = Matrix4.multiplyTransformation(
+        model.modelMatrix,
+        Axis.Y_UP_TO_Z_UP,
+        new Matrix4(),
+    );
+    Matrix4.multiplyTransformation(transform, Axis.Z_UP_TO_X_UP, transform);
+    Matrix4.multiplyByUniformScale(transform, model.scale, transform);
+
+    const scratch = new Cartesian3();
+    return simplices.map(simplex =>
+        simplex.map(vertex => {
+            Cartesian3.fromArray(vertex, 0, scratch);
+            Matrix4.multiplyByPoint(transform, scratch, scratch);
+            return [scratch.x, scratch.y, scratch.z];
+        }),
+    );
+}
+
+/**
+ * Samples the visible surface of an object from the depth buffer.
+ *
+ * First the object is outlined by picking a coarse grid, spreading from the picked pixel
+ * over grid nodes that hit the same object. Then every grid cell whose four corners hit
+ * the object is sampled on a finer grid with `pickPosition` alone, which only reads the
+ * depth buffer. Along the outline only the grid nodes themselves are sampled.
+ * The camera inputs are disabled meanwhile, as the picks are spread over several frames.
+ * @param {any} app
+ * @param {any} pickedFeature
+ * @param {Cesium.Cartesian2} windowPosition
+ * @returns {Promise<number[][][]>} Sampled points as one-vertex simplices.
+ */
+async function sampleScreen(app, pickedFeature, windowPosition) {
+    const scene = app.viewer.scene;
+    const controller = scene.screenSpaceCameraController;
+    const enableInputs = controller.enableInputs;
+    controller.enableInputs = false;
+    try {
+        return await sampleView(scene, pickedFeature, windowPosition);
+    } finally {
+        controller.enableInputs = enableInputs;
+    }
+}
+
+/**
+ * Samples the current view, see {@link sampleScreen}.
+ * @param {Cesium.Scene} scene
+ * @param {any} pickedFeature
+ * @param {Cesium.Cartesian2} windowPosition
+ * @returns {Promise<number[][][]>}
+ */
+async function sampleView(scene, pickedFeature, windowPosition) {
+    const width = scene.canvas.clientWidth;
+    const height = scene.canvas.clientHeight;
+    const pixelAt = (x, y) =>
+        new Cartesian2(windowPosition.x + x, windowPosition.y + y);
+    const onScreen = pixel =>
+        pixel.x >= 0 && pixel.y >= 0 && pixel.x < width && pixel.y < height;
+
+    const hits = new Set();
+    const visited = new Set(['0,0']);
+    const queue = [[0, 0]];
+    let picks = 0;
+    while (queue.length && picks < MAX_PICKS) {
+        const [i, j] = queue.shift();
+        const pixel = pixelAt(i * PICK_STEP, j * PICK_STEP);
+        if (!onScreen(pixel)) continue;
+        if (++picks % PICKS_PER_FRAME === 0) {
+            await new Promise(resolve => requestAnimationFrame(resolve));
+        }
+        if (!Clearance.isSameObject(scene.pick(pixel), pickedFeature)) {
+            continue;
+        }
+        hits.add(`${i},${j}`);
+
+        for (const [di, dj] of [
+            [1, 0],
+            [-1, 0],
+            [0, 1],
+            [0, -1],
+        ]) {
+            const key = `${i + di},${j + dj}`;
+            if (visited.has(key)) continue;
+            visited.add(key);
+            queue.push([i + di, j + dj]);
+        }
+    }
+
+    const simplices = [];
+    const sample = pixel => {
+        const position = scene.pickPosition(pixel);
+        if (position) simplices.push([[position.x, position.y, position.z]]);
+    };
+    const cells = [];
+    for (const key of hits) {
+        const [i, j] = key.split(',').map(Number);
+        sample(pixelAt(i * PICK_STEP, j * PICK_STEP));
+        if (
+            hits.has(`${i + 1},${j}`) &&
+            hits.has(`${i},${j + 1}`) &&
+            hits.has(`${i + 1},${j + 1}`)
+        ) {
+            cells.push([i, j]);
+        }
+    }
+
+    const steps = Math.ceil(PICK_STEP / SAMPLE_STEP);
+    for (const [i, j] of cells) {
+        for (let u = 0; u < steps; u++) {
+            for (let v = 0; v < steps; v++) {
+                if (u === 0 && v === 0) continue;
+                if (simplices.length >= MAX_SAMPLES) return simplices;
+                sample(
+                    pixelAt(
+                        i * PICK_STEP + (u * PICK_STEP) / steps,
+                        j * PICK_STEP + (v * PICK_STEP) / steps,
+                    ),
+                );
+            }
+        }
+    }
+    return simplices;
+}
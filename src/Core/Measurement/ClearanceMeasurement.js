@@ -0,0 +1,136 @@
+import {ArcType, Cartesian3, ColorMaterialProperty} from '@cesium/engine';
+import {
+    DRAWING_LINE_PIXELWIDTH,
+    MEASUREMENT_POLYGON_COLOR_LINE,
+} from '../../constants.js';
+import {Measurement} from './Measurement.js';
+
+/**
+ * ClearanceMeasurement – Shortest connection between two objects, labeled with its length.
+ *
+ * Extends {@link Measurement}. The two end points are computed by {@link Clearance},
+ * so the measurement is finished on creation and not drawn interactively.
+ *
+ * @class
+ * @extends Measurement
+ *
+ * @param {any} app - The Cesium Viewer or host application context.
+ * @param {object} options
+ * @param {Cesium.Cartesian3[]} options.cartesians - End points on the first and second object.
+ * @param {boolean} [options.approximate=false] - Whether an end point lies on a screen-sampled
+ *     surface; the label then reads "d ≈" instead of "d =".
+ * @param {Cesium.Color} [options.color=MEASUREMENT_POLYGON_COLOR_LINE] - Color of the line.
+ *
+ * @example
+ * const {from, to} = await Clearance.compute(a, b);
+ * const measurement = new ClearanceMeasurement(app, {cartesians: [from, to]});
+ */
+export class ClearanceMeasurement extends Measurement {
+    /**
+     * @param {any} app
+     * @param {object} options - See class doc for details.
+     */
+    constructor(
+        app,
+        {
+            cartesians,
+            approximate = false,
+            color = MEASUREMENT_POLYGON_COLOR_LINE,
+        },
+    ) {
+        super(app, {cartesians, prefix: approximate ? 'd ≈ ' : 'd = '});
+
+        /**
+         * Shortest connecting segment.
+         * @type {Cesium.Entity}
+         */
+        this.line = app.viewer.entities.add({
+            polyline: {
+                positions: cartesians,
+                width: DRAWING_LINE_PIXELWIDTH,
+                arcType: ArcType.NONE,
+                material: new ColorMaterialProperty(color),
+                depthFailMaterial: new ColorMaterialProperty(
+                    color.withAlpha(0.4),
+                ),
+            },
+            properties: {
+                reactive: false,
+                deletable: false,
+                selectable: false,
+            },
+        });
+        this._color = color;
+
+        this.updateLabel();
+        this.finished = true;
+    }
+
+    /**
+     * Length of the connection (m).
+     * @type {number}
+     * @readonly
+     */
+    get distance() {
+        return this.calculate();
+    }
+
+    /**
+     * Show or hide the line and its label.
+     * @type {boolean}
+     */
+    get show() {
+        return this._show;
+    }
+    set show(value) {
+        this._show = value;
+        this.label.show = value;
+        this.line.show = value;
+    }
+
+    /**
+     * Color of the line.
+     * @type {Cesium.Color}
+     */
+    get color() {
+        return this._color;
+    }
+    set color(value) {
+        this._color = value;
+        this.line.polyline.material = new ColorMaterialProperty(value);
+        this.line.polyline.depthFailMaterial = new ColorMaterialProperty(
+            value.withAlpha(0.4),
+        );
+    }
+
+    /**
+     * Distance between the end points.
+     * @returns {number}
+     */
+    calculate() {
+        return Cartesian3.distance(this.cartesians[0], this.cartesians[1]);
+    }
+
+    /**
+     * Cancel and remove this measurement.
+     * @returns {boolean} True if canceled, false if already destroyed.
+     */
+    cancel() {
+        if (!this.destroyed) {
+            this.destroy();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Destroy the line and label.
+     * @returns {null}
+     */
+    destroy() {
+        this.destroyed = true;
+        this.app.viewer.entities.remove(this.line);
+        this.label?.destroy();
+        return null;
+    }
+}
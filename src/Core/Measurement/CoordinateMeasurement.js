@@ -0,0 +1,255 @@
+import {Cartesian2, Cartographic, Math as CesiumMath} from '@cesium/engine';
+import {MEASUREMENT_POINT_COLOR} from '../../constants.js';
+import {Drawing} from '../Drawing/Drawing.js';
+import {Label} from '../Label.js';
+import {
+    cartesianToProjectCoord,
+    safeSampleTerrainMostDetailed,
+} from '../utilities.js';
+import {Measurement} from './Measurement.js';
+
+/**
+ * @typedef {object} CoordinateRow
+ * @property {number} number - Running number of the point, starting at 1.
+ * @property {Cesium.Cartesian3} position - Position of the point.
+ * @property {number[]} project - [x, y] in the project CRS.
+ * @property {number[]} wgs84 - [longitude, latitude] in degrees.
+ * @property {number} height - Ellipsoidal height (m).
+ * @property {number|undefined} terrain - Ellipsoidal height of the terrain (m), once sampled.
+ */
+
+/**
+ * CoordinateMeasurement – List of picked points with their coordinates.
+ *
+ * Extends {@link Measurement} and uses a plain {@link Drawing}: every click adds a point,
+ * marked with its number. The coordinates are available in the project CRS and WGS84
+ * together with the ellipsoidal height and the terrain height below the point.
+ *
+ * @class
+ * @extends Measurement
+ *
+ * @param {any} app - The Cesium Viewer or host application context.
+ * @param {object} [options]
+ * @param {Cesium.Cartesian3[]} [options.cartesians=[]] - Initial points (optional).
+ * @param {Cesium.Color} [options.color=MEASUREMENT_POINT_COLOR] - Color of the points.
+ * @param {boolean} [options.render=false] - If true, the points are drawn interactively.
+ * @param {Function} [options.onChangeCallback] - Called when a point was set or moved.
+ *
+ * @example
+ * const measurement = new CoordinateMeasurement(app, {render: true});
+ * // ... user sets points ...
+ * measurement.terminate();
+ * const rows = await measurement.sampleTerrain();
+ */
+export class CoordinateMeasurement extends Measurement {
+    #terrain;
+
+    /**
+     * @param {any} app
+     * @param {object} [options] - See class doc for details.
+     */
+    constructor(
+        app,
+        {
+            cartesians = [],
+            color = MEASUREMENT_POINT_COLOR,
+            render = false,
+            onChangeCallback = () => {},
+        } = {},
+    ) {
+        super(app, {cartesians});
+
+        /**
+         * Whether this measurement has finished.
+         * @type {boolean}
+         */
+        this.finished = false;
+
+        /**
+         * Called when a point was set or moved.
+         * @type {Function}
+         */
+        this.onChangeCallback = onChangeCallback;
+
+        /**
+         * Number labels of the points.
+         * @type {Label[]}
+         */
+        this.labels = [];
+
+        this.#terrain = new Map();
+        this.label.show = false;
+
+        if (render) {
+            this.render = render;
+            this.drawing = new Drawing(app, {
+                color: color,
+                onMoveCallback: () => {
+                    this.updateLabel();
+                    if (this.finished) this.onChangeCallback();
+                },
+                onSetCallback: () => {
+                    this.updateLabel();
+                    this.onChangeCallback();
+                },
+            });
+            this.cartesians = this.drawing.pointSet.cartesians;
+        }
+    }
+
+    /**
+     * Set points, without the one following the cursor while drawing.
+     * @type {Cesium.Cartesian3[]}
+     * @readonly
+     */
+    get positions() {
+        return this.render && !this.finished
+            ? this.cartesians.slice(0, -1)
+            : this.cartesians;
+    }
+
+    /**
+     * Show or hide the points and their numbers.
+     * @type {boolean}
+     */
+    get show() {
+        return this._show;
+    }
+    set show(value) {
+        this._show = value;
+        this.labels.forEach(label => (label.show = value));
+        if (this.drawing) this.drawing.show = value;
+    }
+
+    /**
+     * Color of the points.
+     * @type {Cesium.Color}
+     */
+    get color() {
+        return this.drawing?.color ?? MEASUREMENT_POINT_COLOR;
+    }
+    set color(value) {
+        if (this.drawing) this.drawing.color = value;
+    }
+
+    /**
+     * Number of set points.
+     * @returns {number}
+     */
+    calculate() {
+        return this.positions.length;
+    }
+
+    /**
+     * Places a number label at every set point.
+     */
+    updateLabel() {
+        const positions = this.positions;
+        while (this.labels.length > positions.length) {
+            this.labels.pop().destroy();
+        }
+        positions.forEach(({x, y, z}, i) => {
+            if (!this.labels[i]) {
+                const label = new Label(this.app, {size: 16});
+                label.entity.label.pixelOffset = new Cartesian2(0, -18);
+                label.value = `P${i + 1}`;
+                label.show = this._show !== false;
+                this.labels.push(label);
+            }
+            this.labels[i].position = [x, y, z];
+        });
+    }
+
+    /**
+     * Coordinates of the set points. Terrain heights are included once sampled.
+     * @returns {CoordinateRow[]}
+     */
+    getRows() {
+        return this.positions.map((position, i) => {
+            const carto = Cartographic.fromCartesian(position);
+            return {
+                number: i + 1,
+                position: position,
+                project: cartesianToProjectCoord(position).slice(0, 2),
+                wgs84: [
+                    CesiumMath.toDegrees(carto.longitude),
+                    CesiumMath.toDegrees(carto.latitude),
+                ],
+                height: carto.height,
+                terrain: this.#terrain.get(terrainKey(position)),
+            };
+        });
+    }
+
+    /**
+     * Samples the terrain height below points that have none yet.
+     * @async
+     * @returns {Promise<CoordinateRow[]>} The rows including terrain heights.
+     */
+    async sampleTerrain() {
+        const missing = this.positions.filter(
+            position => !this.#terrain.has(terrainKey(position)),
+        );
+        if (missing.length && this.app.viewer.terrainProvider.availability) {
+            const sampled = await safeSampleTerrainMostDetailed(
+                this.app.viewer.terrainProvider,
+                missing.map(position => Cartographic.fromCartesian(position)),
+            );
+            missing.forEach((position, i) => {
+                this.#terrain.set(terrainKey(position), sampled[i].height);
+            });
+        }
+        return this.getRows();
+    }
+
+    /**
+     * Finalizes the measurement once at least one point is set.
+     * @returns {boolean} True if finished.
+     */
+    terminate() {
+        if (this.finished) return true;
+        if (this.positions.length < 1) return false;
+        if (this.render) this.drawing.terminate();
+
+        this.updateLabel();
+        document.documentElement.style.cursor = 'default';
+        this.finished = true;
+        this.onChangeCallback();
+        return true;
+    }
+
+    /**
+     * Cancel and remove this measurement.
+     * @returns {boolean} True if canceled, false if already destroyed.
+     */
+    cancel() {
+        if (!this.destroyed) {
+            this.destroy();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Destroy the points and their labels.
+     * @returns {null}
+     */
+    destroy() {
+        this.destroyed = true;
+        this.drawing?.destroy();
+        this.labels.forEach(label => label.destroy());
+        this.labels = [];
+        this.label?.destroy();
+        document.documentElement.style.cursor = 'default';
+        return null;
+    }
+}
+
+/**
+ * Key of a position in the terrain height cache.
+ * @param {Cesium.Cartesian3} position
+ * @returns {string}
+ */
+function terrainKey({x, y, z}) {
+    return `${x},${y},${z}`;
+}
@@ -0,0 +1,160 @@
+import {Cartesian3, Cartographic, Math as CesiumMath} from '@cesium/engine';
+import {unitSettings} from '../UnitSettings.js';
+import {safeSampleTerrainMostDetailed, subsampleLine} from '../utilities.js';
+
+/**
+ * Upper limit for the number of samples of a profile.
+ * The sample spacing grows with the line length to stay below this limit.
+ * @type {number}
+ */
+const MAX_PROFILE_SAMPLES = 500;
+
+/**
+ * @typedef {object} ProfilePoint
+ * @property {number} distance - Horizontal distance from the start of the line (m).
+ * @property {Cartesian3} position - Position on the surface (terrain or 3D tiles).
+ * @property {number} terrain - Ellipsoidal height of the terrain (m).
+ * @property {number} surface - Ellipsoidal height of the highest surface, i.e. buildings and mesh where present (m).
+ */
+
+/**
+ * ElevationProfile – Height profile of terrain and 3D tiles along a line.
+ *
+ * Samples are placed along the line with an even spacing. Terrain heights come from the active
+ * terrain provider, surface heights from the 3D tiles (buildings, mesh) in the scene.
+ *
+ * @class
+ *
+ * @param {ProfilePoint[]} points - Samples ordered by distance.
+ *
+ * @property {ProfilePoint[]} points - Samples ordered by distance.
+ * @property {number} length - Horizontal length of the profile.
+ *
+ * @method toCSV(header) - Returns the samples as semicolon separated values.
+ *
+ * @static
+ * @method sample(app, cartesians, options) - (async) Samples a profile along the given vertices.
+ *
+ * @example
+ * const profile = await ElevationProfile.sample(app, measurement.cartesians);
+ * console.log(profile.length, profile.points[0].terrain);
+ */
+export class ElevationProfile {
+    /**
+     * @param {ProfilePoint[]} points
+     */
+    constructor(points) {
+        this.points = points;
+    }
+
+    /**
+     * Horizontal length of the profile.
+     * @type {number}
+     */
+    get length() {
+        return this.points[this.points.length - 1]?.distance ?? 0;
+    }
+
+    /**
+     * Samples the profile along a line.
+     * @async
+     * @param {any} app - The application instance.
+     * @param {Cartesian3[]} cartesians - Vertices of the line.
+     * @param {object} [options]
+     * @param {number} [options.maxSamples=500] - Upper limit for the number of samples.
+     * @param {any[]} [options.exclude=[]] - Primitives, entities or features the surface heights are not sampled from.
+     * @returns {Promise<ElevationProfile>}
+     */
+    static async sample(
+        app,
+        cartesians,
+        {maxSamples = MAX_PROFILE_SAMPLES, exclude = []} = {},
+    ) {
+        const grounded = cartesians.map(cartesian => {
+            const carto = Cartographic.fromCartesian(cartesian);
+            return Cartesian3.fromRadians(carto.longitude, carto.latitude, 0);
+        });
+        let length = 0;
+        for (let i = 1; i < grounded.length; i++) {
+            length += Cartesian3.distance(grounded[i - 1], grounded[i]);
+        }
+        const spacing = Math.max(length / maxSamples, 0.5);
+
+        const positions = [];
+        for (let i = 1; i < grounded.length; i++) {
+            const line = subsampleLine(grounded[i - 1], grounded[i], spacing);
+            positions.push(...(i === 1 ? line : line.slice(1)));
+        }
+
+        const distances = [];
+        positions.forEach((position, i) => {
+            distances.push(
+                i === 0
+                    ? 0
+                    : distances[i - 1] +
+                          Cartesian3.distance(positions[i - 1], position),
+            );
+        });
+
+        const terrain = await safeSampleTerrainMostDetailed(
+            app.viewer.terrainProvider,
+            positions.map(position => Cartographic.fromCartesian(position)),
+        );
+
+        let surface = terrain.map(() => undefined);
+        const scene = app.viewer.scene;
+        if (scene.sampleHeightSupported) {
+            surface = (
+                await scene.sampleHeightMostDetailed(
+                    positions.map(position =>
+                        Cartographic.fromCartesian(position),
+                    ),
+                    exclude,
+                )
+            ).map(carto => carto.height);
+        }
+
+        return new ElevationProfile(
+            terrain.map((carto, i) => {
+                const height = Math.max(carto.height, surface[i] ?? -Infinity);
+                return {
+                    distance: distances[i],
+                    position: Cartesian3.fromRadians(
+                        carto.longitude,
+                        carto.latitude,
+                        height,
+                    ),
+                    terrain: carto.height,
+                    surface: height,
+                };
+            }),
+        );
+    }
+
+    /**
+     * Returns the samples as semicolon separated values with a header line.
+     * Coordinates are WGS84 degrees, heights ellipsoidal; numbers are written with the
+     * precision and decimal separator of {@link UnitSettings}.
+     * @param {string[]} header - Column titles for distance, longitude, latitude, terrain and surface.
+     * @returns {string}
+     */
+    toCSV(header) {
+        const rows = this.points.map(point => {
+            const carto = Cartographic.fromCartesian(point.position);
+            return [
+                unitSettings.formatNumber(point.distance),
+                unitSettings.formatNumber(
+                    CesiumMath.toDegrees(carto.longitude),
+                    8,
+                ),
+                unitSettings.formatNumber(
+                    CesiumMath.toDegrees(carto.latitude),
+                    8,
+                ),
+                unitSettings.formatNumber(point.terrain),
+                unitSettings.formatNumber(point.surface),
+            ];
+        });
+        return [header, ...rows].map(row => row.join(';')).join('\n');
+    }
+}
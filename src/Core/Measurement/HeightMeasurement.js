@@ -132,9 +132,10 @@ export class HeightMeasurement extends Measurement {
      * @type {Cesium.Color}
      */
     get color() {
-        return this._color;
+        return this._color ?? this.lineColor;
     }
     set color(value) {
+        this._color = value;
         if (this.drawing) this.drawing.lineColor = value;
     }
 
@@ -15,7 +15,7 @@ import {uuidv4} from '../utilities.js';
  * @param {object} options
  * @param {string} [options.id=uuidv4()] - Unique identifier for this measurement.
  * @param {Cesium.Cartesian3[]|CallbackProperty} [options.cartesians=[]] - Points/vertices for the measurement.
- * @param {string} [options.unit='m'] - Measurement unit (e.g. 'm', 'ft', 'km').
+ * @param {string} [options.unit='m'] - Base unit of the measured value ('m', 'm²', '°'); the label converts it to the unit chosen in {@link UnitSettings}.
  * @param {string} [options.prefix=''] - (Optional) Prefix string for label display.
  * @param {Function} [options.onFinishCallback] - Callback to run when finished.
  *
@@ -0,0 +1,252 @@
+import {GeListItem} from '../../Components/ge-list-item/ge-list-item.js';
+import {i18next} from '../../i18n.js';
+import {showElevationProfile} from '../../profile.js';
+import {Command} from '../Commands/Command.js';
+import {LineMeasurement} from './LineMeasurement.js';
+import {PolylineMeasurement} from './PolylineMeasurement.js';
+
+/**
+ * AddMeasurement – Command to register a finished measurement in the application
+ * and in the `#measurementList` UI.
+ *
+ * Creates the list item on first execution (show/hide and delete callbacks included).
+ * Items of line and polyline measurements get an action that opens their elevation profile.
+ * Undo hides the measurement and detaches its list item; redo re-attaches both.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {any} app - The application instance.
+ * @param {Measurement} measurement - The finished measurement.
+ * @param {object} [options]
+ * @param {string} [options.src=''] - Icon of the list item.
+ * @param {string} [options.name] - Display name (auto-generated if not given).
+ *
+ * @property {GeListItem} item - List item of the measurement.
+ *
+ * @example
+ * app.commandStack.execute(
+ *     new AddMeasurement(app, measurement, {src: 'images/common/area.svg'}),
+ * );
+ */
+export class AddMeasurement extends Command {
+    /**
+     * @param {any} app
+     * @param {Measurement} measurement
+     * @param {object} [options]
+     */
+    constructor(app, measurement, {src = '', name} = {}) {
+        super();
+        this.app = app;
+        this.measurement = measurement;
+        this.src = src;
+        this.name = name;
+    }
+
+    /**
+     * Creates (once) and attaches the list item and registers the measurement.
+     */
+    execute() {
+        const measurementList = document.querySelector('#measurementList');
+        if (!measurementList) return;
+
+        if (!this.item) {
+            const app = this.app;
+            const measurement = this.measurement;
+            const item = new GeListItem({
+                name: this.name
+                    ? this.name
+                    : `Messung ${measurementList.html.list.childElementCount + 1}`,
+                src: this.src,
+                obj: measurement,
+                checked: true,
+                onClickCallback: () => {
+                    item.checked = !item.checked;
+                },
+                onCheckedCallback: checked => {
+                    measurement.show = checked;
+                },
+                onDeleteCallback: () => {
+                    app.commandStack.execute(new RemoveMeasurement(app, item));
+                },
+            });
+            if (
+                measurement instanceof LineMeasurement ||
+                measurement instanceof PolylineMeasurement
+            ) {
+                item.appendChild(createProfileButton(app, measurement));
+            }
+            this.item = item;
+        }
+        attachMeasurementItem(this.app, this.item);
+    }
+
+    /**
+     * Hides the measurement and removes its list item.
+     */
+    undo() {
+        if (this.item) detachMeasurementItem(this.app, this.item);
+    }
+
+    /**
+     * Destroys the measurement if the command is discarded in undone state.
+     * @param {boolean} undone
+     */
+    dispose(undone) {
+        if (undone) this.measurement.destroy();
+    }
+}
+
+/**
+ * RemoveMeasurement – Command to remove a measurement and its list item.
+ *
+ * The measurement is only hidden while the command is undoable; it is destroyed
+ * once the command drops out of the history.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {any} app - The application instance.
+ * @param {GeListItem} item - The list item of the measurement.
+ *
+ * @example
+ * app.commandStack.execute(new RemoveMeasurement(app, item));
+ */
+export class RemoveMeasurement extends Command {
+    /**
+     * @param {any} app
+     * @param {GeListItem} item
+     */
+    constructor(app, item) {
+        super();
+        this.app = app;
+        this.item = item;
+    }
+
+    /**
+     * Hides the measurement and removes its list item.
+     */
+    execute() {
+        detachMeasurementItem(this.app, this.item);
+    }
+
+    /**
+     * Re-attaches the measurement and its list item.
+     */
+    undo() {
+        attachMeasurementItem(this.app, this.item);
+    }
+
+    /**
+     * Destroys the measurement if the removal becomes permanent.
+     * @param {boolean} undone
+     */
+    dispose(undone) {
+        if (!undone) this.item.obj.destroy();
+    }
+}
+
+/**
+ * Creates the list item action that opens the elevation profile along a line measurement.
+ * @param {any} app
+ * @param {LineMeasurement|PolylineMeasurement} measurement
+ * @returns {HTMLElement}
+ */
+function createProfileButton(app, measurement) {
+    const button = document.createElement('ge-button');
+    button.slot = 'actions';
+    button.setAttribute('shape', 'square');
+    button.setAttribute('size', 'extra-small');
+    button.setAttribute('src', 'images/common/profile.svg');
+    button.title = i18next.t('common:body.profile.title');
+    button.addEventListener('click', () => {
+        showElevationProfile(app, measurement).catch(console.error);
+    });
+    return button;
+}
+
+/**
+ * Appends a measurement list item and registers its measurement in `app.measurements`.
+ * @param {any} app
+ * @param {GeListItem} item
+ */
+function attachMeasurementItem(app, item) {
+    const measurementList = document.querySelector('#measurementList');
+    if (!measurementList?.items.includes(item)) measurementList?.push(item);
+    if (!app.measurements.includes(item.obj)) app.measurements.push(item.obj);
+    item.obj.show = item.checked;
+}
+
+/**
+ * Removes a measurement list item, hides its measurement and unregisters it from `app.measurements`.
+ * @param {any} app
+ * @param {GeListItem} item
+ */
+function detachMeasurementItem(app, item) {
+    const measurementList = document.querySelector('#measurementList');
+    if (measurementList?.items.includes(item)) measurementList.remove(item);
+    const index = app.measurements.indexOf(item.obj);
+    if (index >= 0) app.measurements.splice(index, 1);
+    item.obj.show = false;
+}
+
+/**
+ * EditMeasurement – Records a change of the vertices of a finished measurement,
+ * i.e. a moved, inserted or deleted vertex.
+ *
+ * The change has already been applied interactively when the command is recorded.
+ * Undo and redo replace the vertices with the stored positions.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {PolylineMeasurement|PolygonMeasurement} measurement - The edited measurement.
+ * @param {Cartesian3[]} before - Vertices before the change.
+ * @param {Cartesian3[]} after - Vertices after the change.
+ *
+ * @example
+ * app.commandStack.push(new EditMeasurement(measurement, before, after));
+ */
+export class EditMeasurement extends Command {
+    /**
+     * @param {PolylineMeasurement|PolygonMeasurement} measurement
+     * @param {Cartesian3[]} before
+     * @param {Cartesian3[]} after
+     */
+    constructor(measurement, before, after) {
+        super();
+        this.measurement = measurement;
+        this.before = before;
+        this.after = after;
+    }
+
+    /**
+     * True once the measurement has been destroyed.
+     * @type {boolean}
+     */
+    get expired() {
+        return !!this.measurement.destroyed;
+    }
+
+    /**
+     * Applies the changed vertices.
+     */
+    execute() {
+        this.#apply(this.after);
+    }
+
+    /**
+     * Restores the previous vertices.
+     */
+    undo() {
+        this.#apply(this.before);
+    }
+
+    /**
+     * @param {Cartesian3[]} positions
+     */
+    #apply(positions) {
+        this.measurement.setPositions(positions);
+        this.measurement.editor?.refresh();
+    }
+}
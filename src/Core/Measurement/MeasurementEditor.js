@@ -0,0 +1,265 @@
+import {Cartesian3, Color} from '@cesium/engine';
+import {MEASUREMENT_SELECTION_COLOR} from '../../constants.js';
+import {PointEntity} from '../Entity.js';
+import {EditMeasurement} from './MeasurementCommands.js';
+import {PolygonMeasurement} from './PolygonMeasurement.js';
+import {PolylineMeasurement} from './PolylineMeasurement.js';
+
+/**
+ * Color of the handles on the edge midpoints.
+ * @type {Color}
+ */
+const MIDPOINT_COLOR = Color.WHITE.withAlpha(0.8);
+
+/**
+ * MeasurementEditor – Edit mode for the vertices of a finished polyline or polygon measurement.
+ *
+ * While editing:
+ * - vertices are draggable handles, lengths and areas update live,
+ * - dragging a handle on an edge midpoint inserts a new vertex there,
+ * - {@link MeasurementEditor#removeVertex} deletes a vertex, as long as
+ *   two (polyline) or three (polygon) vertices remain.
+ *
+ * Every change is recorded as {@link EditMeasurement} in the command stack.
+ * The active editor is available as `measurement.editor`.
+ *
+ * @class
+ *
+ * @param {any} app - The application instance.
+ * @param {PolylineMeasurement|PolygonMeasurement} measurement - The finished measurement.
+ *
+ * @property {PolylineMeasurement|PolygonMeasurement} measurement - The edited measurement.
+ * @property {boolean} closed - True for polygons.
+ * @property {number} minPoints - Minimum number of vertices.
+ *
+ * @method refresh() - Rebuilds the handles after the vertices were replaced.
+ * @method insertVertex(index, position) - Inserts a vertex.
+ * @method removeVertex(point) - Deletes the vertex of a handle.
+ * @method finish() - Leaves the edit mode.
+ *
+ * @static
+ * @method supports(measurement) - True if the measurement can be edited.
+ * @method findMeasurement(app, entity) - Returns the editable measurement an entity belongs to.
+ *
+ * @example
+ * const editor = new MeasurementEditor(app, measurement);
+ * // ... user drags vertices ...
+ * editor.finish();
+ */
+export class MeasurementEditor {
+    #midpoints;
+    #positions;
+    #color;
+    #onMove;
+
+    /**
+     * @param {any} app
+     * @param {PolylineMeasurement|PolygonMeasurement} measurement
+     */
+    constructor(app, measurement) {
+        this.app = app;
+        this.measurement = measurement;
+        this.closed = measurement instanceof PolygonMeasurement;
+        this.minPoints = this.closed ? 3 : 2;
+
+        this.#midpoints = [];
+        this.#onMove = () => this.#update();
+        this.#color = measurement.drawing.pointSet.color;
+        measurement.editor = this;
+        this.refresh();
+    }
+
+    /**
+     * True if the measurement is a finished, rendered polyline or polygon.
+     * @param {Measurement} measurement
+     * @returns {boolean}
+     */
+    static supports(measurement) {
+        return (
+            (measurement instanceof PolylineMeasurement ||
+                measurement instanceof PolygonMeasurement) &&
+            !!measurement.drawing &&
+            !!measurement.finished &&
+            !measurement.destroyed
+        );
+    }
+
+    /**
+     * Returns the editable measurement whose line, area or vertex is the given entity.
+     * @param {any} app
+     * @param {Cesium.Entity} entity - A picked entity.
+     * @returns {PolylineMeasurement|PolygonMeasurement|undefined}
+     */
+    static findMeasurement(app, entity) {
+        if (!entity) return;
+        return app.measurements.find(
+            measurement =>
+                MeasurementEditor.supports(measurement) &&
+                (measurement.drawing.line === entity ||
+                    measurement.drawing.polygon === entity ||
+                    measurement.drawing.pointSet.points.some(
+                        point => point.primitive === entity,
+                    )),
+        );
+    }
+
+    /**
+     * Current vertices.
+     * @type {Cartesian3[]}
+     */
+    get positions() {
+        return this.measurement.drawing.pointSet.cartesians;
+    }
+
+    /**
+     * Rebuilds the vertex and midpoint handles, e.g. after undo or redo replaced the vertices.
+     * The move callback is registered once per vertex handle and removed by {@link MeasurementEditor#finish}.
+     */
+    refresh() {
+        this.#destroyMidpoints();
+        const pointSet = this.measurement.drawing.pointSet;
+        pointSet.color = MEASUREMENT_SELECTION_COLOR;
+        pointSet.forEach(point => {
+            point.selectable = true;
+            point.removeOnMove(this.#onMove).onMove(this.#onMove);
+            point.onSet(() => this.#commit(), false);
+        });
+
+        const count = this.positions.length;
+        const edges = this.closed ? count : count - 1;
+        for (let i = 0; i < edges; i++) {
+            const midpoint = new PointEntity(this.app, {
+                position: this.#midpoint(i),
+                pixelSize: 8,
+                color: MIDPOINT_COLOR,
+                hideWhileHolding: false,
+                snap: (position, detail) =>
+                    this.app.snapper?.snap(position, detail) ?? position,
+            });
+            midpoint.onSet(
+                () => this.insertVertex(i + 1, midpoint.position),
+                false,
+            );
+            this.#midpoints.push(midpoint);
+        }
+        this.#positions = this.#snapshot();
+    }
+
+    /**
+     * Inserts a vertex.
+     * @param {number} index - Index of the new vertex.
+     * @param {Cartesian3} position
+     */
+    insertVertex(index, position) {
+        const positions = this.#snapshot();
+        positions.splice(index, 0, position.clone());
+        this.#replace(positions);
+    }
+
+    /**
+     * Deletes the vertex of a handle.
+     * @param {PointEntity} point - The vertex handle.
+     * @returns {boolean} True if the vertex was deleted.
+     */
+    removeVertex(point) {
+        const index = this.measurement.drawing.pointSet.points.indexOf(point);
+        if (index < 0 || this.positions.length <= this.minPoints) return false;
+        const positions = this.#snapshot();
+        positions.splice(index, 1);
+        this.#replace(positions);
+        return true;
+    }
+
+    /**
+     * Returns the vertex handle of an entity.
+     * @param {Cesium.Entity} entity
+     * @returns {PointEntity|undefined}
+     */
+    findVertex(entity) {
+        return this.measurement.drawing.pointSet.points.find(
+            point => point.primitive === entity,
+        );
+    }
+
+    /**
+     * Leaves the edit mode, removes the callbacks of the vertex handles and restores their color.
+     */
+    finish() {
+        this.#destroyMidpoints();
+        const pointSet = this.measurement.drawing?.pointSet;
+        if (!this.measurement.destroyed && pointSet?.points) {
+            this.#commit();
+            pointSet.color = this.#color;
+            pointSet.forEach(point => {
+                point.onSet(() => {}, false);
+                point.removeOnMove(this.#onMove);
+            });
+        }
+        if (this.measurement.editor === this) delete this.measurement.editor;
+    }
+
+    /**
+     * Replaces the vertices and records the change.
+     * @param {Cartesian3[]} positions
+     */
+    #replace(positions) {
+        const before = this.#positions;
+        this.measurement.setPositions(positions);
+        this.refresh();
+        this.app.commandStack.push(
+            new EditMeasurement(this.measurement, before, this.#snapshot()),
+        );
+    }
+
+    /**
+     * Records a dragged vertex.
+     */
+    #commit() {
+        const after = this.#snapshot();
+        const before = this.#positions;
+        if (
+            after.length === before.length &&
+            after.every((position, i) => position.equals(before[i]))
+        ) {
+            return;
+        }
+        this.app.commandStack.push(
+            new EditMeasurement(this.measurement, before, after),
+        );
+        this.#positions = after;
+    }
+
+    /**
+     * Moves the midpoint handles along with the vertices.
+     */
+    #update() {
+        this.#midpoints.forEach((midpoint, i) => {
+            if (!midpoint.isBeingHeld) midpoint.position = this.#midpoint(i);
+        });
+    }
+
+    /**
+     * @param {number} i - Index of the edge.
+     * @returns {Cartesian3} Midpoint of the edge.
+     */
+    #midpoint(i) {
+        const positions = this.positions;
+        return Cartesian3.midpoint(
+            positions[i],
+            positions[(i + 1) % positions.length],
+            new Cartesian3(),
+        );
+    }
+
+    /**
+     * @returns {Cartesian3[]} Copy of the current vertices.
+     */
+    #snapshot() {
+        return this.positions.map(position => position.clone());
+    }
+
+    #destroyMidpoints() {
+        this.#midpoints.forEach(midpoint => midpoint.destroy());
+        this.#midpoints = [];
+    }
+}
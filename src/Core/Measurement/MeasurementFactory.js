@@ -0,0 +1,166 @@
+import {Cartesian3} from '@cesium/engine';
+import {AngleMeasurement} from './AngleMeasurement.js';
+import {CoordinateMeasurement} from './CoordinateMeasurement.js';
+import {HeightMeasurement} from './HeightMeasurement.js';
+import {PointMeasurement} from './PointMeasurement.js';
+import {PolygonMeasurement} from './PolygonMeasurement.js';
+import {PolylineMeasurement} from './PolylineMeasurement.js';
+
+/**
+ * Supported measurement types with their class, list icon and number of user-set points.
+ * @type {Object<string, {Measurement: Function, src: string, minPoints: number, maxPoints?: number}>}
+ */
+const MEASUREMENT_TYPES = {
+    polygon: {
+        Measurement: PolygonMeasurement,
+        src: 'images/common/area.svg',
+        minPoints: 3,
+    },
+    line: {
+        Measurement: PolylineMeasurement,
+        src: 'images/common/line.svg',
+        minPoints: 2,
+    },
+    height: {
+        Measurement: HeightMeasurement,
+        src: 'images/common/height.svg',
+        minPoints: 2,
+        maxPoints: 2,
+    },
+    point: {
+        Measurement: PointMeasurement,
+        src: 'images/common/pin.svg',
+        minPoints: 1,
+        maxPoints: 1,
+    },
+    angle: {
+        Measurement: AngleMeasurement,
+        src: 'images/common/angle.svg',
+        minPoints: 2,
+        maxPoints: 3,
+    },
+    coordinates: {
+        Measurement: CoordinateMeasurement,
+        src: 'images/common/coordinates.svg',
+        minPoints: 1,
+    },
+};
+
+/**
+ * MeasurementFactory – Static helpers to describe finished measurements by their type and
+ * user-set points, and to rebuild them from such a description.
+ *
+ * Rebuilt measurements are rendered, editable and finished, exactly as if the points had been
+ * set interactively. They are not registered anywhere; use {@link AddMeasurement} for that.
+ *
+ * @class
+ *
+ * @static
+ * @method typeOf(measurement)  - Returns the type key ('polygon', 'line', 'height', 'point', 'angle', 'coordinates') of a measurement.
+ * @method getIcon(type)        - Returns the list icon of a measurement type.
+ * @method getPositions(measurement) - Returns the points a user set for the measurement.
+ * @method create(app, type, positions) - Rebuilds a finished measurement.
+ * @method toJSON(measurement)  - Serializes a measurement to `{type, positions}`.
+ * @method fromJSON(app, json)  - Rebuilds a measurement from `{type, positions}`.
+ *
+ * @example
+ * const json = MeasurementFactory.toJSON(measurement);
+ * // {type: 'polygon', positions: [[x, y, z], ...]}
+ * const copy = MeasurementFactory.fromJSON(app, json);
+ * app.commandStack.execute(
+ *     new AddMeasurement(app, copy, {src: MeasurementFactory.getIcon(json.type)}),
+ * );
+ */
+export class MeasurementFactory {
+    /**
+     * Returns the type key of a measurement.
+     * @param {Measurement} measurement
+     * @returns {string|undefined} 'polygon', 'line', 'height', 'point', 'angle', 'coordinates' or undefined if unsupported.
+     */
+    static typeOf(measurement) {
+        return Object.keys(MEASUREMENT_TYPES).find(
+            type => measurement instanceof MEASUREMENT_TYPES[type].Measurement,
+        );
+    }
+
+    /**
+     * Returns the list icon of a measurement type.
+     * @param {string} type
+     * @returns {string}
+     */
+    static getIcon(type) {
+        return MEASUREMENT_TYPES[type]?.src ?? '';
+    }
+
+    /**
+     * Returns the points a user set for the measurement.
+     * Height measurements only keep their two end points, the corner point is derived.
+     * @param {Measurement} measurement
+     * @returns {Cartesian3[]}
+     */
+    static getPositions(measurement) {
+        const cartesians = measurement.cartesians ?? [];
+        if (measurement instanceof HeightMeasurement) {
+            return [cartesians[0], cartesians[cartesians.length - 1]];
+        }
+        return [...cartesians];
+    }
+
+    /**
+     * Rebuilds a finished measurement from its type and user-set points.
+     * @param {any} app - The application instance.
+     * @param {string} type - Measurement type key.
+     * @param {Cartesian3[]} positions - Points in the order they were set.
+     * @returns {Measurement|undefined} The finished measurement or undefined if the input is invalid.
+     */
+    static create(app, type, positions) {
+        const definition = MEASUREMENT_TYPES[type];
+        if (
+            !definition ||
+            positions.length < definition.minPoints ||
+            (definition.maxPoints && positions.length > definition.maxPoints)
+        ) {
+            return;
+        }
+
+        const measurement = new definition.Measurement(app, {render: true});
+        measurement.drawing.replay(positions);
+        if (!measurement.terminate()) {
+            measurement.destroy();
+            return;
+        }
+        return measurement;
+    }
+
+    /**
+     * Serializes a measurement to a plain object with ECEF coordinates.
+     * @param {Measurement} measurement
+     * @returns {{type: string, positions: number[][]}|undefined}
+     */
+    static toJSON(measurement) {
+        const type = MeasurementFactory.typeOf(measurement);
+        if (!type) return;
+        return {
+            type: type,
+            positions: MeasurementFactory.getPositions(measurement).map(c => [
+                c.x,
+                c.y,
+                c.z,
+            ]),
+        };
+    }
+
+    /**
+     * Rebuilds a measurement from the output of {@link MeasurementFactory.toJSON}.
+     * @param {any} app
+     * @param {{type: string, positions: number[][]}} json
+     * @returns {Measurement|undefined}
+     */
+    static fromJSON(app, {type, positions = []} = {}) {
+        return MeasurementFactory.create(
+            app,
+            type,
+            positions.map(position => Cartesian3.fromArray(position)),
+        );
+    }
+}
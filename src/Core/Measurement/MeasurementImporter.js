@@ -0,0 +1,190 @@
+import {Cartesian3, Cartographic} from '@cesium/engine';
+import {CommandGroup} from '../Commands/CommandGroup.js';
+import {DXFReader} from '../Reader/DXFReader.js';
+import {GeojsonReader} from '../Reader/GeojsonReader.js';
+import {
+    projectCoordToCartesian,
+    safeSampleTerrainMostDetailed,
+} from '../utilities.js';
+import {AddMeasurement} from './MeasurementCommands.js';
+import {MeasurementFactory} from './MeasurementFactory.js';
+
+/**
+ * Measurement type of each geometry mode of the readers.
+ * @type {Object<string, string>}
+ */
+const MEASUREMENT_TYPE_OF_MODE = {
+    point: 'point',
+    polyline: 'line',
+    polygon: 'polygon',
+};
+
+/**
+ * MeasurementImporter – Static helpers that turn GeoJSON and DXF files into measurements.
+ *
+ * Points become {@link PointMeasurement}s, lines {@link PolylineMeasurement}s and polygons
+ * {@link PolygonMeasurement}s. Vertices without height are placed on the terrain.
+ * All measurements of one file are added as a single undoable command.
+ *
+ * @class
+ *
+ * @static
+ * @method importDXF(app, text, origin) - Imports a DXF file in project CRS or a local system.
+ * @method importGeoJSON(app, json)     - Imports GeoJSON in WGS84 or project CRS.
+ * @method importFile(app, file, origin) - Imports a File depending on its extension.
+ *
+ * @example
+ * // DXF in a local system without stored origin, e.g. from another program
+ * const measurements = await MeasurementImporter.importDXF(app, text, [x, y, z]);
+ */
+export class MeasurementImporter {
+    /**
+     * Imports the entities of a DXF file. Coordinates are in project CRS, or relative to
+     * the local origin for files exported in a local coordinate system. The origin stored
+     * in the file by {@link DXFExporter} takes precedence over `origin`.
+     * @param {any} app - The application instance.
+     * @param {string} text - DXF file content.
+     * @param {number[]} [origin=[0, 0, 0]] - Project coordinates of the local origin,
+     *                                        if the file does not contain it.
+     * @param {string} [name] - Fallback name of the measurements.
+     * @returns {Promise<Measurement[]>} The added measurements.
+     */
+    static async importDXF(app, text, origin = [0, 0, 0], name) {
+        const reader = new DXFReader();
+        const [x0, y0, z0] = reader.readOrigin(text) ?? origin;
+        return MeasurementImporter.import(
+            app,
+            reader.read(text),
+            ([x, y, z]) => [x + x0, y + y0, z === undefined ? z : z + z0],
+            name,
+        );
+    }
+
+    /**
+     * Imports the features of a GeoJSON file. Coordinates are in WGS84, or in project CRS
+     * if the file's `crs` member names the project's EPSG code.
+     * @param {any} app
+     * @param {string|object} json - GeoJSON text or object.
+     * @param {string} [name] - Fallback name of the measurements.
+     * @returns {Promise<Measurement[]>}
+     * @throws {Error} If the file is in a CRS other than WGS84 or the project CRS.
+     */
+    static async importGeoJSON(app, json, name) {
+        const reader = new GeojsonReader();
+        const geometries = reader.read(json);
+        if (reader.epsg === 4326) {
+            return MeasurementImporter.import(app, geometries, undefined, name);
+        }
+        if (reader.epsg !== Number(app.config.proj4?.epsg)) {
+            throw new Error(`Unsupported CRS EPSG:${reader.epsg}`);
+        }
+        return MeasurementImporter.import(
+            app,
+            geometries,
+            coordinate => coordinate,
+            name,
+        );
+    }
+
+    /**
+     * Imports a GeoJSON (.geojson, .json) or DXF (.dxf) file.
+     * @param {any} app
+     * @param {File} file
+     * @param {number[]} [origin] - Local origin of DXF files.
+     * @returns {Promise<Measurement[]>}
+     * @throws {Error} If the file type is not supported.
+     */
+    static async importFile(app, file, origin) {
+        const name = file.name.replace(/\.[^.]*$/, '');
+        if (/\.dxf$/i.test(file.name)) {
+            const text = new DXFReader().decode(await file.arrayBuffer());
+            return MeasurementImporter.importDXF(app, text, origin, name);
+        }
+        if (/\.(geo)?json$/i.test(file.name)) {
+            return MeasurementImporter.importGeoJSON(
+                app,
+                await file.text(),
+                name,
+            );
+        }
+        throw new Error(`Unsupported file type ${file.name}`);
+    }
+
+    /**
+     * Creates and adds the measurements of read geometries.
+     * @param {any} app
+     * @param {ImportedGeometry[]} geometries
+     * @param {function(number[]): number[]} [toProjectCoord] - Converts a coordinate to project CRS.
+     *                                                         WGS84 degrees if omitted.
+     * @param {string} [name] - Fallback name.
+     * @returns {Promise<Measurement[]>}
+     */
+    static async import(app, geometries, toProjectCoord, name) {
+        const groups = await Promise.all(
+            geometries.map(geometry =>
+                MeasurementImporter.toCartesians(
+                    app,
+                    geometry.coordinates,
+                    toProjectCoord,
+                ),
+            ),
+        );
+
+        const commands = [];
+        geometries.forEach((geometry, i) => {
+            const type = MEASUREMENT_TYPE_OF_MODE[geometry.mode];
+            const measurement = MeasurementFactory.create(app, type, groups[i]);
+            if (!measurement) return;
+            commands.push(
+                new AddMeasurement(app, measurement, {
+                    src: MeasurementFactory.getIcon(type),
+                    name: geometry.name || name,
+                }),
+            );
+        });
+
+        if (commands.length) {
+            app.commandStack.execute(new CommandGroup(commands));
+            app.viewer.scene.requestRender();
+        }
+        return commands.map(command => command.measurement);
+    }
+
+    /**
+     * Converts coordinates to Cartesian3, sampling missing heights from the terrain.
+     * @param {any} app
+     * @param {Array<Array<number|undefined>>} coordinates
+     * @param {function(number[]): number[]} [toProjectCoord]
+     * @returns {Promise<Cartesian3[]>}
+     */
+    static async toCartesians(app, coordinates, toProjectCoord) {
+        const cartesians = coordinates.map(coordinate => {
+            coordinate = toProjectCoord
+                ? toProjectCoord(coordinate)
+                : coordinate.slice(0, 3);
+            if (!Number.isFinite(coordinate[2])) {
+                coordinate = coordinate.slice(0, 2);
+            }
+            return toProjectCoord
+                ? projectCoordToCartesian(coordinate)
+                : Cartesian3.fromDegrees(...coordinate);
+        });
+        const missing = coordinates
+            .map((coordinate, i) =>
+                Number.isFinite(coordinate[2]) ? undefined : i,
+            )
+            .filter(i => i !== undefined);
+        if (!missing.length || !app.viewer.terrainProvider.availability) {
+            return cartesians;
+        }
+
+        const sampled = await safeSampleTerrainMostDetailed(
+            app.viewer.terrainProvider,
+            missing.map(i => Cartographic.fromCartesian(cartesians[i])),
+        );
+        missing.forEach((i, j) => {
+            cartesians[i] = Cartographic.toCartesian(sampled[j]);
+        });
+        return cartesians;
+    }
+}
@@ -0,0 +1,136 @@
+import {Cartesian2, Cartographic} from '@cesium/engine';
+import {MEASUREMENT_POINT_COLOR} from '../../constants.js';
+import {Drawing} from '../Drawing/Drawing.js';
+import {Measurement} from './Measurement.js';
+
+/**
+ * PointMeasurement – Single point measurement labeled with its ellipsoidal height.
+ *
+ * Extends {@link Measurement} and uses a plain {@link Drawing} limited to one point.
+ * Mainly used for point features brought in from GeoJSON or DXF files.
+ *
+ * @class
+ * @extends Measurement
+ *
+ * @param {any} app - The Cesium Viewer or host application context.
+ * @param {object} [options]
+ * @param {Cesium.Cartesian3[]} [options.cartesians=[]] - Initial position (optional).
+ * @param {Cesium.Color} [options.color=MEASUREMENT_POINT_COLOR] - Color of the point.
+ * @param {string} [options.unit='m'] - Unit of the height label.
+ * @param {boolean} [options.render=false] - If true, the point is drawn interactively.
+ *
+ * @example
+ * const measurement = new PointMeasurement(app, {render: true});
+ * measurement.drawing.replay([position]);
+ * measurement.terminate();
+ */
+export class PointMeasurement extends Measurement {
+    /**
+     * @param {any} app
+     * @param {object} [options] - See class doc for details.
+     */
+    constructor(
+        app,
+        {
+            cartesians = [],
+            color = MEASUREMENT_POINT_COLOR,
+            unit = 'm',
+            render = false,
+        } = {},
+    ) {
+        super(app, {cartesians, unit, prefix: 'h = '});
+
+        /**
+         * Whether this measurement has finished.
+         * @type {boolean}
+         */
+        this.finished = false;
+
+        if (render) {
+            this.render = render;
+            this.drawing = new Drawing(app, {
+                maxPoints: 1,
+                color: color,
+                onMoveCallback: () => this.updateLabel(),
+            });
+            this.cartesians = this.drawing.pointSet.cartesians;
+        }
+
+        // Keep the label clear of the point marker.
+        this.label.entity.label.pixelOffset = new Cartesian2(0, -24);
+        this.label.show = false;
+    }
+
+    /**
+     * Show or hide the point and its label.
+     * @type {boolean}
+     */
+    get show() {
+        return this._show;
+    }
+    set show(value) {
+        this._show = value;
+        this.label.show = value && !!this.finished;
+        if (this.drawing) this.drawing.show = value;
+    }
+
+    /**
+     * Color of the point.
+     * @type {Cesium.Color}
+     */
+    get color() {
+        return this.drawing?.color ?? MEASUREMENT_POINT_COLOR;
+    }
+    set color(value) {
+        if (this.drawing) this.drawing.color = value;
+    }
+
+    /**
+     * Ellipsoidal height of the point.
+     * @returns {number|undefined}
+     */
+    calculate() {
+        const cartesian = this.cartesians[0];
+        if (cartesian) return Cartographic.fromCartesian(cartesian).height;
+    }
+
+    /**
+     * Finalizes the measurement once the point is set.
+     * @returns {boolean} True if the point is set.
+     */
+    terminate() {
+        if (this.finished) return true;
+        if (this.render) this.drawing.terminate();
+        if (this.cartesians.length < 1) return false;
+
+        this.updateLabel();
+        this.label.show = this._show !== false;
+        document.documentElement.style.cursor = 'default';
+        this.finished = true;
+        return true;
+    }
+
+    /**
+     * Cancel and remove this measurement.
+     * @returns {boolean} True if canceled, false if already destroyed.
+     */
+    cancel() {
+        if (!this.destroyed) {
+            this.destroy();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Destroy the point and its label.
+     * @returns {null}
+     */
+    destroy() {
+        this.destroyed = true;
+        this.drawing?.destroy();
+        this.label?.destroy();
+        document.documentElement.style.cursor = 'default';
+        return null;
+    }
+}
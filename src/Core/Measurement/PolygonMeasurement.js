@@ -1,8 +1,12 @@
 import '@cesium/engine/Source/Core/PolygonPipeline.js';
 import PolygonPipeline from '@cesium/engine/Source/Core/PolygonPipeline.js';
-import {MEASUREMENT_POLYGON_COLOR_POINT} from '../../constants.js';
+import {
+    DRAWING_POLYGON_COLOR_LINE,
+    MEASUREMENT_POLYGON_COLOR_POINT,
+} from '../../constants.js';
 import {PolygonDrawing} from '../Drawing/PolygonDrawing.js';
 import {Measurement} from './Measurement.js';
+import {SurfaceArea} from './SurfaceArea.js';
 
 /**
  * PolygonMeasurement – Interactive measurement tool for computing polygon areas in a Cesium 3D scene.
@@ -13,6 +17,8 @@ import {Measurement} from './Measurement.js';
  * - Dynamically label the computed area at the polygon centroid
  * - Support custom point/fill colors, units, max point constraints, and show/hide or destroy controls
  * - Compute area by triangulating the polygon in 3D and summing triangle areas
+ * - Provide the projected area in the project CRS and the draped area of the terrain and
+ *   3D tiles surface inside the polygon (see {@link SurfaceArea})
  *
  * @class
  * @extends Measurement
@@ -23,7 +29,7 @@ import {Measurement} from './Measurement.js';
  * @param {number} [options.maxPoints] - (Optional) Maximum number of polygon vertices.
  * @param {boolean} [options.addPoint=true] - If true, the first vertex is added instantly.
  * @param {Cesium.Color} [options.color=MEASUREMENT_POLYGON_COLOR_POINT] - Polygon fill/point color.
- * @param {string} [options.unit='m²'] - Area unit label.
+ * @param {string} [options.unit='m²'] - Base unit of the area; the displayed unit follows {@link UnitSettings}.
  * @param {boolean} [options.render=false] - Immediately render the polygon.
  * @param {string|undefined} [options.parentId] - Optional parent identifier if used in grouped measurements.
  *
@@ -34,7 +40,6 @@ import {Measurement} from './Measurement.js';
  * @example
  * const polyMeas = new PolygonMeasurement(viewer, {
  *   color: Cesium.Color.CYAN.withAlpha(0.6),
- *   unit: 'km²',
  *   render: true
  * });
  *
@@ -101,6 +106,59 @@ export class PolygonMeasurement extends Measurement {
         return this.calculate();
     }
 
+    /**
+     * Plane area of the polygon in the project CRS, in m².
+     * @type {number}
+     * @readonly
+     */
+    get projectedArea() {
+        return SurfaceArea.projected(this.cartesians);
+    }
+
+    /**
+     * Area of the terrain and 3D tiles surface inside the polygon, in m².
+     * Undefined until computed by {@link PolygonMeasurement#calculateSurfaceArea}
+     * or after the vertices changed.
+     * @type {number|undefined}
+     * @readonly
+     */
+    get surfaceArea() {
+        const positions = this._surfaceAreaPositions;
+        if (
+            positions?.length === this.cartesians.length &&
+            positions.every((position, i) =>
+                position.equals(this.cartesians[i]),
+            )
+        ) {
+            return this._surfaceArea;
+        }
+        return undefined;
+    }
+
+    /**
+     * Samples the draped surface area, unless it is known for the current vertices.
+     * The measurement's own entities are not sampled as surface.
+     * @async
+     * @returns {Promise<number>} Area in m².
+     */
+    async calculateSurfaceArea() {
+        if (this.surfaceArea !== undefined) return this.surfaceArea;
+        const positions = this.cartesians.map(cartesian => cartesian.clone());
+        const area = await SurfaceArea.draped(this.app, positions, {
+            exclude: [
+                this.label.entity,
+                this.drawing?.polygon,
+                this.drawing?.line,
+                ...(this.drawing?.pointSet.points ?? []).map(
+                    point => point.primitive,
+                ),
+            ].filter(Boolean),
+        });
+        this._surfaceAreaPositions = positions;
+        this._surfaceArea = area;
+        return area;
+    }
+
     /**
      * Show or hide the measurement visuals and drawing.
      * @type {boolean}
@@ -118,9 +176,10 @@ export class PolygonMeasurement extends Measurement {
      * @type {Cesium.Color}
      */
     get color() {
-        return this._color;
+        return this._color ?? DRAWING_POLYGON_COLOR_LINE;
     }
     set color(value) {
+        this._color = value;
         if (this.drawing) this.drawing.color = value;
     }
 
@@ -202,6 +261,17 @@ export class PolygonMeasurement extends Measurement {
         }
     }
 
+    /**
+     * Replace the vertices of the finished polygon and recompute its area label.
+     * @param {Cesium.Cartesian3[]} positions - At least three vertices.
+     */
+    setPositions(positions) {
+        if (!this.drawing) return;
+        this.drawing.setPositions(positions);
+        this.cartesians = this.drawing.pointSet.cartesians;
+        this.updateLabel();
+    }
+
     /**
      * Locks/finishes the measurement if valid (min. 3 points).
      * Triggers label positioning and value update.
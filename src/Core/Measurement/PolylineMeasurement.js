@@ -127,13 +127,15 @@ export class PolylineMeasurement extends Measurement {
     }
 
     /**
-     * Per-segment color (propagated to all LineMeasurements).
+     * Line color (propagated to the drawing and all LineMeasurements).
      * @type {Cesium.Color}
      */
     get color() {
-        return this._color;
+        return this._color ?? this.lineColor;
     }
     set color(value) {
+        this._color = value;
+        if (this.drawing) this.drawing.lineColor = value;
         if (this.segments)
             this.segments.forEach(segment => {
                 segment.color = value;
@@ -196,6 +198,23 @@ export class PolylineMeasurement extends Measurement {
         }
     }
 
+    /**
+     * Replace the vertices of the finished polyline and recompute segments and labels.
+     * @param {Cesium.Cartesian3[]} positions - At least two vertices.
+     */
+    setPositions(positions) {
+        if (!this.drawing) return;
+        this.drawing.setPositions(positions);
+        this.cartesians = this.drawing.pointSet.cartesians;
+        this.buildSegments();
+        this.updateLabel();
+        this.label.show =
+            this.showLabel && this.drawing.pointSet.show !== false;
+        if (this.drawing.pointSet.show === false) {
+            this.segments.forEach(segment => (segment.show = false));
+        }
+    }
+
     /**
      * Finalize measurement: only allowed if there are at least 2 segments.
      * Sums up final segment measurement.
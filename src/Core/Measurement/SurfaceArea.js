@@ -0,0 +1,230 @@
+import {Cartographic} from '@cesium/engine';
+import {
+    cartesianToProjectCoord,
+    projectCoordToDegrees,
+    safeSampleTerrainMostDetailed,
+} from '../utilities.js';
+
+/**
+ * Upper limit for the number of grid cells covering a polygon.
+ * The cell size grows with the polygon extent to stay below this limit.
+ * @type {number}
+ */
+const MAX_SURFACE_CELLS = 2500;
+
+/**
+ * Smallest grid cell size (m), finer than the usual terrain and mesh resolution.
+ * @type {number}
+ */
+const MIN_CELL_SIZE = 0.5;
+
+/**
+ * SurfaceArea – Areas of a polygon in the project CRS.
+ *
+ * - The projected area is the plane area of the vertices' x/y coordinates.
+ * - The draped area follows terrain and 3D tiles (mesh, buildings) inside the polygon:
+ *   a regular grid is laid over the polygon, heights are sampled at the grid nodes, and every
+ *   cell contributes the part of the polygon it covers, scaled by its slope.
+ *
+ * @class
+ *
+ * @static
+ * @method projected(cartesians) - Returns the projected area.
+ * @method draped(app, cartesians, options) - (async) Samples the draped surface area.
+ *
+ * @example
+ * const projected = SurfaceArea.projected(measurement.cartesians);
+ * const draped = await SurfaceArea.draped(app, measurement.cartesians);
+ */
+export class SurfaceArea {
+    /**
+     * Plane area of the polygon in the project CRS.
+     * @param {Cesium.Cartesian3[]} cartesians - Vertices of the polygon.
+     * @returns {number} Area in m².
+     */
+    static projected(cartesians) {
+        return planeArea(
+            cartesians.map(cartesian => cartesianToProjectCoord(cartesian)),
+        );
+    }
+
+    /**
+     * Samples the area of the terrain and 3D tiles surface inside the polygon.
+     * @async
+     * @param {any} app - The application instance.
+     * @param {Cesium.Cartesian3[]} cartesians - Vertices of the polygon.
+     * @param {object} [options]
+     * @param {number} [options.maxCells=2500] - Upper limit for the number of grid cells.
+     * @param {any[]} [options.exclude=[]] - Primitives, entities or features the surface heights are not sampled from.
+     * @returns {Promise<number>} Area in m².
+     */
+    static async draped(
+        app,
+        cartesians,
+        {maxCells = MAX_SURFACE_CELLS, exclude = []} = {},
+    ) {
+        const ring = cartesians.map(cartesian =>
+            cartesianToProjectCoord(cartesian),
+        );
+        const xs = ring.map(coord => coord[0]);
+        const ys = ring.map(coord => coord[1]);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+        const size = Math.max(
+            Math.sqrt((width * height) / maxCells),
+            MIN_CELL_SIZE,
+        );
+        const nx = Math.max(Math.ceil(width / size), 1);
+        const ny = Math.max(Math.ceil(height / size), 1);
+        const dx = width / nx;
+        const dy = height / ny;
+
+        // Cells with the part of the polygon they cover, and the grid nodes they need.
+        const cells = [];
+        const nodes = new Map();
+        for (let i = 0; i < nx; i++) {
+            for (let j = 0; j < ny; j++) {
+                const x = minX + i * dx;
+                const y = minY + j * dy;
+                const area = planeArea(clip(ring, x, y, x + dx, y + dy));
+                if (!area) continue;
+                const corners = [
+                    [i, j],
+                    [i + 1, j],
+                    [i + 1, j + 1],
+                    [i, j + 1],
+                ].map(([ci, cj]) => {
+                    const key = `${ci},${cj}`;
+                    if (!nodes.has(key)) {
+                        nodes.set(key, [minX + ci * dx, minY + cj * dy]);
+                    }
+                    return key;
+                });
+                cells.push({area, corners});
+            }
+        }
+
+        const heights = await sampleHeights(app, [...nodes.values()], exclude);
+        const keys = [...nodes.keys()];
+        const nodeHeights = new Map(keys.map((key, i) => [key, heights[i]]));
+
+        return cells.reduce((sum, {area, corners}) => {
+            const [a, b, c, d] = corners.map(key => [
+                ...nodes.get(key),
+                nodeHeights.get(key),
+            ]);
+            const slope =
+                (triangleArea(a, b, c) + triangleArea(a, c, d)) / (dx * dy);
+            return sum + area * slope;
+        }, 0);
+    }
+}
+
+/**
+ * Samples the height of the highest surface (terrain or 3D tiles) at project coordinates.
+ * @param {any} app
+ * @param {number[][]} coords - [x, y] in the project CRS.
+ * @param {any[]} exclude - Objects the surface heights are not sampled from.
+ * @returns {Promise<number[]>} Ellipsoidal heights.
+ */
+async function sampleHeights(app, coords, exclude) {
+    const cartographics = () =>
+        coords.map(coord => {
+            const [longitude, latitude] = projectCoordToDegrees(coord);
+            return Cartographic.fromDegrees(longitude, latitude);
+        });
+
+    let terrain = coords.map(() => 0);
+    if (app.viewer.terrainProvider.availability) {
+        terrain = (
+            await safeSampleTerrainMostDetailed(
+                app.viewer.terrainProvider,
+                cartographics(),
+            )
+        ).map(carto => carto.height);
+    }
+
+    const scene = app.viewer.scene;
+    if (!scene.sampleHeightSupported) return terrain;
+    const surface = await scene.sampleHeightMostDetailed(
+        cartographics(),
+        exclude,
+    );
+    return terrain.map((height, i) =>
+        Math.max(height, surface[i]?.height ?? -Infinity),
+    );
+}
+
+/**
+ * Plane area of a ring by the shoelace formula.
+ * @param {number[][]} ring - Vertices as [x, y, ...], not closed.
+ * @returns {number}
+ */
+function planeArea(ring) {
+    let sum = 0;
+    ring.forEach(([x1, y1], i) => {
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        sum += x1 * y2 - x2 * y1;
+    });
+    return Math.abs(sum) / 2;
+}
+
+/**
+ * Area of a triangle in 3D.
+ * @param {number[]} a - [x, y, z]
+ * @param {number[]} b
+ * @param {number[]} c
+ * @returns {number}
+ */
+function triangleArea(a, b, c) {
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    return (
+        Math.hypot(
+            u[1] * v[2] - u[2] * v[1],
+            u[2] * v[0] - u[0] * v[2],
+            u[0] * v[1] - u[1] * v[0],
+        ) / 2
+    );
+}
+
+/**
+ * Clips a ring to a rectangle (Sutherland–Hodgman).
+ * Concave rings may leave zero-width connections, which do not change the area.
+ * @param {number[][]} ring - Vertices as [x, y, ...], not closed.
+ * @param {number} minX
+ * @param {number} minY
+ * @param {number} maxX
+ * @param {number} maxY
+ * @returns {number[][]} The clipped ring as [x, y].
+ */
+function clip(ring, minX, minY, maxX, maxY) {
+    const edges = [
+        [0, minX, 1],
+        [0, maxX, -1],
+        [1, minY, 1],
+        [1, maxY, -1],
+    ];
+    let output = ring;
+    for (const [axis, value, sign] of edges) {
+        const input = output;
+        output = [];
+        const inside = p => (p[axis] - value) * sign >= 0;
+        input.forEach((current, i) => {
+            const previous = input[(i + input.length - 1) % input.length];
+            if (inside(current) !== inside(previous)) {
+                const t =
+                    (value - previous[axis]) / (current[axis] - previous[axis]);
+                output.push([
+                    previous[0] + t * (current[0] - previous[0]),
+                    previous[1] + t * (current[1] - previous[1]),
+                ]);
+            }
+            if (inside(current)) output.push([current[0], current[1]]);
+        });
+        if (!output.length) break;
+    }
+    return output;
+}
@@ -0,0 +1,315 @@
+import {
+    GeographicTilingScheme,
+    Math as CesiumMath,
+    UrlTemplateImageryProvider,
+    WebMercatorTilingScheme,
+} from '@cesium/engine';
+
+/**
+ * Link relations of the landing page pointing to the collections.
+ * @type {string[]}
+ */
+const REL_DATA = ['data', 'http://www.opengis.net/def/rel/ogc/1.0/data'];
+
+/**
+ * Link relation of a collection pointing to its map tilesets (OGC API – Tiles).
+ * @type {string}
+ */
+const REL_TILESETS_MAP = 'http://www.opengis.net/def/rel/ogc/1.0/tilesets-map';
+
+/**
+ * Link relation of a collection pointing to its map (OGC API – Maps).
+ * @type {string}
+ */
+const REL_MAP = 'http://www.opengis.net/def/rel/ogc/1.0/map';
+
+/**
+ * WGS84 with longitude first, the CRS of the map bbox.
+ * @type {string}
+ */
+const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+
+/**
+ * Tile matrix sets Cesium can display, in order of preference, with their tiling scheme.
+ * @type {Object<string, function(): Cesium.TilingScheme>}
+ */
+const TILING_SCHEMES = {
+    WebMercatorQuad: () => new WebMercatorTilingScheme(),
+    WorldCRS84Quad: () => new GeographicTilingScheme(),
+};
+
+/**
+ * Default paging limits, see {@link OGCAPIClient}.
+ * @type {{limit: number, maxFeatures: number}}
+ */
+const DEFAULT_OPTIONS = {
+    limit: 500,
+    maxFeatures: 2000,
+};
+
+/**
+ * OGCAPIClient – Client for services implementing OGC API – Features, – Tiles or – Maps.
+ *
+ * Resources are found through the links of the landing page and the collections,
+ * so only the landing page URL has to be known. Features are loaded as GeoJSON in WGS84,
+ * following the `next` links up to `maxFeatures`; map tiles and maps are returned as
+ * imagery providers.
+ *
+ * @class
+ *
+ * @param {string} url - Landing page of the service.
+ * @param {object} [options] - Paging limits.
+ *
+ * @example
+ * const client = new OGCAPIClient('https://example.com/ogcapi');
+ * const [collection] = await client.getCollections();
+ * const geojson = await client.getFeatures(collection.id, {
+ *     bbox: OGCAPIClient.bbox(viewer.camera.computeViewRectangle()),
+ * });
+ */
+export class OGCAPIClient {
+    /**
+     * @param {string} url - Landing page of the service.
+     * @param {object} [options]
+     * @param {number} [options.limit=500] - Features per page.
+     * @param {number} [options.maxFeatures=2000] - Upper limit of features loaded for one query.
+     */
+    constructor(url, options = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.options = {...DEFAULT_OPTIONS, ...options};
+        /** @type {OGCCollection[]|undefined} */
+        this.collections = undefined;
+    }
+
+    /**
+     * Reads all collections of the service.
+     * @returns {Promise<OGCCollection[]>}
+     */
+    async getCollections() {
+        const landing = await this.request(this.url);
+        const data = findLink(landing.links, REL_DATA);
+        const url = data
+            ? resolve(data.href, this.url)
+            : `${this.url}/collections`;
+        const {collections = []} = await this.request(url);
+
+        this.collections = collections.map(collection => {
+            const href = rel => {
+                const link = findLink(collection.links, rel);
+                return link ? resolve(link.href, url) : undefined;
+            };
+            return {
+                id: collection.id,
+                title: collection.title || collection.id,
+                items:
+                    href(['items']) ??
+                    (collection.itemType === 'feature'
+                        ? `${url}/${collection.id}/items`
+                        : undefined),
+                tilesets: href([REL_TILESETS_MAP]),
+                map: href([REL_MAP]),
+            };
+        });
+        return this.collections;
+    }
+
+    /**
+     * Returns a collection by id, requesting the collections if necessary.
+     * @param {string} id
+     * @returns {Promise<OGCCollection>}
+     */
+    async getCollection(id) {
+        const collections = this.collections ?? (await this.getCollections());
+        const collection = collections.find(c => c.id === id);
+        if (!collection) {
+            throw new Error(`Collection "${id}" not found at ${this.url}`);
+        }
+        return collection;
+    }
+
+    /**
+     * Loads the features of a collection, following the `next` links until
+     * all features or maxFeatures are loaded.
+     * @param {string} id - Collection id.
+     * @param {OGCFeatureQuery} [query]
+     * @returns {Promise<object>} GeoJSON FeatureCollection in WGS84
+     */
+    async getFeatures(id, query = {}) {
+        const {items} = await this.getCollection(id);
+        if (!items) {
+            throw new Error(`Collection "${id}" does not offer features`);
+        }
+        const {limit, maxFeatures} = this.options;
+        const {bbox, filter, filterLang, parameters, signal} = query;
+
+        const url = new URL(items);
+        const params = {
+            ...parameters,
+            limit: Math.min(limit, maxFeatures),
+        };
+        if (bbox) params.bbox = bbox.join(',');
+        if (filter) {
+            params.filter = filter;
+            params['filter-lang'] = filterLang ?? 'cql2-text';
+        }
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, String(value));
+        }
+
+        const collection = {type: 'FeatureCollection', features: []};
+        let next = url.href;
+        while (next && collection.features.length < maxFeatures) {
+            const page = await this.request(next, signal);
+            collection.features.push(...(page.features ?? []));
+            const link = findLink(page.links, ['next']);
+            next = link ? resolve(link.href, next) : undefined;
+        }
+        collection.features.length = Math.min(
+            collection.features.length,
+            maxFeatures,
+        );
+        return collection;
+    }
+
+    /**
+     * Creates an imagery provider for the map tiles of a collection.
+     * Only the WebMercatorQuad and WorldCRS84Quad tile matrix sets are supported.
+     * @param {string} id - Collection id.
+     * @param {object} [options] - Additional UrlTemplateImageryProvider options.
+     * @returns {Promise<UrlTemplateImageryProvider>}
+     */
+    async createTilesProvider(id, options = {}) {
+        const {tilesets} = await this.getCollection(id);
+        if (!tilesets) {
+            throw new Error(`Collection "${id}" does not offer map tiles`);
+        }
+        const list = (await this.request(tilesets)).tilesets ?? [];
+
+        for (const name of Object.keys(TILING_SCHEMES)) {
+            const tileset = list.find(t =>
+                (t.tileMatrixSetURI ?? t.tileMatrixSet ?? '').endsWith(name),
+            );
+            if (!tileset) continue;
+
+            let template = findLink(tileset.links, ['item']);
+            let base = tilesets;
+            const self = findLink(tileset.links, ['self']);
+            if (!template && self) {
+                // the tileset list may only link to the full tileset descriptions
+                base = resolve(self.href, base);
+                template = findLink((await this.request(base)).links, ['item']);
+            }
+            if (!template) continue;
+
+            return new UrlTemplateImageryProvider({
+                ...options,
+                url: resolve(template.href, base)
+                    .replace('{tileMatrix}', '{z}')
+                    .replace('{tileRow}', '{y}')
+                    .replace('{tileCol}', '{x}'),
+                tilingScheme: TILING_SCHEMES[name](),
+            });
+        }
+        throw new Error(
+            `Collection "${id}" has no tileset in ${Object.keys(TILING_SCHEMES).join(' or ')}`,
+        );
+    }
+
+    /**
+     * Creates an imagery provider which requests a map of the collection for each tile.
+     * @param {string} id - Collection id.
+     * @param {object} [options] - Additional UrlTemplateImageryProvider options.
+     * @returns {Promise<UrlTemplateImageryProvider>}
+     */
+    async createMapProvider(id, options = {}) {
+        const {map} = await this.getCollection(id);
+        if (!map) {
+            throw new Error(`Collection "${id}" does not offer a map`);
+        }
+        const separator = map.includes('?') ? '&' : '?';
+        return new UrlTemplateImageryProvider({
+            ...options,
+            url:
+                `${map}${separator}bbox={westDegrees},{southDegrees},{eastDegrees},{northDegrees}` +
+                `&bbox-crs=${encodeURIComponent(CRS84)}` +
+                '&width={width}&height={height}&transparent=true&f=png',
+            tilingScheme: new GeographicTilingScheme(),
+        });
+    }
+
+    /**
+     * Requests a JSON resource of the service.
+     * @param {string} url
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<object>}
+     */
+    async request(url, signal) {
+        const response = await fetch(url, {
+            signal,
+            headers: {Accept: 'application/geo+json, application/json'},
+        });
+        if (!response.ok) {
+            throw new Error(`${response.status}: ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Converts a rectangle in radians to an OGC API bbox in degrees.
+     * @param {Cesium.Rectangle|undefined} rectangle
+     * @returns {number[]|undefined}
+     */
+    static bbox(rectangle) {
+        if (!rectangle) return undefined;
+        return [
+            rectangle.west,
+            rectangle.south,
+            rectangle.east,
+            rectangle.north,
+        ].map(CesiumMath.toDegrees);
+    }
+}
+
+/**
+ * First link whose relation is one of the given ones.
+ * @param {object[]|undefined} links
+ * @param {string[]} rels
+ * @returns {{href: string, rel: string}|undefined}
+ */
+function findLink(links, rels) {
+    return links?.find(
+        link =>
+            rels.includes(link.rel) &&
+            (!link.type || /json|png|jpeg|webp/.test(link.type)),
+    );
+}
+
+/**
+ * Resolves a possibly relative link and keeps URI template braces unescaped.
+ * @param {string} href
+ * @param {string} base
+ * @returns {string}
+ */
+function resolve(href, base) {
+    return new URL(href, new URL(base, window.location.href)).href
+        .replaceAll('%7B', '{')
+        .replaceAll('%7D', '}');
+}
+
+/**
+ * @typedef {object} OGCCollection
+ * @property {string} id - Collection id.
+ * @property {string} title - Human readable title, falls back to the id.
+ * @property {string} [items] - URL of the features (OGC API – Features).
+ * @property {string} [tilesets] - URL of the map tilesets (OGC API – Tiles).
+ * @property {string} [map] - URL of the map resource (OGC API – Maps).
+ */
+
+/**
+ * @typedef {object} OGCFeatureQuery
+ * @property {number[]} [bbox] - [west, south, east, north] in degrees.
+ * @property {string} [filter] - CQL2 filter expression.
+ * @property {string} [filterLang='cql2-text'] - Language of the filter expression.
+ * @property {Object<string, string>} [parameters] - Additional query parameters, e.g. property filters.
+ * @property {AbortSignal} [signal] - Aborts the requests.
+ */
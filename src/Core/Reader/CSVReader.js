@@ -0,0 +1,196 @@
+/**
+ * Candidate column names (lower case) for the coordinate columns, in order of preference.
+ * @type {{x: string[], y: string[], z: string[]}}
+ */
+const COLUMN_NAMES = {
+    x: [
+        'x',
+        'lon',
+        'lng',
+        'long',
+        'longitude',
+        'laenge',
+        'länge',
+        'rechtswert',
+        'easting',
+        'east',
+        'ost',
+        'e',
+    ],
+    y: [
+        'y',
+        'lat',
+        'latitude',
+        'breite',
+        'hochwert',
+        'northing',
+        'north',
+        'nord',
+        'n',
+    ],
+    z: ['z', 'h', 'height', 'hoehe', 'höhe', 'elevation', 'alt', 'altitude'],
+};
+
+/**
+ * @typedef {object} CSVTable
+ * @property {string[]} columns - Header names; empty names are replaced by the column number.
+ * @property {string[][]} rows - Data rows with one string per column.
+ * @property {string} delimiter - Detected delimiter.
+ */
+
+/**
+ * @typedef {object} CSVColumnMapping
+ * @property {number} x - Column index of the x coordinate (easting or longitude).
+ * @property {number} y - Column index of the y coordinate (northing or latitude).
+ * @property {number} [z] - Column index of the height, -1 or undefined if there is none.
+ */
+
+/**
+ * CSVReader – Reads delimiter separated point lists.
+ *
+ * The delimiter (semicolon, comma or tab) is detected from the header line, quoted fields
+ * follow RFC 4180. Numbers may use a decimal comma, as written by spreadsheet programs
+ * with German locale.
+ *
+ * @class
+ *
+ * @example
+ * const reader = new CSVReader();
+ * const table = reader.read(await file.text());
+ * const mapping = reader.guessMapping(table.columns);
+ * const geojson = reader.toGeoJSON(table, mapping, projectCoordToDegrees);
+ */
+export class CSVReader {
+    /**
+     * Parse a CSV file with header line.
+     * @param {string} text - CSV file content.
+     * @returns {CSVTable}
+     * @throws {Error} If the file has no data rows.
+     */
+    read(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const header = text.slice(0, text.search(/\r?\n|$/));
+        const delimiter = [';', '\t', ','].reduce((best, d) =>
+            header.split(d).length > header.split(best).length ? d : best,
+        );
+
+        const [columns, ...rows] = this.parse(text, delimiter).filter(row =>
+            row.some(value => value.trim()),
+        );
+        if (!columns || rows.length === 0) {
+            throw new Error('CSV file has no data rows');
+        }
+        return {
+            columns: columns.map((c, i) => c.trim() || String(i + 1)),
+            rows,
+            delimiter,
+        };
+    }
+
+    /**
+     * Split the text into rows and fields.
+     * @param {string} text
+     * @param {string} delimiter
+     * @returns {string[][]}
+     */
+    parse(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Guess the coordinate columns from the header names.
+     * @param {string[]} columns
+     * @returns {CSVColumnMapping} Indices are -1 where no column matches.
+     */
+    guessMapping(columns) {
+        const names = columns.map(c => c.trim().toLowerCase());
+        const find = candidates => {
+            for (const candidate of candidates) {
+                const index = names.indexOf(candidate);
+                if (index !== -1) return index;
+            }
+            return -1;
+        };
+        return {
+            x: find(COLUMN_NAMES.x),
+            y: find(COLUMN_NAMES.y),
+            z: find(COLUMN_NAMES.z),
+        };
+    }
+
+    /**
+     * Convert the rows to GeoJSON points. All columns become properties;
+     * rows without valid coordinates are skipped.
+     * @param {CSVTable} table
+     * @param {CSVColumnMapping} mapping
+     * @param {function(number[]): number[]} [transform] - Converts [x, y] to [longitude, latitude].
+     * @returns {{type: 'FeatureCollection', features: object[]}}
+     */
+    toGeoJSON(table, mapping, transform = coordinate => coordinate) {
+        const {x, y, z = -1} = mapping;
+        const features = [];
+
+        for (const row of table.rows) {
+            const position = [this.number(row[x]), this.number(row[y])];
+            if (position.some(Number.isNaN)) continue;
+
+            const coordinates = transform(position);
+            const height = z >= 0 ? this.number(row[z]) : NaN;
+            if (!Number.isNaN(height)) coordinates.push(height);
+
+            features.push({
+                type: 'Feature',
+                geometry: {type: 'Point', coordinates},
+                properties: Object.fromEntries(
+                    table.columns.map((column, i) => [column, row[i] ?? '']),
+                ),
+            });
+        }
+        return {type: 'FeatureCollection', features};
+    }
+
+    /**
+     * Parse a number with decimal point or comma.
+     * @param {string|undefined} value
+     * @returns {number} NaN if the value is empty or not a number.
+     */
+    number(value) {
+        const text = value?.trim().replace(',', '.');
+        return text ? Number(text) : NaN;
+    }
+}
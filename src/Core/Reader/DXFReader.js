@@ -0,0 +1,251 @@
+/**
+ * @typedef {object} ImportedGeometry
+ * @property {string} name - Layer (DXF) or name property (GeoJSON) of the geometry.
+ * @property {string} mode - 'point', 'polyline' (open) or 'polygon' (closed).
+ * @property {Array<Array<number|undefined>>} coordinates - Vertices as [x, y, z]; z is undefined if the file has no height.
+ */
+
+/**
+ * Bit of the polyline flags (group code 70) marking a closed polyline.
+ * @type {number}
+ */
+const CLOSED_FLAG = 1;
+
+/**
+ * Bit of the vertex flags (group code 70) marking a spline frame control point.
+ * @type {number}
+ */
+const SPLINE_FRAME_FLAG = 16;
+
+/**
+ * DXFReader – Reads POINT, LINE, LWPOLYLINE and POLYLINE entities from an ASCII DXF file.
+ *
+ * The counterpart of {@link DXFExporter}: the result has the same shape as the exporter's input,
+ * with coordinates as written in the file (project CRS or local system). Other entities are skipped.
+ *
+ * @class
+ *
+ * @example
+ * const reader = new DXFReader();
+ * const geometries = reader.read(reader.decode(await file.arrayBuffer()));
+ * // [{name: 'Messung 1', mode: 'polygon', coordinates: [[x, y, z], ...]}]
+ */
+export class DXFReader {
+    /**
+     * Parse the entities of a DXF file.
+     * @param {string} text - DXF file content.
+     * @returns {ImportedGeometry[]}
+     * @throws {Error} If the file has no ENTITIES section.
+     */
+    read(text) {
+        const entities = this.readEntities(text);
+        const geometries = [];
+
+        for (let i = 0; i < entities.length; i++) {
+            const entity = entities[i];
+            switch (entity.type) {
+                case 'POINT':
+                    geometries.push({
+                        name: entity.get(8),
+                        mode: 'point',
+                        coordinates: [this.vertex(entity, 10, 20, 30)],
+                    });
+                    break;
+                case 'LINE':
+                    geometries.push({
+                        name: entity.get(8),
+                        mode: 'polyline',
+                        coordinates: [
+                            this.vertex(entity, 10, 20, 30),
+                            this.vertex(entity, 11, 21, 31),
+                        ],
+                    });
+                    break;
+                case 'LWPOLYLINE':
+                    geometries.push(
+                        this.createPolyline(
+                            entity.get(8),
+                            this.readLightweightVertices(entity),
+                            Number(entity.get(70) ?? 0) & CLOSED_FLAG,
+                        ),
+                    );
+                    break;
+                case 'POLYLINE': {
+                    const elevation = this.number(entity.get(30));
+                    const coordinates = [];
+                    while (entities[i + 1]?.type === 'VERTEX') {
+                        const vertex = entities[++i];
+                        if (Number(vertex.get(70) ?? 0) & SPLINE_FRAME_FLAG) {
+                            continue;
+                        }
+                        const [x, y, z] = this.vertex(vertex, 10, 20, 30);
+                        coordinates.push([x, y, z ?? elevation]);
+                    }
+                    if (entities[i + 1]?.type === 'SEQEND') i++;
+                    geometries.push(
+                        this.createPolyline(
+                            entity.get(8),
+                            coordinates,
+                            Number(entity.get(70) ?? 0) & CLOSED_FLAG,
+                        ),
+                    );
+                    break;
+                }
+            }
+        }
+
+        return geometries.filter(
+            geometry =>
+                geometry.coordinates.length > 0 &&
+                geometry.coordinates.every(
+                    ([x, y]) => Number.isFinite(x) && Number.isFinite(y),
+                ),
+        );
+    }
+
+    /**
+     * Decode the bytes of a DXF file. Files up to AutoCAD 2004 are in the code page of
+     * `$DWGCODEPAGE` (ANSI_1252 if missing and the file is no valid UTF-8), later ones in UTF-8.
+     * `\U+XXXX` escapes are replaced by their characters.
+     * @param {ArrayBuffer} buffer - DXF file content.
+     * @returns {string}
+     */
+    decode(buffer) {
+        const header = new TextDecoder('latin1').decode(buffer.slice(0, 4096));
+        const version = header.match(/\$ACADVER\s+1\s+AC(\d+)/)?.[1];
+        const codePage = header.match(/\$DWGCODEPAGE\s+3\s+ANSI_(\d+)/)?.[1];
+
+        let text;
+        if (Number(version) >= 1021) {
+            text = new TextDecoder().decode(buffer);
+        } else if (codePage) {
+            text = new TextDecoder(`windows-${codePage}`).decode(buffer);
+        } else {
+            try {
+                text = new TextDecoder('utf-8', {fatal: true}).decode(buffer);
+            } catch {
+                text = new TextDecoder('windows-1252').decode(buffer);
+            }
+        }
+        return text.replace(/\\U\+([0-9A-Fa-f]{4})/g, (_, hex) =>
+            String.fromCharCode(parseInt(hex, 16)),
+        );
+    }
+
+    /**
+     * Read the local origin written by {@link DXFExporter} as `999 ORIGIN x y z` comment.
+     * @param {string} text - DXF file content.
+     * @returns {number[]|undefined} Project coordinates of the origin, undefined if the file has none.
+     */
+    readOrigin(text) {
+        const match = text.match(/^\s*999\r?\nORIGIN (\S+) (\S+) (\S+)\s*$/m);
+        const origin = match?.slice(1).map(Number);
+        return origin?.every(Number.isFinite) ? origin : undefined;
+    }
+
+    /**
+     * Split the ENTITIES section into entities with their group codes.
+     * @param {string} text - DXF file content.
+     * @returns {{type: string, pairs: Array<[number, string]>, get: function(number): string|undefined}[]}
+     * @throws {Error} If the file has no ENTITIES section.
+     */
+    readEntities(text) {
+        const lines = text.split(/\r?\n/);
+        const pairs = [];
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            pairs.push([parseInt(lines[i].trim(), 10), lines[i + 1].trim()]);
+        }
+
+        const start = pairs.findIndex(
+            ([code, value], index) =>
+                code === 2 &&
+                value === 'ENTITIES' &&
+                pairs[index - 1]?.[1] === 'SECTION',
+        );
+        if (start < 0) throw new Error('DXF file without ENTITIES section');
+
+        const entities = [];
+        for (const [code, value] of pairs.slice(start + 1)) {
+            if (code === 0) {
+                if (value === 'ENDSEC') break;
+                const entity = {type: value, pairs: []};
+                entity.get = groupCode =>
+                    entity.pairs.find(([c]) => c === groupCode)?.[1];
+                entities.push(entity);
+            } else {
+                entities[entities.length - 1]?.pairs.push([code, value]);
+            }
+        }
+        return entities;
+    }
+
+    /**
+     * Read the vertices of a LWPOLYLINE. Each group code 10 starts a new vertex.
+     * @param {{pairs: Array<[number, string]>, get: function(number): string|undefined}} entity
+     * @returns {Array<Array<number|undefined>>}
+     */
+    readLightweightVertices(entity) {
+        const elevation = this.number(entity.get(38));
+        const coordinates = [];
+        for (const [code, value] of entity.pairs) {
+            if (code === 10) {
+                coordinates.push([Number(value), undefined, elevation]);
+            } else if (code === 20 && coordinates.length) {
+                coordinates[coordinates.length - 1][1] = Number(value);
+            }
+        }
+        return coordinates;
+    }
+
+    /**
+     * Create a polyline or, if closed, a polygon geometry.
+     * A repeated first vertex at the end also closes the polyline.
+     * @param {string} name - Layer name.
+     * @param {Array<Array<number|undefined>>} coordinates
+     * @param {number} closed - Closed flag.
+     * @returns {ImportedGeometry}
+     */
+    createPolyline(name, coordinates, closed) {
+        const first = coordinates[0];
+        const last = coordinates[coordinates.length - 1];
+        if (
+            coordinates.length > 1 &&
+            first[0] === last[0] &&
+            first[1] === last[1] &&
+            first[2] === last[2]
+        ) {
+            coordinates = coordinates.slice(0, -1);
+            closed = 1;
+        }
+        return {
+            name: name,
+            mode: closed && coordinates.length >= 3 ? 'polygon' : 'polyline',
+            coordinates: coordinates,
+        };
+    }
+
+    /**
+     * Read a vertex from the given group codes.
+     * @param {{get: function(number): string|undefined}} entity
+     * @param {number} xCode
+     * @param {number} yCode
+     * @param {number} zCode
+     * @returns {Array<number|undefined>}
+     */
+    vertex(entity, xCode, yCode, zCode) {
+        return [
+            Number(entity.get(xCode)),
+            Number(entity.get(yCode)),
+            this.number(entity.get(zCode)),
+        ];
+    }
+
+    /**
+     * Convert a group value to a number, keeping missing values undefined.
+     * @param {string|undefined} value
+     * @returns {number|undefined}
+     */
+    number(value) {
+        return value === undefined ? undefined : Number(value);
+    }
+}
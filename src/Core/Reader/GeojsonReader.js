@@ -0,0 +1,133 @@
+/**
+ * GeojsonReader – Reads Point, LineString and Polygon geometries from GeoJSON.
+ *
+ * The counterpart of the {@link GeojsonFeatureCollection} writer. Multi-geometries and
+ * geometry collections are split into their parts; of polygons only the outer ring is kept.
+ * The result has the same shape as the output of {@link DXFReader}, with coordinates as written
+ * in the file. The CRS is taken from the (pre RFC 7946) `crs` member, WGS84 otherwise.
+ *
+ * @class
+ *
+ * @example
+ * const reader = new GeojsonReader();
+ * const geometries = reader.read(await file.text());
+ * if (reader.epsg === 25832) { ... }
+ */
+export class GeojsonReader {
+    /**
+     * Parse a GeoJSON object or text.
+     * @param {string|object} json - GeoJSON FeatureCollection, Feature or geometry.
+     * @returns {ImportedGeometry[]}
+     * @throws {Error} If the input is not valid JSON.
+     */
+    read(json) {
+        if (typeof json === 'string') json = JSON.parse(json);
+
+        /**
+         * EPSG code of the coordinates, 4326 if the file has no `crs` member.
+         * @type {number}
+         */
+        this.epsg = this.readEPSG(json?.crs) ?? 4326;
+
+        const geometries = [];
+        const features =
+            json?.type === 'FeatureCollection'
+                ? (json.features ?? [])
+                : json?.type === 'Feature'
+                  ? [json]
+                  : [{geometry: json}];
+        features.forEach(feature => {
+            const properties = feature?.properties ?? {};
+            const name = properties.Name ?? properties.name ?? properties.title;
+            this.readGeometry(feature?.geometry, name, geometries);
+        });
+        return geometries;
+    }
+
+    /**
+     * Split a geometry into points, polylines and polygons.
+     * @param {object} geometry
+     * @param {string|undefined} name - Name of the feature.
+     * @param {ImportedGeometry[]} geometries - Collects the result.
+     */
+    readGeometry(geometry, name, geometries) {
+        const coordinates = geometry?.coordinates;
+        switch (geometry?.type) {
+            case 'Point':
+                geometries.push({
+                    name,
+                    mode: 'point',
+                    coordinates: [coordinates],
+                });
+                break;
+            case 'MultiPoint':
+                coordinates.forEach(point =>
+                    geometries.push({
+                        name,
+                        mode: 'point',
+                        coordinates: [point],
+                    }),
+                );
+                break;
+            case 'LineString':
+                geometries.push({name, mode: 'polyline', coordinates});
+                break;
+            case 'MultiLineString':
+                coordinates.forEach(line =>
+                    geometries.push({
+                        name,
+                        mode: 'polyline',
+                        coordinates: line,
+                    }),
+                );
+                break;
+            case 'Polygon':
+                geometries.push(this.readPolygon(coordinates, name));
+                break;
+            case 'MultiPolygon':
+                coordinates.forEach(polygon =>
+                    geometries.push(this.readPolygon(polygon, name)),
+                );
+                break;
+            case 'GeometryCollection':
+                geometry.geometries?.forEach(part =>
+                    this.readGeometry(part, name, geometries),
+                );
+                break;
+        }
+    }
+
+    /**
+     * Read the outer ring of a polygon without its closing vertex.
+     * @param {number[][][]} rings
+     * @param {string|undefined} name
+     * @returns {ImportedGeometry}
+     */
+    readPolygon(rings, name) {
+        const ring = rings?.[0] ?? [];
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        const closed =
+            ring.length > 1 && first.every((value, i) => value === last[i]);
+        return {
+            name: name,
+            mode: 'polygon',
+            coordinates: closed ? ring.slice(0, -1) : ring,
+        };
+    }
+
+    /**
+     * Read the EPSG code of a named CRS, e.g. `urn:ogc:def:crs:EPSG::25832`, `EPSG:25832`
+     * or `http://www.opengis.net/def/crs/EPSG/0/25832`.
+     * CRS84 is returned as 4326.
+     * @param {object} [crs] - The `crs` member of the GeoJSON.
+     * @returns {number|undefined}
+     */
+    readEPSG(crs) {
+        const name = crs?.properties?.name;
+        if (typeof name !== 'string') return;
+        if (/CRS84$/i.test(name)) return 4326;
+        const match = name.match(/EPSG(?::+|\/[\d.]+\/)(\d+)$/i);
+        return match ? Number(match[1]) : undefined;
+    }
+}
@@ -0,0 +1,272 @@
+import {Cartesian3, Matrix4, Quaternion} from '@cesium/engine';
+
+/**
+ * Magic number at the start of a binary glTF file ("glTF").
+ * @type {number}
+ */
+const GLB_MAGIC = 0x46546c67;
+
+/**
+ * Chunk type of the JSON chunk of a binary glTF file.
+ * @type {number}
+ */
+const CHUNK_JSON = 0x4e4f534a;
+
+/**
+ * Chunk type of the binary buffer chunk of a binary glTF file.
+ * @type {number}
+ */
+const CHUNK_BIN = 0x004e4942;
+
+/**
+ * Typed array and byte size per accessor component type.
+ * @type {Object<number, {type: Function, size: number}>}
+ */
+const COMPONENT_TYPES = {
+    5120: {type: Int8Array, size: 1},
+    5121: {type: Uint8Array, size: 1},
+    5122: {type: Int16Array, size: 2},
+    5123: {type: Uint16Array, size: 2},
+    5125: {type: Uint32Array, size: 4},
+    5126: {type: Float32Array, size: 4},
+};
+
+/**
+ * Primitive modes (topologies) as number of vertices per simplex and the step between simplices.
+ * Points, line loops and triangle fans are skipped.
+ * @type {Object<number, {size: number, step: number}>}
+ */
+const PRIMITIVE_MODES = {
+    1: {size: 2, step: 2}, // LINES
+    3: {size: 2, step: 1}, // LINE_STRIP
+    4: {size: 3, step: 3}, // TRIANGLES
+    5: {size: 3, step: 1}, // TRIANGLE_STRIP
+};
+
+/**
+ * Mesh extensions whose positions cannot be read as plain float accessors.
+ * @type {string[]}
+ */
+const COMPRESSION_EXTENSIONS = [
+    'KHR_draco_mesh_compression',
+    'EXT_meshopt_compression',
+    'KHR_mesh_quantization',
+];
+
+/**
+ * GltfReader – Reads the triangles and lines of a glTF 2.0 model (.glb or .gltf).
+ *
+ * The meshes of the default scene are placed with their node transforms, so the result is
+ * in the coordinate system of the glTF scene (Y up). Placing it in the world additionally
+ * takes the model matrix and the axis correction that `Cesium.Model` applies.
+ * Buffers must be embedded (binary chunk or data URIs); compressed or quantized meshes
+ * are not supported.
+ *
+ * @class
+ *
+ * @example
+ * const reader = new GltfReader();
+ * const simplices = reader.read(await (await fetch(url)).arrayBuffer());
+ * // [[[x, y, z], [x, y, z], [x, y, z]], ...]
+ */
+export class GltfReader {
+    /**
+     * Parse the geometry of a glTF file.
+     * @param {ArrayBuffer} buffer - Content of a .glb or .gltf file.
+     * @returns {number[][][]} Triangles and segments as arrays of [x, y, z] vertices.
+     * @throws {Error} If the file is no glTF 2.0, has external buffers or compressed meshes.
+     */
+    read(buffer) {
+        const {json, bin} = this.readContainer(buffer);
+        const used = [
+            ...(json.extensionsRequired ?? []),
+            ...(json.extensionsUsed ?? []),
+        ];
+        const unsupported = COMPRESSION_EXTENSIONS.find(name =>
+            used.includes(name),
+        );
+        if (unsupported) throw new Error(`Unsupported glTF: ${unsupported}`);
+
+        const buffers = (json.buffers ?? []).map((entry, i) =>
+            this.readBuffer(entry, i === 0 ? bin : undefined),
+        );
+
+        const simplices = [];
+        const scene = json.scenes?.[json.scene ?? 0];
+        const roots = scene?.nodes ?? (json.nodes ?? []).map((_, i) => i);
+        const visit = (index, parent) => {
+            const node = json.nodes[index];
+            const transform = Matrix4.multiply(
+                parent,
+                this.nodeMatrix(node),
+                new Matrix4(),
+            );
+            if (node.mesh !== undefined) {
+                for (const primitive of json.meshes[node.mesh].primitives) {
+                    // Appended one by one, spreading large meshes overflows the stack.
+                    this.readPrimitive(
+                        json,
+                        buffers,
+                        primitive,
+                        transform,
+                    ).forEach(simplex => simplices.push(simplex));
+                }
+            }
+            (node.children ?? []).forEach(child => visit(child, transform));
+        };
+        roots.forEach(root => visit(root, Matrix4.IDENTITY));
+        return simplices;
+    }
+
+    /**
+     * Splits a file into its glTF JSON and, for .glb, the binary chunk.
+     * @param {ArrayBuffer} buffer
+     * @returns {{json: object, bin: Uint8Array|undefined}}
+     * @throws {Error} If the file is no glTF 2.0.
+     */
+    readContainer(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 12 || view.getUint32(0, true) !== GLB_MAGIC) {
+            const json = JSON.parse(new TextDecoder().decode(buffer));
+            if (!json.asset?.version?.startsWith('2')) {
+                throw new Error('Unsupported glTF version');
+            }
+            return {json, bin: undefined};
+        }
+        if (view.getUint32(4, true) !== 2) {
+            throw new Error('Unsupported glTF version');
+        }
+
+        let json;
+        let bin;
+        for (let offset = 12; offset + 8 <= view.byteLength; ) {
+            const length = view.getUint32(offset, true);
+            const type = view.getUint32(offset + 4, true);
+            const data = new Uint8Array(buffer, offset + 8, length);
+            if (type === CHUNK_JSON) {
+                json = JSON.parse(new TextDecoder().decode(data));
+            } else if (type === CHUNK_BIN) {
+                bin = data;
+            }
+            offset += 8 + length;
+        }
+        if (!json) throw new Error('glTF without JSON chunk');
+        return {json, bin};
+    }
+
+    /**
+     * Bytes of a glTF buffer.
+     * @param {object} entry - Entry of `buffers`.
+     * @param {Uint8Array} [bin] - Binary chunk of a .glb file.
+     * @returns {Uint8Array}
+     * @throws {Error} If the buffer is an external file.
+     */
+    readBuffer(entry, bin) {
+        if (entry.uri === undefined) {
+            if (!bin) throw new Error('glTF buffer without data');
+            return bin;
+        }
+        const match = /^data:[^,]*;base64,(.*)$/.exec(entry.uri);
+        if (!match) throw new Error('External glTF buffers are not supported');
+        return Uint8Array.from(atob(match[1]), c => c.charCodeAt(0));
+    }
+
+    /**
+     * Local transform of a node, from its matrix or its translation, rotation and scale.
+     * @param {object} node
+     * @returns {Matrix4}
+     */
+    nodeMatrix(node) {
+        if (node.matrix) return Matrix4.fromArray(node.matrix);
+        return Matrix4.fromTranslationQuaternionRotationScale(
+            Cartesian3.fromArray(node.translation ?? [0, 0, 0]),
+            Quaternion.unpack(node.rotation ?? [0, 0, 0, 1]),
+            Cartesian3.fromArray(node.scale ?? [1, 1, 1]),
+        );
+    }
+
+    /**
+     * Simplices of a mesh primitive, transformed into the scene.
+     * @param {object} json - The glTF JSON.
+     * @param {Uint8Array[]} buffers
+     * @param {object} primitive
+     * @param {Matrix4} transform - Transform of the node to the scene.
+     * @returns {number[][][]}
+     */
+    readPrimitive(json, buffers, primitive, transform) {
+        const mode = PRIMITIVE_MODES[primitive.mode ?? 4];
+        const positionIndex = primitive.attributes?.POSITION;
+        if (!mode || positionIndex === undefined) return [];
+
+        const positions = this.readAccessor(json, buffers, positionIndex);
+        const vertices = [];
+        const scratch = new Cartesian3();
+        for (let i = 0; i < positions.length; i += 3) {
+            Cartesian3.fromArray(positions, i, scratch);
+            Matrix4.multiplyByPoint(transform, scratch, scratch);
+            vertices.push([scratch.x, scratch.y, scratch.z]);
+        }
+        const indices =
+            primitive.indices !== undefined
+                ? this.readAccessor(json, buffers, primitive.indices)
+                : vertices.map((_, i) => i);
+
+        const simplices = [];
+        for (let i = 0; i + mode.size <= indices.length; i += mode.step) {
+            simplices.push(
+                Array.from(
+                    {length: mode.size},
+                    (_, j) => vertices[indices[i + j]],
+                ),
+            );
+        }
+        return simplices;
+    }
+
+    /**
+     * Values of an accessor as flat array, honouring the byte stride of its buffer view.
+     * @param {object} json - The glTF JSON.
+     * @param {Uint8Array[]} buffers
+     * @param {number} index - Index of the accessor.
+     * @returns {number[]|ArrayLike<number>}
+     * @throws {Error} If the accessor has no buffer view.
+     */
+    readAccessor(json, buffers, index) {
+        const accessor = json.accessors[index];
+        if (accessor.bufferView === undefined) {
+            throw new Error('Sparse glTF accessors are not supported');
+        }
+        const view = json.bufferViews[accessor.bufferView];
+        const {type, size} = COMPONENT_TYPES[accessor.componentType];
+        const components = {SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4}[
+            accessor.type
+        ];
+        const bytes = buffers[view.buffer];
+        const offset =
+            bytes.byteOffset +
+            (view.byteOffset ?? 0) +
+            (accessor.byteOffset ?? 0);
+        const stride = view.byteStride ?? components * size;
+
+        if (stride === components * size && offset % size === 0) {
+            return new type(bytes.buffer, offset, accessor.count * components);
+        }
+        const data = new DataView(bytes.buffer);
+        const getters = {
+            5120: 'getInt8',
+            5121: 'getUint8',
+            5122: 'getInt16',
+            5123: 'getUint16',
+            5125: 'getUint32',
+            5126: 'getFloat32',
+        };
+        const get = getters[accessor.componentType];
+        const values = [];
+        for (let i = 0; i < accessor.count; i++) {
+            for (let j = 0; j < components; j++) {
+                values.push(data[get](offset + i * stride + j * size, true));
+            }
+        }
+        return values;
+    }
+}
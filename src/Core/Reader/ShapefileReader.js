@@ -0,0 +1,324 @@
+import * as zip from '@zip.js/zip.js';
+
+/**
+ * Shape types by geometry, including the Z and M variants.
+ * @type {{point: number[], multipoint: number[], polyline: number[], polygon: number[]}}
+ */
+const SHAPE_TYPES = {
+    point: [1, 11, 21],
+    multipoint: [8, 18, 28],
+    polyline: [3, 13, 23],
+    polygon: [5, 15, 25],
+};
+
+/**
+ * Shape types with a Z array after the x/y coordinates.
+ * @type {number[]}
+ */
+const Z_TYPES = [11, 13, 15, 18];
+
+/**
+ * Character encodings of the dBASE language driver ids, if the shapefile has no .cpg.
+ * @type {Object<number, string>}
+ */
+const LANGUAGE_DRIVERS = {0x03: 'windows-1252', 0x57: 'windows-1252'};
+
+/**
+ * @typedef {object} ShapefileSource
+ * @property {ArrayBuffer} shp - Content of the .shp file.
+ * @property {ArrayBuffer} [dbf] - Content of the .dbf file.
+ * @property {string} [prj] - WKT of the .prj file.
+ * @property {string} [cpg] - Encoding name of the .cpg file.
+ */
+
+/**
+ * @typedef {object} ReadShapefile
+ * @property {string} name - File name without extension.
+ * @property {{type: 'FeatureCollection', features: object[]}} geojson - Features with coordinates as written in the file.
+ * @property {string} [prj] - WKT of the coordinate system, if the shapefile has a .prj.
+ */
+
+/**
+ * ShapefileReader – Reads ESRI Shapefiles into GeoJSON.
+ *
+ * The counterpart of {@link ShapefileExporter}. Points, multipoints, polylines and polygons with
+ * or without Z are supported; M values are dropped. Polygon rings are grouped by orientation:
+ * every clockwise ring starts a new polygon, counterclockwise rings are holes of the previous one.
+ * Attributes are taken from the .dbf, decoded with the encoding of the .cpg.
+ *
+ * @class
+ *
+ * @example
+ * const [{name, geojson, prj}] = await new ShapefileReader().readZip(file);
+ */
+export class ShapefileReader {
+    /**
+     * Reads all shapefiles of a zip archive.
+     * @param {Blob} blob - The zip file.
+     * @returns {Promise<ReadShapefile[]>}
+     * @throws {Error} If the archive contains no .shp file.
+     */
+    async readZip(blob) {
+        const reader = new zip.ZipReader(new zip.BlobReader(blob));
+        const sources = {};
+        try {
+            for (const entry of await reader.getEntries()) {
+                const match = entry.filename.match(
+                    /^(.*)\.(shp|dbf|prj|cpg)$/i,
+                );
+                if (entry.directory || !match) continue;
+                const [, base, extension] = match;
+                const type = extension.toLowerCase();
+                sources[base] ??= {};
+                sources[base][type] =
+                    type === 'prj' || type === 'cpg'
+                        ? await entry.getData(new zip.TextWriter())
+                        : (await entry.getData(new zip.Uint8ArrayWriter()))
+                              .buffer;
+            }
+        } finally {
+            await reader.close();
+        }
+
+        const shapefiles = Object.entries(sources)
+            .filter(([, source]) => source.shp)
+            .map(([base, source]) => ({
+                name: base.split('/').pop(),
+                geojson: this.read(source),
+                prj: source.prj,
+            }));
+        if (shapefiles.length === 0) {
+            throw new Error('The archive contains no shapefile');
+        }
+        return shapefiles;
+    }
+
+    /**
+     * Reads one shapefile.
+     * @param {ShapefileSource} source
+     * @returns {{type: 'FeatureCollection', features: object[]}}
+     */
+    read(source) {
+        const geometries = this.readShapes(source.shp);
+        const records = source.dbf
+            ? this.readTable(source.dbf, source.cpg)
+            : [];
+        return {
+            type: 'FeatureCollection',
+            features: geometries.map((geometry, i) => ({
+                type: 'Feature',
+                geometry,
+                properties: records[i] ?? {},
+            })),
+        };
+    }
+
+    /**
+     * Reads the geometries of the .shp file.
+     * @param {ArrayBuffer} buffer
+     * @returns {Array<object|null>} GeoJSON geometries, null for null shapes.
+     */
+    readShapes(buffer) {
+        const view = new DataView(buffer);
+        const fileLength = Math.min(view.getInt32(24) * 2, buffer.byteLength);
+        const geometries = [];
+
+        let offset = 100;
+        while (offset + 8 <= fileLength) {
+            const contentLength = view.getInt32(offset + 4) * 2;
+            geometries.push(this.readShape(view, offset + 8));
+            offset += 8 + contentLength;
+        }
+        return geometries;
+    }
+
+    /**
+     * Reads one record of the .shp file.
+     * @param {DataView} view
+     * @param {number} offset - Start of the record content.
+     * @returns {object|null}
+     */
+    readShape(view, offset) {
+        const type = view.getInt32(offset, true);
+        const hasZ = Z_TYPES.includes(type);
+        const double = position => view.getFloat64(position, true);
+
+        if (SHAPE_TYPES.point.includes(type)) {
+            const coordinates = [double(offset + 4), double(offset + 12)];
+            if (hasZ) coordinates.push(double(offset + 20));
+            return {type: 'Point', coordinates};
+        }
+
+        let numParts = 1;
+        let partsOffset;
+        let numPoints;
+        let pointsOffset;
+        if (SHAPE_TYPES.multipoint.includes(type)) {
+            numPoints = view.getInt32(offset + 36, true);
+            pointsOffset = offset + 40;
+        } else if (
+            SHAPE_TYPES.polyline.includes(type) ||
+            SHAPE_TYPES.polygon.includes(type)
+        ) {
+            numParts = view.getInt32(offset + 36, true);
+            numPoints = view.getInt32(offset + 40, true);
+            partsOffset = offset + 44;
+            pointsOffset = partsOffset + 4 * numParts;
+        } else {
+            return null;
+        }
+
+        // the Z array follows the points and the Z range
+        const zOffset = pointsOffset + 16 * numPoints + 16;
+        const points = [];
+        for (let i = 0; i < numPoints; i++) {
+            const point = [
+                double(pointsOffset + 16 * i),
+                double(pointsOffset + 16 * i + 8),
+            ];
+            if (hasZ) point.push(double(zOffset + 8 * i));
+            points.push(point);
+        }
+
+        if (partsOffset === undefined) {
+            return {type: 'MultiPoint', coordinates: points};
+        }
+        const parts = [];
+        for (let i = 0; i < numParts; i++) {
+            const start = view.getInt32(partsOffset + 4 * i, true);
+            const end =
+                i + 1 < numParts
+                    ? view.getInt32(partsOffset + 4 * (i + 1), true)
+                    : numPoints;
+            parts.push(points.slice(start, end));
+        }
+
+        if (SHAPE_TYPES.polyline.includes(type)) {
+            return parts.length === 1
+                ? {type: 'LineString', coordinates: parts[0]}
+                : {type: 'MultiLineString', coordinates: parts};
+        }
+
+        const polygons = [];
+        for (const ring of parts) {
+            if (this.isClockwise(ring) || polygons.length === 0) {
+                polygons.push([ring]);
+            } else {
+                polygons[polygons.length - 1].push(ring);
+            }
+        }
+        return polygons.length === 1
+            ? {type: 'Polygon', coordinates: polygons[0]}
+            : {type: 'MultiPolygon', coordinates: polygons};
+    }
+
+    /**
+     * Whether a ring is clockwise (outer ring in shapefiles), by the sign of its area.
+     * @param {number[][]} ring
+     * @returns {boolean}
+     */
+    isClockwise(ring) {
+        let sum = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            sum +=
+                (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+        }
+        return sum > 0;
+    }
+
+    /**
+     * Reads the records of the dBASE table.
+     * @param {ArrayBuffer} buffer
+     * @param {string} [cpg] - Content of the .cpg file.
+     * @returns {Array<Object<string, string|number|boolean|null>>}
+     */
+    readTable(buffer, cpg) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const numRecords = view.getUint32(4, true);
+        const headerLength = view.getUint16(8, true);
+        const recordLength = view.getUint16(10, true);
+        const decoder = this.decoder(cpg, bytes[29]);
+
+        const fields = [];
+        let position = 1;
+        for (let offset = 32; bytes[offset] !== 0x0d; offset += 32) {
+            if (offset + 32 > headerLength) break;
+            const nameBytes = bytes.subarray(offset, offset + 11);
+            const end = nameBytes.indexOf(0);
+            fields.push({
+                name: decoder.decode(
+                    nameBytes.subarray(0, end === -1 ? 11 : end),
+                ),
+                type: String.fromCharCode(bytes[offset + 11]),
+                offset: position,
+                length: bytes[offset + 16],
+            });
+            position += bytes[offset + 16];
+        }
+
+        const records = [];
+        for (let i = 0; i < numRecords; i++) {
+            const start = headerLength + i * recordLength;
+            if (start + recordLength > bytes.length) break;
+            const record = {};
+            for (const field of fields) {
+                const text = decoder
+                    .decode(
+                        bytes.subarray(
+                            start + field.offset,
+                            start + field.offset + field.length,
+                        ),
+                    )
+                    .trim();
+                record[field.name] = this.value(field.type, text);
+            }
+            records.push(record);
+        }
+        return records;
+    }
+
+    /**
+     * Converts the text of a dBASE field to a value of its type.
+     * @param {string} type - dBASE field type (C, N, F, L, D, …).
+     * @param {string} text - Trimmed field content.
+     * @returns {string|number|boolean|null}
+     */
+    value(type, text) {
+        switch (type) {
+            case 'N':
+            case 'F':
+                return text === '' || Number.isNaN(Number(text))
+                    ? null
+                    : Number(text);
+            case 'L':
+                return text === '' || text === '?'
+                    ? null
+                    : /^[TtYy]$/.test(text);
+            case 'D':
+                return text.length === 8
+                    ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6)}`
+                    : text;
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Creates the text decoder for the dBASE table.
+     * @param {string} [cpg] - Encoding name of the .cpg file.
+     * @param {number} languageDriver - Language driver id of the dBASE header.
+     * @returns {TextDecoder}
+     */
+    decoder(cpg, languageDriver) {
+        const label = cpg?.trim();
+        const encoding = /^\d+$/.test(label ?? '')
+            ? `windows-${label}`
+            : label || LANGUAGE_DRIVERS[languageDriver] || 'utf-8';
+        try {
+            return new TextDecoder(encoding);
+        } catch {
+            return new TextDecoder('utf-8');
+        }
+    }
+}
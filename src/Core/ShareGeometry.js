@@ -0,0 +1,206 @@
+import {Cartesian3} from '@cesium/engine';
+import {AddExcavationPit} from './ExcavationPit.js';
+import {AddMeasurement} from './Measurement/MeasurementCommands.js';
+import {MeasurementFactory} from './Measurement/MeasurementFactory.js';
+
+/**
+ * Single character codes of the shared geometry types.
+ * Measurement types are the keys used by {@link MeasurementFactory}.
+ * @type {Object<string, string>}
+ */
+const TYPE_CODES = {
+    polygon: 'a',
+    line: 'l',
+    height: 'h',
+    point: 'p',
+    angle: 'w',
+    coordinates: 'k',
+    pit: 'e',
+};
+
+/**
+ * Coordinates and depths are stored in centimeters.
+ * @type {number}
+ */
+const SCALE = 100;
+
+const ITEM_SEPARATOR = '~';
+const VALUE_SEPARATOR = '.';
+
+/**
+ * Encodes the visible measurements and excavation pits into a compact,
+ * URL safe string.
+ *
+ * Every item is written as its type code followed by its values, separated by
+ * dots: pits carry their depth, wall slope, berm interval and width, the number
+ * of per-vertex depths and these depths first, then come the points as ECEF
+ * coordinates in centimeters. The first point of an item is stored as is, every
+ * further point as the difference to the previous one, which keeps the numbers
+ * short while items stay independent of each other. All numbers are written
+ * in base 36.
+ *
+ * @returns {string|undefined} The encoded geometry or undefined if there is none.
+ *
+ * @example
+ * encodeShareGeometry(); // => 'l.<x>.<y>.<z>.<dx>.<dy>.<dz>~e.<depth>.<slope>.0.0.0.<x>.…'
+ */
+export function encodeShareGeometry() {
+    const items = [];
+
+    for (const item of getListItems('#measurementList')) {
+        if (!item.checked) continue;
+        const type = MeasurementFactory.typeOf(item.obj);
+        if (!type) continue;
+        items.push({
+            code: TYPE_CODES[type],
+            values: [],
+            positions: MeasurementFactory.getPositions(item.obj),
+        });
+    }
+
+    for (const item of getListItems('#excavationPitList')) {
+        if (!item.checked || !item.obj.cartesians?.length) continue;
+        const {depth, slope, bermInterval, bermWidth} = item.obj;
+        const vertexDepths = item.obj.vertexDepths ?? [];
+        items.push({
+            code: TYPE_CODES.pit,
+            values: [
+                ...[depth, slope, bermInterval, bermWidth].map(v =>
+                    toInteger(v ?? 0),
+                ),
+                vertexDepths.length,
+                ...vertexDepths.map(toInteger),
+            ],
+            positions: item.obj.cartesians,
+        });
+    }
+
+    if (items.length === 0) return;
+
+    return items
+        .map(({code, values, positions}) => {
+            const numbers = [...values];
+            let previous = [0, 0, 0];
+            for (const position of positions) {
+                const current = [position.x, position.y, position.z].map(
+                    toInteger,
+                );
+                numbers.push(...current.map((v, i) => v - previous[i]));
+                previous = current;
+            }
+            return [code, ...numbers.map(n => n.toString(36))].join(
+                VALUE_SEPARATOR,
+            );
+        })
+        .join(ITEM_SEPARATOR);
+}
+
+/**
+ * Decodes a string created by {@link encodeShareGeometry}.
+ * Malformed items, e.g. of unknown types from a newer version, are skipped
+ * without affecting the others.
+ *
+ * @param {string} value - The encoded geometry.
+ * @returns {{type: string, positions: Cartesian3[], depth?: number, slope?: number, bermInterval?: number, bermWidth?: number, vertexDepths?: number[]}[]}
+ */
+export function decodeShareGeometry(value) {
+    const types = Object.fromEntries(
+        Object.entries(TYPE_CODES).map(([type, code]) => [code, type]),
+    );
+    const items = [];
+
+    for (const part of String(value).split(ITEM_SEPARATOR)) {
+        const [code, ...rest] = part.split(VALUE_SEPARATOR);
+        const type = types[code];
+        const numbers = rest.map(n => parseInt(n, 36));
+        if (!type || numbers.some(n => Number.isNaN(n))) continue;
+
+        let pit;
+        if (type === 'pit') {
+            const [depth, slope, bermInterval, bermWidth, count = 0] =
+                numbers.splice(0, 5);
+            pit = {
+                depth: depth / SCALE,
+                slope: slope / SCALE,
+                bermInterval: bermInterval / SCALE,
+                bermWidth: bermWidth / SCALE,
+                vertexDepths: numbers.splice(0, count).map(d => d / SCALE),
+            };
+        }
+        if (numbers.length % 3 !== 0) continue;
+
+        const positions = [];
+        let previous = [0, 0, 0];
+        for (let i = 0; i < numbers.length; i += 3) {
+            const current = previous.map((v, j) => v + numbers[i + j]);
+            positions.push(
+                new Cartesian3(
+                    current[0] / SCALE,
+                    current[1] / SCALE,
+                    current[2] / SCALE,
+                ),
+            );
+            previous = current;
+        }
+
+        items.push({type, positions, ...pit});
+    }
+
+    return items;
+}
+
+/**
+ * Rebuilds the measurements and excavation pits of an encoded geometry string
+ * and adds them to their lists. They are not part of the undo history.
+ *
+ * @param {any} app - The application instance.
+ * @param {string} value - The encoded geometry.
+ *
+ * @example
+ * restoreShareGeometry(app, app.urlManager.get('geometry'));
+ */
+export function restoreShareGeometry(app, value) {
+    for (const {type, positions, depth, ...walls} of decodeShareGeometry(
+        value,
+    )) {
+        if (type === 'pit') {
+            if (positions.length < 3) continue;
+            new AddExcavationPit(
+                app,
+                positions,
+                undefined,
+                depth,
+                true,
+                walls,
+            ).execute();
+            continue;
+        }
+
+        const measurement = MeasurementFactory.create(app, type, positions);
+        if (!measurement) continue;
+        new AddMeasurement(app, measurement, {
+            src: MeasurementFactory.getIcon(type),
+        }).execute();
+    }
+
+    // Rebuilding measurements records drawing steps, which are meaningless here.
+    app.commandStack.clear();
+}
+
+/**
+ * Rounds a value in meters to whole centimeters.
+ * @param {number} value
+ * @returns {number}
+ */
+function toInteger(value) {
+    return Math.round(value * SCALE);
+}
+
+/**
+ * Returns a copy of the items of a `<ge-list>`.
+ * @param {string} selector
+ * @returns {GeListItem[]}
+ */
+function getListItems(selector) {
+    return [...(document.querySelector(selector)?.items ?? [])];
+}
@@ -0,0 +1,474 @@
+import {
+    BoundingSphere,
+    Cartesian2,
+    Cartesian3,
+    Cesium3DTileFeature,
+    Color,
+    GeoJsonDataSource,
+    JulianDate,
+    LabelStyle,
+    Math as CesiumMath,
+    Matrix4,
+    Transforms,
+    VerticalOrigin,
+} from '@cesium/engine';
+import {i18next} from '../i18n.js';
+import {MeasurementFactory} from './Measurement/MeasurementFactory.js';
+
+/**
+ * Height difference (m) between neighbouring depth samples that counts as building edge.
+ * @type {number}
+ */
+const EDGE_HEIGHT_STEP = 0.5;
+
+/**
+ * Pixel spacing of the depth samples around the cursor.
+ * @type {number}
+ */
+const SAMPLE_STEP = 3;
+
+/**
+ * Indicator outline color per snap type.
+ * @type {Object<string, Color>}
+ */
+const SNAP_COLORS = {
+    vertex: Color.MAGENTA,
+    edge: Color.CYAN,
+    corner: Color.ORANGE,
+    angle: Color.YELLOW,
+};
+
+/**
+ * Snapper – Snaps interactively placed points to existing geometry.
+ *
+ * Targets, in order of precedence:
+ * - vertices of measurements, excavation pits and GeoJSON layers,
+ * - edges of these,
+ * - the angle constraint: the new segment is turned to a multiple of `angleStep`
+ *   relative to the previous segment (or east for the first segment),
+ * - corners and edges of 3D tiles buildings, detected from height jumps in
+ *   depth samples around the cursor.
+ *
+ * GeoJSON geometry is often stored without (correct) heights, so only its
+ * horizontal position is used and the height is taken from the cursor.
+ * A colored marker with a short label shows where and to what the point snapped.
+ *
+ * @class
+ *
+ * @param {any} app - The application instance.
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=false] - Snap to vertices and edges.
+ * @param {number} [options.tolerance=12] - Snap distance in screen pixels.
+ * @param {number} [options.angleStep=0] - Angle constraint in degrees, 0 to disable.
+ *
+ * @property {boolean} enabled - Snap to vertices and edges.
+ * @property {number} tolerance - Snap distance in screen pixels.
+ * @property {number} angleStep - Angle constraint in degrees, 0 to disable.
+ *
+ * @method snap(position, options) - Returns the snapped position and updates the marker.
+ * @method hideIndicator() - Hides the snap marker.
+ *
+ * @example
+ * app.snapper.enabled = true;
+ * app.snapper.angleStep = 90;
+ * const snapped = app.snapper.snap(pickedPosition, {windowPosition, previous});
+ */
+export class Snapper {
+    #indicator;
+
+    /**
+     * @param {any} app
+     * @param {object} [options]
+     */
+    constructor(app, {enabled = false, tolerance = 12, angleStep = 0} = {}) {
+        this.app = app;
+        this.enabled = enabled;
+        this.tolerance = tolerance;
+        this.angleStep = angleStep;
+        this.#indicator = undefined;
+
+        window.addEventListener('viewer-left-up', () => this.hideIndicator());
+        window.addEventListener('viewer-right-click', () =>
+            this.hideIndicator(),
+        );
+    }
+
+    /**
+     * Snaps a picked position.
+     * @param {Cartesian3} position - The picked position.
+     * @param {object} [options]
+     * @param {Cartesian2} [options.windowPosition] - Cursor position, needed for building snapping.
+     * @param {any} [options.pickedFeature] - The picked feature at the cursor.
+     * @param {Cartesian3[]} [options.previous=[]] - Points set before this one, for the angle constraint.
+     * @param {Cartesian3[]} [options.ignore=[]] - Vertices to skip, compared by identity, e.g. the point being moved.
+     * @returns {Cartesian3} The snapped position, or the given one if nothing is in reach.
+     */
+    snap(
+        position,
+        {windowPosition, pickedFeature, previous = [], ignore = []} = {},
+    ) {
+        if (!position || (!this.enabled && !this.angleStep)) {
+            this.hideIndicator();
+            return position;
+        }
+
+        const frame = Transforms.eastNorthUpToFixedFrame(position);
+        const local = new LocalFrame(frame);
+        const radius = this.tolerance * this.#pixelSize(position);
+
+        let result;
+        if (this.enabled) {
+            const {vertices, segments} = this.#collect(ignore);
+            result =
+                snapToVertex(vertices, local, radius) ??
+                snapToEdge(segments, local, radius);
+        }
+        if (!result && this.angleStep && previous.length > 0) {
+            result = this.#constrainAngle(position, previous);
+        }
+        if (
+            !result &&
+            this.enabled &&
+            windowPosition &&
+            pickedFeature instanceof Cesium3DTileFeature
+        ) {
+            result = this.#snapToBuilding(local, windowPosition, radius);
+        }
+
+        if (!result) {
+            this.hideIndicator();
+            return position;
+        }
+        this.#showIndicator(result);
+        return result.position;
+    }
+
+    /**
+     * Hides the snap marker.
+     */
+    hideIndicator() {
+        if (this.#indicator) this.#indicator.show = false;
+    }
+
+    /**
+     * Size of a screen pixel in meters at the given position.
+     * @param {Cartesian3} position
+     * @returns {number}
+     */
+    #pixelSize(position) {
+        const scene = this.app.viewer.scene;
+        return scene.camera.getPixelSize(
+            new BoundingSphere(position, 0),
+            scene.canvas.clientWidth,
+            scene.canvas.clientHeight,
+        );
+    }
+
+    /**
+     * Gathers the vertices and edges of all visible measurements, excavation pits and GeoJSON layers.
+     * @param {Cartesian3[]} ignore
+     * @returns {{vertices: {position: Cartesian3, flat: boolean}[], segments: {start: Cartesian3, end: Cartesian3, flat: boolean}[]}}
+     */
+    #collect(ignore) {
+        const vertices = [];
+        const segments = [];
+        const isIgnored = position => ignore.includes(position);
+        const add = (positions, closed, flat) => {
+            positions = positions.filter(Boolean);
+            positions.forEach((position, i) => {
+                if (!isIgnored(position)) vertices.push({position, flat});
+                const next =
+                    positions[i + 1] ?? (closed ? positions[0] : undefined);
+                if (
+                    next &&
+                    next !== position &&
+                    !isIgnored(position) &&
+                    !isIgnored(next)
+                ) {
+                    segments.push({start: position, end: next, flat});
+                }
+            });
+        };
+
+        for (const measurement of this.app.measurements) {
+            if (measurement.destroyed || measurement.show === false) continue;
+            add(
+                measurement.cartesians ?? [],
+                MeasurementFactory.typeOf(measurement) === 'polygon',
+                false,
+            );
+        }
+
+        for (const item of document.querySelector('#excavationPitList')
+            ?.items ?? []) {
+            if (item.checked) add(item.obj.cartesians ?? [], true, false);
+        }
+
+        const time = JulianDate.now();
+        const dataSources = this.app.viewer.dataSources;
+        for (let i = 0; i < dataSources.length; i++) {
+            const dataSource = dataSources.get(i);
+            if (!(dataSource instanceof GeoJsonDataSource) || !dataSource.show)
+                continue;
+            for (const entity of dataSource.entities.values) {
+                if (!entity.isShowing) continue;
+                if (entity.polygon) {
+                    const hierarchy = entity.polygon.hierarchy?.getValue(time);
+                    if (!hierarchy) continue;
+                    add(hierarchy.positions, true, true);
+                    hierarchy.holes?.forEach(hole =>
+                        add(hole.positions, true, true),
+                    );
+                } else if (entity.polyline) {
+                    add(
+                        entity.polyline.positions?.getValue(time) ?? [],
+                        false,
+                        true,
+                    );
+                } else if (entity.position) {
+                    add([entity.position.getValue(time)], false, true);
+                }
+            }
+        }
+
+        return {vertices, segments};
+    }
+
+    /**
+     * Turns the segment from the last set point to the cursor to the nearest multiple of the angle step.
+     * @param {Cartesian3} position
+     * @param {Cartesian3[]} previous
+     * @returns {{position: Cartesian3, type: string, label: string}|undefined}
+     */
+    #constrainAngle(position, previous) {
+        const origin = previous[previous.length - 1];
+        const local = new LocalFrame(
+            Transforms.eastNorthUpToFixedFrame(origin),
+        );
+        const cursor = local.toLocal(position);
+        const length = Math.hypot(cursor.x, cursor.y);
+        if (length < CesiumMath.EPSILON3) return;
+
+        let reference = 0;
+        if (previous.length > 1) {
+            const before = local.toLocal(previous[previous.length - 2]);
+            if (Math.hypot(before.x, before.y) > CesiumMath.EPSILON3) {
+                reference = Math.atan2(-before.y, -before.x);
+            }
+        }
+
+        const step = CesiumMath.toRadians(this.angleStep);
+        const bearing = Math.atan2(cursor.y, cursor.x);
+        const turns = Math.round((bearing - reference) / step);
+        const snapped = reference + turns * step;
+        const distance = length * Math.cos(bearing - snapped);
+        if (distance <= 0) return;
+
+        const angle = CesiumMath.toDegrees(
+            CesiumMath.zeroToTwoPi(turns * step),
+        );
+        return {
+            position: local.toWorld(
+                new Cartesian3(
+                    Math.cos(snapped) * distance,
+                    Math.sin(snapped) * distance,
+                    cursor.z,
+                ),
+            ),
+            type: 'angle',
+            label: `${Math.round(angle)}°`,
+        };
+    }
+
+    /**
+     * Looks for building edges around the cursor by walking outwards in eight
+     * directions until the sampled height jumps. Two hits at right angles
+     * give a corner.
+     * @param {LocalFrame} local - Frame at the picked position.
+     * @param {Cartesian2} windowPosition
+     * @param {number} radius - Snap distance in meters.
+     * @returns {{position: Cartesian3, type: string}|undefined}
+     */
+    #snapToBuilding(local, windowPosition, radius) {
+        const scene = this.app.viewer.scene;
+        const hits = [];
+        for (let k = 0; k < 8; k++) {
+            const angle = (k * Math.PI) / 4;
+            let inside = new Cartesian3(0, 0, 0);
+            for (let r = SAMPLE_STEP; r <= this.tolerance; r += SAMPLE_STEP) {
+                const sample = scene.pickPosition(
+                    new Cartesian2(
+                        windowPosition.x + Math.cos(angle) * r,
+                        windowPosition.y + Math.sin(angle) * r,
+                    ),
+                );
+                const point = sample && local.toLocal(sample);
+                if (!point || Math.abs(point.z) > EDGE_HEIGHT_STEP) {
+                    hits[k] = new Cartesian3(inside.x, inside.y, 0);
+                    break;
+                }
+                inside = point;
+            }
+        }
+
+        let best;
+        for (let k = 0; k < 8; k++) {
+            const a = hits[k];
+            const b = hits[(k + 2) % 8];
+            if (!a || !b) continue;
+            const corner = Cartesian3.add(a, b, new Cartesian3());
+            const distance = Cartesian3.magnitude(corner);
+            if (distance <= radius && (!best || distance < best.distance)) {
+                best = {distance, local: corner, type: 'corner'};
+            }
+        }
+        if (!best) {
+            for (const hit of hits) {
+                if (!hit) continue;
+                const distance = Cartesian3.magnitude(hit);
+                if (!best || distance < best.distance) {
+                    best = {distance, local: hit, type: 'edge'};
+                }
+            }
+        }
+        if (!best) return;
+        return {position: local.toWorld(best.local), type: best.type};
+    }
+
+    /**
+     * Shows the snap marker at the snapped position.
+     * @param {{position: Cartesian3, type: string, label?: string}} result
+     */
+    #showIndicator({position, type, label}) {
+        if (!this.#indicator) {
+            this.#indicator = this.app.viewer.entities.add({
+                point: {
+                    pixelSize: 12,
+                    color: Color.TRANSPARENT,
+                    outlineWidth: 3,
+                    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+                },
+                label: {
+                    font: '12px sans-serif',
+                    style: LabelStyle.FILL,
+                    fillColor: Color.WHITE,
+                    showBackground: true,
+                    verticalOrigin: VerticalOrigin.BOTTOM,
+                    pixelOffset: new Cartesian2(0, -12),
+                    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+                },
+                properties: {
+                    reactive: false,
+                    deletable: false,
+                    selectable: false,
+                },
+            });
+        }
+        this.#indicator.position = position;
+        this.#indicator.point.outlineColor = SNAP_COLORS[type];
+        this.#indicator.label.text =
+            label ?? i18next.t(`common:body.tools.measure.snapping.${type}`);
+        this.#indicator.show = true;
+    }
+}
+
+/**
+ * Converts between world coordinates and a local east-north-up frame.
+ */
+class LocalFrame {
+    /**
+     * @param {Matrix4} frame - Local to world transformation.
+     */
+    constructor(frame) {
+        this.frame = frame;
+        this.inverse = Matrix4.inverseTransformation(frame, new Matrix4());
+    }
+
+    /**
+     * @param {Cartesian3} position - World position.
+     * @returns {Cartesian3}
+     */
+    toLocal(position) {
+        return Matrix4.multiplyByPoint(
+            this.inverse,
+            position,
+            new Cartesian3(),
+        );
+    }
+
+    /**
+     * @param {Cartesian3} position - Local position.
+     * @returns {Cartesian3}
+     */
+    toWorld(position) {
+        return Matrix4.multiplyByPoint(this.frame, position, new Cartesian3());
+    }
+}
+
+/**
+ * Finds the closest vertex within the radius.
+ * Flat vertices are compared horizontally and placed at the cursor height.
+ * @param {{position: Cartesian3, flat: boolean}[]} vertices
+ * @param {LocalFrame} local - Frame at the cursor.
+ * @param {number} radius
+ * @returns {{position: Cartesian3, type: string}|undefined}
+ */
+function snapToVertex(vertices, local, radius) {
+    let best;
+    for (const {position, flat} of vertices) {
+        const point = local.toLocal(position);
+        if (flat) point.z = 0;
+        const distance = Cartesian3.magnitude(point);
+        if (distance <= radius && (!best || distance < best.distance)) {
+            best = {distance, point, flat, position};
+        }
+    }
+    if (!best) return;
+    return {
+        position: best.flat ? local.toWorld(best.point) : best.position,
+        type: 'vertex',
+    };
+}
+
+/**
+ * Finds the closest point on an edge within the radius.
+ * @param {{start: Cartesian3, end: Cartesian3, flat: boolean}[]} segments
+ * @param {LocalFrame} local - Frame at the cursor.
+ * @param {number} radius
+ * @returns {{position: Cartesian3, type: string}|undefined}
+ */
+function snapToEdge(segments, local, radius) {
+    let best;
+    for (const {start, end, flat} of segments) {
+        const a = local.toLocal(start);
+        const b = local.toLocal(end);
+        if (flat) a.z = b.z = 0;
+        const point = closestPointToOrigin(a, b);
+        const distance = Cartesian3.magnitude(point);
+        if (distance <= radius && (!best || distance < best.distance)) {
+            best = {distance, point};
+        }
+    }
+    if (!best) return;
+    return {position: local.toWorld(best.point), type: 'edge'};
+}
+
+/**
+ * Returns the point of the segment a-b closest to the origin.
+ * @param {Cartesian3} a
+ * @param {Cartesian3} b
+ * @returns {Cartesian3}
+ */
+function closestPointToOrigin(a, b) {
+    const ab = Cartesian3.subtract(b, a, new Cartesian3());
+    const lengthSquared = Cartesian3.magnitudeSquared(ab);
+    const t =
+        lengthSquared > 0
+            ? CesiumMath.clamp(-Cartesian3.dot(a, ab) / lengthSquared, 0, 1)
+            : 0;
+    return Cartesian3.add(
+        a,
+        Cartesian3.multiplyByScalar(ab, t, new Cartesian3()),
+        new Cartesian3(),
+    );
+}
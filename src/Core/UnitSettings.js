@@ -0,0 +1,220 @@
+import {i18next} from '../i18n.js';
+
+/**
+ * Length units with their size in meters.
+ * @type {Object<string, number>}
+ */
+export const LENGTH_UNITS = {m: 1, km: 1000};
+
+/**
+ * Area units with their size in square meters.
+ * @type {Object<string, number>}
+ */
+export const AREA_UNITS = {'m²': 1, ha: 1e4, 'km²': 1e6};
+
+/**
+ * Angle units with their size in degrees.
+ * @type {Object<string, number>}
+ */
+export const ANGLE_UNITS = {'°': 1, gon: 360 / 400};
+
+/**
+ * Languages that write the decimal comma.
+ * @type {string[]}
+ */
+const DECIMAL_COMMA_LANGUAGES = ['de', 'fr', 'it', 'es', 'nl', 'pl', 'cs'];
+
+/**
+ * UnitSettings – Singleton holding the units, precision and decimal separator of measured values.
+ *
+ * Values are computed in meters, square meters and degrees everywhere in the app; this class
+ * converts and formats them for labels, measurement windows and CSV exports. The decimal
+ * separator follows the current language unless set explicitly. Every change dispatches
+ * the window event `unit-settings-changed`, so open labels and windows can redraw.
+ *
+ * @class
+ *
+ * @param {object} [options]
+ * @param {string} [options.lengthUnit='m'] - Key of {@link LENGTH_UNITS}.
+ * @param {string} [options.areaUnit='m²'] - Key of {@link AREA_UNITS}.
+ * @param {string} [options.angleUnit='°'] - Key of {@link ANGLE_UNITS}.
+ * @param {number} [options.precision=2] - Decimal places of measured values.
+ * @param {string} [options.decimalSeparator='auto'] - ',' or '.', or 'auto' to follow the language.
+ *
+ * @property {string} separator - The decimal separator in effect.
+ *
+ * @fires window#unit-settings-changed - After any setting changed.
+ *
+ * @example
+ * unitSettings.update({areaUnit: 'ha', precision: 3});
+ * unitSettings.formatArea(12345.678); // '1,235 ha' in German
+ */
+export class UnitSettings {
+    static #instance;
+
+    #lengthUnit;
+    #areaUnit;
+    #angleUnit;
+    #precision;
+    #decimalSeparator;
+
+    /**
+     * Construct and/or get the singleton instance.
+     * @param {object} [options] - See class doc for details.
+     */
+    constructor({
+        lengthUnit = 'm',
+        areaUnit = 'm²',
+        angleUnit = '°',
+        precision = 2,
+        decimalSeparator = 'auto',
+    } = {}) {
+        if (UnitSettings.#instance) {
+            return UnitSettings.#instance;
+        }
+        UnitSettings.#instance = this;
+
+        this.#lengthUnit = lengthUnit;
+        this.#areaUnit = areaUnit;
+        this.#angleUnit = angleUnit;
+        this.#precision = precision;
+        this.#decimalSeparator = decimalSeparator;
+
+        i18next.on('languageChanged', () => {
+            if (this.#decimalSeparator === 'auto') this.#changed();
+        });
+    }
+
+    /**
+     * Applies several settings at once; unknown units are ignored.
+     * @param {object} settings - Any of the constructor options.
+     */
+    update({lengthUnit, areaUnit, angleUnit, precision, decimalSeparator}) {
+        if (lengthUnit in LENGTH_UNITS) this.#lengthUnit = lengthUnit;
+        if (areaUnit in AREA_UNITS) this.#areaUnit = areaUnit;
+        if (angleUnit in ANGLE_UNITS) this.#angleUnit = angleUnit;
+        if (Number.isInteger(precision) && precision >= 0 && precision <= 6) {
+            this.#precision = precision;
+        }
+        if (['auto', ',', '.'].includes(decimalSeparator)) {
+            this.#decimalSeparator = decimalSeparator;
+        }
+        this.#changed();
+    }
+
+    get lengthUnit() {
+        return this.#lengthUnit;
+    }
+
+    set lengthUnit(value) {
+        this.update({lengthUnit: value});
+    }
+
+    get areaUnit() {
+        return this.#areaUnit;
+    }
+
+    set areaUnit(value) {
+        this.update({areaUnit: value});
+    }
+
+    get angleUnit() {
+        return this.#angleUnit;
+    }
+
+    set angleUnit(value) {
+        this.update({angleUnit: value});
+    }
+
+    get precision() {
+        return this.#precision;
+    }
+
+    set precision(value) {
+        this.update({precision: value});
+    }
+
+    get decimalSeparator() {
+        return this.#decimalSeparator;
+    }
+
+    set decimalSeparator(value) {
+        this.update({decimalSeparator: value});
+    }
+
+    /**
+     * The decimal separator in effect.
+     * @type {string}
+     * @readonly
+     */
+    get separator() {
+        if (this.#decimalSeparator !== 'auto') return this.#decimalSeparator;
+        const language = (i18next.language ?? '').slice(0, 2);
+        return DECIMAL_COMMA_LANGUAGES.includes(language) ? ',' : '.';
+    }
+
+    /**
+     * Formats a number with fixed decimals and the decimal separator, without grouping.
+     * @param {number} value
+     * @param {number} [decimals=this.precision]
+     * @returns {string}
+     */
+    formatNumber(value, decimals = this.#precision) {
+        return Number(value).toFixed(decimals).replace('.', this.separator);
+    }
+
+    /**
+     * @param {number} meters
+     * @returns {string} E.g. '12,35 m'.
+     */
+    formatLength(meters) {
+        const value = meters / LENGTH_UNITS[this.#lengthUnit];
+        return `${this.formatNumber(value)} ${this.#lengthUnit}`;
+    }
+
+    /**
+     * @param {number} squareMeters
+     * @returns {string} E.g. '1,23 ha'.
+     */
+    formatArea(squareMeters) {
+        const value = squareMeters / AREA_UNITS[this.#areaUnit];
+        return `${this.formatNumber(value)} ${this.#areaUnit}`;
+    }
+
+    /**
+     * @param {number} degrees
+     * @returns {string} E.g. '45,00°' or '50,00 gon'.
+     */
+    formatAngle(degrees) {
+        const value = this.formatNumber(degrees / ANGLE_UNITS[this.#angleUnit]);
+        return this.#angleUnit === '°' ? `${value}°` : `${value} gon`;
+    }
+
+    /**
+     * Formats a value by its base unit: 'm' as length, 'm²' as area, '°' as angle.
+     * Other units are appended unchanged.
+     * @param {number} value
+     * @param {string} [unit='']
+     * @returns {string}
+     */
+    format(value, unit = '') {
+        switch (unit) {
+            case 'm':
+                return this.formatLength(value);
+            case 'm²':
+                return this.formatArea(value);
+            case '°':
+                return this.formatAngle(value);
+            case '':
+                return this.formatNumber(value);
+            default:
+                return `${this.formatNumber(value)} ${unit}`;
+        }
+    }
+
+    #changed() {
+        window.dispatchEvent(new CustomEvent('unit-settings-changed'));
+    }
+}
+
+export const unitSettings = new UnitSettings();
@@ -0,0 +1,281 @@
+import {Math as CesiumMath} from '@cesium/engine';
+import proj4 from 'proj4';
+import {reprojectGeoJSON} from './utilities.js';
+
+/**
+ * Coordinate system in which features are requested from the WFS.
+ * The returned GeoJSON is reprojected to WGS84 on the client.
+ * @type {string}
+ */
+export const WFS_CRS = 'EPSG:25832';
+
+/**
+ * {@link WFS_CRS} as URN, the notation of WFS 2.0.0.
+ * @type {string}
+ */
+const WFS_CRS_URN = 'urn:ogc:def:crs:EPSG::25832';
+
+/**
+ * Default paging and extent limits, see {@link WFSClient}.
+ * @type {{pageSize: number, maxFeatures: number, maxExtent: number}}
+ */
+const DEFAULT_OPTIONS = {
+    pageSize: 500,
+    maxFeatures: 2000,
+    maxExtent: 5000,
+};
+
+/**
+ * WFSClient – Minimal client for WFS 1.1.0 and 2.0.0 services.
+ *
+ * Reads the capabilities of a service and requests the features of a type inside a view
+ * rectangle as GeoJSON, page by page where the service supports it (2.0.0). Features are
+ * requested in {@link WFS_CRS} and reprojected to WGS84; the requested bbox is limited
+ * to `maxExtent`, so zoomed out views do not load a whole city.
+ *
+ * @class
+ *
+ * @param {string} url - Base URL of the service, may contain additional query parameters.
+ * @param {object} [options] - Paging and extent limits.
+ *
+ * @example
+ * const client = new WFSClient('https://example.com/wfs');
+ * const {featureTypes} = await client.getCapabilities();
+ * const rectangle = viewer.camera.computeViewRectangle();
+ * const geojson = await client.getFeatures(featureTypes[0].name, rectangle);
+ */
+export class WFSClient {
+    /**
+     * @param {string} url - Base URL of the service, may contain additional query parameters.
+     * @param {object} [options]
+     * @param {number} [options.pageSize=500] - Features per GetFeature request.
+     * @param {number} [options.maxFeatures=2000] - Upper limit of features loaded for one extent.
+     * @param {number} [options.maxExtent=5000] - Maximum edge length of the requested bbox in meters.
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = {...DEFAULT_OPTIONS, ...options};
+        /** @type {WFSCapabilities|undefined} */
+        this.capabilities = undefined;
+    }
+
+    /**
+     * Requests and parses the GetCapabilities document of the service.
+     * @returns {Promise<WFSCapabilities>}
+     */
+    async getCapabilities() {
+        const text = await this.request({
+            SERVICE: 'WFS',
+            REQUEST: 'GetCapabilities',
+            ACCEPTVERSIONS: '2.0.0,1.1.0',
+        });
+        const xml = new DOMParser().parseFromString(text, 'text/xml');
+        WFSClient.throwOnException(xml);
+
+        const root = xml.documentElement;
+        const version = root.getAttribute('version')?.startsWith('2')
+            ? '2.0.0'
+            : '1.1.0';
+
+        const featureTypes = [...elements(xml, 'FeatureType')].map(ft => {
+            const name = childText(ft, 'Name');
+            return {
+                name,
+                title: childText(ft, 'Title') || name,
+                crs: childText(ft, 'DefaultCRS') || childText(ft, 'DefaultSRS'),
+            };
+        });
+
+        const getFeature = [...elements(xml, 'Operation')].find(
+            op => op.getAttribute('name') === 'GetFeature',
+        );
+        const formats = [
+            ...[...elements(getFeature, 'Parameter')]
+                .filter(p => p.getAttribute('name') === 'outputFormat')
+                .flatMap(p => [...elements(p, 'Value')]),
+            ...elements(xml, 'Format'),
+        ].map(e => e.textContent.trim());
+
+        this.capabilities = {
+            version,
+            title: childText(
+                elements(xml, 'ServiceIdentification')[0],
+                'Title',
+            ),
+            outputFormat:
+                formats.find(f => /json/i.test(f)) ?? 'application/json',
+            featureTypes: featureTypes.filter(ft => ft.name),
+        };
+        return this.capabilities;
+    }
+
+    /**
+     * Loads all features of a type inside the given rectangle, limited by
+     * pageSize and maxFeatures, and returns them reprojected to WGS84.
+     * @param {string} typeName
+     * @param {Cesium.Rectangle|undefined} rectangle - View rectangle in radians.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<object>} GeoJSON FeatureCollection
+     */
+    async getFeatures(typeName, rectangle, signal) {
+        const collection = {type: 'FeatureCollection', features: []};
+        if (!rectangle) return collection;
+
+        const {version, outputFormat} =
+            this.capabilities ?? (await this.getCapabilities());
+        const {pageSize, maxFeatures} = this.options;
+        const bbox = this.bbox(rectangle).join(',');
+        const paging = version === '2.0.0';
+
+        while (collection.features.length < maxFeatures) {
+            const count = Math.min(
+                pageSize,
+                maxFeatures - collection.features.length,
+            );
+            const params = {
+                SERVICE: 'WFS',
+                VERSION: version,
+                REQUEST: 'GetFeature',
+                OUTPUTFORMAT: outputFormat,
+            };
+            if (paging) {
+                Object.assign(params, {
+                    TYPENAMES: typeName,
+                    SRSNAME: WFS_CRS_URN,
+                    BBOX: `${bbox},${WFS_CRS_URN}`,
+                    COUNT: count,
+                    STARTINDEX: collection.features.length,
+                });
+            } else {
+                Object.assign(params, {
+                    TYPENAME: typeName,
+                    SRSNAME: WFS_CRS,
+                    BBOX: `${bbox},${WFS_CRS}`,
+                    MAXFEATURES: maxFeatures,
+                });
+            }
+
+            const text = await this.request(params, signal);
+            if (text.trimStart().startsWith('<')) {
+                WFSClient.throwOnException(
+                    new DOMParser().parseFromString(text, 'text/xml'),
+                );
+            }
+            const page = JSON.parse(text);
+            const features = page.features ?? [];
+            collection.features.push(...features);
+
+            if (!paging || features.length < count) break;
+        }
+
+        return reprojectGeoJSON(collection, WFS_CRS);
+    }
+
+    /**
+     * Converts a rectangle to a bbox in {@link WFS_CRS}. Edges longer than
+     * maxExtent are shrunk around the center of the rectangle.
+     * @param {Cesium.Rectangle} rectangle
+     * @returns {number[]} [minX, minY, maxX, maxY]
+     */
+    bbox(rectangle) {
+        const {west, south, east, north} = rectangle;
+        const corners = [
+            [west, south],
+            [west, north],
+            [east, south],
+            [east, north],
+            [(west + east) / 2, south],
+            [(west + east) / 2, north],
+        ].map(([lon, lat]) =>
+            proj4('WGS84', WFS_CRS, [
+                CesiumMath.toDegrees(lon),
+                CesiumMath.toDegrees(lat),
+            ]),
+        );
+        const xs = corners.map(c => c[0]);
+        const ys = corners.map(c => c[1]);
+        const half = this.options.maxExtent / 2;
+        const clamp = (min, max) => {
+            const center = (min + max) / 2;
+            return max - min > 2 * half
+                ? [center - half, center + half]
+                : [min, max];
+        };
+        const [minX, maxX] = clamp(Math.min(...xs), Math.max(...xs));
+        const [minY, maxY] = clamp(Math.min(...ys), Math.max(...ys));
+        return [minX, minY, maxX, maxY];
+    }
+
+    /**
+     * Sends a GET request with the given parameters to the service.
+     * @param {Object<string, string|number>} params
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<string>}
+     */
+    async request(params, signal) {
+        const url = new URL(this.url, window.location.href);
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, String(value));
+        }
+        const response = await fetch(url, {signal});
+        if (!response.ok) {
+            throw new Error(`${response.status}: ${response.statusText}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Throws the text of an OWS exception report, if the document is one.
+     * @param {Document} xml
+     */
+    static throwOnException(xml) {
+        const root = xml.documentElement;
+        if (root.localName === 'parsererror') {
+            throw new Error(root.textContent);
+        }
+        if (root.localName === 'ExceptionReport') {
+            throw new Error(
+                elements(xml, 'ExceptionText')[0]?.textContent ??
+                    'ExceptionReport',
+            );
+        }
+    }
+}
+
+/**
+ * All descendants with the given local name, regardless of namespace.
+ * @param {Document|Element|undefined} node
+ * @param {string} localName
+ * @returns {HTMLCollectionOf<Element>|Element[]}
+ */
+function elements(node, localName) {
+    return node ? node.getElementsByTagNameNS('*', localName) : [];
+}
+
+/**
+ * Text content of the first direct child with the given local name.
+ * @param {Element|undefined} node
+ * @param {string} localName
+ * @returns {string}
+ */
+function childText(node, localName) {
+    const child = node
+        ? [...node.children].find(c => c.localName === localName)
+        : undefined;
+    return child?.textContent.trim() ?? '';
+}
+
+/**
+ * @typedef {object} WFSFeatureType
+ * @property {string} name - Type name used in GetFeature requests.
+ * @property {string} title - Human readable title, falls back to the name.
+ * @property {string} [crs] - Default CRS announced by the service.
+ */
+
+/**
+ * @typedef {object} WFSCapabilities
+ * @property {string} version - Negotiated WFS version (1.1.0 or 2.0.0).
+ * @property {string} title - Service title.
+ * @property {string} outputFormat - GeoJSON output format offered by the service.
+ * @property {WFSFeatureType[]} featureTypes - Feature types with a name.
+ */
@@ -20,6 +20,10 @@ import {i18next} from '../i18n.js';
  * @method createAreaWindow()                 - Returns an area measurement InformationGeWindow.
  * @method createLengthWindow()               - Returns a length measurement InformationGeWindow.
  * @method createViewshedWindow()             - Returns a viewshed InformationGeWindow.
+ * @method createEditMeasurementWindow()      - Returns an InformationGeWindow for editing measurements.
+ * @method createAngleMeasurementWindow()     - Returns an angle measurement InformationGeWindow.
+ * @method createCoordinateMeasurementWindow() - Returns a coordinate measurement InformationGeWindow.
+ * @method createClearanceMeasurementWindow() - Returns a clearance measurement InformationGeWindow.
  *
  * @example
  * // Show a basic measurement window:
@@ -111,4 +115,52 @@ export class WindowFactory {
             content: i18next.t('common:body.viewshed.content'),
         });
     }
+
+    /**
+     * Creates the information window of the measurement edit mode.
+     * @returns {InformationGeWindow}
+     */
+    static createEditMeasurementWindow() {
+        return new InformationGeWindow({
+            id: 'editMeasurementWindow',
+            title: i18next.t('common:body.edit-measurement.title'),
+            content: i18next.t('common:body.edit-measurement.content'),
+        });
+    }
+
+    /**
+     * Creates an angle and bearing measurement information window.
+     * @returns {InformationGeWindow}
+     */
+    static createAngleMeasurementWindow() {
+        return new InformationGeWindow({
+            id: 'angleMeasurementWindow',
+            title: i18next.t('common:body.angle-measurement.title'),
+            content: i18next.t('common:body.angle-measurement.content'),
+        });
+    }
+
+    /**
+     * Creates a coordinate measurement information window.
+     * @returns {InformationGeWindow}
+     */
+    static createCoordinateMeasurementWindow() {
+        return new InformationGeWindow({
+            id: 'coordinateMeasurementWindow',
+            title: i18next.t('common:body.coordinate-measurement.title'),
+            content: i18next.t('common:body.coordinate-measurement.content'),
+        });
+    }
+
+    /**
+     * Creates a clearance measurement information window.
+     * @returns {InformationGeWindow}
+     */
+    static createClearanceMeasurementWindow() {
+        return new InformationGeWindow({
+            id: 'clearanceMeasurementWindow',
+            title: i18next.t('common:body.clearance-measurement.title'),
+            content: i18next.t('common:body.clearance-measurement.content'),
+        });
+    }
 }
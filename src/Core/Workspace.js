@@ -0,0 +1,316 @@
+import {Cartesian3, Color, JulianDate} from '@cesium/engine';
+import {Layers} from '../constants.js';
+import {addDeletionList, getDeletionList} from '../hide.js';
+import {
+    RemoveSingleModel,
+    getSingleModelsData,
+    restoreSingleModel,
+} from '../singlemodels.js';
+import {AddExcavationPit, RemoveExcavationPit} from './ExcavationPit.js';
+import {Layer} from './Layer.js';
+import {
+    AddMeasurement,
+    RemoveMeasurement,
+} from './Measurement/MeasurementCommands.js';
+import {MeasurementFactory} from './Measurement/MeasurementFactory.js';
+
+/**
+ * Value of the `type` field identifying a workspace file.
+ * @type {string}
+ */
+export const WORKSPACE_TYPE = 'Workspace';
+
+/**
+ * Current version of the workspace format.
+ * @type {number}
+ */
+export const WORKSPACE_VERSION = 1;
+
+/**
+ * Layer types whose visibility is not stored with the layer list:
+ * base layers and terrain are restored via the base layer picker, models and
+ * hidden features have their own sections.
+ * @type {string[]}
+ */
+const EXCLUDED_LAYER_TYPES = [
+    Layer.LayerTypes.BASELAYER,
+    Layer.LayerTypes.TERRAIN,
+    Layer.LayerTypes.GLTF,
+    Layer.LayerTypes.FEATURE,
+];
+
+/**
+ * Captures the current session as a plain, JSON serializable object:
+ * camera, active base layer/terrain/style, layer visibility, measurements with their names and colors,
+ * excavation pits with their depths and wall shapes, single models with their model matrices,
+ * date/time and shadows, and the deletion list.
+ *
+ * @async
+ * @param {any} app - The application instance.
+ * @returns {Promise<object>} The workspace.
+ *
+ * @example
+ * const workspace = await createWorkspace(app);
+ * downloadFile('project.json', JSON.stringify(workspace));
+ */
+export async function createWorkspace(app) {
+    const camera = app.viewer.scene.camera;
+    const activeElements = app.baseLayerPicker?.activeElements ?? {};
+
+    return {
+        type: WORKSPACE_TYPE,
+        version: WORKSPACE_VERSION,
+        camera: {
+            position: {
+                x: camera.position.x,
+                y: camera.position.y,
+                z: camera.position.z,
+            },
+            orientation: {
+                heading: camera.heading,
+                pitch: camera.pitch,
+                roll: camera.roll,
+            },
+        },
+        baseLayers: {
+            imagery: activeElements.imagery?.name,
+            terrain: activeElements.terrain?.name,
+            style: activeElements.style?.name,
+        },
+        layers: [...app.layerCollection]
+            .filter(layer => !EXCLUDED_LAYER_TYPES.includes(layer.type))
+            .map(layer => ({
+                name: layer.name,
+                type: layer.type,
+                tags: layer.tags,
+                show: Boolean(layer.show),
+            })),
+        datetime: JulianDate.toIso8601(app.viewer.clock.currentTime),
+        shadows: app.viewer.scene.shadowMap.enabled,
+        measurements: getListItems('#measurementList')
+            .map(item => ({
+                ...MeasurementFactory.toJSON(item.obj),
+                name: item.name,
+                color: item.obj.color?.toCssHexString(),
+                show: item.checked,
+            }))
+            .filter(measurement => measurement.type),
+        excavationPits: getListItems('#excavationPitList').map(item => ({
+            name: item.obj.name,
+            depth: item.obj.depth,
+            show: item.checked,
+            positions: item.obj.cartesians.map(c => [c.x, c.y, c.z]),
+            slope: item.obj.slope,
+            bermInterval: item.obj.bermInterval,
+            bermWidth: item.obj.bermWidth,
+            vertexDepths: item.obj.vertexDepths,
+        })),
+        models: await getSingleModelsData(),
+        deletionList: getDeletionList(),
+    };
+}
+
+/**
+ * Restores a session captured with {@link createWorkspace}.
+ *
+ * The workspace is parsed and its measurements and excavation pits are built first,
+ * so a malformed file leaves the current session untouched. Only then are existing
+ * measurements, excavation pits and models removed and the undo history cleared,
+ * since it refers to the replaced session.
+ * Models are loaded last; a model that fails to load is logged and skipped.
+ * The deletion list is added like an imported deletion list under the given name.
+ *
+ * @async
+ * @param {any} app - The application instance.
+ * @param {object} workspace - The parsed workspace.
+ * @param {string} [name='workspace'] - Name for the restored deletion list.
+ * @returns {Promise<void>}
+ * @throws {Error} If the object is not a workspace of a supported version or cannot be read.
+ *
+ * @example
+ * await restoreWorkspace(app, JSON.parse(text), file.name);
+ */
+export async function restoreWorkspace(app, workspace, name = 'workspace') {
+    if (
+        workspace?.type !== WORKSPACE_TYPE ||
+        !(workspace.version <= WORKSPACE_VERSION)
+    ) {
+        throw new Error('Not a valid workspace file');
+    }
+
+    let camera;
+    if (workspace.camera) {
+        const {position, orientation} = workspace.camera;
+        camera = {
+            destination: new Cartesian3(position.x, position.y, position.z),
+            orientation: {...orientation},
+        };
+    }
+    const datetime =
+        workspace.datetime && JulianDate.fromIso8601(workspace.datetime);
+    const commands = buildCommands(app, workspace);
+
+    app.commandStack.clear();
+    clearWorkspace(app);
+
+    restoreBaseLayers(app, workspace.baseLayers);
+    restoreLayers(app, workspace.layers);
+
+    if (camera) app.viewer.scene.camera.setView(camera);
+    if (datetime) app.viewer.clock.currentTime = datetime;
+    app.viewer.scene.shadowMap.enabled = Boolean(workspace.shadows);
+    const shadowControl = document.querySelector('ge-shadow-control');
+    if (shadowControl) {
+        shadowControl.viewer = app.viewer;
+        shadowControl.html.switch.checked = Boolean(workspace.shadows);
+    }
+
+    for (const {command, show} of commands) {
+        commit(command);
+        if (show === false && command.item) command.item.checked = false;
+    }
+
+    for (const model of workspace.models ?? []) {
+        await restoreSingleModel(model).catch(console.error);
+    }
+
+    if (workspace.deletionList?.length > 0) {
+        addDeletionList(name, workspace.deletionList);
+    }
+
+    // Rebuilding measurements records drawing steps, which are meaningless here.
+    app.commandStack.clear();
+}
+
+/**
+ * Builds the commands that add the measurements and excavation pits of a workspace,
+ * without executing them. If the workspace cannot be read, the measurements built
+ * so far are destroyed again.
+ * @param {any} app
+ * @param {object} workspace
+ * @returns {{command: Command, show?: boolean}[]}
+ * @throws {Error} If a measurement or excavation pit cannot be read.
+ */
+function buildCommands(app, workspace) {
+    const commands = [];
+    try {
+        for (const json of workspace.measurements ?? []) {
+            const measurement = MeasurementFactory.fromJSON(app, json);
+            if (!measurement) continue;
+            commands.push({
+                command: new AddMeasurement(app, measurement, {
+                    src: MeasurementFactory.getIcon(json.type),
+                    name: json.name,
+                }),
+                show: json.show,
+            });
+            if (json.color) {
+                measurement.color = Color.fromCssColorString(json.color);
+            }
+        }
+
+        for (const pit of workspace.excavationPits ?? []) {
+            commands.push({
+                command: new AddExcavationPit(
+                    app,
+                    pit.positions.map(position =>
+                        Cartesian3.fromArray(position),
+                    ),
+                    pit.name,
+                    pit.depth,
+                    pit.show !== false,
+                    {
+                        slope: pit.slope,
+                        bermInterval: pit.bermInterval,
+                        bermWidth: pit.bermWidth,
+                        vertexDepths: pit.vertexDepths,
+                    },
+                ),
+            });
+        }
+    } catch (error) {
+        commands.forEach(({command}) => command.measurement?.destroy());
+        throw error;
+    }
+    return commands;
+}
+
+/**
+ * Removes all measurements, excavation pits and single models.
+ * @param {any} app
+ */
+function clearWorkspace(app) {
+    getListItems('#measurementList').forEach(item =>
+        commit(new RemoveMeasurement(app, item)),
+    );
+    getListItems('#excavationPitList').forEach(item =>
+        commit(new RemoveExcavationPit(item)),
+    );
+    [...Layers.gltf.id].forEach(id => commit(new RemoveSingleModel(id)));
+}
+
+/**
+ * Applies a command permanently, without recording it in the undo history.
+ * @param {Command} command
+ */
+function commit(command) {
+    command.execute();
+    command.dispose(false);
+}
+
+/**
+ * Returns a copy of the items of a `<ge-list>`.
+ * @param {string} selector
+ * @returns {GeListItem[]}
+ */
+function getListItems(selector) {
+    return [...(document.querySelector(selector)?.items ?? [])];
+}
+
+/**
+ * Selects the stored base layer, terrain and style in the base layer picker.
+ * @param {any} app
+ * @param {{imagery?: string, terrain?: string, style?: string}} [baseLayers]
+ */
+function restoreBaseLayers(app, baseLayers = {}) {
+    const picker = app.baseLayerPicker;
+    if (!picker) return;
+    for (const [index, name] of Object.entries(baseLayers)) {
+        if (name && picker.activeElements[index]?.name !== name) {
+            picker.activate(index, name);
+        }
+    }
+}
+
+/**
+ * Restores the visibility of the top-level layers.
+ * Layers are matched by type, tags and name, since their IDs are generated per session.
+ * Layers listed in a table are switched via their checkbox, so dependent UI state follows.
+ * @param {any} app
+ * @param {{name: string, type: string, tags: string[], show: boolean}[]} [layers]
+ */
+function restoreLayers(app, layers = []) {
+    const candidates = [...app.layerCollection].filter(
+        layer => !EXCLUDED_LAYER_TYPES.includes(layer.type),
+    );
+
+    for (const stored of layers) {
+        const index = candidates.findIndex(
+            layer =>
+                layer.type === stored.type &&
+                layer.name === stored.name &&
+                JSON.stringify(layer.tags) === JSON.stringify(stored.tags),
+        );
+        if (index < 0) continue;
+        const [layer] = candidates.splice(index, 1);
+        if (Boolean(layer.show) === stored.show) continue;
+
+        const checkbox = document.getElementById(`cb_${layer.id}`);
+        if (checkbox) {
+            checkbox.checked = stored.show;
+            checkbox.dispatchEvent(new Event('change'));
+        } else {
+            layer.show = stored.show;
+        }
+    }
+}
@@ -1,4 +1,55 @@
-import {cartesianToProjectCoord} from '../utilities.js';
+import {
+    Cartesian2,
+    Cartographic,
+    Math as CesiumMath,
+    PolygonPipeline,
+} from '@cesium/engine';
+import {degreesToProjectCoord} from '../utilities.js';
+
+/**
+ * Polyline flag (group code 70) of a closed polyline.
+ * @type {number}
+ */
+const CLOSED_FLAG = 1;
+
+/**
+ * Polyline flag (group code 70) of a 3D polyline.
+ * @type {number}
+ */
+const POLYLINE_3D_FLAG = 8;
+
+/**
+ * Vertex flag (group code 70) of a 3D polyline vertex.
+ * @type {number}
+ */
+const VERTEX_3D_FLAG = 32;
+
+/**
+ * Color number of entities taking the color of their layer.
+ * @type {number}
+ */
+const BYLAYER = 256;
+
+/**
+ * Characters not allowed in layer names.
+ * @type {RegExp}
+ */
+const INVALID_LAYER_CHARACTERS = /[<>/\\":;?*|=',]/g;
+
+/**
+ * Byte of each character of the windows-1252 code page beyond ASCII:
+ * 0x80–0x9F differ from Latin-1, 0xA0–0xFF equal their code point.
+ * @type {Map<string, number>}
+ */
+const WINDOWS_1252 = new Map([
+    ...[...'€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ'].map(
+        (character, i) => [character, 0x80 + i],
+    ),
+    ...Array.from({length: 0x60}, (_, i) => [
+        String.fromCharCode(0xa0 + i),
+        0xa0 + i,
+    ]),
+]);
 
 /**
  * Utility class for a single DXF value pair (group code and value).
@@ -25,10 +76,73 @@ class DXFValue {
 }
 
 /**
- * DXFExporter – Class for exporting feature coordinates as ASCII-format DXF (AutoCAD Drawing Exchange Format).
+ * Serializes a list of group code/value pairs.
+ * @param {Array<[number|string, number|string]>} pairs
+ * @returns {string}
+ */
+function dxf(pairs) {
+    return pairs.map(([code, value]) => new DXFValue(code, value)).join('');
+}
+
+/**
+ * The AutoCAD Color Index as RGB: 1–9 standard colors, 10–249 24 hues in five shades,
+ * each pure and mixed with white, 250–255 grays.
+ * @type {number[][]}
+ */
+const ACI_COLORS = (() => {
+    const colors = [
+        [0, 0, 0],
+        [255, 0, 0],
+        [255, 255, 0],
+        [0, 255, 0],
+        [0, 255, 255],
+        [0, 0, 255],
+        [255, 0, 255],
+        [255, 255, 255],
+        [65, 65, 65],
+        [128, 128, 128],
+    ];
+    const shades = [255, 204, 153, 127, 76];
+    for (let hue = 0; hue < 360; hue += 15) {
+        const base = [0, 120, 240].map(offset => {
+            const distance = Math.abs(((hue - offset + 540) % 360) - 180);
+            return Math.min(Math.max(2 - distance / 60, 0), 1);
+        });
+        for (const shade of shades) {
+            colors.push(base.map(c => Math.round(shade * c)));
+            colors.push(base.map(c => Math.round(shade * (0.5 + c / 2))));
+        }
+    }
+    colors.push(
+        [51, 51, 51],
+        [80, 80, 80],
+        [105, 105, 105],
+        [130, 130, 130],
+        [190, 190, 190],
+        [255, 255, 255],
+    );
+    return colors;
+})();
+
+/**
+ * DXFExporter – Class for exporting measurements and excavation pits as ASCII DXF
+ * (AutoCAD Drawing Exchange Format).
  *
- * Supports exporting both polylines and polygons, with optional local coordinate system.
- * Creates all required DXF header, entity, and vertex blocks for basic 3D geometries.
+ * Writes DXF R12 (AC1009), which needs no entity handles, block records or object
+ * dictionaries. The trade-off: R12 knows neither true colors (group code 420, from R2004)
+ * nor MTEXT (from R13), so feature colors are reduced to the nearest AutoCAD Color Index
+ * ({@link DXFExporter.toACI}) and labels are single-line TEXT entities.
+ * R12 files are not Unicode: {@link DXFExporter.encode} converts the text to the declared
+ * code page ANSI_1252 for download.
+ * Every feature gets its own layer, named after the feature and colored with the ACI color
+ * of the feature; its entities take the layer color.
+ * Points become POINT entities, lines and polygons 3D POLYLINE entities, labels TEXT entities.
+ * Polygons are additionally filled with 3DFACE triangles; excavation pits pass their
+ * floor and wall triangles as faces.
+ *
+ * Coordinates are written in the project CRS, or with `local` relative to their centroid.
+ * The centroid is then stored in the header as comment `999 ORIGIN x y z` (project CRS),
+ * from which {@link DXFReader#readOrigin} restores the project coordinates.
  *
  * @class
  *
@@ -36,14 +150,81 @@ class DXFValue {
  * const exporter = new DXFExporter();
  * const dxfString = exporter.export([
  *   {
- *     coordinates: [[10, 20, 0], [20, 25, 0], [30, 15, 0]],
+ *     coordinates: measurement.cartesians,
  *     name: 'Layer1',
- *     mode: 'polyline'
+ *     mode: 'polyline',
+ *     color: Color.RED,
+ *     labels: [{text: '12,35 m', position: center}],
  *   }
  * ]);
- * // Save or download dxfString as .dxf file!
+ * const blob = new Blob([DXFExporter.encode(dxfString)]);
  */
 export class DXFExporter {
+    /**
+     * Height of TEXT entities (m).
+     * @type {number}
+     */
+    textHeight = 1;
+
+    /**
+     * Converts a cartesian to project coordinates.
+     * @param {Cesium.Cartesian3} cartesian
+     * @returns {number[]} [x, y, z] with the ellipsoidal height as z.
+     */
+    static toProjectCoord(cartesian) {
+        const carto = Cartographic.fromCartesian(cartesian);
+        const [x, y] = degreesToProjectCoord([
+            CesiumMath.toDegrees(carto.longitude),
+            CesiumMath.toDegrees(carto.latitude),
+        ]);
+        return [x, y, carto.height];
+    }
+
+    /**
+     * Encodes a DXF string in the code page ANSI_1252 declared in its header.
+     * Characters outside of it are written as `\U+XXXX` escapes, which CAD programs
+     * display as the Unicode character.
+     * @param {string} text - Output of {@link DXFExporter#export}.
+     * @returns {Uint8Array}
+     */
+    static encode(text) {
+        const bytes = [];
+        for (const character of text) {
+            const code = character.codePointAt(0);
+            if (code < 0x80) {
+                bytes.push(code);
+            } else if (WINDOWS_1252.has(character)) {
+                bytes.push(WINDOWS_1252.get(character));
+            } else {
+                const escape = `\\U+${code.toString(16).toUpperCase().padStart(4, '0')}`;
+                bytes.push(...[...escape].map(c => c.charCodeAt(0)));
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Index of the AutoCAD Color Index color closest to a color.
+     * R12 has no true colors, so this is the color written for a feature.
+     * @param {Cesium.Color} [color]
+     * @returns {number} 1 to 255, 7 (white/black) without color.
+     */
+    static toACI(color) {
+        if (!color) return 7;
+        const [r, g, b] = color.toBytes();
+        let best = 7;
+        let bestDistance = Infinity;
+        for (let i = 1; i < ACI_COLORS.length; i++) {
+            const [ar, ag, ab] = ACI_COLORS[i];
+            const distance = (r - ar) ** 2 + (g - ag) ** 2 + (b - ab) ** 2;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
     /**
      * Compute the min/max extent of an array of coordinates.
      * @param {number[][]} coordinates - Array of [x, y, z] arrays.
@@ -95,6 +276,15 @@ export class DXFExporter {
         });
     }
 
+    /**
+     * Converts a layer name to a valid, non-empty DXF layer name.
+     * @param {string} name
+     * @returns {string}
+     */
+    layerName(name) {
+        return String(name ?? '').replace(INVALID_LAYER_CHARACTERS, '_') || '0';
+    }
+
     /**
      * Construct the DXF header block for a drawing with given bounding extents.
      * @param {number} minX
@@ -103,103 +293,253 @@ export class DXFExporter {
      * @param {number} maxX
      * @param {number} maxY
      * @param {number} maxZ
+     * @param {number[]} [origin] - Project coordinates of the local origin, if the drawing is local.
      * @returns {string} DXF header as string block
      */
-    createHeader(minX, minY, minZ, maxX, maxY, maxZ) {
+    createHeader(minX, minY, minZ, maxX, maxY, maxZ, origin) {
+        return dxf([
+            [999, 'DXF'],
+            ...(origin ? [[999, `ORIGIN ${origin.join(' ')}`]] : []),
+            [0, 'SECTION'],
+            [2, 'HEADER'],
+            [9, '$ACADVER'],
+            [1, 'AC1009'],
+            [9, '$DWGCODEPAGE'],
+            [3, 'ANSI_1252'],
+            [9, '$INSBASE'],
+            [10, 0.0],
+            [20, 0.0],
+            [30, 0.0],
+            [9, '$EXTMIN'],
+            [10, minX],
+            [20, minY],
+            [30, minZ],
+            [9, '$EXTMAX'],
+            [10, maxX],
+            [20, maxY],
+            [30, maxZ],
+            [9, '$TEXTSTYLE'],
+            [7, 'STANDARD'],
+            [9, '$CLAYER'],
+            [8, '0'],
+            [0, 'ENDSEC'],
+        ]);
+    }
+
+    /**
+     * Construct the TABLES section with the line type, the text style and one layer per
+     * layer name, colored with the color of its first feature.
+     * @param {Map<string, number>} layers - Color index per layer name.
+     * @returns {string}
+     */
+    createTables(layers) {
+        const allLayers = new Map([['0', 7], ...layers]);
         return (
-            new DXFValue('999', 'DXF').toString() +
-            new DXFValue(0, 'SECTION').toString() +
-            new DXFValue(2, 'HEADER').toString() +
-            new DXFValue(9, '$ACADVER').toString() +
-            new DXFValue(1, 'AC1006').toString() +
-            new DXFValue(9, '$INSBASE').toString() +
-            new DXFValue(10, 0.0).toString() +
-            new DXFValue(20, 0.0).toString() +
-            new DXFValue(30, 0.0).toString() +
-            new DXFValue(9, '$EXTMIN').toString() +
-            new DXFValue(10, minX).toString() +
-            new DXFValue(20, minY).toString() +
-            new DXFValue(30, minZ).toString() +
-            new DXFValue(9, '$EXTMAX').toString() +
-            new DXFValue(10, maxX).toString() +
-            new DXFValue(20, maxY).toString() +
-            new DXFValue(30, maxZ).toString() +
-            new DXFValue(0, 'ENDSEC').toString() +
-            new DXFValue(0, 'SECTION').toString() +
-            new DXFValue(2, 'ENTITIES').toString()
+            dxf([
+                [0, 'SECTION'],
+                [2, 'TABLES'],
+                [0, 'TABLE'],
+                [2, 'LTYPE'],
+                [70, 1],
+                [0, 'LTYPE'],
+                [2, 'CONTINUOUS'],
+                [70, 0],
+                [3, 'Solid line'],
+                [72, 65],
+                [73, 0],
+                [40, 0.0],
+                [0, 'ENDTAB'],
+                [0, 'TABLE'],
+                [2, 'LAYER'],
+                [70, allLayers.size],
+            ]) +
+            [...allLayers]
+                .map(([name, color]) =>
+                    dxf([
+                        [0, 'LAYER'],
+                        [2, name],
+                        [70, 0],
+                        [62, color],
+                        [6, 'CONTINUOUS'],
+                    ]),
+                )
+                .join('') +
+            dxf([
+                [0, 'ENDTAB'],
+                [0, 'TABLE'],
+                [2, 'STYLE'],
+                [70, 1],
+                [0, 'STYLE'],
+                [2, 'STANDARD'],
+                [70, 0],
+                [40, 0.0],
+                [41, 1.0],
+                [50, 0.0],
+                [71, 0],
+                [42, this.textHeight],
+                [3, 'txt'],
+                [4, ''],
+                [0, 'ENDTAB'],
+                [0, 'ENDSEC'],
+            ])
         );
     }
 
     /**
-     * Create the DXF body for an array of measurements (features).
-     * Adds polylines/polygons via DXF ENTITY/SEQ blocks.
-     * @param {Object[]} measurements - Each with {coordinates, name, mode}
+     * Create the ENTITIES section for an array of features in project coordinates.
+     * @param {DXFFeature[]} features - Features with coordinates, faces and label positions as [x, y, z].
      * @returns {string} DXF-encoded body.
      */
-    createBody(measurements) {
-        let body = '';
+    createBody(features) {
+        let body = dxf([
+            [0, 'SECTION'],
+            [2, 'ENTITIES'],
+        ]);
 
-        for (const measurement of measurements) {
-            body += this.createEntity(
-                measurement.coordinates,
-                measurement.name,
-                measurement.mode,
-            );
+        for (const feature of features) {
+            const layer = this.layerName(feature.name);
+            body += this.createEntity(feature.coordinates, layer, feature.mode);
+            for (const face of feature.faces ?? []) {
+                body += this.createFace(face, layer);
+            }
+            for (const label of feature.labels ?? []) {
+                body += this.createText(label.text, label.position, layer);
+            }
         }
 
-        body +=
-            new DXFValue(0, 'ENDSEC').toString() +
-            new DXFValue(0, 'EOF').toString();
+        body += dxf([
+            [0, 'ENDSEC'],
+            [0, 'EOF'],
+        ]);
 
         return body;
     }
 
     /**
-     * Create a single DXF POLYLINE entity (open or closed).
+     * Create a 3D POLYLINE entity (open or closed) or a POINT entity per vertex.
      * @param {number[][]} coordinates - Vertex array.
-     * @param {string} name - Layer name.
-     * @param {string} mode - 'polyline' (open) or 'polygon' (closed).
+     * @param {string} layer - Layer name.
+     * @param {string} mode - 'polyline' (open), 'polygon' (closed) or 'point'.
      * @returns {string} DXF blocks as text.
      */
-    createEntity(coordinates, name, mode) {
-        let geomCode;
-
-        switch (mode) {
-            case 'polyline':
-                geomCode = 0;
-                break;
-            case 'polygon':
-                geomCode = 1;
-                coordinates.push(coordinates[0]);
-                break;
+    createEntity(coordinates, layer, mode) {
+        if (mode === 'point') {
+            return coordinates
+                .map(coordinate =>
+                    dxf([
+                        [0, 'POINT'],
+                        [8, layer],
+                        [62, BYLAYER],
+                        [10, coordinate[0]],
+                        [20, coordinate[1]],
+                        [30, coordinate[2]],
+                    ]),
+                )
+                .join('');
         }
 
-        let body =
-            new DXFValue(0, 'POLYLINE').toString() +
-            new DXFValue(8, name).toString() +
-            new DXFValue(62, 1).toString() +
-            new DXFValue(66, 1).toString() +
-            new DXFValue(70, geomCode).toString();
+        const flags = POLYLINE_3D_FLAG | (mode === 'polygon' ? CLOSED_FLAG : 0);
+        let body = dxf([
+            [0, 'POLYLINE'],
+            [8, layer],
+            [62, BYLAYER],
+            [66, 1],
+            [10, 0.0],
+            [20, 0.0],
+            [30, 0.0],
+            [70, flags],
+        ]);
 
         for (const coordinate of coordinates) {
-            body +=
-                new DXFValue(0, 'VERTEX').toString() +
-                new DXFValue(8, name).toString() +
-                new DXFValue(10, coordinate[0]).toString() +
-                new DXFValue(20, coordinate[1]).toString() +
-                new DXFValue(30, coordinate[2]).toString() +
-                new DXFValue(70, 0).toString();
+            body += dxf([
+                [0, 'VERTEX'],
+                [8, layer],
+                [10, coordinate[0]],
+                [20, coordinate[1]],
+                [30, coordinate[2]],
+                [70, VERTEX_3D_FLAG],
+            ]);
         }
 
-        body += new DXFValue(0, 'SEQEND').toString();
+        body += dxf([
+            [0, 'SEQEND'],
+            [8, layer],
+        ]);
         return body;
     }
 
+    /**
+     * Create a 3DFACE entity of a triangle.
+     * @param {number[][]} triangle - Three [x, y, z] corners.
+     * @param {string} layer - Layer name.
+     * @returns {string}
+     */
+    createFace(triangle, layer) {
+        // The fourth corner repeats the third for a triangle.
+        const [a, b, c] = triangle;
+        return dxf([
+            [0, '3DFACE'],
+            [8, layer],
+            [62, BYLAYER],
+            ...[a, b, c, c].flatMap((corner, i) => [
+                [10 + i, corner[0]],
+                [20 + i, corner[1]],
+                [30 + i, corner[2]],
+            ]),
+        ]);
+    }
+
+    /**
+     * Create a TEXT entity centered at a position.
+     * @param {string} text
+     * @param {number[]} position - [x, y, z]
+     * @param {string} layer - Layer name.
+     * @returns {string}
+     */
+    createText(text, position, layer) {
+        return dxf([
+            [0, 'TEXT'],
+            [8, layer],
+            [62, BYLAYER],
+            [10, position[0]],
+            [20, position[1]],
+            [30, position[2]],
+            [40, this.textHeight],
+            [1, String(text).replace(/[\r\n]+/g, ' ')],
+            [7, 'STANDARD'],
+            [72, 1],
+            [11, position[0]],
+            [21, position[1]],
+            [31, position[2]],
+        ]);
+    }
+
+    /**
+     * Triangulates a polygon in the horizontal plane.
+     * @param {number[][]} coordinates - Outline as [x, y, z].
+     * @returns {number[][][]} Triangles.
+     */
+    triangulate(coordinates) {
+        if (coordinates.length < 3) return [];
+        const indices = PolygonPipeline.triangulate(
+            coordinates.map(([x, y]) => new Cartesian2(x, y)),
+        );
+        const triangles = [];
+        for (let i = 0; i < indices.length; i += 3) {
+            triangles.push([
+                coordinates[indices[i]],
+                coordinates[indices[i + 1]],
+                coordinates[indices[i + 2]],
+            ]);
+        }
+        return triangles;
+    }
+
     /**
      * Export provided feature data as a plain ASCII DXF string.
-     * Optionally localizes coordinates about their centroid.
+     * Optionally localizes coordinates about their centroid, which is written to the header.
      *
-     * @param {Object|Object[]} data - One or multiple objects, each with {coordinates, name, mode}
+     * @param {DXFFeature|DXFFeature[]} data - One or multiple features with cartesian coordinates.
      * @param {boolean} [local=false] - If true, localizes coordinates relative to centroid.
      * @returns {string} ASCII DXF text
      *
@@ -209,29 +549,79 @@ export class DXFExporter {
     export(data, local = false) {
         if (!Array.isArray(data)) data = [data];
 
-        data.forEach((_, index, arr) => {
-            arr[index].coordinates = arr[index].coordinates.map(coord =>
-                cartesianToProjectCoord(coord),
+        let features = data.map(feature => {
+            const coordinates = feature.coordinates.map(
+                DXFExporter.toProjectCoord,
             );
+            const faces = feature.faces
+                ? feature.faces.map(face =>
+                      face.map(DXFExporter.toProjectCoord),
+                  )
+                : feature.mode === 'polygon'
+                  ? this.triangulate(coordinates)
+                  : [];
+            return {
+                ...feature,
+                coordinates: coordinates,
+                faces: faces,
+                labels: (feature.labels ?? []).map(label => ({
+                    text: label.text,
+                    position: DXFExporter.toProjectCoord(label.position),
+                })),
+            };
         });
 
-        let coord = data.flatMap(d => d.coordinates);
+        let coord = features.flatMap(f => [
+            ...f.coordinates,
+            ...f.faces.flat(),
+        ]);
 
+        let center;
         if (local) {
-            const center = this.getCenter(coord);
+            center = this.getCenter(coord);
             coord = this.localize(coord, center);
-            data.forEach((_, index, arr) => {
-                arr[index].coordinates = this.localize(
-                    arr[index].coordinates,
-                    center,
-                );
-            });
+            features = features.map(feature => ({
+                ...feature,
+                coordinates: this.localize(feature.coordinates, center),
+                faces: feature.faces.map(face => this.localize(face, center)),
+                labels: feature.labels.map(label => ({
+                    text: label.text,
+                    position: this.localize([label.position], center)[0],
+                })),
+            }));
         }
 
+        const layers = new Map();
+        features.forEach(feature => {
+            const layer = this.layerName(feature.name);
+            if (!layers.has(layer)) {
+                layers.set(layer, DXFExporter.toACI(feature.color));
+            }
+        });
+
         const [minX, maxX, minY, maxY, minZ, maxZ] = this.getExtension(coord);
 
-        const header = this.createHeader(minX, minY, minZ, maxX, maxY, maxZ);
-        const body = this.createBody(data);
-        return header + body;
+        const header = this.createHeader(
+            minX,
+            minY,
+            minZ,
+            maxX,
+            maxY,
+            maxZ,
+            center,
+        );
+        const tables = this.createTables(layers);
+        const body = this.createBody(features);
+        return header + tables + body;
     }
 }
+
+/**
+ * @typedef {object} DXFFeature
+ * @property {Cesium.Cartesian3[]} coordinates - Vertices.
+ * @property {string} name - Layer name.
+ * @property {'point'|'polyline'|'polygon'} mode - Geometry type.
+ * @property {Cesium.Color} [color] - Color of the layer.
+ * @property {Cesium.Cartesian3[][]} [faces] - Triangles written as 3DFACE; polygons without faces are triangulated.
+ * @property {Array<{text: string, position: Cesium.Cartesian3}>} [labels] - Texts of the feature.
+ */
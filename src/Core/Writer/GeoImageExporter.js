@@ -0,0 +1,485 @@
+import {
+    Cartesian3,
+    Cartesian4,
+    Cartographic,
+    Cesium3DTileset,
+    Math as CesiumMath,
+    Matrix4,
+    OrthographicFrustum,
+    PrimitiveCollection,
+    Rectangle,
+    Transforms,
+} from '@cesium/engine';
+import * as zip from '@zip.js/zip.js';
+import {writeArrayBuffer} from 'geotiff';
+import {i18next} from '../../i18n.js';
+import {degreesToProjectCoord, projectCoordToDegrees} from '../utilities.js';
+import {ShapefileExporter} from './ShapefileExporter.js';
+
+/**
+ * Largest number of pixels of an exported image, which the browser has to hold several times.
+ * @type {number}
+ */
+const MAX_PIXELS = 25e6;
+
+/**
+ * Height (m) of the camera above the ground at the center of the extent.
+ * @type {number}
+ */
+const CAMERA_HEIGHT = 2000;
+
+/**
+ * Longest wait (ms) for the tiles of a part of the image before it is taken as it is.
+ * @type {number}
+ */
+const TILE_TIMEOUT = 30000;
+
+/**
+ * Image formats with their MIME type, file extension and world file extension.
+ * @type {Object<string, {mime: string, extension: string, worldFile?: string}>}
+ */
+const FORMATS = {
+    png: {mime: 'image/png', extension: 'png', worldFile: 'pgw'},
+    jpeg: {mime: 'image/jpeg', extension: 'jpg', worldFile: 'jgw'},
+    geotiff: {mime: 'image/tiff', extension: 'tif'},
+};
+
+/**
+ * GeoImageExporter – Class for exporting a top-down orthographic image of the view with
+ * georeference, e.g. for GIS.
+ *
+ * The current extent is rendered part by part with an orthographic camera looking straight
+ * down, at a chosen ground resolution, and the parts are put together. The image is aligned
+ * to the axes of the output CRS: to north for WGS84, to grid north for the project CRS.
+ *
+ * PNG and JPEG are written with world file and `.prj` into a zip archive; GeoTIFF carries
+ * the CRS in its GeoKeys. Both load back with `loadPGWImage` and `loadTiffImage`: in WGS84
+ * exactly at the same place, in the project CRS reprojected by the corners of the image.
+ *
+ * @class
+ *
+ * @param {any} app - The application instance.
+ *
+ * @example
+ * const {blob, fileName} = await new GeoImageExporter(app).export({
+ *     resolution: 0.25,
+ *     format: 'png',
+ *     crs: 'project',
+ *     name: 'Ansicht',
+ * });
+ */
+export class GeoImageExporter {
+    /**
+     * @param {any} app
+     */
+    constructor(app) {
+        /**
+         * The application instance.
+         * @type {any}
+         */
+        this.app = app;
+    }
+
+    /**
+     * Render the current extent and encode it.
+     *
+     * @async
+     * @param {GeoImageOptions} options
+     * @returns {Promise<{blob: Blob, fileName: string}>} Zip archive or GeoTIFF.
+     * @throws {Error} If the view shows no ground, or the image would get too large.
+     */
+    async export({
+        resolution,
+        format = 'png',
+        crs = 'wgs84',
+        name = 'Export',
+        rectangle,
+    }) {
+        const layout = this.layout(
+            rectangle ?? this.app.viewer.scene.camera.computeViewRectangle(),
+            resolution,
+            crs,
+        );
+        const canvas = await this.render(layout);
+        const {mime, extension, worldFile} = FORMATS[format];
+
+        if (!worldFile) {
+            return {
+                blob: new Blob([this.createGeoTIFF(canvas, layout)], {
+                    type: mime,
+                }),
+                fileName: `${name}.${extension}`,
+            };
+        }
+
+        const image = await new Promise(resolve =>
+            canvas.toBlob(resolve, mime, 0.95),
+        );
+        const writer = new zip.ZipWriter(new zip.BlobWriter('application/zip'));
+        await writer.add(`${name}.${extension}`, new zip.BlobReader(image));
+        await writer.add(
+            `${name}.${worldFile}`,
+            new zip.TextReader(this.createWorldFile(layout)),
+        );
+        const prj = ShapefileExporter.prjFromProj4(
+            crs === 'project'
+                ? this.app.config.proj4
+                : {definition: '+proj=longlat +datum=WGS84 +no_defs'},
+        );
+        if (prj) await writer.add(`${name}.prj`, new zip.TextReader(prj));
+        return {blob: await writer.close(), fileName: `${name}.zip`};
+    }
+
+    /**
+     * Compute the size, orientation and georeference of the image of an extent.
+     *
+     * @param {Rectangle|undefined} rectangle - Extent in radians.
+     * @param {number} resolution - Ground size (m) of a pixel.
+     * @param {'wgs84'|'project'} crs - Output CRS.
+     * @returns {GeoImageLayout}
+     * @throws {Error} If there is no extent, or the image would get too large.
+     */
+    layout(rectangle, resolution, crs) {
+        if (!rectangle || !(resolution > 0)) {
+            throw new Error(i18next.t('common:body.tools.print.geo.no-extent'));
+        }
+        const centerCarto = Rectangle.center(rectangle);
+        const center = Cartographic.toCartesian(centerCarto);
+        const frame = Transforms.eastNorthUpToFixedFrame(center);
+        const axis = i =>
+            Cartesian3.fromCartesian4(
+                Matrix4.getColumn(frame, i, new Cartesian4()),
+            );
+        let east = axis(0);
+        let north = axis(1);
+        const up = axis(2);
+
+        const toOutput =
+            crs === 'project'
+                ? cartesian =>
+                      degreesToProjectCoord(cartesianToDegrees(cartesian))
+                : cartesianToDegrees;
+
+        if (crs === 'project') {
+            // Turns the axes by the grid convergence, so that the image follows grid north.
+            const [x, y] = toOutput(center);
+            const gridNorth = Cartesian3.subtract(
+                Cartesian3.fromDegrees(...projectCoordToDegrees([x, y + 100])),
+                center,
+                new Cartesian3(),
+            );
+            const angle = Math.atan2(
+                Cartesian3.dot(gridNorth, east),
+                Cartesian3.dot(gridNorth, north),
+            );
+            [east, north] = [
+                combine(east, Math.cos(angle), north, -Math.sin(angle)),
+                combine(north, Math.cos(angle), east, Math.sin(angle)),
+            ];
+        }
+
+        const local = (x, y) =>
+            Cartesian3.add(
+                center,
+                combine(east, x, north, y),
+                new Cartesian3(),
+            );
+
+        let halfWidth = 0;
+        let halfHeight = 0;
+        for (const corner of [
+            'northwest',
+            'northeast',
+            'southeast',
+            'southwest',
+        ]) {
+            const offset = Cartesian3.subtract(
+                Cartographic.toCartesian(Rectangle[corner](rectangle)),
+                center,
+                new Cartesian3(),
+            );
+            halfWidth = Math.max(
+                halfWidth,
+                Math.abs(Cartesian3.dot(offset, east)),
+            );
+            halfHeight = Math.max(
+                halfHeight,
+                Math.abs(Cartesian3.dot(offset, north)),
+            );
+        }
+        const width = Math.ceil((2 * halfWidth) / resolution);
+        const height = Math.ceil((2 * halfHeight) / resolution);
+        if (width * height > MAX_PIXELS) {
+            const minimum = Math.sqrt(
+                (4 * halfWidth * halfHeight) / MAX_PIXELS,
+            );
+            throw new Error(
+                i18next.t('common:body.tools.print.geo.too-large', {
+                    resolution: (Math.ceil(minimum * 100) / 100).toFixed(2),
+                }),
+            );
+        }
+
+        // Linear georeference at the center: output units per meter along the image axes.
+        const step = 100;
+        const origin = toOutput(center);
+        const alongX = toOutput(local(step, 0));
+        const alongY = toOutput(local(0, step));
+        const pixelWidth = (resolution * (alongX[0] - origin[0])) / step;
+        const pixelHeight = (-resolution * (alongY[1] - origin[1])) / step;
+
+        return {
+            crs: crs,
+            resolution: resolution,
+            width: width,
+            height: height,
+            center: center,
+            east: east,
+            north: north,
+            up: up,
+            cameraHeight:
+                (this.app.viewer.scene.globe.getHeight(centerCarto) ?? 0) +
+                CAMERA_HEIGHT,
+            worldFile: [
+                pixelWidth,
+                0,
+                0,
+                pixelHeight,
+                origin[0] - (pixelWidth * (width - 1)) / 2,
+                origin[1] - (pixelHeight * (height - 1)) / 2,
+            ],
+        };
+    }
+
+    /**
+     * Render the image part by part in the size of the canvas with an orthographic camera.
+     * The camera is restored afterwards.
+     *
+     * @async
+     * @param {GeoImageLayout} layout
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async render(layout) {
+        const scene = this.app.viewer.scene;
+        const camera = scene.camera;
+        const {resolution, east, north, up} = layout;
+        const tileWidth = scene.canvas.width;
+        const tileHeight = scene.canvas.height;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        const context = canvas.getContext('2d');
+
+        const saved = {
+            position: Cartesian3.clone(camera.position),
+            direction: Cartesian3.clone(camera.direction),
+            up: Cartesian3.clone(camera.up),
+            right: Cartesian3.clone(camera.right),
+            frustum: camera.frustum.clone(),
+        };
+        try {
+            camera.frustum = new OrthographicFrustum({
+                width: tileWidth * resolution,
+                aspectRatio: tileWidth / tileHeight,
+                near: 1,
+                far: 2 * layout.cameraHeight,
+            });
+            for (let top = 0; top < layout.height; top += tileHeight) {
+                for (let left = 0; left < layout.width; left += tileWidth) {
+                    const x =
+                        (left + tileWidth / 2 - layout.width / 2) * resolution;
+                    const y =
+                        (layout.height / 2 - top - tileHeight / 2) * resolution;
+                    camera.position = Cartesian3.add(
+                        layout.center,
+                        Cartesian3.add(
+                            combine(east, x, north, y),
+                            Cartesian3.multiplyByScalar(
+                                up,
+                                layout.cameraHeight,
+                                new Cartesian3(),
+                            ),
+                            new Cartesian3(),
+                        ),
+                        new Cartesian3(),
+                    );
+                    camera.direction = Cartesian3.negate(up, new Cartesian3());
+                    camera.up = Cartesian3.clone(north);
+                    camera.right = Cartesian3.clone(east);
+                    await afterTilesLoaded(scene, () =>
+                        context.drawImage(scene.canvas, left, top),
+                    );
+                }
+            }
+        } finally {
+            camera.frustum = saved.frustum;
+            camera.position = saved.position;
+            camera.direction = saved.direction;
+            camera.up = saved.up;
+            camera.right = saved.right;
+        }
+        return canvas;
+    }
+
+    /**
+     * World file of the image: pixel size in x, two rotation terms, pixel size in y and the
+     * center of the upper left pixel.
+     * @param {GeoImageLayout} layout
+     * @returns {string}
+     */
+    createWorldFile(layout) {
+        const decimals = layout.crs === 'project' ? 6 : 12;
+        return `${layout.worldFile.map(value => value.toFixed(decimals)).join('\n')}\n`;
+    }
+
+    /**
+     * Encode the image as RGB GeoTIFF with the CRS as EPSG code.
+     * @param {HTMLCanvasElement} canvas
+     * @param {GeoImageLayout} layout
+     * @returns {ArrayBuffer}
+     */
+    createGeoTIFF(canvas, layout) {
+        const {width, height} = canvas;
+        const rgba = canvas
+            .getContext('2d')
+            .getImageData(0, 0, width, height).data;
+        const rgb = new Uint8Array(width * height * 3);
+        for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+            rgb[j] = rgba[i];
+            rgb[j + 1] = rgba[i + 1];
+            rgb[j + 2] = rgba[i + 2];
+        }
+        const [pixelWidth, , , pixelHeight, x, y] = layout.worldFile;
+        const crs =
+            layout.crs === 'project'
+                ? {
+                      GTModelTypeGeoKey: 1,
+                      ProjectedCSTypeGeoKey: Number(this.app.config.proj4.epsg),
+                  }
+                : {
+                      GTModelTypeGeoKey: 2,
+                      GeographicTypeGeoKey: 4326,
+                      GeogCitationGeoKey: 'WGS 84',
+                  };
+        return writeArrayBuffer(rgb, {
+            width: width,
+            height: height,
+            // The tie point is the upper left corner, the world file gives the pixel center.
+            ModelTiepoint: [
+                0,
+                0,
+                0,
+                x - pixelWidth / 2,
+                y - pixelHeight / 2,
+                0,
+            ],
+            ModelPixelScale: [pixelWidth, -pixelHeight, 0],
+            GTRasterTypeGeoKey: 1,
+            ...crs,
+        });
+    }
+}
+
+/**
+ * Longitude and latitude of a cartesian in degrees.
+ * @param {Cartesian3} cartesian
+ * @returns {number[]}
+ */
+function cartesianToDegrees(cartesian) {
+    const carto = Cartographic.fromCartesian(cartesian);
+    return [
+        CesiumMath.toDegrees(carto.longitude),
+        CesiumMath.toDegrees(carto.latitude),
+    ];
+}
+
+/**
+ * @param {Cartesian3} a
+ * @param {number} s
+ * @param {Cartesian3} b
+ * @param {number} t
+ * @returns {Cartesian3} a * s + b * t
+ */
+function combine(a, s, b, t) {
+    return Cartesian3.add(
+        Cartesian3.multiplyByScalar(a, s, new Cartesian3()),
+        Cartesian3.multiplyByScalar(b, t, new Cartesian3()),
+        new Cartesian3(),
+    );
+}
+
+/**
+ * Whether the terrain and all visible 3D tilesets have loaded the tiles of the view.
+ * @param {any} scene
+ * @param {PrimitiveCollection} [primitives=scene.primitives]
+ * @returns {boolean}
+ */
+function tilesLoaded(scene, primitives = scene.primitives) {
+    if (primitives === scene.primitives) {
+        if (scene.globe.show && !scene.globe.tilesLoaded) return false;
+    }
+    for (let i = 0; i < primitives.length; i++) {
+        const primitive = primitives.get(i);
+        if (!primitive.show) continue;
+        if (primitive instanceof Cesium3DTileset && !primitive.tilesLoaded) {
+            return false;
+        }
+        if (
+            primitive instanceof PrimitiveCollection &&
+            !tilesLoaded(scene, primitive)
+        ) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Calls back after a frame rendered with all tiles loaded, or after a timeout.
+ * The callback runs right after rendering, while the canvas still holds the frame.
+ * @async
+ * @param {any} scene
+ * @param {function(): void} callback
+ * @returns {Promise<void>}
+ */
+function afterTilesLoaded(scene, callback) {
+    const start = performance.now();
+    let frames = 0;
+    return new Promise(resolve => {
+        const removeListener = scene.postRender.addEventListener(() => {
+            frames++;
+            // Tile requests of a new view start with its first frames.
+            const loaded = frames > 3 && tilesLoaded(scene);
+            const timedOut = performance.now() - start > TILE_TIMEOUT;
+            if (!loaded && !timedOut) return;
+            if (!loaded) console.warn('Tiles not loaded, exporting as is.');
+            removeListener();
+            callback();
+            resolve();
+        });
+    });
+}
+
+/**
+ * @typedef {object} GeoImageOptions
+ * @property {number} resolution - Ground size (m) of a pixel.
+ * @property {'png'|'jpeg'|'geotiff'} [format='png']
+ * @property {'wgs84'|'project'} [crs='wgs84'] - Output CRS; 'project' needs `app.config.proj4`.
+ * @property {string} [name='Export'] - Base name of the files.
+ * @property {Rectangle} [rectangle] - Extent in radians, by default the extent of the view.
+ */
+
+/**
+ * @typedef {object} GeoImageLayout
+ * @property {'wgs84'|'project'} crs
+ * @property {number} resolution - Ground size (m) of a pixel.
+ * @property {number} width - Pixels.
+ * @property {number} height - Pixels.
+ * @property {Cartesian3} center - Center of the extent on the ellipsoid.
+ * @property {Cartesian3} east - Unit vector of the image x axis.
+ * @property {Cartesian3} north - Unit vector of the image y axis.
+ * @property {Cartesian3} up - Unit vector towards the camera.
+ * @property {number} cameraHeight - Height (m) of the camera above the center.
+ * @property {number[]} worldFile - The six world file parameters.
+ */
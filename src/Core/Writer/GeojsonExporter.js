@@ -1,18 +1,42 @@
+import proj4 from 'proj4';
+
 const POINT = 'Point';
 const LINESTRING = 'LineString';
 const POLYGON = 'Polygon';
+const MULTIPOINT = 'MultiPoint';
+const MULTILINESTRING = 'MultiLineString';
+const MULTIPOLYGON = 'MultiPolygon';
+
+/**
+ * Default decimal places of the coordinates per output CRS:
+ * 8 for degrees (about 1 mm), 3 for the meters of the project CRS.
+ * @type {{wgs84: number, project: number}}
+ */
+export const GEOJSON_PRECISION = {wgs84: 8, project: 3};
+
+/**
+ * Rounds a number to a number of decimal places, keeping it a number.
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
 
 /**
  * Abstract base class for a GeoJSON Feature.
- * Subclasses implement geometry type and coordinate formatting.
+ * Subclasses implement the geometry type and the nesting of the coordinates.
  *
- * Handles number formatting (two decimals) for properties and provides
- * a custom string (JSON) representation.
+ * Coordinates are given as [lon, lat, (height)] in WGS84. On output they are transformed
+ * to the CRS of the options, if needed, and rounded to numbers with the given precision.
+ * Numbers in the properties are rounded to millimeters, independent of the display precision.
  *
  * @class
  * @abstract
  *
- * @param {number[]|number[][]|number[][][]} coordinates - Geometry coordinates for the feature.
+ * @param {number[]|number[][]|number[][][]|number[][][][]} coordinates - Geometry coordinates for the feature.
  * @param {object} [properties={}] - Properties for the feature.
  *
  * @example
@@ -20,14 +44,15 @@ const POLYGON = 'Polygon';
  */
 export class GeojsonFeature {
     /**
-     * JSON.stringify replacer function that rounds all numbers to two decimals.
+     * JSON.stringify replacer function that rounds all numbers to the decimals of
+     * meter values in the project CRS, see {@link GEOJSON_PRECISION}. Numbers stay numbers.
      * @param {string} key
      * @param {any} value
      * @returns {any}
      */
     static replacer = (key, value) => {
-        if (typeof value === 'number') {
-            return value.toFixed(2);
+        if (typeof value === 'number' && isFinite(value)) {
+            return round(value, GEOJSON_PRECISION.project);
         }
         return value;
     };
@@ -57,26 +82,37 @@ export class GeojsonFeature {
     }
 
     /**
-     * Abstract method: Format coordinates for GeoJSON output as string.
-     * Implemented by subclasses.
-     * @returns {string}
+     * Abstract method: Output coordinates in the nesting of the geometry type.
+     * Implemented by subclasses, which receive a function that transforms and rounds one position.
+     * @returns {Array}
      */
     formatCoordinates() {}
 
+    /**
+     * Convert to a GeoJSON Feature object.
+     * @param {GeojsonOptions} [options]
+     * @returns {object}
+     */
+    toJSON(options = {}) {
+        return {
+            type: 'Feature',
+            geometry: {
+                type: this.geometryType,
+                coordinates: this.formatCoordinates(positionFormatter(options)),
+            },
+            properties: JSON.parse(
+                JSON.stringify(this.properties ?? {}, GeojsonFeature.replacer),
+            ),
+        };
+    }
+
     /**
      * Convert to a GeoJSON Feature as a string.
-     * Numbers in properties are formatted to two decimals.
+     * @param {GeojsonOptions} [options]
      * @returns {string}
      */
-    toString() {
-        return `{
-            "type": "Feature",
-            "geometry": {
-                "type": "${this.geometryType}",
-                "coordinates": ${this.formatCoordinates()}
-            },
-            "properties": ${JSON.stringify(this.properties, GeojsonFeature.replacer)}
-        }`.replace(/\n{2,}/g, '');
+    toString(options) {
+        return JSON.stringify(this.toJSON(options));
     }
 }
 
@@ -97,10 +133,11 @@ export class GeojsonPoint extends GeojsonFeature {
 
     /**
      * Format point coordinates as [x, y, z] array.
-     * @returns {string}
+     * @param {function(number[]): number[]} position
+     * @returns {number[]}
      */
-    formatCoordinates() {
-        return `[${this.coordinates}]`;
+    formatCoordinates(position) {
+        return position(this.coordinates);
     }
 }
 
@@ -121,20 +158,24 @@ export class GeojsonLine extends GeojsonFeature {
 
     /**
      * Format line coordinates as [[x1, y1, z1], [x2, y2, z2], ...].
-     * @returns {string}
+     * @param {function(number[]): number[]} position
+     * @returns {number[][]}
      */
-    formatCoordinates() {
-        return `[${this.coordinates.map(xy => `[${xy}]`).join()}]`;
+    formatCoordinates(position) {
+        return this.coordinates.map(position);
     }
 }
 
 /**
  * Concrete GeoJSON Polygon feature.
  *
+ * Rings are closed and oriented by the right-hand rule of RFC 7946 on output:
+ * the outer ring counterclockwise, holes clockwise.
+ *
  * @class
  * @extends GeojsonFeature
  *
- * @param {number[][]} coordinates - Array of [x, y, (z)] points (polygon ring, closedness is caller’s responsibility).
+ * @param {number[][]|number[][][]} coordinates - Outer ring of [x, y, (z)] points, or an array of rings with the outer ring first.
  * @param {object} [properties] - Feature properties.
  */
 export class GeojsonPolygon extends GeojsonFeature {
@@ -144,38 +185,152 @@ export class GeojsonPolygon extends GeojsonFeature {
     }
 
     /**
-     * Format polygon coordinates as [[[x1, y1, z1], [x2, y2, z2], ...]] (GeoJSON outer ring array).
-     * @returns {string}
+     * Format polygon coordinates as [[[x1, y1, z1], ..., [x1, y1, z1]], ...holes].
+     * @param {function(number[]): number[]} position
+     * @returns {number[][][]}
      */
-    formatCoordinates() {
-        return `[[${this.coordinates.map(xy => `[${xy}]`).join()}]]`;
+    formatCoordinates(position) {
+        return formatPolygon(this.coordinates, position);
+    }
+}
+
+/**
+ * Concrete GeoJSON MultiPoint feature.
+ *
+ * @class
+ * @extends GeojsonFeature
+ *
+ * @param {number[][]} coordinates - Array of [x, y, (z)] points.
+ * @param {object} [properties] - Properties for the feature.
+ */
+export class GeojsonMultiPoint extends GeojsonFeature {
+    constructor(coordinates, properties) {
+        super(coordinates, properties);
+        this.geometryType = MULTIPOINT;
+    }
+
+    /**
+     * Format the points as [[x1, y1, z1], [x2, y2, z2], ...].
+     * @param {function(number[]): number[]} position
+     * @returns {number[][]}
+     */
+    formatCoordinates(position) {
+        return this.coordinates.map(position);
+    }
+}
+
+/**
+ * Concrete GeoJSON MultiLineString feature.
+ *
+ * @class
+ * @extends GeojsonFeature
+ *
+ * @param {number[][][]} coordinates - Array of lines, each an array of [x, y, (z)] points.
+ * @param {object} [properties] - Properties for the feature.
+ */
+export class GeojsonMultiLine extends GeojsonFeature {
+    constructor(coordinates, properties) {
+        super(coordinates, properties);
+        this.geometryType = MULTILINESTRING;
+    }
+
+    /**
+     * Format the lines as [[[x1, y1, z1], ...], ...].
+     * @param {function(number[]): number[]} position
+     * @returns {number[][][]}
+     */
+    formatCoordinates(position) {
+        return this.coordinates.map(line => line.map(position));
+    }
+}
+
+/**
+ * Concrete GeoJSON MultiPolygon feature.
+ *
+ * @class
+ * @extends GeojsonFeature
+ *
+ * @param {Array<number[][]|number[][][]>} coordinates - Array of polygons, each an outer ring or an array of rings as for {@link GeojsonPolygon}.
+ * @param {object} [properties] - Properties for the feature.
+ */
+export class GeojsonMultiPolygon extends GeojsonFeature {
+    constructor(coordinates, properties) {
+        super(coordinates, properties);
+        this.geometryType = MULTIPOLYGON;
+    }
+
+    /**
+     * Format the polygons as [[[[x1, y1, z1], ...], ...holes], ...].
+     * @param {function(number[]): number[]} position
+     * @returns {number[][][][]}
+     */
+    formatCoordinates(position) {
+        return this.coordinates.map(polygon =>
+            formatPolygon(polygon, position),
+        );
     }
 }
 
 /**
  * GeoJSON FeatureCollection for combining multiple features.
  *
+ * Written in WGS84 by default, as required by RFC 7946. With `crs: 'project'` the
+ * coordinates are transformed to the project CRS (`app.config.proj4`) and the collection
+ * names its EPSG code in a `crs` member, which QGIS and {@link GeojsonReader} understand.
+ *
  * @class
  *
  * @param {GeojsonFeature[]|GeojsonFeature} [features=[]] - Array or single feature object.
+ * @param {GeojsonOptions} [options={}] - Output CRS and precision.
  *
  * @example
- * const fc = new GeojsonFeatureCollection([
- *   new GeojsonPoint([8, 51], {name: "Center"}),
- *   new GeojsonLine([[0,0], [1,2]], {id: 12})
- * ]);
+ * const fc = new GeojsonFeatureCollection(
+ *     [
+ *         new GeojsonPoint([8, 51], {name: 'Center'}),
+ *         new GeojsonLine([[0, 0], [1, 2]], {id: 12}),
+ *     ],
+ *     {crs: 'project', epsg: 25832},
+ * );
  * console.log(fc.toString());
  */
 export class GeojsonFeatureCollection {
     /**
      * @param {GeojsonFeature[]|GeojsonFeature} [features=[]]
+     * @param {GeojsonOptions} [options={}]
      */
-    constructor(features = []) {
+    constructor(features = [], options = {}) {
         /**
          * Features array or single feature.
          * @type {GeojsonFeature[]|GeojsonFeature}
          */
         this.features = features;
+
+        /**
+         * Output CRS and precision.
+         * @type {GeojsonOptions}
+         */
+        this.options = options;
+    }
+
+    /**
+     * Convert to a GeoJSON FeatureCollection object.
+     * @returns {object}
+     */
+    toJSON() {
+        const features = Array.isArray(this.features)
+            ? this.features
+            : [this.features];
+        const collection = {type: 'FeatureCollection'};
+        if (this.options.crs === 'project') {
+            collection.crs = {
+                type: 'name',
+                properties: {
+                    name: `urn:ogc:def:crs:EPSG::${this.options.epsg}`,
+                },
+            };
+        }
+        collection.features = features.map(f => f.toJSON(this.options));
+        return collection;
     }
 
     /**
@@ -183,17 +338,71 @@ export class GeojsonFeatureCollection {
      * @returns {string}
      */
     toString() {
-        return `{
-            "type": "FeatureCollection",
-            "features": [${
-                Array.isArray(this.features)
-                    ? this.features.map(f => f.toString())
-                    : [
-                          this.features
-                              // @ts-ignore
-                              .toString(),
-                      ]
-            }]
-        }`.replace(/\s{2,}\n*/g, '');
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+/**
+ * Returns the function that transforms and rounds a WGS84 position for the output.
+ * @param {GeojsonOptions} options
+ * @returns {function(number[]): number[]}
+ */
+function positionFormatter({crs = 'wgs84', precision} = {}) {
+    const decimals = precision ?? GEOJSON_PRECISION[crs];
+    // Heights are meters in either CRS, more decimals than millimeters are noise.
+    const heightDecimals = Math.min(decimals, GEOJSON_PRECISION.project);
+    return coordinate => {
+        const [x, y] =
+            crs === 'project'
+                ? proj4('WGS84', 'COORD', coordinate.slice(0, 2))
+                : coordinate;
+        const position = [round(x, decimals), round(y, decimals)];
+        if (coordinate.length > 2 && isFinite(coordinate[2])) {
+            position.push(round(coordinate[2], heightDecimals));
+        }
+        return position;
+    };
+}
+
+/**
+ * Closes and orients the rings of a polygon.
+ * @param {number[][]|number[][][]} coordinates - Outer ring, or array of rings.
+ * @param {function(number[]): number[]} position
+ * @returns {number[][][]}
+ */
+function formatPolygon(coordinates, position) {
+    const rings = Array.isArray(coordinates[0]?.[0])
+        ? coordinates
+        : [coordinates];
+    return rings.map((ring, i) => {
+        const formatted = ring.map(position);
+        const first = formatted[0];
+        const last = formatted[formatted.length - 1];
+        if (first && !first.every((value, j) => value === last[j])) {
+            formatted.push([...first]);
+        }
+        const counterclockwise = signedArea(formatted) > 0;
+        if (counterclockwise !== (i === 0)) formatted.reverse();
+        return formatted;
+    });
+}
+
+/**
+ * Twice the signed area of a closed ring, positive if counterclockwise.
+ * @param {number[][]} ring
+ * @returns {number}
+ */
+function signedArea(ring) {
+    let sum = 0;
+    for (let i = 1; i < ring.length; i++) {
+        sum += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
     }
+    return sum;
 }
+
+/**
+ * @typedef {object} GeojsonOptions
+ * @property {'wgs84'|'project'} [crs='wgs84'] - Output CRS; 'project' needs the proj4 definition 'COORD'.
+ * @property {number|string} [epsg] - EPSG code of the project CRS, named in the `crs` member.
+ * @property {number} [precision] - Decimal places of the coordinates, see {@link GEOJSON_PRECISION}.
+ */
@@ -0,0 +1,327 @@
+import {
+    Cartesian3,
+    Cartographic,
+    Math as CesiumMath,
+    Matrix3,
+    Matrix4,
+    Transforms,
+} from '@cesium/engine';
+import * as zip from '@zip.js/zip.js';
+import {safeSampleTerrainMostDetailed} from '../utilities.js';
+
+/**
+ * Icon of point placemarks, tinted with the color of the measurement.
+ * @type {string}
+ */
+const POINT_ICON =
+    'https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png';
+
+/**
+ * Escapes the XML special characters of a text.
+ * @param {any} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a Cesium color to the aabbggrr notation of KML.
+ * @param {Cesium.Color} color
+ * @param {number} [alpha] - Overrides the alpha of the color (0 to 1).
+ * @returns {string}
+ */
+function kmlColor(color, alpha) {
+    const [r, g, b, a] = color.toBytes();
+    return [alpha === undefined ? a : Math.round(alpha * 255), b, g, r]
+        .map(value => value.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * KMLExporter – Class for exporting measurements and placed glTF models as KML or KMZ,
+ * e.g. for Google Earth.
+ *
+ * Points, polylines and polygons keep their color; labels become icon-less point placemarks
+ * with the label text as name. Heights are written relative to the terrain, since the
+ * ellipsoidal heights of Cesium would float by the geoid undulation above the ground of
+ * viewers using heights above sea level.
+ *
+ * Models are written as KML `Model` elements with location, orientation and scale taken
+ * from their model matrix; the glTF files are stored in the KMZ archive. Viewers that only
+ * support COLLADA models show the placemark without the model.
+ *
+ * @class
+ *
+ * @example
+ * const exporter = new KMLExporter();
+ * const kmz = await exporter.exportKMZ(app, [
+ *   {
+ *     coordinates: measurement.cartesians,
+ *     name: 'Messung 1',
+ *     mode: 'polyline',
+ *     color: measurement.color,
+ *     labels: [{text: '12,35 m', position: center}],
+ *   }
+ * ], [{name: 'house.glb', url, modelMatrix}]);
+ */
+export class KMLExporter {
+    /**
+     * Location, orientation and scale of a model matrix in KML terms.
+     *
+     * The heading is the Cesium heading; KML tilts about the east and rolls about the
+     * north axis, which are the Cesium roll and pitch axes.
+     *
+     * @param {Matrix4} modelMatrix
+     * @returns {{position: Cartesian3, heading: number, tilt: number, roll: number, scale: Cartesian3}}
+     *     Angles in degrees.
+     */
+    static fromModelMatrix(modelMatrix) {
+        const scale = Matrix4.getScale(modelMatrix, new Cartesian3());
+        const rotation = Matrix3.multiplyByScale(
+            Matrix4.getMatrix3(modelMatrix, new Matrix3()),
+            new Cartesian3(1 / scale.x, 1 / scale.y, 1 / scale.z),
+            new Matrix3(),
+        );
+        const position = Matrix4.getTranslation(modelMatrix, new Cartesian3());
+        const hpr = Transforms.fixedFrameToHeadingPitchRoll(
+            Matrix4.fromRotationTranslation(rotation, position),
+        );
+        return {
+            position: position,
+            heading: CesiumMath.toDegrees(hpr.heading),
+            tilt: CesiumMath.toDegrees(hpr.roll),
+            roll: -CesiumMath.toDegrees(hpr.pitch),
+            scale: scale,
+        };
+    }
+
+    /**
+     * Export features and models as KML text.
+     * Model files are referenced by the `href` given for each model.
+     *
+     * @async
+     * @param {any} app - The application instance, its terrain gives the heights above ground.
+     * @param {KMLFeature[]} data - Measurements to export.
+     * @param {Array<{name: string, href: string, modelMatrix: Matrix4}>} [models=[]]
+     * @param {string} [name='Export'] - Name of the KML document.
+     * @returns {Promise<string>} KML text.
+     */
+    async export(app, data, models = [], name = 'Export') {
+        const frames = models.map(model =>
+            KMLExporter.fromModelMatrix(model.modelMatrix),
+        );
+        const positions = [
+            ...data.flatMap(feature => [
+                ...feature.coordinates,
+                ...(feature.labels ?? []).map(label => label.position),
+            ]),
+            ...frames.map(frame => frame.position),
+        ];
+        const coordinate = await this.heightsAboveGround(app, positions);
+
+        const styles = data
+            .map((feature, i) => this.createStyle(`style${i}`, feature.color))
+            .join('');
+        const features = data
+            .map((feature, i) =>
+                this.createFeature(feature, `#style${i}`, coordinate),
+            )
+            .join('');
+        const placemarks = models
+            .map((model, i) => this.createModel(model, frames[i], coordinate))
+            .join('');
+
+        return (
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+            `<name>${escapeXML(name)}</name>` +
+            '<Style id="label"><IconStyle><scale>0</scale></IconStyle></Style>' +
+            styles +
+            features +
+            placemarks +
+            '</Document></kml>'
+        );
+    }
+
+    /**
+     * Export features and models as KMZ archive with the KML as `doc.kml` and the model
+     * files in the folder `models`.
+     *
+     * @async
+     * @param {any} app - The application instance.
+     * @param {KMLFeature[]} data - Measurements to export.
+     * @param {Array<{name: string, url: string, modelMatrix: Matrix4}>} [models=[]]
+     *     Models with the URL of their glTF/GLB file.
+     * @param {string} [name='Export'] - Name of the KML document.
+     * @returns {Promise<Blob>}
+     */
+    async exportKMZ(app, data, models = [], name = 'Export') {
+        const files = models.map((model, i) => ({
+            ...model,
+            href: `models/${i}-${model.name.replace(/[^\w.-]+/g, '_')}`,
+        }));
+        const writer = new zip.ZipWriter(
+            new zip.BlobWriter('application/vnd.google-earth.kmz'),
+        );
+        // doc.kml has to be the first entry of the archive.
+        await writer.add(
+            'doc.kml',
+            new zip.TextReader(await this.export(app, data, files, name)),
+        );
+        for (const file of files) {
+            const blob = await (await fetch(file.url)).blob();
+            await writer.add(file.href, new zip.BlobReader(blob));
+        }
+        return writer.close();
+    }
+
+    /**
+     * Samples the terrain below positions.
+     * @async
+     * @param {any} app
+     * @param {Cartesian3[]} positions
+     * @returns {Promise<function(Cartesian3): string>} Gives the KML coordinate "lon,lat,height above ground" of one of the positions.
+     */
+    async heightsAboveGround(app, positions) {
+        const cartographics = positions.map(position =>
+            Cartographic.fromCartesian(position),
+        );
+        const terrain = new Map();
+        const terrainProvider = app.viewer.terrainProvider;
+        if (cartographics.length && terrainProvider.availability) {
+            const sampled = await safeSampleTerrainMostDetailed(
+                terrainProvider,
+                cartographics.map(c => Cartographic.clone(c)),
+            );
+            positions.forEach((position, i) =>
+                terrain.set(position, sampled[i]?.height ?? 0),
+            );
+        }
+        return position => {
+            const carto = Cartographic.fromCartesian(position);
+            const height = carto.height - (terrain.get(position) ?? 0);
+            return [
+                CesiumMath.toDegrees(carto.longitude).toFixed(8),
+                CesiumMath.toDegrees(carto.latitude).toFixed(8),
+                height.toFixed(3),
+            ].join(',');
+        };
+    }
+
+    /**
+     * Create the style of a feature.
+     * @param {string} id
+     * @param {Cesium.Color} [color]
+     * @returns {string}
+     */
+    createStyle(id, color) {
+        if (!color) return `<Style id="${id}"/>`;
+        return (
+            `<Style id="${id}">` +
+            `<IconStyle><color>${kmlColor(color, 1)}</color>` +
+            `<Icon><href>${POINT_ICON}</href></Icon></IconStyle>` +
+            `<LineStyle><color>${kmlColor(color, 1)}</color><width>3</width></LineStyle>` +
+            `<PolyStyle><color>${kmlColor(color, 0.4)}</color></PolyStyle>` +
+            '</Style>'
+        );
+    }
+
+    /**
+     * Create a folder with the geometry and the labels of a feature.
+     * @param {KMLFeature} feature
+     * @param {string} styleUrl
+     * @param {function(Cartesian3): string} coordinate
+     * @returns {string}
+     */
+    createFeature(feature, styleUrl, coordinate) {
+        const name = escapeXML(feature.name);
+        const coordinates = feature.coordinates.map(coordinate);
+        let geometry;
+        switch (feature.mode) {
+            case 'point':
+                geometry = coordinates
+                    .map(
+                        (c, i) =>
+                            `<Placemark><name>${escapeXML(feature.pointNames?.[i] ?? feature.name)}</name>` +
+                            `<styleUrl>${styleUrl}</styleUrl>` +
+                            this.createPoint(c) +
+                            '</Placemark>',
+                    )
+                    .join('');
+                break;
+            case 'polygon':
+                geometry =
+                    `<Placemark><name>${name}</name><styleUrl>${styleUrl}</styleUrl>` +
+                    '<Polygon><altitudeMode>relativeToGround</altitudeMode>' +
+                    '<outerBoundaryIs><LinearRing><coordinates>' +
+                    [...coordinates, coordinates[0]].join(' ') +
+                    '</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>';
+                break;
+            default:
+                geometry =
+                    `<Placemark><name>${name}</name><styleUrl>${styleUrl}</styleUrl>` +
+                    '<LineString><altitudeMode>relativeToGround</altitudeMode><coordinates>' +
+                    coordinates.join(' ') +
+                    '</coordinates></LineString></Placemark>';
+        }
+        const labels = (feature.labels ?? [])
+            .map(
+                label =>
+                    `<Placemark><name>${escapeXML(label.text)}</name>` +
+                    '<styleUrl>#label</styleUrl>' +
+                    this.createPoint(coordinate(label.position)) +
+                    '</Placemark>',
+            )
+            .join('');
+        return `<Folder><name>${name}</name>${geometry}${labels}</Folder>`;
+    }
+
+    /**
+     * @param {string} coordinate - KML coordinate.
+     * @returns {string}
+     */
+    createPoint(coordinate) {
+        return (
+            '<Point><altitudeMode>relativeToGround</altitudeMode>' +
+            `<coordinates>${coordinate}</coordinates></Point>`
+        );
+    }
+
+    /**
+     * Create the placemark of a model.
+     * @param {{name: string, href: string}} model
+     * @param {object} frame - Result of {@link KMLExporter.fromModelMatrix} for the model.
+     * @param {function(Cartesian3): string} coordinate
+     * @returns {string}
+     */
+    createModel(model, frame, coordinate) {
+        const {position, heading, tilt, roll, scale} = frame;
+        const [longitude, latitude, altitude] = coordinate(position).split(',');
+        return (
+            `<Placemark><name>${escapeXML(model.name)}</name><Model>` +
+            '<altitudeMode>relativeToGround</altitudeMode>' +
+            `<Location><longitude>${longitude}</longitude><latitude>${latitude}</latitude>` +
+            `<altitude>${altitude}</altitude></Location>` +
+            `<Orientation><heading>${heading.toFixed(3)}</heading>` +
+            `<tilt>${tilt.toFixed(3)}</tilt><roll>${roll.toFixed(3)}</roll></Orientation>` +
+            `<Scale><x>${scale.x}</x><y>${scale.y}</y><z>${scale.z}</z></Scale>` +
+            `<Link><href>${escapeXML(model.href)}</href></Link>` +
+            '</Model></Placemark>'
+        );
+    }
+}
+
+/**
+ * @typedef {object} KMLFeature
+ * @property {Cartesian3[]} coordinates - Vertices.
+ * @property {string} name - Name of the placemark.
+ * @property {'point'|'polyline'|'polygon'} mode - Geometry type.
+ * @property {Cesium.Color} [color] - Color of points, lines and polygon fill.
+ * @property {string[]} [pointNames] - Names of the single points in 'point' mode.
+ * @property {Array<{text: string, position: Cartesian3}>} [labels] - Labels of the feature.
+ */
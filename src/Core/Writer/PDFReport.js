@@ -0,0 +1,575 @@
+import jsPDF from 'jspdf';
+import QRCode from 'qrcode';
+import {i18next} from '../../i18n.js';
+import {unitSettings} from '../UnitSettings.js';
+import {loadSVG, svgToCanvas} from '../utilities.js';
+
+/**
+ * Millimeters per typographic point.
+ * @type {number}
+ */
+const MM_PER_POINT = 25.4 / 72;
+
+/**
+ * Margin (mm) of the pages that continue lists which did not fit into their frame.
+ * @type {number}
+ */
+const CONTINUATION_MARGIN = 15;
+
+/**
+ * The sheet of the application before print templates could be configured: A4 portrait with
+ * a square map, compass, date, license, contact and logo. Used if `printTemplates` is not
+ * configured.
+ * @type {PrintTemplate}
+ */
+export const DEFAULT_PRINT_TEMPLATE = {
+    id: 'default',
+    name: 'A4',
+    format: 'a4',
+    orientation: 'portrait',
+    title: 'common:body.tools.print.pdf.title',
+    pages: [
+        {
+            map: {x: 10, y: 20, width: 190, height: 190},
+            elements: [
+                {type: 'title', x: 9, y: 18, fontSize: 16},
+                {type: 'compass', x: 186.5, y: 33.5, size: 20},
+                {type: 'date', x: 201, y: 216, align: 'right'},
+                {type: 'license', x: 105, y: 236},
+                {
+                    type: 'text',
+                    x: 9,
+                    y: 262,
+                    text: 'common:body.tools.print.pdf.contact',
+                    fontStyle: 'bold',
+                },
+                {
+                    type: 'text',
+                    x: 35,
+                    y: 262,
+                    text: 'common:body.tools.print.pdf.contact-content',
+                },
+                {type: 'logo', x: 150, y: 274, width: 50, height: 13},
+            ],
+        },
+    ],
+};
+
+/**
+ * PDFReport – Class for laying out a print of the view after a {@link PrintTemplate}.
+ *
+ * A template sets paper size and orientation and lists pages, each with an optional map
+ * frame and elements at millimeter positions. Legends, measurement and credit lists that do
+ * not fit into their frame continue on extra pages at the end of the document.
+ *
+ * The scale bar and scale ratio hold at the center of the map; in perspective views they
+ * change towards the horizon.
+ *
+ * @class
+ *
+ * @example
+ * const pdf = await new PDFReport().create(DEFAULT_PRINT_TEMPLATE, {
+ *     image: snapshotImage,
+ *     metersPerPixel: 0.25,
+ *     heading: 30,
+ *     date: new Date(),
+ * });
+ * pdf.save('print.pdf');
+ */
+export class PDFReport {
+    /**
+     * Lay out a template with the data of the view.
+     *
+     * @async
+     * @param {PrintTemplate} template
+     * @param {PDFReportData} data
+     * @returns {Promise<jsPDF>}
+     */
+    async create(template, data) {
+        const format = template.format ?? 'a4';
+        const orientation = template.orientation === 'landscape' ? 'l' : 'p';
+        const pdf = new jsPDF({
+            orientation: orientation,
+            unit: 'mm',
+            format: format,
+            putOnlyUsedFonts: true,
+            compress: true,
+        });
+
+        /**
+         * Meters per millimeter of the last drawn map, at its center.
+         * @type {number|undefined}
+         */
+        this.metersPerMm = undefined;
+        const overflow = [];
+        const pages = template.pages?.length ? template.pages : [{}];
+        for (const [i, page] of pages.entries()) {
+            if (i > 0) pdf.addPage(format, orientation);
+            if (page.map) this.drawMap(pdf, page.map, data);
+            for (const element of page.elements ?? []) {
+                const rest = await this.drawElement(
+                    pdf,
+                    element,
+                    template,
+                    data,
+                );
+                if (rest?.length) overflow.push({element, rows: rest});
+            }
+        }
+
+        const width = pdf.internal.pageSize.getWidth();
+        const height = pdf.internal.pageSize.getHeight();
+        for (const {element, rows} of overflow) {
+            let rest = rows;
+            while (rest.length) {
+                pdf.addPage(format, orientation);
+                rest = this.drawList(
+                    pdf,
+                    {
+                        ...element,
+                        x: CONTINUATION_MARGIN,
+                        y: CONTINUATION_MARGIN,
+                        width: width - 2 * CONTINUATION_MARGIN,
+                        height: height - 2 * CONTINUATION_MARGIN,
+                    },
+                    rest,
+                );
+            }
+        }
+        return pdf;
+    }
+
+    /**
+     * Draw the snapshot into a map frame, cropped to the aspect ratio of the frame.
+     * @param {jsPDF} pdf
+     * @param {PrintFrame} frame
+     * @param {PDFReportData} data
+     */
+    drawMap(pdf, frame, data) {
+        const {x, y, width, height} = frame;
+        const border = frame.border ?? 1;
+        if (border > 0) {
+            pdf.setFillColor(...(frame.borderColor ?? [0, 110, 167]));
+            pdf.rect(
+                x - border,
+                y - border,
+                width + 2 * border,
+                height + 2 * border,
+                'F',
+            );
+        }
+        if (!data.image) return;
+
+        const imageWidth = data.image.width;
+        const imageHeight = data.image.height;
+        const scale = Math.min(imageWidth / width, imageHeight / height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas
+            .getContext('2d')
+            .drawImage(
+                data.image,
+                (imageWidth - canvas.width) / 2,
+                (imageHeight - canvas.height) / 2,
+                canvas.width,
+                canvas.height,
+                0,
+                0,
+                canvas.width,
+                canvas.height,
+            );
+        pdf.addImage(
+            canvas.toDataURL('image/jpeg', 0.95),
+            'jpeg',
+            x,
+            y,
+            width,
+            height,
+        );
+        if (data.metersPerPixel) {
+            this.metersPerMm = data.metersPerPixel * scale;
+        }
+    }
+
+    /**
+     * Draw an element of a page.
+     * @async
+     * @param {jsPDF} pdf
+     * @param {PrintElement} element
+     * @param {PrintTemplate} template
+     * @param {PDFReportData} data
+     * @returns {Promise<Array<string[]>|undefined>} Rows of a list that did not fit into the frame.
+     */
+    async drawElement(pdf, element, template, data) {
+        switch (element.type) {
+            case 'title':
+                this.drawText(
+                    pdf,
+                    {fontStyle: 'bold', ...element},
+                    data.title || i18next.t(template.title ?? ''),
+                );
+                break;
+            case 'text':
+                this.drawText(pdf, element, i18next.t(element.text ?? ''));
+                break;
+            case 'date':
+                this.drawText(
+                    pdf,
+                    element,
+                    (data.date ?? new Date()).toLocaleDateString('de-DE', {
+                        day: '2-digit',
+                        month: '2-digit',
+                        year: 'numeric',
+                    }),
+                );
+                break;
+            case 'license':
+                this.drawText(
+                    pdf,
+                    {
+                        fontStyle: 'italic',
+                        fontSize: 14,
+                        color: [100, 100, 100],
+                        align: 'center',
+                        baseline: 'middle',
+                        ...element,
+                    },
+                    i18next.t(
+                        data.internal
+                            ? 'common:body.tools.print.pdf.internal-license'
+                            : 'common:body.tools.print.pdf.license',
+                    ),
+                );
+                break;
+            case 'logo':
+            case 'image': {
+                const src = element.type === 'logo' ? data.logo : element.src;
+                if (!src) break;
+                const image = await loadImage(
+                    src,
+                    element.width,
+                    element.height,
+                );
+                pdf.addImage(
+                    image,
+                    'png',
+                    element.x,
+                    element.y,
+                    element.width,
+                    element.height,
+                );
+                break;
+            }
+            case 'compass':
+                if (data.compass) await this.drawCompass(pdf, element, data);
+                break;
+            case 'scalebar':
+                this.drawScaleBar(pdf, element);
+                break;
+            case 'qrcode':
+                if (data.link) await this.drawQRCode(pdf, element, data.link);
+                break;
+            case 'legend':
+                return this.drawList(
+                    pdf,
+                    {
+                        heading: 'common:body.tools.print.pdf.legend',
+                        ...element,
+                    },
+                    (data.legend ?? []).map(name => [name]),
+                );
+            case 'measurements':
+                return this.drawList(
+                    pdf,
+                    {
+                        heading: 'common:body.tools.print.pdf.measurements',
+                        ...element,
+                    },
+                    (data.measurements ?? []).map(m => [m.name, m.value]),
+                );
+            case 'credits':
+                return this.drawList(
+                    pdf,
+                    {
+                        heading: 'common:body.tools.print.pdf.credits',
+                        fontSize: 8,
+                        ...element,
+                    },
+                    (data.credits ?? []).map(credit => [credit]),
+                );
+            default:
+                console.warn(`Unknown print element type: ${element.type}`);
+        }
+    }
+
+    /**
+     * Write a text with the font settings of an element.
+     * @param {jsPDF} pdf
+     * @param {PrintElement} element
+     * @param {string} text
+     */
+    drawText(pdf, element, text) {
+        this.setFont(pdf, element);
+        pdf.text(text, element.x, element.y, {
+            align: element.align ?? 'left',
+            baseline: element.baseline ?? 'bottom',
+            maxWidth: element.width,
+        });
+    }
+
+    /**
+     * @param {jsPDF} pdf
+     * @param {PrintElement} element
+     */
+    setFont(pdf, element) {
+        pdf.setFont('helvetica', element.fontStyle ?? 'normal');
+        pdf.setFontSize(element.fontSize ?? 12);
+        pdf.setTextColor(...(element.color ?? [0, 0, 0]));
+    }
+
+    /**
+     * Write rows of a list under its heading, the first column left, the second right aligned.
+     * @param {jsPDF} pdf
+     * @param {PrintElement} element - Frame of the list.
+     * @param {Array<string[]>} rows
+     * @returns {Array<string[]>} Rows that did not fit into the frame.
+     */
+    drawList(pdf, element, rows) {
+        if (!rows.length) return [];
+        const {x, width} = element;
+        const bottom = element.y + (element.height ?? Infinity);
+        const lineHeight = (element.fontSize ?? 10) * MM_PER_POINT * 1.3;
+        let y = element.y;
+
+        if (element.heading) {
+            this.setFont(pdf, {
+                ...element,
+                fontStyle: 'bold',
+                fontSize: (element.fontSize ?? 10) + 2,
+            });
+            pdf.text(i18next.t(element.heading), x, y, {baseline: 'top'});
+            y += lineHeight * 1.5;
+        }
+
+        this.setFont(pdf, {fontSize: 10, ...element});
+        for (const [i, [left, right]] of rows.entries()) {
+            const valueWidth = right ? pdf.getTextWidth(right) + 3 : 0;
+            const lines = pdf.splitTextToSize(left ?? '', width - valueWidth);
+            const needed = lines.length * lineHeight;
+            // The first row is always written, otherwise a frame too small would never fill.
+            if (i > 0 && y + needed > bottom) return rows.slice(i);
+            pdf.text(lines, x, y, {baseline: 'top', lineHeightFactor: 1.3});
+            if (right) {
+                pdf.text(right, x + width, y, {
+                    align: 'right',
+                    baseline: 'top',
+                });
+            }
+            y += needed;
+        }
+        return [];
+    }
+
+    /**
+     * Draw the compass rotated by the camera heading, on a grey disk.
+     * @async
+     * @param {jsPDF} pdf
+     * @param {PrintElement} element - Center `x`, `y` and `size` of the compass.
+     * @param {PDFReportData} data
+     */
+    async drawCompass(pdf, element, data) {
+        const size = element.size ?? 20;
+        const radius = size / 2;
+        const compass = await loadImage(data.compass, 500, 500);
+
+        pdf.setFillColor(72, 72, 72);
+        pdf.setGState(new pdf.GState({opacity: 0.3}));
+        pdf.circle(element.x, element.y, radius, 'F');
+        pdf.setGState(new pdf.GState({opacity: 1.0}));
+
+        // Offsets the position so that the rotated image stays centered on the disk.
+        const degree = Math.floor(data.heading ?? 0);
+        const angle = (degree / 180) * Math.PI;
+        const angle2 = ((degree - 90) / 180) * Math.PI;
+        const dX = size * Math.sin(angle);
+        const dY = size - size * Math.cos(angle);
+        const dX2 = radius * (Math.cos(angle2) - Math.sin(angle2));
+        const dY2 = radius * (Math.cos(angle) - Math.sin(angle));
+        pdf.addImage(
+            compass,
+            'png',
+            element.x + dX - dX2,
+            element.y - dY - dY2,
+            size,
+            size,
+            'COMPASS',
+            'NONE',
+            degree,
+        );
+    }
+
+    /**
+     * Draw a scale bar of round length no longer than the element width, with the scale ratio.
+     * Needs a map drawn before on the same or an earlier page.
+     * @param {jsPDF} pdf
+     * @param {PrintElement} element
+     */
+    drawScaleBar(pdf, element) {
+        if (!this.metersPerMm) return;
+        const width = element.width ?? 40;
+        const height = element.height ?? 2;
+        const meters = niceLength(width * this.metersPerMm);
+        const barWidth = meters / this.metersPerMm;
+        const segments = 4;
+
+        pdf.setDrawColor(0, 0, 0);
+        pdf.setLineWidth(0.2);
+        for (let i = 0; i < segments; i++) {
+            pdf.setFillColor(...(i % 2 ? [255, 255, 255] : [0, 0, 0]));
+            pdf.rect(
+                element.x + (i * barWidth) / segments,
+                element.y,
+                barWidth / segments,
+                height,
+                'FD',
+            );
+        }
+
+        this.setFont(pdf, {fontSize: 8, ...element});
+        pdf.text('0', element.x, element.y - 0.5, {
+            align: 'center',
+            baseline: 'bottom',
+        });
+        pdf.text(
+            formatScaleLength(meters),
+            element.x + barWidth,
+            element.y - 0.5,
+            {
+                align: 'center',
+                baseline: 'bottom',
+            },
+        );
+        const ratio = Math.round(this.metersPerMm * 1000);
+        pdf.text(
+            `${i18next.t('common:body.tools.print.pdf.scale')} 1 : ${ratio}`,
+            element.x,
+            element.y + height + 0.5,
+            {baseline: 'top'},
+        );
+    }
+
+    /**
+     * Draw a link as QR code.
+     * @async
+     * @param {jsPDF} pdf
+     * @param {PrintElement} element - Upper left corner `x`, `y` and `size`.
+     * @param {string} link
+     */
+    async drawQRCode(pdf, element, link) {
+        const size = element.size ?? 25;
+        const image = await QRCode.toDataURL(link, {
+            errorCorrectionLevel: 'M',
+            margin: 0,
+            width: 512,
+        });
+        pdf.addImage(image, 'png', element.x, element.y, size, size);
+    }
+}
+
+/**
+ * Loads an image for the PDF, rasterizing SVG files.
+ * @async
+ * @param {string} source - SVG or PNG path, or data URL.
+ * @param {number} [width=150] - Raster width of SVG sources.
+ * @param {number} [height=150] - Raster height of SVG sources.
+ * @returns {Promise<string|HTMLImageElement>}
+ */
+async function loadImage(source, width = 150, height = 150) {
+    if (source.endsWith('.svg')) {
+        const svg = await loadSVG(source);
+        return svgToCanvas(svg, width * 4, height * 4);
+    }
+    const image = new Image();
+    image.src = source;
+    await image.decode();
+    return image;
+}
+
+/**
+ * Largest length of 1, 2 or 5 times a power of ten not longer than the given length.
+ * @param {number} meters
+ * @returns {number}
+ */
+function niceLength(meters) {
+    const power = Math.pow(10, Math.floor(Math.log10(meters)));
+    const [factor] = [5, 2, 1].filter(f => f * power <= meters);
+    return (factor ?? 1) * power;
+}
+
+/**
+ * @param {number} meters - A length from {@link niceLength}.
+ * @returns {string} E.g. '0,5 m', '200 m' or '2 km'.
+ */
+function formatScaleLength(meters) {
+    const [value, unit] =
+        meters >= 1000 ? [meters / 1000, 'km'] : [meters, 'm'];
+    const decimals = Number.isInteger(value)
+        ? 0
+        : Math.max(0, -Math.floor(Math.log10(value % 1)));
+    return `${unitSettings.formatNumber(value, decimals)} ${unit}`;
+}
+
+/**
+ * @typedef {object} PrintTemplate
+ * @property {string} id - Key of the template.
+ * @property {string} name - Name in the template selection.
+ * @property {'a4'|'a3'|'a2'} [format='a4'] - Paper size.
+ * @property {'portrait'|'landscape'} [orientation='portrait']
+ * @property {string} [title] - Title of `title` elements, a text or translation key.
+ * @property {Array<{map?: PrintFrame, elements?: PrintElement[]}>} pages
+ */
+
+/**
+ * @typedef {object} PrintFrame
+ * @property {number} x - Left edge (mm).
+ * @property {number} y - Top edge (mm).
+ * @property {number} width - Width (mm).
+ * @property {number} height - Height (mm).
+ * @property {number} [border=1] - Width (mm) of the border, 0 for none.
+ * @property {number[]} [borderColor=[0, 110, 167]] - RGB color of the border.
+ */
+
+/**
+ * @typedef {object} PrintElement
+ * @property {'title'|'text'|'date'|'license'|'logo'|'image'|'compass'|'scalebar'|'qrcode'|'legend'|'measurements'|'credits'} type
+ * @property {number} x - Position (mm), see the documentation of `printTemplates`.
+ * @property {number} y - Position (mm).
+ * @property {number} [width] - Width (mm) of images, lists, scale bars and wrapped texts.
+ * @property {number} [height] - Height (mm) of images, lists and scale bars.
+ * @property {number} [size] - Size (mm) of compass and QR code.
+ * @property {string} [text] - Text or translation key of `text` elements.
+ * @property {string} [src] - Path of `image` elements.
+ * @property {string} [heading] - Heading or translation key of lists.
+ * @property {number} [fontSize] - In points.
+ * @property {'normal'|'bold'|'italic'|'bolditalic'} [fontStyle]
+ * @property {number[]} [color] - RGB text color.
+ * @property {'left'|'center'|'right'} [align]
+ * @property {'top'|'middle'|'bottom'} [baseline]
+ */
+
+/**
+ * @typedef {object} PDFReportData
+ * @property {HTMLImageElement|HTMLCanvasElement} [image] - Snapshot of the view.
+ * @property {number} [metersPerPixel] - Ground resolution at the center of the snapshot.
+ * @property {number} [heading] - Camera heading in degrees.
+ * @property {string} [title] - Overrides the title of the template.
+ * @property {Date} [date]
+ * @property {boolean} [internal] - Internal layers are shown, print the internal license.
+ * @property {string} [logo] - Path of `logo` elements.
+ * @property {string} [compass] - Path of the compass image.
+ * @property {string[]} [legend] - Names of the visible layers.
+ * @property {Array<{name: string, value: string}>} [measurements]
+ * @property {string[]} [credits] - Data attributions.
+ * @property {string} [link] - Link to the view for the QR code.
+ */
@@ -0,0 +1,452 @@
+import {Cartographic, Math as CesiumMath} from '@cesium/engine';
+import * as zip from '@zip.js/zip.js';
+import {degreesToProjectCoord} from '../utilities.js';
+
+/**
+ * Shape types of the geometry modes, all with heights.
+ * @type {Object<string, number>}
+ */
+const SHAPE_TYPES = {point: 11, polyline: 13, polygon: 15};
+
+/**
+ * Parts of the file names per geometry mode.
+ * @type {Object<string, string>}
+ */
+const FILE_SUFFIXES = {
+    point: 'Punkte',
+    polyline: 'Linien',
+    polygon: 'Flaechen',
+};
+
+/**
+ * Length of text columns in the dBASE table.
+ * @type {number}
+ */
+const TEXT_LENGTH = 254;
+
+/**
+ * Length and decimal places of number columns in the dBASE table.
+ * @type {{length: number, decimals: number}}
+ */
+const NUMBER_FORMAT = {length: 19, decimals: 3};
+
+/**
+ * Ellipsoids known by name in proj4 definitions: semi-major axis and inverse flattening.
+ * @type {Object<string, {name: string, a: number, rf: number}>}
+ */
+const ELLIPSOIDS = {
+    GRS80: {name: 'GRS_1980', a: 6378137, rf: 298.257222101},
+    WGS84: {name: 'WGS_1984', a: 6378137, rf: 298.257223563},
+    bessel: {name: 'Bessel_1841', a: 6377397.155, rf: 299.1528128},
+    intl: {name: 'International_1924', a: 6378388, rf: 297},
+};
+
+/**
+ * Datums known by name in proj4 definitions with their ESRI names and ellipsoid.
+ * @type {Object<string, {gcs: string, datum: string, ellps: string}>}
+ */
+const DATUMS = {
+    ETRS89: {gcs: 'GCS_ETRS_1989', datum: 'D_ETRS_1989', ellps: 'GRS80'},
+    WGS84: {gcs: 'GCS_WGS_1984', datum: 'D_WGS_1984', ellps: 'WGS84'},
+    potsdam: {
+        gcs: 'GCS_DHDN',
+        datum: 'D_Deutsches_Hauptdreiecksnetz',
+        ellps: 'bessel',
+    },
+};
+
+/**
+ * ShapefileExporter – Class for exporting measurements as zipped ESRI Shapefiles.
+ *
+ * Writes one .shp/.shx/.dbf/.prj/.cpg set per geometry type, since a shapefile only holds
+ * one type: PointZ, PolyLineZ and PolygonZ in the project CRS with ellipsoidal heights.
+ * The attribute table has a column per property name; text columns are UTF-8, which the
+ * .cpg file declares. Column names are cut to the ten characters dBASE allows.
+ *
+ * @class
+ *
+ * @param {object} [options]
+ * @param {string} [options.prj] - WKT of the project CRS for the .prj files, see {@link ShapefileExporter.prjFromProj4}.
+ *
+ * @example
+ * const exporter = new ShapefileExporter({prj: ShapefileExporter.prjFromProj4(app.config.proj4)});
+ * const zipBlob = await exporter.export(
+ *     [{coordinates: measurement.cartesians, mode: 'polygon', properties: {NAME: 'Messung 1', FLAECHE: 12.3}}],
+ *     'Messung',
+ * );
+ */
+export class ShapefileExporter {
+    /**
+     * @param {object} [options] - See class doc for details.
+     */
+    constructor({prj} = {}) {
+        /**
+         * WKT of the coordinate system, no .prj file is written if undefined.
+         * @type {string|undefined}
+         */
+        this.prj = prj;
+    }
+
+    /**
+     * ESRI WKT of the project CRS: the `wkt` of the proj4 configuration if given, otherwise
+     * converted from the proj4 definition. The conversion supports UTM and transverse Mercator
+     * projections on the ETRS89, WGS84 and DHDN datums or a named ellipsoid.
+     *
+     * @param {{definition: string, wkt?: string}} [proj4Config] - The `proj4` section of the configuration.
+     * @returns {string|undefined} Undefined if the definition cannot be converted.
+     */
+    static prjFromProj4(proj4Config) {
+        if (proj4Config?.wkt) return proj4Config.wkt;
+
+        const parameters = {};
+        for (const token of (proj4Config?.definition ?? '').split(/\s+/)) {
+            const [key, value = ''] = token.replace(/^\+/, '').split('=');
+            if (key) parameters[key] = value;
+        }
+
+        const datum = DATUMS[parameters.datum];
+        const ellipsoid = ELLIPSOIDS[parameters.ellps ?? datum?.ellps];
+        if (!ellipsoid) return;
+        const geogcs =
+            `GEOGCS["${datum?.gcs ?? `GCS_${ellipsoid.name}`}",` +
+            `DATUM["${datum?.datum ?? `D_${ellipsoid.name}`}",` +
+            `SPHEROID["${ellipsoid.name}",${ellipsoid.a},${ellipsoid.rf}]],` +
+            'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+        let name;
+        let projection;
+        switch (parameters.proj) {
+            case 'longlat':
+                return geogcs;
+            case 'utm': {
+                const zone = parseInt(parameters.zone, 10);
+                if (!zone) return;
+                const south = 'south' in parameters;
+                name = `UTM_Zone_${zone}${south ? 'S' : 'N'}`;
+                projection = {
+                    False_Easting: 500000,
+                    False_Northing: south ? 10000000 : 0,
+                    Central_Meridian: zone * 6 - 183,
+                    Scale_Factor: 0.9996,
+                    Latitude_Of_Origin: 0,
+                };
+                break;
+            }
+            case 'tmerc':
+                name = 'Transverse_Mercator';
+                projection = {
+                    False_Easting: Number(parameters.x_0 ?? 0),
+                    False_Northing: Number(parameters.y_0 ?? 0),
+                    Central_Meridian: Number(parameters.lon_0 ?? 0),
+                    Scale_Factor: Number(parameters.k_0 ?? parameters.k ?? 1),
+                    Latitude_Of_Origin: Number(parameters.lat_0 ?? 0),
+                };
+                break;
+            default:
+                return;
+        }
+        const datumName = (datum?.gcs ?? `GCS_${ellipsoid.name}`).slice(4);
+        return (
+            `PROJCS["${datumName}_${name}",${geogcs},` +
+            'PROJECTION["Transverse_Mercator"],' +
+            Object.entries(projection)
+                .map(([key, value]) => `PARAMETER["${key}",${value}],`)
+                .join('') +
+            'UNIT["Meter",1.0]]'
+        );
+    }
+
+    /**
+     * Export features as zip archive with one shapefile per geometry type.
+     *
+     * @async
+     * @param {ShapefileFeature[]} features
+     * @param {string} [name='Export'] - Base name of the files in the archive.
+     * @returns {Promise<Blob>}
+     */
+    async export(features, name = 'Export') {
+        const writer = new zip.ZipWriter(new zip.BlobWriter('application/zip'));
+        for (const mode of Object.keys(SHAPE_TYPES)) {
+            const group = features.filter(
+                feature =>
+                    feature.mode === mode && feature.coordinates.length > 0,
+            );
+            if (!group.length) continue;
+
+            const base = `${name}_${FILE_SUFFIXES[mode]}`;
+            const [shp, shx] = this.createShapes(
+                mode,
+                group.map(feature =>
+                    feature.coordinates.map(cartesianToProjectXYZ),
+                ),
+            );
+            await writer.add(`${base}.shp`, new zip.Uint8ArrayReader(shp));
+            await writer.add(`${base}.shx`, new zip.Uint8ArrayReader(shx));
+            await writer.add(
+                `${base}.dbf`,
+                new zip.Uint8ArrayReader(
+                    this.createTable(group.map(feature => feature.properties)),
+                ),
+            );
+            await writer.add(`${base}.cpg`, new zip.TextReader('UTF-8'));
+            if (this.prj) {
+                await writer.add(`${base}.prj`, new zip.TextReader(this.prj));
+            }
+        }
+        return writer.close();
+    }
+
+    /**
+     * Create the .shp and .shx files of shapes of one type.
+     * @param {string} mode - 'point', 'polyline' or 'polygon'.
+     * @param {number[][][]} shapes - Vertices of every shape as [x, y, z].
+     * @returns {Uint8Array[]} [shp, shx]
+     */
+    createShapes(mode, shapes) {
+        const records = shapes.map(coordinates =>
+            mode === 'point'
+                ? this.createPoint(coordinates[0])
+                : this.createPoly(
+                      SHAPE_TYPES[mode],
+                      mode === 'polygon'
+                          ? closedRing(coordinates)
+                          : coordinates,
+                  ),
+        );
+
+        const shpLength = 100 + records.reduce((l, r) => l + 8 + r.length, 0);
+        const shp = new DataView(new ArrayBuffer(shpLength));
+        const shx = new DataView(new ArrayBuffer(100 + 8 * records.length));
+        const bounds = extent(shapes.flat());
+        this.writeHeader(shp, shpLength, SHAPE_TYPES[mode], bounds);
+        this.writeHeader(shx, shx.byteLength, SHAPE_TYPES[mode], bounds);
+
+        let offset = 100;
+        records.forEach((record, i) => {
+            shp.setInt32(offset, i + 1);
+            shp.setInt32(offset + 4, record.length / 2);
+            new Uint8Array(shp.buffer).set(record, offset + 8);
+            shx.setInt32(100 + 8 * i, offset / 2);
+            shx.setInt32(104 + 8 * i, record.length / 2);
+            offset += 8 + record.length;
+        });
+        return [new Uint8Array(shp.buffer), new Uint8Array(shx.buffer)];
+    }
+
+    /**
+     * Write the 100 byte file header shared by .shp and .shx.
+     * @param {DataView} view
+     * @param {number} byteLength - Length of the whole file.
+     * @param {number} shapeType
+     * @param {number[]} bounds - [minX, minY, minZ, maxX, maxY, maxZ]
+     */
+    writeHeader(view, byteLength, shapeType, bounds) {
+        const [minX, minY, minZ, maxX, maxY, maxZ] = bounds;
+        view.setInt32(0, 9994);
+        view.setInt32(24, byteLength / 2);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, shapeType, true);
+        [minX, minY, maxX, maxY, minZ, maxZ, 0, 0].forEach((value, i) =>
+            view.setFloat64(36 + 8 * i, value, true),
+        );
+    }
+
+    /**
+     * Create the record content of a PointZ.
+     * @param {number[]} coordinate - [x, y, z]
+     * @returns {Uint8Array}
+     */
+    createPoint([x, y, z]) {
+        const view = new DataView(new ArrayBuffer(36));
+        view.setInt32(0, SHAPE_TYPES.point, true);
+        [x, y, z, 0].forEach((value, i) =>
+            view.setFloat64(4 + 8 * i, value, true),
+        );
+        return new Uint8Array(view.buffer);
+    }
+
+    /**
+     * Create the record content of a PolyLineZ or PolygonZ with one part.
+     * @param {number} shapeType
+     * @param {number[][]} coordinates - Vertices as [x, y, z].
+     * @returns {Uint8Array}
+     */
+    createPoly(shapeType, coordinates) {
+        const n = coordinates.length;
+        const view = new DataView(
+            new ArrayBuffer(44 + 4 + 16 * n + 32 + 16 * n),
+        );
+        const [minX, minY, minZ, maxX, maxY, maxZ] = extent(coordinates);
+        view.setInt32(0, shapeType, true);
+        [minX, minY, maxX, maxY].forEach((value, i) =>
+            view.setFloat64(4 + 8 * i, value, true),
+        );
+        view.setInt32(36, 1, true);
+        view.setInt32(40, n, true);
+        view.setInt32(44, 0, true);
+
+        let offset = 48;
+        coordinates.forEach(([x, y]) => {
+            view.setFloat64(offset, x, true);
+            view.setFloat64(offset + 8, y, true);
+            offset += 16;
+        });
+        [minZ, maxZ, ...coordinates.map(c => c[2])].forEach(value => {
+            view.setFloat64(offset, value, true);
+            offset += 8;
+        });
+        // Measures are not used, but readers expect them with Z shapes.
+        for (let i = 0; i < n + 2; i++) {
+            view.setFloat64(offset, 0, true);
+            offset += 8;
+        }
+        return new Uint8Array(view.buffer);
+    }
+
+    /**
+     * Create a dBASE III table with a column per property name. Numbers give numeric
+     * columns, all other values text columns.
+     * @param {object[]} rows - Properties of every record.
+     * @returns {Uint8Array}
+     */
+    createTable(rows) {
+        const encoder = new TextEncoder();
+        const fields = [];
+        for (const row of rows) {
+            for (const key of Object.keys(row ?? {})) {
+                if (fields.some(field => field.key === key)) continue;
+                const numeric = rows.every(
+                    r => r?.[key] === undefined || typeof r[key] === 'number',
+                );
+                fields.push({
+                    key: key,
+                    name: fieldName(key, fields),
+                    type: numeric ? 'N' : 'C',
+                    length: numeric ? NUMBER_FORMAT.length : TEXT_LENGTH,
+                    decimals: numeric ? NUMBER_FORMAT.decimals : 0,
+                });
+            }
+        }
+
+        const headerLength = 32 + 32 * fields.length + 1;
+        const recordLength =
+            1 + fields.reduce((sum, field) => sum + field.length, 0);
+        const bytes = new Uint8Array(
+            headerLength + recordLength * rows.length + 1,
+        );
+        const view = new DataView(bytes.buffer);
+        const today = new Date();
+        view.setUint8(0, 3);
+        view.setUint8(1, today.getFullYear() - 1900);
+        view.setUint8(2, today.getMonth() + 1);
+        view.setUint8(3, today.getDate());
+        view.setUint32(4, rows.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+
+        fields.forEach((field, i) => {
+            const offset = 32 + 32 * i;
+            bytes.set(encoder.encode(field.name), offset);
+            bytes[offset + 11] = field.type.charCodeAt(0);
+            bytes[offset + 16] = field.length;
+            bytes[offset + 17] = field.decimals;
+        });
+        bytes[headerLength - 1] = 0x0d;
+
+        rows.forEach((row, r) => {
+            let offset = headerLength + r * recordLength;
+            bytes[offset++] = 0x20;
+            for (const field of fields) {
+                const value = row?.[field.key];
+                let text;
+                if (field.type === 'N') {
+                    text = Number.isFinite(value)
+                        ? value.toFixed(field.decimals).padStart(field.length)
+                        : ' '.repeat(field.length);
+                } else {
+                    text = String(value ?? '');
+                }
+                const encoded = truncate(encoder.encode(text), field.length);
+                bytes.fill(0x20, offset, offset + field.length);
+                bytes.set(encoded, offset);
+                offset += field.length;
+            }
+        });
+        bytes[bytes.length - 1] = 0x1a;
+        return bytes;
+    }
+}
+
+/**
+ * Converts a cartesian to project coordinates with the ellipsoidal height.
+ * @param {Cesium.Cartesian3} cartesian
+ * @returns {number[]} [x, y, z]
+ */
+function cartesianToProjectXYZ(cartesian) {
+    const carto = Cartographic.fromCartesian(cartesian);
+    const [x, y] = degreesToProjectCoord([
+        CesiumMath.toDegrees(carto.longitude),
+        CesiumMath.toDegrees(carto.latitude),
+    ]);
+    return [x, y, carto.height];
+}
+
+/**
+ * Closes a ring and orients it clockwise, as shapefiles expect of outer rings.
+ * @param {number[][]} coordinates
+ * @returns {number[][]}
+ */
+function closedRing(coordinates) {
+    const ring = [...coordinates, coordinates[0]];
+    let area = 0;
+    for (let i = 1; i < ring.length; i++) {
+        area += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+    }
+    return area > 0 ? ring.reverse() : ring;
+}
+
+/**
+ * @param {number[][]} coordinates - [x, y, z] vertices.
+ * @returns {number[]} [minX, minY, minZ, maxX, maxY, maxZ]
+ */
+function extent(coordinates) {
+    const min = [0, 1, 2].map(i => Math.min(...coordinates.map(c => c[i])));
+    const max = [0, 1, 2].map(i => Math.max(...coordinates.map(c => c[i])));
+    return [...min, ...max];
+}
+
+/**
+ * Column name of at most ten characters, unique among the given fields.
+ * @param {string} key - Property name.
+ * @param {{name: string}[]} fields - Columns so far.
+ * @returns {string}
+ */
+function fieldName(key, fields) {
+    const base = key.replace(/[^\w]/g, '_').slice(0, 10) || 'FIELD';
+    let name = base;
+    for (let i = 1; fields.some(field => field.name === name); i++) {
+        name = `${base.slice(0, 10 - String(i).length)}${i}`;
+    }
+    return name;
+}
+
+/**
+ * Cuts UTF-8 bytes to a length without splitting a character.
+ * @param {Uint8Array} bytes
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function truncate(bytes, length) {
+    if (bytes.length <= length) return bytes;
+    let end = length;
+    // Continuation bytes start with 0b10.
+    while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+    return bytes.subarray(0, end);
+}
+
+/**
+ * @typedef {object} ShapefileFeature
+ * @property {Cesium.Cartesian3[]} coordinates - Vertices; points use the first one.
+ * @property {'point'|'polyline'|'polygon'} mode - Geometry type.
+ * @property {object} [properties] - Attributes, numbers and texts.
+ */
@@ -119,6 +119,56 @@ export function projectCoordToDegrees(coord) {
     return proj4('COORD', 'WGS84', coord);
 }
 
+/**
+ * Utility function to tell project coordinates from WGS84 degrees.
+ * Values beyond the degree range can only be project coordinates; projected coordinates
+ * that happen to lie within it (e.g. close to the false origin) are not detected.
+ * @param {[number, number]} coord - [x, y] or [longitude, latitude]
+ * @returns {boolean} True if the coordinate cannot be in degrees
+ */
+export function isProjectCoord([x, y]) {
+    return Math.abs(x) > 180 || Math.abs(y) > 90;
+}
+
+/**
+ * Utility function to reproject all geometries of a GeoJSON object to WGS84 in place.
+ * Heights are kept, a `crs` member is removed.
+ * @param {object} geojson - FeatureCollection, Feature or geometry
+ * @param {string} projection - proj4 definition name (e.g. 'COORD') or WKT of the source CRS
+ * @returns {object} The same object
+ */
+export function reprojectGeoJSON(geojson, projection) {
+    const converter = proj4(projection, 'WGS84');
+    const transform = coordinates =>
+        typeof coordinates[0] === 'number'
+            ? [
+                  ...converter.forward(coordinates.slice(0, 2)),
+                  ...coordinates.slice(2),
+              ]
+            : coordinates.map(transform);
+    const reproject = object => {
+        switch (object?.type) {
+            case 'FeatureCollection':
+                object.features.forEach(reproject);
+                break;
+            case 'Feature':
+                reproject(object.geometry);
+                break;
+            case 'GeometryCollection':
+                object.geometries.forEach(reproject);
+                break;
+            default:
+                if (object?.coordinates) {
+                    object.coordinates = transform(object.coordinates);
+                }
+        }
+    };
+
+    reproject(geojson);
+    delete geojson.crs;
+    return geojson;
+}
+
 /**
  * Utility function to convert from project coordinate system to WGS84 and then to Cartesian3
  * @param {[number, number]} coord
@@ -451,17 +501,21 @@ export async function checkAndAdjustCameraPosition(app) {
 }
 
 /**
- * Utility function to create a link for sharing.
+ * Utility function to create the link to the current view, with camera, layers and
+ * the parameters of the URL.
  * @param {*} app
+ * @param {object} [options]
+ * @param {string} [options.geometry] - Encoded measurements and excavation pits, see {@link encodeShareGeometry}.
+ * @returns {string}
  */
-export async function makeShareLink(app) {
+export function createShareLink(app, {geometry} = {}) {
     const [RW, HW, height] = cartesianToProjectCoord(
         app.viewer.scene.camera.position,
     );
 
     const camera = app.viewer.scene.camera;
 
-    const url = app.urlManager.getUpdatedURLString({
+    return app.urlManager.getUpdatedURLString({
         RWCamera: RW,
         HWCamera: HW,
         HCamera: height,
@@ -473,7 +527,18 @@ export async function makeShareLink(app) {
         cameraRoll: CesiumMath.toDegrees(camera.roll),
         pedestrian: app.urlManager.get('pedestrian'),
         mesh: app.urlManager.get('mesh'),
+        geometry: geometry,
     });
+}
+
+/**
+ * Utility function to create a link for sharing and copy it to the clipboard.
+ * @param {*} app
+ * @param {object} [options]
+ * @param {string} [options.geometry] - Encoded measurements and excavation pits, see {@link encodeShareGeometry}.
+ */
+export async function makeShareLink(app, {geometry} = {}) {
+    const url = createShareLink(app, {geometry});
 
     navigator.clipboard.writeText(url);
 
@@ -63,6 +63,25 @@ export function getFormattedDatetime() {
     return `${year}${month}${day}-${hours.toString().padStart(2, '0')}${minutes.toString().padStart(2, '0')}${seconds.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Downloads data as a file with the specified filename.
+ *
+ * @param {string} filename - The target filename for the download.
+ * @param {string|BufferSource|Blob} data - The contents of the file; a Blob keeps its own type.
+ */
+export function downloadFile(filename, data) {
+    const blob =
+        data instanceof Blob ? data : new Blob([data], {type: 'text/plain'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Toggles 3D buildings/mesh mode, updates scene and UI button states, and manages layer visibilities based on mesh mode.
  * @param {any} app - Application instance.
@@ -0,0 +1,155 @@
+import {app} from './Core/Application.js';
+import {addOGCFeatures, addOGCImagery} from './Core/Loader.js';
+import {OGCAPIClient} from './Core/OGCAPIClient.js';
+import {i18next} from './i18n.js';
+import {createTreeMenu} from './treeMenu.js';
+import {createButton} from './WMS.js';
+
+/**
+ * Resets the OGC API menu to the landing page URL input.
+ *
+ * @returns {void}
+ */
+export function initializeOGCMenu() {
+    const div = document.getElementById('ogc-list');
+    if (!div) return;
+    div.innerHTML = '';
+
+    const l = document.createElement('label');
+    l.innerText = 'URL: ';
+    l.htmlFor = 'ogc-input-url';
+
+    const i = document.createElement('input');
+    i.type = 'text';
+    i.id = 'ogc-input-url';
+    i.placeholder = 'https://example.com/ogcapi';
+
+    const subDiv = document.createElement('div');
+    subDiv.classList.add('theme-item');
+    subDiv.appendChild(l);
+    subDiv.appendChild(i);
+    div.appendChild(subDiv);
+
+    const buttonDiv = document.getElementById('ogc-button-list');
+    buttonDiv.innerHTML = '';
+    buttonDiv.appendChild(
+        createButton(
+            'ogc-next-button',
+            i18next.t('glossary:continue'),
+            'cesium-button',
+            createCollectionMenu,
+        ),
+    );
+}
+
+/**
+ * Reads the collections of the entered service and lists the offered
+ * resources (features, map tiles, maps) of each collection.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function createCollectionMenu() {
+    const url = document.getElementById('ogc-input-url')?.value.trim();
+    if (!url) return;
+
+    const list = document.getElementById('ogc-list');
+    const buttonDiv = document.getElementById('ogc-button-list');
+    const spinner = document.createElement('div');
+    spinner.classList.add('loading');
+    list.innerHTML = '';
+    list.appendChild(spinner);
+    buttonDiv.innerHTML = '';
+
+    const client = new OGCAPIClient(url, app.config.ogcApiOptions);
+    let content;
+    try {
+        const tree = {};
+        for (const collection of await client.getCollections()) {
+            const resources = {};
+            for (const [key, type] of [
+                ['items', 'ogcFeatures'],
+                ['tilesets', 'ogcTiles'],
+                ['map', 'ogcMaps'],
+            ]) {
+                if (collection[key]) {
+                    resources[i18next.t(`common:body.ogc.${type}`)] =
+                        `${type}:${collection.id}`;
+                }
+            }
+            if (Object.keys(resources).length > 0) {
+                tree[collection.title] = resources;
+            }
+        }
+        if (Object.keys(tree).length === 0) {
+            throw new Error(i18next.t('common:body.ogc.empty'));
+        }
+        content = createTreeMenu(tree, 'input');
+    } catch (error) {
+        content = document.createElement('p');
+        content.innerText = error.message;
+        content.style.fontWeight = 'bold';
+    }
+    list.innerHTML = '';
+    list.appendChild(content);
+
+    buttonDiv.appendChild(
+        createButton(
+            'ogc-return-btn',
+            i18next.t('glossary:back'),
+            'cesium-button',
+            initializeOGCMenu,
+        ),
+    );
+    if (client.collections) {
+        buttonDiv.appendChild(
+            createButton(
+                'ogc-add-btn',
+                i18next.t('glossary:add'),
+                'cesium-button',
+                () => addOGC(client),
+            ),
+        );
+    }
+}
+
+/**
+ * Adds all checked resources of the service and closes the menu.
+ *
+ * @async
+ * @param {OGCAPIClient} client
+ * @returns {Promise<void>}
+ */
+async function addOGC(client) {
+    const checked = [
+        ...document.querySelectorAll(
+            '#ogc-list input[name=wms-cb-leaves]:checked',
+        ),
+    ].map(e => e.value);
+    initializeOGCMenu();
+    document.getElementById('win-ogc-menu')?.winbox.close();
+
+    const {style, collections} = app.config.ogcApiOptions ?? {};
+    for (const value of checked) {
+        const [type, id] = value.split(/:(.*)/s);
+        const {title} = await client.getCollection(id);
+        const options = {
+            ...style,
+            ...collections?.[id],
+            url: client.url,
+            collection: id,
+            type,
+            target: `${title} (${i18next.t(`common:body.ogc.${type}`)})`,
+        };
+        options.layerName = options.target;
+        try {
+            if (type === 'ogcFeatures') {
+                await addOGCFeatures(app, options, client);
+            } else {
+                await addOGCImagery(app, options, client);
+            }
+        } catch (error) {
+            console.error(error);
+        }
+    }
+}
@@ -1,6 +1,7 @@
 import {PolygonDrawing} from '../Core/Drawing/PolygonDrawing.js';
-import {AddExcavationPit} from '../Core/ExcavationPit.js';
+import {AddExcavationPit, ExcavationPit} from '../Core/ExcavationPit.js';
 import {WindowFactory} from '../Core/WindowFactory.js';
+import {editVertexDepths} from '../excavationDepths.js';
 import {Flags} from '../Flags.js';
 import {State} from './State.js';
 
@@ -41,6 +42,11 @@ export class ExcavationState extends State {
                 [
                     'poly',
                     'line',
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'angle',
                     'height',
                     'dimension',
                     'viewshed',
@@ -113,16 +119,38 @@ export class ExcavationState extends State {
     }
 
     /**
-     * Sets up right-click behavior: finalizes and executes pit creation via AddExcavationPit, then exits state.
+     * Sets up right-click behavior: finalizes the outline, exits state and executes pit creation
+     * via AddExcavationPit with the wall settings of the excavation tool. With a sloped floor
+     * selected, the depth window of the new pit opens once it is listed.
      * @param {any} app
      */
     setEventHandlers(app) {
         this.rightClickHandle = () => {
             if (!this.polygon.terminate()) return;
-            const command = new AddExcavationPit();
-            command.execute(app, this.polygon.cartesians);
+            const command = new AddExcavationPit(
+                app,
+                [...this.polygon.cartesians],
+                undefined,
+                undefined,
+                true,
+                getWallSettings(),
+            );
             this.polygon = this.polygon.destroy();
             app.removeState(this);
+
+            // The pit exists before its depths are edited, so closing the window keeps it.
+            if (document.getElementById('excavationVertexDepthsCB')?.checked) {
+                const onCreated = ({detail}) => {
+                    if (detail.item.obj !== command.excavationPit) return;
+                    window.removeEventListener(
+                        'excavation-pit-created',
+                        onCreated,
+                    );
+                    editVertexDepths(app, detail.item);
+                };
+                window.addEventListener('excavation-pit-created', onCreated);
+            }
+            app.commandStack.execute(command);
         };
         window.addEventListener('viewer-right-click', this.rightClickHandle);
     }
@@ -134,3 +162,18 @@ export class ExcavationState extends State {
         window.removeEventListener('viewer-right-click', this.rightClickHandle);
     }
 }
+
+/**
+ * Reads the wall slope and berm settings for new pits from the excavation tool inputs.
+ * @returns {{slope: number, bermInterval: number, bermWidth: number}}
+ */
+function getWallSettings() {
+    const value = id => Number(document.getElementById(id)?.value) || 0;
+    return {
+        slope: ExcavationPit.slopeFromAngle(
+            value('excavationAngleInput') || 90,
+        ),
+        bermInterval: value('excavationBermIntervalInput'),
+        bermWidth: value('excavationBermWidthInput'),
+    };
+}
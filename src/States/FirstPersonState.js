@@ -37,6 +37,11 @@ export class FirstPersonState extends State {
             super('pedestrian', [
                 'polygon',
                 'line',
+                'profile',
+                'edit',
+                'coordinates',
+                'clearance',
+                'angle',
                 'height',
                 'dimension',
                 'viewshed',
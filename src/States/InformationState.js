@@ -28,7 +28,14 @@ export class InformationState extends State {
         } else {
             super(
                 'information',
-                ['polygon', 'line', 'height', 'waterLevel', 'dimension'],
+                [
+                    'polygon',
+                    'line',
+                    'profile',
+                    'height',
+                    'waterLevel',
+                    'dimension',
+                ],
                 [],
                 ['default'],
             );
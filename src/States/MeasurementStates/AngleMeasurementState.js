@@ -0,0 +1,134 @@
+import {AngleMeasurement} from '../../Core/Measurement/AngleMeasurement.js';
+import {AddMeasurement} from '../../Core/Measurement/MeasurementCommands.js';
+import {WindowFactory} from '../../Core/WindowFactory.js';
+import {setMeasurementBtnCallback} from '../../measurement.js';
+import {MeasurementState} from './MeasurementState.js';
+
+/**
+ * AngleMeasurementState – App UI state for angle and bearing measurements in the project CRS.
+ *
+ * Ensures singleton behavior: only one active at a time.
+ * Three clicks measure the interior angle at the second point and end the state;
+ * a right-click after two clicks measures the bearing against grid north instead.
+ *
+ * @class
+ * @extends MeasurementState
+ *
+ * @param {HTMLButtonElement} button - UI button that activates this state.
+ * @static {AngleMeasurementState} instance - Singleton reference.
+ *
+ * @example
+ * const state = new AngleMeasurementState(myAngleBtn);
+ * app.applyState(state);
+ */
+export class AngleMeasurementState extends MeasurementState {
+    /**
+     * Singleton constructor. Returns existing instance if already created.
+     * @param {HTMLButtonElement} button
+     * @returns {AngleMeasurementState}
+     */
+    constructor(button) {
+        if (AngleMeasurementState.instance) {
+            return AngleMeasurementState.instance;
+        } else {
+            super(
+                'angle',
+                button,
+                [
+                    'polygon',
+                    'line',
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'height',
+                    'excavation',
+                    'dimension',
+                    'viewshed',
+                    'information',
+                    'pedestrian',
+                ],
+                ['information'],
+            );
+
+            AngleMeasurementState.instance = this;
+        }
+    }
+
+    /**
+     * Activates angle measurement mode: disables selection, starts a new measurement,
+     * removes unfinished measurements, binds events, and opens the info window.
+     * @param {any} app - The main application object.
+     */
+    apply(app) {
+        app.handler.activeSelection = false;
+        const measurement = new AngleMeasurement(app, {
+            render: true,
+            onFinishCallback: () => app.removeState(this),
+        });
+        app.measurements.forEach(m => {
+            if (!m.finished && !m.destroyed) {
+                m.destroy();
+            }
+        });
+        app.measurements.push(measurement);
+        this.initialize(app, measurement);
+        this.setEventHandlers(app);
+        WindowFactory.createAngleMeasurementWindow().apply();
+    }
+
+    /**
+     * Deactivates angle measurement mode: lists the measurement if finished or cancels it,
+     * restores selection and the button, closes the window, and removes event listeners.
+     * @param {any} app
+     * @returns {boolean} Always true.
+     */
+    remove(app) {
+        app.handler.activeSelection = true;
+        const measurement = app.measurements[app.measurements.length - 1];
+
+        if (measurement.finished) {
+            app.commandStack.execute(
+                new AddMeasurement(app, measurement, {
+                    src: 'images/common/angle.svg',
+                }),
+            );
+        }
+        if (!measurement.finished && !measurement.destroyed) {
+            measurement.cancel();
+            app.measurements.pop();
+        }
+
+        super.terminate();
+        this.button.addEventListener('click', () => {
+            setMeasurementBtnCallback(app, AngleMeasurementState, this.button);
+        });
+        this.button.active = false;
+
+        this.removeEventHandlers(app);
+        WindowFactory.createAngleMeasurementWindow().close();
+        document.documentElement.style.cursor = 'default';
+        return true;
+    }
+
+    /**
+     * Installs a right-click handler that finishes a bearing after two points.
+     * @param {any} app
+     */
+    setEventHandlers(app) {
+        this.rightClickHandle = () => {
+            if (app.measurements[app.measurements.length - 1].terminate()) {
+                app.removeState(this);
+            }
+        };
+        window.addEventListener('viewer-right-click', this.rightClickHandle);
+    }
+
+    /**
+     * Removes the right-click handler set for this state.
+     * @param {any} app
+     */
+    removeEventHandlers(app) {
+        window.removeEventListener('viewer-right-click', this.rightClickHandle);
+    }
+}
@@ -40,6 +40,11 @@ export class AreaMeasurementState extends State {
                 [
                     'polygon',
                     'line',
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'angle',
                     'height',
                     'viewshed',
                     'pedestrian',
@@ -0,0 +1,217 @@
+import {Clearance} from '../../Core/Measurement/Clearance.js';
+import {ClearanceMeasurement} from '../../Core/Measurement/ClearanceMeasurement.js';
+import {AddMeasurement} from '../../Core/Measurement/MeasurementCommands.js';
+import {PickedObject} from '../../Core/PickedObject.js';
+import {WindowFactory} from '../../Core/WindowFactory.js';
+import {COLOR_SELECT} from '../../constants.js';
+import {i18next} from '../../i18n.js';
+import {setMeasurementBtnCallback} from '../../measurement.js';
+import {MeasurementState} from './MeasurementState.js';
+
+/**
+ * ClearanceMeasurementState – App UI state for the clearance between two objects.
+ *
+ * Ensures singleton behavior: only one active at a time.
+ * The first click picks and highlights an object (building, model or GeoJSON geometry),
+ * the second click another one. Their shortest connection is drawn, listed as measurement,
+ * and the state ends. A right click ends the state at any time.
+ *
+ * @class
+ * @extends MeasurementState
+ *
+ * @param {HTMLButtonElement} button - UI button that activates this state.
+ * @static {ClearanceMeasurementState} instance - Singleton reference.
+ *
+ * @example
+ * const state = new ClearanceMeasurementState(myClearanceBtn);
+ * app.applyState(state);
+ */
+export class ClearanceMeasurementState extends MeasurementState {
+    /**
+     * Singleton constructor. Returns existing instance if already created.
+     * @param {HTMLButtonElement} button
+     * @returns {ClearanceMeasurementState}
+     */
+    constructor(button) {
+        if (ClearanceMeasurementState.instance) {
+            return ClearanceMeasurementState.instance;
+        } else {
+            super(
+                'clearance',
+                button,
+                [
+                    'polygon',
+                    'line',
+                    'profile',
+                    'edit',
+                    'coordinates',
+                    'angle',
+                    'height',
+                    'excavation',
+                    'dimension',
+                    'viewshed',
+                    'information',
+                    'pedestrian',
+                ],
+                ['information'],
+            );
+
+            ClearanceMeasurementState.instance = this;
+        }
+    }
+
+    /**
+     * Activates clearance mode: disables selection, binds events, and opens the info window.
+     * @param {any} app - The main application object.
+     */
+    apply(app) {
+        app.handler.activeSelection = false;
+        this.first = undefined;
+        this.active = true;
+        this.button.removeEventListeners('click');
+        this.button.addEventListener('click', () => app.removeState(this));
+        this.setEventHandlers(app);
+        WindowFactory.createClearanceMeasurementWindow().apply();
+    }
+
+    /**
+     * Deactivates clearance mode: clears the highlight, restores selection and the button,
+     * closes the window, and removes event listeners.
+     * @param {any} app
+     * @returns {boolean} Always true.
+     */
+    remove(app) {
+        app.handler.activeSelection = true;
+        this.active = false;
+        this.first?.highlight.clearColor();
+        this.first = undefined;
+
+        super.terminate();
+        this.button.addEventListener('click', () => {
+            setMeasurementBtnCallback(
+                app,
+                ClearanceMeasurementState,
+                this.button,
+            );
+        });
+        this.button.active = false;
+
+        this.removeEventHandlers(app);
+        WindowFactory.createClearanceMeasurementWindow().close();
+        document.documentElement.style.cursor = 'default';
+        return true;
+    }
+
+    /**
+     * Gathers the geometry of the first object and highlights it.
+     * @param {any} app
+     * @param {{pickedFeature: any, windowPosition: Cesium.Cartesian2}} first
+     * @returns {Promise<void>}
+     */
+    async select(app, {pickedFeature, windowPosition}) {
+        document.documentElement.style.cursor = 'progress';
+        try {
+            const geometry = await Clearance.geometryOf(
+                app,
+                pickedFeature,
+                windowPosition,
+            );
+            if (!this.active) return;
+            const highlight = new PickedObject(pickedFeature);
+            highlight.colorize(COLOR_SELECT);
+            this.first = {pickedFeature, highlight, geometry};
+            app.viewer.scene.requestRender();
+        } finally {
+            document.documentElement.style.cursor = 'default';
+        }
+    }
+
+    /**
+     * Computes and lists the clearance between the first and the second object.
+     * The geometries are gathered right away, since screen samples depend on the view.
+     * @param {any} app
+     * @param {{pickedFeature: any, windowPosition: Cesium.Cartesian2}} second
+     * @returns {Promise<void>}
+     */
+    async measure(app, {pickedFeature, windowPosition}) {
+        document.documentElement.style.cursor = 'progress';
+        try {
+            const geometry = await Clearance.geometryOf(
+                app,
+                pickedFeature,
+                windowPosition,
+            );
+            if (!this.active) return;
+            const result = await Clearance.compute(
+                this.first.geometry,
+                geometry,
+            );
+            if (!this.active) return;
+            if (!result) {
+                WindowFactory.createErrorGeWindow({
+                    title: i18next.t('common:body.clearance-measurement.title'),
+                    content: i18next.t(
+                        'common:body.clearance-measurement.no-geometry',
+                    ),
+                }).apply(10);
+                return;
+            }
+            app.commandStack.execute(
+                new AddMeasurement(
+                    app,
+                    new ClearanceMeasurement(app, {
+                        cartesians: [result.from, result.to],
+                        approximate:
+                            this.first.geometry.sampled || geometry.sampled,
+                    }),
+                    {src: 'images/common/clearance.svg'},
+                ),
+            );
+            app.viewer.scene.requestRender();
+        } finally {
+            if (this.active) app.removeState(this);
+        }
+    }
+
+    /**
+     * Installs the click handlers: left-click picks an object, right-click ends the state.
+     * @param {any} app
+     */
+    setEventHandlers(app) {
+        this.leftClickHandle = event => {
+            const {pickedFeature, windowPosition} = event.detail;
+            if (!pickedFeature || !windowPosition || this.computing) return;
+            if (!this.first) {
+                this.computing = true;
+                this.select(app, {pickedFeature, windowPosition})
+                    .catch(console.error)
+                    .finally(() => (this.computing = false));
+                return;
+            }
+            if (
+                Clearance.isSameObject(pickedFeature, this.first.pickedFeature)
+            ) {
+                return;
+            }
+            this.computing = true;
+            this.measure(app, {pickedFeature, windowPosition})
+                .catch(console.error)
+                .finally(() => (this.computing = false));
+        };
+        this.rightClickHandle = () => app.removeState(this);
+        window.addEventListener('viewer-left-click-3d', this.leftClickHandle);
+        window.addEventListener('viewer-right-click', this.rightClickHandle);
+    }
+
+    /**
+     * Removes the click handlers set for this state.
+     * @param {any} app
+     */
+    removeEventHandlers(app) {
+        window.removeEventListener(
+            'viewer-left-click-3d',
+            this.leftClickHandle,
+        );
+        window.removeEventListener('viewer-right-click', this.rightClickHandle);
+    }
+}
@@ -0,0 +1,138 @@
+import {CoordinateMeasurement} from '../../Core/Measurement/CoordinateMeasurement.js';
+import {AddMeasurement} from '../../Core/Measurement/MeasurementCommands.js';
+import {WindowFactory} from '../../Core/WindowFactory.js';
+import {showCoordinateTable} from '../../coordinateTable.js';
+import {setMeasurementBtnCallback} from '../../measurement.js';
+import {MeasurementState} from './MeasurementState.js';
+
+/**
+ * CoordinateMeasurementState – App UI state for picking numbered points and reading their coordinates.
+ *
+ * Ensures singleton behavior: only one active at a time.
+ * Every left click adds a point; a right click ends the state, lists the measurement
+ * and opens the coordinate table with CSV and GeoJSON export.
+ *
+ * @class
+ * @extends MeasurementState
+ *
+ * @param {HTMLButtonElement} button - UI button that activates this state.
+ * @static {CoordinateMeasurementState} instance - Singleton reference.
+ *
+ * @example
+ * const state = new CoordinateMeasurementState(myCoordinateBtn);
+ * app.applyState(state);
+ */
+export class CoordinateMeasurementState extends MeasurementState {
+    /**
+     * Singleton constructor. Returns existing instance if already created.
+     * @param {HTMLButtonElement} button
+     * @returns {CoordinateMeasurementState}
+     */
+    constructor(button) {
+        if (CoordinateMeasurementState.instance) {
+            return CoordinateMeasurementState.instance;
+        } else {
+            super(
+                'coordinates',
+                button,
+                [
+                    'polygon',
+                    'line',
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'angle',
+                    'height',
+                    'excavation',
+                    'dimension',
+                    'viewshed',
+                    'information',
+                    'pedestrian',
+                ],
+                ['information'],
+            );
+
+            CoordinateMeasurementState.instance = this;
+        }
+    }
+
+    /**
+     * Activates coordinate measurement mode: disables selection, starts a new measurement,
+     * removes unfinished measurements, binds events, and opens the info window.
+     * @param {any} app - The main application object.
+     */
+    apply(app) {
+        app.handler.activeSelection = false;
+        const measurement = new CoordinateMeasurement(app, {render: true});
+        app.measurements.forEach(m => {
+            if (!m.finished && !m.destroyed) {
+                m.destroy();
+            }
+        });
+        app.measurements.push(measurement);
+        this.initialize(app, measurement);
+        this.setEventHandlers(app);
+        WindowFactory.createCoordinateMeasurementWindow().apply();
+    }
+
+    /**
+     * Deactivates coordinate measurement mode: lists the measurement and shows its table
+     * if finished or cancels it, restores selection and the button, closes the info window,
+     * and removes event listeners.
+     * @param {any} app
+     * @returns {boolean} Always true.
+     */
+    remove(app) {
+        app.handler.activeSelection = true;
+        const measurement = app.measurements[app.measurements.length - 1];
+
+        if (measurement.finished) {
+            app.commandStack.execute(
+                new AddMeasurement(app, measurement, {
+                    src: 'images/common/coordinates.svg',
+                }),
+            );
+            showCoordinateTable(app, measurement).catch(console.error);
+        }
+        if (!measurement.finished && !measurement.destroyed) {
+            measurement.cancel();
+            app.measurements.pop();
+        }
+
+        super.terminate();
+        this.button.addEventListener('click', () => {
+            setMeasurementBtnCallback(
+                app,
+                CoordinateMeasurementState,
+                this.button,
+            );
+        });
+        this.button.active = false;
+
+        this.removeEventHandlers(app);
+        WindowFactory.createCoordinateMeasurementWindow().close();
+        document.documentElement.style.cursor = 'default';
+        return true;
+    }
+
+    /**
+     * Installs a right-click handler that finishes the measurement once a point is set.
+     * @param {any} app
+     */
+    setEventHandlers(app) {
+        this.rightClickHandle = () => {
+            if (app.measurements[app.measurements.length - 1].terminate()) {
+                app.removeState(this);
+            }
+        };
+        window.addEventListener('viewer-right-click', this.rightClickHandle);
+    }
+
+    /**
+     * Removes the right-click handler set for this state.
+     * @param {any} app
+     */
+    removeEventHandlers(app) {
+        window.removeEventListener('viewer-right-click', this.rightClickHandle);
+    }
+}
@@ -0,0 +1,142 @@
+import {MeasurementEditor} from '../../Core/Measurement/MeasurementEditor.js';
+import {WindowFactory} from '../../Core/WindowFactory.js';
+import {setMeasurementBtnCallback} from '../../measurement.js';
+import {MeasurementState} from './MeasurementState.js';
+
+/**
+ * EditMeasurementState – App UI state for editing the vertices of finished line and area measurements.
+ *
+ * Ensures singleton behavior: only one active at a time.
+ * Left-clicking a measurement opens it in a {@link MeasurementEditor}: vertices can be dragged,
+ * midpoint handles insert new vertices, and right-clicking a vertex deletes it.
+ * Right-clicking elsewhere ends the edit mode.
+ *
+ * @class
+ * @extends MeasurementState
+ *
+ * @param {HTMLButtonElement} button - UI button that activates this state.
+ * @static {EditMeasurementState} instance - Singleton reference.
+ *
+ * @example
+ * const state = new EditMeasurementState(myEditBtn);
+ * app.applyState(state);
+ */
+export class EditMeasurementState extends MeasurementState {
+    /**
+     * Singleton constructor. Returns existing instance if already created.
+     * @param {HTMLButtonElement} button
+     * @returns {EditMeasurementState}
+     */
+    constructor(button) {
+        if (EditMeasurementState.instance) {
+            return EditMeasurementState.instance;
+        } else {
+            super(
+                'edit',
+                button,
+                [
+                    'polygon',
+                    'line',
+                    'profile',
+                    'height',
+                    'angle',
+                    'coordinates',
+                    'clearance',
+                    'dimension',
+                    'viewshed',
+                    'information',
+                    'pedestrian',
+                    'excavation',
+                    'waterLevel',
+                ],
+                ['information'],
+            );
+
+            EditMeasurementState.instance = this;
+        }
+    }
+
+    /**
+     * Activates edit mode: disables selection, binds events, and opens the info window.
+     * @param {any} app - The main application object.
+     */
+    apply(app) {
+        app.handler.activeSelection = false;
+        this.editor = undefined;
+        this.button.removeEventListeners('click');
+        this.button.addEventListener('click', () => app.removeState(this));
+        this.setEventHandlers(app);
+        WindowFactory.createEditMeasurementWindow().apply();
+    }
+
+    /**
+     * Deactivates edit mode: finishes the current editor, restores selection,
+     * cleans up button state, closes window, and removes event listeners.
+     * @param {any} app
+     * @returns {boolean} Always true.
+     */
+    remove(app) {
+        app.handler.activeSelection = true;
+        this.editor?.finish();
+        this.editor = undefined;
+
+        super.terminate();
+        this.button.addEventListener('click', () => {
+            setMeasurementBtnCallback(app, EditMeasurementState, this.button);
+        });
+        this.button.active = false;
+
+        this.removeEventHandlers(app);
+        WindowFactory.createEditMeasurementWindow().close();
+        document.documentElement.style.cursor = 'default';
+        return true;
+    }
+
+    /**
+     * Installs the click handlers: left-click selects the measurement to edit,
+     * right-click deletes a vertex or ends the edit mode.
+     * @param {any} app
+     */
+    setEventHandlers(app) {
+        this.leftClickHandle = event => {
+            const measurement = MeasurementEditor.findMeasurement(
+                app,
+                event.detail.pickedFeature?.id,
+            );
+            if (!measurement || measurement === this.editor?.measurement) {
+                return;
+            }
+            this.editor?.finish();
+            this.editor = new MeasurementEditor(app, measurement);
+            app.viewer.scene.requestRender();
+        };
+        this.rightClickHandle = event => {
+            const vertex = this.editor?.findVertex(
+                event.detail.pickedFeature?.id,
+            );
+            if (vertex) {
+                this.editor.removeVertex(vertex);
+                app.viewer.scene.requestRender();
+                return;
+            }
+            app.removeState(this);
+        };
+        window.addEventListener('viewer-left-click-3d', this.leftClickHandle);
+        window.addEventListener('viewer-right-click-3d', this.rightClickHandle);
+    }
+
+    /**
+     * Removes the click handlers set for this state.
+     * @param {any} app
+     */
+    removeEventHandlers(app) {
+        window.removeEventListener(
+            'viewer-left-click-3d',
+            this.leftClickHandle,
+        );
+        window.removeEventListener(
+            'viewer-right-click-3d',
+            this.rightClickHandle,
+        );
+    }
+}
@@ -1,5 +1,5 @@
-import {GeListItem} from '../../Components/ge-list-item/ge-list-item.js';
 import {HeightMeasurement} from '../../Core/Measurement/HeightMeasurement.js';
+import {AddMeasurement} from '../../Core/Measurement/MeasurementCommands.js';
 import {WindowFactory} from '../../Core/WindowFactory.js';
 import {setMeasurementBtnCallback} from '../../measurement.js';
 import {MeasurementState} from './MeasurementState.js';
@@ -39,6 +39,11 @@ export class HeightMeasurementState extends MeasurementState {
                     'excavation',
                     'polygon',
                     'line',
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'angle',
                     'dimension',
                     'viewshed',
                     'information',
@@ -86,27 +91,11 @@ export class HeightMeasurementState extends MeasurementState {
         const measurement = app.measurements[index];
 
         if (measurement.finished) {
-            const measurementList = document.querySelector('#measurementList');
-            if (measurementList) {
-                const item = new GeListItem({
-                    name: `Messung ${measurementList.html.list.childElementCount + 1}`,
+            app.commandStack.execute(
+                new AddMeasurement(app, measurement, {
                     src: 'images/common/height.svg',
-                    obj: measurement,
-                    checked: true,
-                    onClickCallback: () => {
-                        item.checked = !item.checked;
-                    },
-                    onCheckedCallback: checked => {
-                        measurement.show = checked;
-                    },
-                    onDeleteCallback: () => {
-                        measurement.destroy();
-                        measurementList.remove(item);
-                        app.measurements.splice(index, 1);
-                    },
-                });
-                measurementList.push(item);
-            }
+                }),
+            );
         }
 
         if (!measurement.finished && !measurement.destroyed) {
@@ -35,7 +35,19 @@ export class LengthMeasurementState extends State {
         } else {
             super(
                 'dimension',
-                ['polygon', 'line', 'height', 'viewshed', 'pedestrian', 'area'],
+                [
+                    'polygon',
+                    'line',
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'angle',
+                    'height',
+                    'viewshed',
+                    'pedestrian',
+                    'area',
+                ],
                 [],
                 ['information'],
             );
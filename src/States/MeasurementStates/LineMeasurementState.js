@@ -1,4 +1,4 @@
-import {GeListItem} from '../../Components/ge-list-item/ge-list-item.js';
+import {AddMeasurement} from '../../Core/Measurement/MeasurementCommands.js';
 import {PolylineMeasurement} from '../../Core/Measurement/PolylineMeasurement.js';
 import {WindowFactory} from '../../Core/WindowFactory.js';
 import {setMeasurementBtnCallback} from '../../measurement.js';
@@ -35,6 +35,11 @@ export class LineMeasurementState extends MeasurementState {
                 'line',
                 button,
                 [
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'angle',
                     'excavation',
                     'polygon',
                     'height',
@@ -83,27 +88,11 @@ export class LineMeasurementState extends MeasurementState {
         const measurement = app.measurements[index];
 
         if (measurement.finished) {
-            const measurementList = document.querySelector('#measurementList');
-            if (measurementList) {
-                const item = new GeListItem({
-                    name: `Messung ${measurementList.html.list.childElementCount + 1}`,
+            app.commandStack.execute(
+                new AddMeasurement(app, measurement, {
                     src: 'images/common/line.svg',
-                    obj: measurement,
-                    checked: true,
-                    onClickCallback: () => {
-                        item.checked = !item.checked;
-                    },
-                    onCheckedCallback: checked => {
-                        measurement.show = checked;
-                    },
-                    onDeleteCallback: () => {
-                        measurement.destroy();
-                        measurementList.remove(item);
-                        app.measurements.splice(index, 1);
-                    },
-                });
-                measurementList.push(item);
-            }
+                }),
+            );
         }
         if (!measurement.finished && !measurement.destroyed) {
             measurement.cancel();
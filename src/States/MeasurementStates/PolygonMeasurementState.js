@@ -1,7 +1,8 @@
-import {GeListItem} from '../../Components/ge-list-item/ge-list-item.js';
+import {AddMeasurement} from '../../Core/Measurement/MeasurementCommands.js';
 import {PolygonMeasurement} from '../../Core/Measurement/PolygonMeasurement.js';
 import {WindowFactory} from '../../Core/WindowFactory.js';
 import {setMeasurementBtnCallback} from '../../measurement.js';
+import {showPolygonAreas} from '../../polygonArea.js';
 import {MeasurementState} from './MeasurementState.js';
 
 /**
@@ -37,6 +38,11 @@ export class PolygonMeasurementState extends MeasurementState {
                 [
                     'excavation',
                     'line',
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'angle',
                     'height',
                     'dimension',
                     'viewshed',
@@ -73,7 +79,7 @@ export class PolygonMeasurementState extends MeasurementState {
 
     /**
      * Ends polygon measure mode, finalizes/cancels measurement, updates button/UI/events,
-     * adds to measurement list if completed, and closes the info window.
+     * adds to measurement list and shows its areas if completed, and closes the info window.
      * @param {any} app
      * @returns {boolean} Always true.
      */
@@ -83,27 +89,12 @@ export class PolygonMeasurementState extends MeasurementState {
         const measurement = app.measurements[index];
 
         if (measurement.finished) {
-            const measurementList = document.querySelector('#measurementList');
-            if (measurementList) {
-                const item = new GeListItem({
-                    name: `Messung ${measurementList.html.list.childElementCount + 1}`,
-                    obj: measurement,
+            app.commandStack.execute(
+                new AddMeasurement(app, measurement, {
                     src: 'images/common/area.svg',
-                    checked: true,
-                    onClickCallback: () => {
-                        item.checked = !item.checked;
-                    },
-                    onCheckedCallback: checked => {
-                        measurement.show = checked;
-                    },
-                    onDeleteCallback: () => {
-                        measurement.destroy();
-                        measurementList.remove(item);
-                        app.measurements.splice(index, 1);
-                    },
-                });
-                measurementList.push(item);
-            }
+                }),
+            );
+            showPolygonAreas(app, measurement).catch(console.error);
         }
         if (!measurement.finished && !measurement.destroyed) {
             measurement.cancel();
@@ -0,0 +1,142 @@
+import {AddMeasurement} from '../../Core/Measurement/MeasurementCommands.js';
+import {PolylineMeasurement} from '../../Core/Measurement/PolylineMeasurement.js';
+import {WindowFactory} from '../../Core/WindowFactory.js';
+import {setMeasurementBtnCallback} from '../../measurement.js';
+import {showElevationProfile} from '../../profile.js';
+import {MeasurementState} from './MeasurementState.js';
+
+/**
+ * ProfileMeasurementState – App UI state for drawing a line and showing the elevation profile along it.
+ *
+ * Ensures singleton behavior: only one active at a time.
+ * The line is drawn like a polyline measurement and added to the measurement list when finished;
+ * the profile of terrain and 3D tiles along it then opens in a chart window.
+ *
+ * @class
+ * @extends MeasurementState
+ *
+ * @param {HTMLButtonElement} button - UI button that activates this state.
+ * @static {ProfileMeasurementState} instance - Singleton reference.
+ *
+ * @example
+ * const state = new ProfileMeasurementState(myProfileBtn);
+ * state.apply(app);
+ */
+export class ProfileMeasurementState extends MeasurementState {
+    /**
+     * Singleton constructor. Returns existing instance if already created.
+     * @param {HTMLButtonElement} button
+     * @returns {ProfileMeasurementState}
+     */
+    constructor(button) {
+        if (ProfileMeasurementState.instance) {
+            return ProfileMeasurementState.instance;
+        } else {
+            super(
+                'profile',
+                button,
+                [
+                    'line',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'angle',
+                    'excavation',
+                    'polygon',
+                    'height',
+                    'dimension',
+                    'viewshed',
+                    'information',
+                    'pedestrian',
+                ],
+                ['information'],
+            );
+
+            ProfileMeasurementState.instance = this;
+        }
+    }
+
+    /**
+     * Activates profile mode: disables selection, starts new measurement,
+     * removes unfinished measurements, binds events, and opens the info window.
+     * @param {any} app - The main application object.
+     */
+    apply(app) {
+        app.handler.activeSelection = false;
+        const measurement = new PolylineMeasurement(app, {render: true});
+        app.measurements.forEach(m => {
+            if (!m.finished && !m.destroyed) {
+                m.destroy();
+            }
+        });
+        app.measurements.push(measurement);
+        this.initialize(app, measurement);
+        this.setEventHandlers(app);
+        WindowFactory.createBasicMeasurementWindow({
+            id: 'profileMeasureWindow',
+        }).apply();
+    }
+
+    /**
+     * Deactivates profile mode: restores selection, finalizes/cancels measurement and opens
+     * its profile, cleans up button state, closes window, and removes event listeners.
+     * @param {any} app
+     * @returns {boolean} Always true.
+     */
+    remove(app) {
+        app.handler.activeSelection = true;
+        const index = app.measurements.length - 1;
+        const measurement = app.measurements[index];
+
+        if (measurement.finished) {
+            app.commandStack.execute(
+                new AddMeasurement(app, measurement, {
+                    src: 'images/common/line.svg',
+                }),
+            );
+            showElevationProfile(app, measurement).catch(console.error);
+        }
+        if (!measurement.finished && !measurement.destroyed) {
+            measurement.cancel();
+            app.measurements.pop();
+        }
+
+        super.terminate();
+        this.button.addEventListener('click', () => {
+            setMeasurementBtnCallback(
+                app,
+                ProfileMeasurementState,
+                this.button,
+            );
+        });
+        this.button.active = false;
+
+        this.removeEventHandlers(app);
+        WindowFactory.createBasicMeasurementWindow({
+            id: 'profileMeasureWindow',
+        }).close();
+        document.documentElement.style.cursor = 'default';
+        return true;
+    }
+
+    /**
+     * Installs a right-click event handler to terminate measurement mode when the user right-clicks the viewer.
+     * @param {any} app
+     */
+    setEventHandlers(app) {
+        this.rightClickHandle = () => {
+            if (app.measurements[app.measurements.length - 1].terminate()) {
+                app.removeState(this);
+            }
+        };
+        window.addEventListener('viewer-right-click', this.rightClickHandle);
+    }
+
+    /**
+     * Removes the right-click event handler set for this state.
+     * @param {any} app
+     */
+    removeEventHandlers(app) {
+        window.removeEventListener('viewer-right-click', this.rightClickHandle);
+    }
+}
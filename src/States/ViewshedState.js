@@ -40,6 +40,11 @@ export class ViewshedState extends State {
             super('viewshed', [
                 'polygon',
                 'line',
+                'profile',
+                'edit',
+                'coordinates',
+                'clearance',
+                'angle',
                 'height',
                 'dimension',
                 'pedestrian',
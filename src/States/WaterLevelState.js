@@ -39,6 +39,11 @@ export class WaterLevelState extends State {
                 [
                     'polygon',
                     'line',
+                    'profile',
+                    'edit',
+                    'clearance',
+                    'coordinates',
+                    'angle',
                     'height',
                     'dimension',
                     'viewshed',
@@ -0,0 +1,196 @@
+import {WFS} from './constants.js';
+import {app} from './Core/Application.js';
+import {addExtentGeoJson} from './Core/Loader.js';
+import {WFSClient} from './Core/WFSClient.js';
+import {i18next} from './i18n.js';
+import {createTreeMenu} from './treeMenu.js';
+import {createButton} from './WMS.js';
+
+/**
+ * Initializes available WFS services from the configured list
+ * (one "name;url" entry per line) and builds the WFS menu.
+ *
+ * @returns {void}
+ */
+export function initializeWFServices() {
+    if (!app.config.wfsListUrl) {
+        document.querySelector('#wfs-menu-switch')?.parentElement?.remove();
+        return;
+    }
+    app.config.wfsListUrl
+        .replaceAll('\r', '')
+        .split('\n')
+        .filter(line => line.trim())
+        .forEach(line => {
+            const [name, url] = line.split(';');
+            WFS[name.trim()] = {url: url?.trim()};
+        });
+    initializeWFSMenu();
+}
+
+/**
+ * Lists all configured WFS services plus a custom URL input.
+ *
+ * @returns {void}
+ */
+function initializeWFSMenu() {
+    const div = document.getElementById('wfs-list');
+    div.innerHTML = '';
+
+    for (const key of [...Object.keys(WFS), 'custom']) {
+        const i = document.createElement('input');
+        i.type = 'radio';
+        i.name = 'WFS';
+        i.value = key;
+        i.id = `wfs-radio-${key}`;
+
+        const l = document.createElement('label');
+        l.innerText = key === 'custom' ? 'URL: ' : key;
+        l.htmlFor = i.id;
+
+        const subDiv = document.createElement('div');
+        subDiv.classList.add('theme-item');
+        subDiv.appendChild(i);
+        subDiv.appendChild(l);
+
+        if (key === 'custom') {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = 'wfs-input-custom';
+            subDiv.appendChild(input);
+        }
+        div.appendChild(subDiv);
+    }
+
+    const buttonDiv = document.getElementById('wfs-button-list');
+    buttonDiv.innerHTML = '';
+    buttonDiv.appendChild(
+        createButton(
+            'wfs-next-button',
+            i18next.t('glossary:continue'),
+            'cesium-button',
+            createFeatureTypeMenu,
+        ),
+    );
+}
+
+/**
+ * Returns the URL of the service selected in the WFS menu.
+ *
+ * @returns {string|undefined}
+ */
+function selectedServiceUrl() {
+    const ele = document.querySelector("input[name='WFS']:checked");
+    if (!ele) return undefined;
+    return ele.value === 'custom'
+        ? document.getElementById('wfs-input-custom')?.value
+        : WFS[ele.value].url;
+}
+
+/**
+ * Fetches the capabilities of the selected service and lists its feature types.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function createFeatureTypeMenu() {
+    const url = selectedServiceUrl();
+    if (!url) return;
+
+    const list = document.getElementById('wfs-list');
+    const buttonDiv = document.getElementById('wfs-button-list');
+    const spinner = document.createElement('div');
+    spinner.classList.add('loading');
+    list.innerHTML = '';
+    list.appendChild(spinner);
+    buttonDiv.innerHTML = '';
+
+    const client = new WFSClient(url, app.config.wfsOptions);
+    let content;
+    try {
+        const {featureTypes} = await client.getCapabilities();
+        if (featureTypes.length === 0) {
+            throw new Error(i18next.t('common:body.wfs.empty'));
+        }
+        content = createTreeMenu(
+            Object.fromEntries(featureTypes.map(ft => [ft.title, ft.name])),
+            'input',
+        );
+    } catch (error) {
+        content = document.createElement('p');
+        content.innerText = error.message;
+        content.style.fontWeight = 'bold';
+    }
+    list.innerHTML = '';
+    list.appendChild(content);
+
+    buttonDiv.appendChild(
+        createButton(
+            'wfs-return-btn',
+            i18next.t('glossary:back'),
+            'cesium-button',
+            initializeWFSMenu,
+        ),
+    );
+    if (client.capabilities) {
+        buttonDiv.appendChild(
+            createButton(
+                'wfs-add-btn',
+                i18next.t('glossary:add'),
+                'cesium-button',
+                () => addWFS(client),
+            ),
+        );
+    }
+}
+
+/**
+ * Adds all checked feature types of the service as layers and closes the menu.
+ *
+ * @async
+ * @param {WFSClient} client
+ * @returns {Promise<void>}
+ */
+async function addWFS(client) {
+    const checked = [
+        ...document.querySelectorAll(
+            '#wfs-list input[name=wms-cb-leaves]:checked',
+        ),
+    ];
+    initializeWFSMenu();
+    document.getElementById('win-wfs-menu')?.winbox.close();
+
+    for (const e of checked) {
+        try {
+            await addWFSLayer(client, e.value, e.getAttribute('key'));
+        } catch (error) {
+            console.error(error);
+        }
+    }
+}
+
+/**
+ * Adds a feature type as GeoJSON layer which reloads its features for the
+ * current view extent whenever the camera stops moving.
+ * Styling is taken from `wfsOptions.style` and `wfsOptions.layers[typeName]`
+ * and accepts the same options as addGeoJson.
+ *
+ * @async
+ * @param {WFSClient} client
+ * @param {string} typeName - Feature type name.
+ * @param {string} title - Name of the layer in the layer table.
+ * @returns {Promise<Layer|undefined>}
+ */
+export async function addWFSLayer(client, typeName, title) {
+    const {style, layers} = app.config.wfsOptions ?? {};
+    return addExtentGeoJson(
+        app,
+        {
+            ...style,
+            ...layers?.[typeName],
+            target: title,
+            layerName: title,
+        },
+        (rectangle, signal) => client.getFeatures(typeName, rectangle, signal),
+    );
+}
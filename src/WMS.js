@@ -130,7 +130,7 @@ export function toggleThemeMenu() {
  * @param {Function} [callbackFn] - Optional click handler callback.
  * @returns {HTMLElement} The constructed button.
  */
-function createButton(id, text, classList, callbackFn = undefined) {
+export function createButton(id, text, classList, callbackFn = undefined) {
     const button = document.createElement('ge-button');
     button.setAttribute('showborder', '');
     button.setAttribute('shape', 'rectangle');
@@ -228,7 +228,9 @@ function getWMSCapabilities(url) {
  */
 async function addWMS(url) {
     const values = [
-        ...document.querySelectorAll('input[name=wms-cb-leaves]:checked'),
+        ...document.querySelectorAll(
+            '#theme-list input[name=wms-cb-leaves]:checked',
+        ),
     ].map(e => [e.getAttribute('key'), e.value]);
     for (let i = 0; i < values.length; i++) {
         const guid = values[i][0];
@@ -213,6 +213,7 @@ export const randomColorOptions = {
 // Main global handler/registry objects (empty or filled at runtime)
 export const Handlers = {};
 export const WMS = {};
+export const WFS = {};
 
 // Main global layer registry for all geometry types.
 export const Layers = {
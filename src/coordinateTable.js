@@ -0,0 +1,193 @@
+import {unitSettings} from './Core/UnitSettings.js';
+import {WindowFactory} from './Core/WindowFactory.js';
+import {
+    GeojsonFeatureCollection,
+    GeojsonPoint,
+} from './Core/Writer/GeojsonExporter.js';
+import {downloadFile, getFormattedDatetime} from './Core/utils2.js';
+import {i18next} from './i18n.js';
+
+/**
+ * Decimal places of WGS84 degrees, about 1 mm.
+ * @type {number}
+ */
+const DEGREE_DECIMALS = 8;
+
+/**
+ * Shows the points of a coordinate measurement in a window: a table with the number,
+ * the coordinates in the project CRS or WGS84, the ellipsoidal height and the terrain
+ * height of every point, and buttons to export all values as CSV or GeoJSON.
+ * The table follows points that are moved later on. A previously opened table is replaced.
+ *
+ * @export
+ * @async
+ * @param {any} app - The application instance.
+ * @param {CoordinateMeasurement} measurement - A finished coordinate measurement.
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await showCoordinateTable(app, measurement);
+ */
+export async function showCoordinateTable(app, measurement) {
+    if (!measurement?.positions?.length) return;
+
+    const t = key => i18next.t(`common:body.coordinate-measurement.${key}`);
+    const projectLabel = app.config.proj4?.labelShort ?? '';
+
+    document.getElementById('coordinateWindow')?.destroy();
+    const win = WindowFactory.createInformationGeWindow({
+        id: 'coordinateWindow',
+        title: t('table'),
+        content: '',
+    });
+
+    const crs = document.createElement('select');
+    crs.append(
+        new Option(projectLabel, 'project'),
+        new Option('WGS84', 'wgs84'),
+    );
+
+    const table = document.createElement('table');
+    const update = () => {
+        if (!win.isConnected || measurement.destroyed) {
+            measurement.onChangeCallback = () => {};
+            window.removeEventListener('unit-settings-changed', update);
+            return;
+        }
+        const wgs84 = crs.value === 'wgs84';
+        table.replaceChildren();
+        const header = table.createTHead().insertRow();
+        [
+            t('number'),
+            wgs84 ? 'Lon' : 'X',
+            wgs84 ? 'Lat' : 'Y',
+            t('height'),
+            t('terrain'),
+        ].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.append(cell);
+        });
+        const body = table.createTBody();
+        measurement.getRows().forEach(row => {
+            const coords = wgs84
+                ? row.wgs84.map(value =>
+                      unitSettings.formatNumber(value, DEGREE_DECIMALS),
+                  )
+                : row.project.map(value => unitSettings.formatNumber(value, 3));
+            const cells = [
+                `P${row.number}`,
+                ...coords,
+                unitSettings.formatNumber(row.height),
+                row.terrain === undefined
+                    ? '–'
+                    : unitSettings.formatNumber(row.terrain),
+            ];
+            const tr = body.insertRow();
+            cells.forEach(text => (tr.insertCell().textContent = text));
+        });
+    };
+    crs.addEventListener('change', update);
+    window.addEventListener('unit-settings-changed', update);
+
+    const csv = document.createElement('ge-button');
+    csv.setAttribute('size', 'small');
+    csv.setAttribute('showborder', '');
+    csv.textContent = 'CSV';
+    csv.addEventListener('click', () => {
+        downloadFile(
+            `${getFormattedDatetime()}-Koordinaten.csv`,
+            createCoordinateCSV(measurement.getRows(), projectLabel),
+        );
+    });
+
+    const geojson = document.createElement('ge-button');
+    geojson.setAttribute('size', 'small');
+    geojson.setAttribute('showborder', '');
+    geojson.textContent = 'GeoJSON';
+    geojson.addEventListener('click', () => {
+        downloadFile(
+            `${getFormattedDatetime()}-Koordinaten_WGS84.geojson`,
+            createCoordinateGeoJSON(measurement.getRows()),
+        );
+    });
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'coordinate-toolbar';
+    toolbar.append(crs, csv, geojson);
+
+    win.content.append(toolbar, table);
+    win.apply();
+    update();
+
+    // Moving a point fires often, sample the terrain once at a time.
+    let sampling = false;
+    measurement.onChangeCallback = () => {
+        update();
+        if (sampling) return;
+        sampling = true;
+        measurement
+            .sampleTerrain()
+            .then(update)
+            .catch(console.error)
+            .finally(() => (sampling = false));
+    };
+    await measurement.sampleTerrain();
+    update();
+}
+
+/**
+ * Serializes coordinate rows as CSV separated by semicolons, with the project CRS,
+ * WGS84 and both heights in every row. Heights use the precision and numbers the decimal
+ * separator of {@link UnitSettings}.
+ *
+ * @export
+ * @param {CoordinateRow[]} rows - Rows of a {@link CoordinateMeasurement}.
+ * @param {string} projectLabel - Short name of the project CRS for the header.
+ * @returns {string}
+ */
+export function createCoordinateCSV(rows, projectLabel) {
+    const t = key => i18next.t(`common:body.coordinate-measurement.${key}`);
+    const header = [
+        t('number'),
+        `X (${projectLabel})`,
+        `Y (${projectLabel})`,
+        'Lon (WGS84)',
+        'Lat (WGS84)',
+        t('height'),
+        t('terrain'),
+    ];
+    const lines = rows.map(row => [
+        `P${row.number}`,
+        ...row.project.map(value => unitSettings.formatNumber(value, 3)),
+        ...row.wgs84.map(value =>
+            unitSettings.formatNumber(value, DEGREE_DECIMALS),
+        ),
+        unitSettings.formatNumber(row.height),
+        row.terrain === undefined ? '' : unitSettings.formatNumber(row.terrain),
+    ]);
+    return [header, ...lines].map(line => line.join(';')).join('\n');
+}
+
+/**
+ * Serializes coordinate rows as GeoJSON FeatureCollection of points in WGS84.
+ * Properties are the number, the project coordinates and both heights.
+ *
+ * @export
+ * @param {CoordinateRow[]} rows - Rows of a {@link CoordinateMeasurement}.
+ * @returns {string}
+ */
+export function createCoordinateGeoJSON(rows) {
+    return new GeojsonFeatureCollection(
+        rows.map(
+            row =>
+                new GeojsonPoint([...row.wgs84, row.height], {
+                    Nr: `P${row.number}`,
+                    X: row.project[0],
+                    Y: row.project[1],
+                    Hoehe: row.height,
+                    Gelaende: row.terrain,
+                }),
+        ),
+    ).toString();
+}
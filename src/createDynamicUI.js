@@ -187,6 +187,8 @@ addEventListener('translated', () => {
     [
         ['contentMenu', 'win-content'],
         ['wms-menu-switch', 'win-theme-menu'],
+        ['wfs-menu-switch', 'win-wfs-menu'],
+        ['ogc-menu-switch', 'win-ogc-menu'],
         ['settings', 'win-settingsContainer'],
         ['toolsMenu', 'win-toolsContainer'],
         ['information', 'win-information-window'],
@@ -0,0 +1,154 @@
+import {Color, LabelStyle, VerticalOrigin} from '@cesium/engine';
+import {updateExcavationReport} from './Core/ExcavationPit.js';
+import {WindowFactory} from './Core/WindowFactory.js';
+import {i18next} from './i18n.js';
+import {createButton} from './WMS.js';
+
+/**
+ * Removes the vertex labels of the open depth window, if any.
+ * @type {Function|undefined}
+ */
+let removeVertexLabels;
+
+/**
+ * Opens a window with one depth input per outline vertex of an excavation pit.
+ *
+ * While the window is open, the vertices are numbered in the map so the inputs
+ * can be matched to the outline. "Apply" passes the entered depths to `onApply`,
+ * "Flat floor" passes undefined to return to a single depth.
+ * A previously opened depth window is replaced.
+ *
+ * @export
+ * @param {any} app - The application instance.
+ * @param {object} options
+ * @param {Cesium.Cartesian3[]} options.cartesians - Outline vertices of the pit.
+ * @param {number[]} [options.vertexDepths] - Current depth per vertex.
+ * @param {number} [options.depth=0] - Depth of vertices without an own depth.
+ * @param {function(number[]|undefined): void} options.onApply - Called with the new depths.
+ * @returns {void}
+ *
+ * @example
+ * showVertexDepthWindow(app, {
+ *     cartesians: pit.cartesians,
+ *     vertexDepths: pit.vertexDepths,
+ *     depth: pit.depth,
+ *     onApply: depths => (pit.vertexDepths = depths),
+ * });
+ */
+export function showVertexDepthWindow(
+    app,
+    {cartesians, vertexDepths, depth = 0, onApply},
+) {
+    const t = key =>
+        i18next.t(`common:body.tools.excavation.vertex-depths.${key}`);
+
+    removeVertexLabels?.();
+    document.getElementById('vertexDepthWindow')?.destroy();
+
+    const labels = cartesians.map((position, i) =>
+        app.viewer.entities.add({
+            position,
+            label: {
+                text: String(i + 1),
+                font: '16px sans-serif',
+                style: LabelStyle.FILL_AND_OUTLINE,
+                fillColor: Color.WHITE,
+                outlineColor: Color.BLACK,
+                outlineWidth: 3,
+                verticalOrigin: VerticalOrigin.BOTTOM,
+                disableDepthTestDistance: Number.POSITIVE_INFINITY,
+            },
+        }),
+    );
+    removeVertexLabels = () => {
+        labels.forEach(label => app.viewer.entities.remove(label));
+        removeVertexLabels = undefined;
+    };
+
+    const win = WindowFactory.createInformationGeWindow({
+        id: 'vertexDepthWindow',
+        title: t('title'),
+        content: t('content'),
+    });
+    win.closeButton.addEventListener('click', () => removeVertexLabels?.());
+
+    const inputs = cartesians.map((_, i) => {
+        const input = document.createElement('ge-input-field');
+        input.setAttribute('label-text', `${t('vertex')} ${i + 1}: `);
+        input.setAttribute('suffix', 'm');
+        input.setAttribute('position', 'front');
+        input.setAttribute('validation-strategy', 'float');
+        input.setAttribute('min', '-500');
+        input.setAttribute('max', '500');
+        input.setAttribute('step', '0.1');
+        input.setAttribute('precision', '2');
+        input.setAttribute('start-value', String(vertexDepths?.[i] ?? depth));
+        return input;
+    });
+    const list = document.createElement('div');
+    list.className = 'vertex-depths';
+    list.append(...inputs);
+
+    const close = () => {
+        removeVertexLabels?.();
+        win.close();
+    };
+    const buttons = document.createElement('div');
+    buttons.className = 'vertex-depth-buttons';
+    buttons.append(
+        createButton('vertex-depth-apply', t('apply'), 'cesium-button', () => {
+            onApply(inputs.map(input => Number(input.value) || 0));
+            close();
+        }),
+        createButton('vertex-depth-flat', t('flat'), 'cesium-button', () => {
+            onApply(undefined);
+            close();
+        }),
+    );
+
+    win.content.append(list, buttons);
+    win.apply();
+}
+
+/**
+ * Opens the depth window for the pit of a list item.
+ * Applying the depths rebuilds the pit with a sloped (or again flat) floor.
+ *
+ * @export
+ * @param {any} app - The application instance.
+ * @param {GeListItem} item - List item of the pit.
+ * @returns {void}
+ */
+export function editVertexDepths(app, item) {
+    const pit = item.obj;
+    showVertexDepthWindow(app, {
+        cartesians: pit.cartesians,
+        vertexDepths: pit.vertexDepths,
+        depth: pit.depth,
+        onApply: depths => {
+            pit.vertexDepths = depths;
+            pit.update().then(() => updateExcavationReport(item));
+        },
+    });
+}
+
+/**
+ * Creates the list item action that opens the per-vertex depth window of the pit.
+ *
+ * @export
+ * @param {any} app - The application instance.
+ * @param {GeListItem} item - List item of the pit.
+ * @returns {HTMLElement}
+ */
+export function createVertexDepthButton(app, item) {
+    const button = document.createElement('ge-button');
+    button.slot = 'actions';
+    button.setAttribute('shape', 'square');
+    button.setAttribute('size', 'extra-small');
+    button.setAttribute('src', 'images/common/edit.svg');
+    button.title = i18next.t(
+        'common:body.tools.excavation.vertex-depths.title',
+    );
+    button.addEventListener('click', () => editVertexDepths(app, item));
+    return button;
+}
@@ -21,6 +21,7 @@ import {
 } from '@cesium/engine';
 import proj4 from 'proj4';
 import {app} from './Core/Application.js';
+import {Command} from './Core/Commands/Command.js';
 import {Flags} from './Flags.js';
 import {Temporary} from './Temporary.js';
 import {Handlers, Layers} from './constants.js';
@@ -411,6 +412,101 @@ export function gizmoLoop(matrix) {
     updateInspector();
 }
 
+/**
+ * Time window (ms) in which consecutive transforms of the same model are merged into one undo step.
+ * @type {number}
+ */
+const TRANSFORM_MERGE_INTERVAL = 1000;
+
+/**
+ * TransformModel – Undoable change of a glTF model's model matrix.
+ *
+ * Transforms of the same model that follow each other within a short interval
+ * (e.g. holding a move button) are merged into a single history entry.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {string} id - ID of the model (see Layers.gltf.id).
+ * @param {Matrix4} before - Model matrix before the transform.
+ * @param {Matrix4} after - Model matrix after the transform.
+ */
+export class TransformModel extends Command {
+    /**
+     * @param {string} id
+     * @param {Matrix4} before
+     * @param {Matrix4} after
+     */
+    constructor(id, before, after) {
+        super();
+        this.id = id;
+        this.before = Matrix4.clone(before);
+        this.after = Matrix4.clone(after);
+        this.timestamp = Date.now();
+    }
+
+    /**
+     * Applies the transformed matrix.
+     */
+    execute() {
+        setModelMatrix(this.id, this.after);
+    }
+
+    /**
+     * Restores the matrix from before the transform.
+     */
+    undo() {
+        setModelMatrix(this.id, this.before);
+    }
+
+    /**
+     * Merges a directly following transform of the same model.
+     * @param {Command} command
+     * @returns {boolean}
+     */
+    merge(command) {
+        if (
+            !(command instanceof TransformModel) ||
+            command.id !== this.id ||
+            command.timestamp - this.timestamp > TRANSFORM_MERGE_INTERVAL
+        ) {
+            return false;
+        }
+        this.after = command.after;
+        this.timestamp = command.timestamp;
+        return true;
+    }
+}
+
+/**
+ * Sets the model matrix of a loaded glTF model and keeps the gizmo in sync if the model is being edited.
+ * @param {string} id - ID of the model.
+ * @param {Matrix4} matrix - New model matrix.
+ */
+function setModelMatrix(id, matrix) {
+    const index = Layers.gltf.id.indexOf(id);
+    if (index < 0) return;
+    if (Flags.gizmoEdit && Temporary.pickedID === id) {
+        gizmoLoop(Matrix4.clone(matrix));
+    } else {
+        Layers.gltf.obj[index].modelMatrix = Matrix4.clone(matrix);
+    }
+}
+
+/**
+ * Records the change of the currently edited model from `before` to its current matrix as undoable transform.
+ * @export
+ * @param {Matrix4} before - Model matrix before the change.
+ */
+export function recordTransform(before) {
+    if (!defined(before) || !defined(Gizmo.modelMatrix)) return;
+    if (Layers.gltf.id.indexOf(Temporary.pickedID) < 0) return;
+    if (Matrix4.equals(before, Gizmo.modelMatrix)) return;
+    app.commandStack.push(
+        new TransformModel(Temporary.pickedID, before, Gizmo.modelMatrix),
+    );
+}
+
 function getCenterChange(delta, TRANSLATION_SCALER, localModel, inverseGlobal) {
     let rotate;
     let snap = false;
@@ -701,6 +797,7 @@ let last_proj_point;
 
 let snap;
 let center_mode;
+let transformStart;
 
 const TRANSLATION_SCALER = 2.0;
 const ROTATION_SCALER = 50;
@@ -792,6 +889,7 @@ function onMouseClick(click) {
 
     Flags.gizmoActive = true;
     snap = true;
+    transformStart = Matrix4.clone(Gizmo.modelMatrix);
 
     //disable camera features
     app.viewer.scene.screenSpaceCameraController.enableTranslate = false;
@@ -813,9 +911,13 @@ function onMouseUp(click) {
         picked = undefined;
     }
 
+    const before = transformStart;
+    transformStart = undefined;
     if (Gizmo.clampToGround) {
-        dropOnTerrain();
+        dropOnTerrain().then(() => recordTransform(before));
         center_mode = false;
+    } else {
+        recordTransform(before);
     }
 
     Flags.gizmoActive = false;
@@ -1,4 +1,6 @@
 // js-functions to hide buildings with middle mouse button
+import {Command} from './Core/Commands/Command.js';
+import {CommandGroup} from './Core/Commands/CommandGroup.js';
 import {GEOJSON3D, PARTICLE_SYSTEM} from './Core/Layer.js';
 import {layerCollection} from './Core/LayerCollection.js';
 import {getFormattedDatetime} from './Core/utils2.js';
@@ -69,18 +71,30 @@ async function parseCSVFile(file) {
 }
 
 /**
- * Imports a list of IDs from a file, hides the corresponding features,
- * updates internal arrays and the hideIDs object, and disables matching Cesium objects.
- * Also synchronizes particle systems and 3D GeoJSON elements.
+ * Imports a list of IDs from a file and adds it as a deletion list.
  *
  * @async
  * @param {File} file - The file containing IDs to hide (one per line).
  * @returns {Promise<void>}
  */
 async function uploadDeletionList(file) {
-    const obj = await parseCSVFile(file);
-    Variables.hideIDs[file.name] = new Set();
-    for (const id of obj) {
+    const ids = await parseCSVFile(file);
+    addDeletionList(file.name, ids);
+}
+
+/**
+ * Hides the features of a list of IDs, updates internal arrays and the hideIDs object,
+ * and disables matching Cesium objects. Also synchronizes particle systems and 3D GeoJSON elements.
+ * The list is shown in the deletion list UI, where it can be removed again.
+ *
+ * @export
+ * @param {string} name - Name of the list (key in Variables.hideIDs).
+ * @param {string[]} ids - IDs of the features to hide.
+ * @returns {void}
+ */
+export function addDeletionList(name, ids) {
+    Variables.hideIDs[name] = new Set();
+    for (const id of ids) {
         const feature = app.featureRegistry.getFeatureByUUID(id);
 
         const layer = new Layer({
@@ -90,7 +104,7 @@ async function uploadDeletionList(file) {
 
         layerCollection.addContent(layer);
 
-        Variables.hideIDs[file.name]?.add(id);
+        Variables.hideIDs[name]?.add(id);
         const index = Temporary.hiddenModels.id.indexOf(id);
         if (index > -1) {
             const btn = document.getElementById(
@@ -117,6 +131,27 @@ async function uploadDeletionList(file) {
 
     //INSERT CODE FOR ADDING FILE SPECIFIC ROWS
     switchStyling();
+    addDeletionListRow(name);
+}
+
+/**
+ * Returns the IDs of all currently hidden features: features hidden by middle click
+ * (unless toggled visible in the hidden table) and all imported deletion lists.
+ *
+ * @export
+ * @returns {string[]} Unique list of hidden IDs.
+ */
+export function getDeletionList() {
+    const ids = new Set(
+        Temporary.hiddenModels.id.filter(
+            (id, i) => !Temporary.hiddenModels.stat[i],
+        ),
+    );
+    for (const [key, hidden] of Object.entries(Variables.hideIDs)) {
+        if (key === 'default') continue;
+        hidden.forEach(id => id && ids.add(String(id)));
+    }
+    return [...ids];
 }
 
 /**
@@ -157,7 +192,6 @@ export function createRemoveUI() {
     const download_btn = document.getElementById('export-deletion-list');
     const upload_btn = document.getElementById('import-deletion-list');
     const upload_inp = document.getElementById('upload_inp');
-    const div = document.getElementById('deletion-list');
 
     download_btn.addEventListener('click', () => {
         downloadDeletionList();
@@ -167,41 +201,6 @@ export function createRemoveUI() {
         if (upload_inp.files.length > 0) {
             for (let i = 0; i < upload_inp.files.length; i++) {
                 uploadDeletionList(upload_inp.files[i]);
-
-                const filename = upload_inp.files[i].name;
-
-                const deleteDiv = document.createElement('div');
-                deleteDiv.className = 'deleteDiv';
-
-                const deleteLabel = document.createElement('label');
-                deleteLabel.textContent = `${filename}`;
-                deleteLabel.className = 'deleteLabel';
-
-                const deleteButton = document.createElement('span');
-                deleteButton.className = 'deleteButton highlight';
-                deleteButton.innerHTML = '<img/>';
-
-                deleteButton.addEventListener('click', () => {
-                    Variables.hideIDs[filename].clear();
-                    layerCollection.getContentByType(GEOJSON3D).forEach(ele => {
-                        for (const key of Object.keys(Variables.hideIDs)) {
-                            if (
-                                !Array.from(Variables.hideIDs[key]).includes(
-                                    String(ele.properties['UUID'].getValue()),
-                                )
-                            ) {
-                                ele.show = true;
-                                ele.disabled = false;
-                            }
-                        }
-                    });
-                    switchStyling();
-                    div.removeChild(deleteDiv);
-                });
-                deleteDiv.appendChild(deleteLabel);
-                deleteDiv.appendChild(deleteButton);
-
-                div.appendChild(deleteDiv);
             }
         }
         upload_inp.value = null;
@@ -212,6 +211,52 @@ export function createRemoveUI() {
     });
 }
 
+/**
+ * Adds a row for an imported deletion list to the deletion list UI.
+ * Its delete button shows the listed features again and removes the row.
+ *
+ * @function
+ * @param {string} filename - Name of the list (key in Variables.hideIDs).
+ * @returns {void}
+ */
+function addDeletionListRow(filename) {
+    const div = document.getElementById('deletion-list');
+    if (!div) return;
+
+    const deleteDiv = document.createElement('div');
+    deleteDiv.className = 'deleteDiv';
+
+    const deleteLabel = document.createElement('label');
+    deleteLabel.textContent = `${filename}`;
+    deleteLabel.className = 'deleteLabel';
+
+    const deleteButton = document.createElement('span');
+    deleteButton.className = 'deleteButton highlight';
+    deleteButton.innerHTML = '<img/>';
+
+    deleteButton.addEventListener('click', () => {
+        Variables.hideIDs[filename].clear();
+        layerCollection.getContentByType(GEOJSON3D).forEach(ele => {
+            for (const key of Object.keys(Variables.hideIDs)) {
+                if (
+                    !Array.from(Variables.hideIDs[key]).includes(
+                        String(ele.properties['UUID'].getValue()),
+                    )
+                ) {
+                    ele.show = true;
+                    ele.disabled = false;
+                }
+            }
+        });
+        switchStyling();
+        div.removeChild(deleteDiv);
+    });
+    deleteDiv.appendChild(deleteLabel);
+    deleteDiv.appendChild(deleteButton);
+
+    div.appendChild(deleteDiv);
+}
+
 /**
  * Extends the Temporary.hiddenModels object with arrays for managing state:
  * - obj: stores feature/model objects that have been hidden.
@@ -293,19 +338,124 @@ Handlers.hiding.setInputAction(movement => {
         return;
     }
 
+    app.commandStack.execute(new HideFeature(feature, id));
+}, ScreenSpaceEventType.MIDDLE_CLICK);
+
+/**
+ * Adds a feature to the hidden list and hides it (unless its visibility toggle is on).
+ *
+ * @param {any} feature - The feature/entity to hide.
+ * @param {string} id - Unique ID of the feature.
+ * @param {boolean} [stat=false] - Visibility toggle state of the table row.
+ */
+function hideFeature(feature, id, stat = false) {
     // Add the feature and its ID to the hidden objects and arrays
     Temporary.hiddenModels.obj.push(feature);
     Temporary.hiddenModels.id.push(id);
-    Temporary.hiddenModels.stat.push(false);
-    Variables.hideIDs['default'].add(id);
+    Temporary.hiddenModels.stat.push(stat);
+    if (!stat) Variables.hideIDs['default'].add(id);
 
     //turn off visibility
-    feature.show = false;
+    feature.show = stat;
 
     // Update the UI and table
     fillTable_hidden();
     eventhidden();
-}, ScreenSpaceEventType.MIDDLE_CLICK);
+}
+
+/**
+ * Removes a feature from the hidden list and shows it again.
+ *
+ * @param {string} id - Unique ID of the hidden feature.
+ * @returns {{feature: any, stat: boolean}|undefined} The removed entry, if found.
+ */
+function unhideFeature(id) {
+    const i = Temporary.hiddenModels.id.indexOf(id);
+    if (i < 0) return;
+    const feature = Temporary.hiddenModels.obj[i];
+    const stat = Temporary.hiddenModels.stat[i];
+
+    // eslint-disable-next-line no-import-assign
+    Variables.hideIDs = updateHideIDs(Variables.hideIDs, 'default', id);
+    feature.show = true;
+    Temporary.hiddenModels.obj.splice(i, 1);
+    Temporary.hiddenModels.id.splice(i, 1);
+    Temporary.hiddenModels.stat.splice(i, 1);
+    fillTable_hidden();
+    eventhidden();
+    return {feature, stat};
+}
+
+/**
+ * HideFeature – Undoable command that hides a picked feature and lists it in the hidden table.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {any} feature - The feature/entity to hide.
+ * @param {string} id - Unique ID of the feature.
+ */
+export class HideFeature extends Command {
+    /**
+     * @param {any} feature
+     * @param {string} id
+     */
+    constructor(feature, id) {
+        super();
+        this.feature = feature;
+        this.id = id;
+    }
+
+    /**
+     * Hides the feature.
+     */
+    execute() {
+        hideFeature(this.feature, this.id);
+    }
+
+    /**
+     * Shows the feature again and removes it from the hidden table.
+     */
+    undo() {
+        unhideFeature(this.id);
+    }
+}
+
+/**
+ * RestoreHiddenFeature – Undoable command that removes a feature from the hidden table and shows it again.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {string} id - Unique ID of the hidden feature.
+ */
+export class RestoreHiddenFeature extends Command {
+    /**
+     * @param {string} id
+     */
+    constructor(id) {
+        super();
+        this.id = id;
+    }
+
+    /**
+     * Shows the feature and remembers its table state for undo.
+     */
+    execute() {
+        const entry = unhideFeature(this.id);
+        if (entry) {
+            this.feature = entry.feature;
+            this.stat = entry.stat;
+        }
+    }
+
+    /**
+     * Hides the feature again with its previous table state.
+     */
+    undo() {
+        if (this.feature) hideFeature(this.feature, this.id, this.stat);
+    }
+}
 
 //UUID, Höhe, Baumart, Pflanzjahr,
 
@@ -348,28 +498,21 @@ export function fillTable_hidden() {
 }
 
 /**
- * Empties the list of hidden 3D models, restores their visibility,
- * and clears associated arrays and UI table.
+ * Empties the list of hidden 3D models and restores their visibility
+ * as a single undoable step.
  *
  * @function
  * @returns {void}
  */
 function listeleeren() {
-    const hiddentable = document.getElementById('hiddenTable');
-    for (let i = 0; i < Temporary.hiddenModels.obj.length; i++) {
-        Temporary.hiddenModels.obj[i].show = true;
-        // eslint-disable-next-line no-import-assign
-        Variables.hideIDs = updateHideIDs(
-            Variables.hideIDs,
-            'default',
-            Temporary.hiddenModels.id[i],
-        );
-    }
-    Temporary.hiddenModels.obj = [];
-    Temporary.hiddenModels.id = [];
-    Temporary.hiddenModels.stat = [];
-    hiddentable.innerHTML = '';
-    createTable_hidden();
+    if (Temporary.hiddenModels.id.length <= 0) return;
+    app.commandStack.execute(
+        new CommandGroup(
+            [...Temporary.hiddenModels.id].map(
+                id => new RestoreHiddenFeature(id),
+            ),
+        ),
+    );
 }
 
 /**
@@ -388,18 +531,9 @@ function eventhidden() {
         btn[i].addEventListener(
             'click',
             function (i) {
-                // eslint-disable-next-line no-import-assign
-                Variables.hideIDs = updateHideIDs(
-                    Variables.hideIDs,
-                    'default',
-                    Temporary.hiddenModels.id[i],
+                app.commandStack.execute(
+                    new RestoreHiddenFeature(Temporary.hiddenModels.id[i]),
                 );
-                Temporary.hiddenModels.obj[i].show = true;
-                Temporary.hiddenModels.obj.splice(i, 1);
-                Temporary.hiddenModels.id.splice(i, 1);
-                Temporary.hiddenModels.stat.splice(i, 1);
-                fillTable_hidden();
-                eventhidden();
             }.bind(null, i),
             false,
         );
@@ -135,6 +135,8 @@ async function initializeApp() {
     }, LOADING_OVERLAY_DELAY);
 
     initializeWMServices();
+    initializeWFServices();
+    initializeOGCMenu();
 }
 
 // Application startup: triggers the primary initialization routine on load/entry.
@@ -145,4 +147,6 @@ import './Components/ge-footer/ge-footer.js';
 import './Components/ge-header/ge-header.js';
 import './Components/ge-infobox/ge-infobox.js';
 import './Components/ge-link-list/ge-link-list.js';
+import {initializeOGCMenu} from './OGCAPI.js';
+import {initializeWFServices} from './WFS.js';
 import {initializeWMServices} from './WMS.js';
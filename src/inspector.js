@@ -7,7 +7,13 @@ import {
     TranslationRotationScale,
 } from '@cesium/engine';
 import {MIN_SCALE} from './constants.js';
-import {Gizmo, dropOnTerrain, gizmoLoop, setGizmoMode} from './gizmo.js';
+import {
+    Gizmo,
+    dropOnTerrain,
+    gizmoLoop,
+    recordTransform,
+    setGizmoMode,
+} from './gizmo.js';
 import {clipValue} from './global.js';
 import {
     move_down,
@@ -68,7 +74,9 @@ export function initializeInspector() {
                     zsca,
                 );
 
+                const before = Matrix4.clone(Gizmo.modelMatrix);
                 gizmoLoop(matrix);
+                recordTransform(before);
             }
         });
     });
@@ -101,14 +109,17 @@ export function initializeInspector() {
             zsca,
         );
 
+        const before = Matrix4.clone(Gizmo.modelMatrix);
         gizmoLoop(matrix);
+        recordTransform(before);
     });
 
     // Clamping and uniform scaling toggles
     document.getElementById('ground-clamp').addEventListener('change', e => {
         if (e.target.checked) {
             Gizmo.clampToGround = true;
-            dropOnTerrain();
+            const before = Matrix4.clone(Gizmo.modelMatrix);
+            dropOnTerrain().then(() => recordTransform(before));
         } else {
             Gizmo.clampToGround = false;
         }
@@ -19,11 +19,14 @@ import {layerCollection} from './Core/LayerCollection.js';
 import {
     add3DGeoJson,
     addGeoJson,
+    addOGCFeatures,
+    addOGCImagery,
     addParticleSystemLayer,
     loadB3DM,
     loadMesh,
     loadMixed,
 } from './Core/Loader.js';
+import {DEFAULT_PRINT_TEMPLATE} from './Core/Writer/PDFReport.js';
 import {loadModels} from './singlemodels.js';
 
 import {translateObject} from './Core/utils2';
@@ -243,6 +246,10 @@ export async function loadFromConfig(config) {
         '+proj=geocent +ellps=WGS84 +datum=WGS84 +units=m +no_defs',
     );
     proj4.defs('EPSG:4326', '+proj=longlat +datum=WGS84 +no_defs');
+    proj4.defs(
+        'EPSG:25832',
+        '+proj=utm +zone=32 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+    );
 
     if (config.proj4) {
         proj4.defs('COORD', config.proj4.definition);
@@ -417,10 +424,19 @@ export async function loadFromConfig(config) {
     if (config.twoD) {
         const d2 = config.twoD;
         for (const [key, value] of Object.entries(d2)) {
-            addGeoJson(app, {
-                ...value,
-                layerName: i18next.t(key),
-            });
+            const options = {...value, layerName: i18next.t(key)};
+            switch (value.type) {
+                case 'ogcFeatures':
+                    addOGCFeatures(app, options).catch(console.error);
+                    break;
+                case 'ogcTiles':
+                case 'ogcMaps':
+                    addOGCImagery(app, options).catch(console.error);
+                    break;
+                default:
+                    addGeoJson(app, options);
+                    break;
+            }
         }
     }
 
@@ -429,6 +445,24 @@ export async function loadFromConfig(config) {
     if (config.compass && compassEle) compassEle.src = config.compass;
     else compassEle?.remove();
 
+    // --- Print templates ---
+    const templateSelection = document.getElementById('printTemplateSelection');
+    if (templateSelection) {
+        const templates = config.printTemplates ?? [DEFAULT_PRINT_TEMPLATE];
+        templateSelection.replaceChildren(
+            ...templates.map(
+                template => new Option(i18next.t(template.name), template.id),
+            ),
+        );
+        templateSelection.disabled = templates.length < 2;
+    }
+    const projectOption = document.querySelector(
+        '#geoImageCRS option[value="project"]',
+    );
+    if (projectOption) {
+        projectOption.textContent = config.proj4?.labelShort ?? '';
+    }
+
     // --- Header UI ---
     if (config.header) {
         const header = document.querySelector('ge-header');
@@ -1,16 +1,59 @@
-import {defined} from '@cesium/engine';
+import {
+    CzmlDataSource,
+    GpxDataSource,
+    KmlDataSource,
+    defined,
+} from '@cesium/engine';
+import proj4 from 'proj4';
+import WinBox from 'winbox/src/js/winbox.js';
+import './Components/FileUpload/FileUpload.js';
 import {app} from './Core/Application.js';
 import {Layer} from './Core/Layer.js';
 import {layerCollection} from './Core/LayerCollection.js';
 import {addGeoJson, loadTiffImage} from './Core/Loader.js';
+import {CSVReader} from './Core/Reader/CSVReader.js';
+import {GeojsonReader} from './Core/Reader/GeojsonReader.js';
+import {ShapefileReader} from './Core/Reader/ShapefileReader.js';
+import {
+    isProjectCoord,
+    projectCoordToDegrees,
+    reprojectGeoJSON,
+} from './Core/utilities.js';
 import {addEntryToTable, checkCheckbox, switchCheckbox} from './Core/utils2.js';
+import {WindowFactory} from './Core/WindowFactory.js';
+import {ShapefileExporter} from './Core/Writer/ShapefileExporter.js';
 import {Variables} from './global.js';
+import {i18next} from './i18n.js';
 import {viewer} from './viewer.js';
 
 /**
- * Handles the uploading and loading of local GeoJSON files via a file input element.
- * For each selected file, creates a temporary URL, loads the GeoJSON layer with generalized display options,
- * adds it to the Cesium viewer, and flies the camera to its bounding sphere.
+ * Loaders of the vector formats handled by Cesium data sources, by file extension.
+ * @type {Object<string, function(File): Promise<DataSource>>}
+ */
+const DATA_SOURCE_LOADERS = {
+    kml: file =>
+        KmlDataSource.load(file, {
+            camera: viewer.scene.camera,
+            canvas: viewer.scene.canvas,
+            clampToGround: true,
+        }),
+    kmz: file => DATA_SOURCE_LOADERS.kml(file),
+    czml: async file => CzmlDataSource.load(JSON.parse(await file.text())),
+    gpx: file => GpxDataSource.load(file, {clampToGround: true}),
+};
+
+/**
+ * Extensions of files that are only read together with a main file of the same name.
+ * @type {string[]}
+ */
+const SIDECAR_EXTENSIONS = ['prj', 'dbf', 'cpg', 'shx'];
+
+/**
+ * Handles the uploading and loading of local vector files via a file input element.
+ * The format is detected from the file extension: GeoJSON and shapefiles (zipped, or .shp selected
+ * together with .dbf/.prj) are reprojected to WGS84 if necessary, KML/KMZ, CZML and GPX are loaded
+ * as Cesium data sources, and CSV files open the column mapping dialog.
+ * Every file becomes a layer with a table entry; the camera flies to its bounding sphere.
  * The file input is then reset for future uploads.
  *
  * @async
@@ -19,23 +62,309 @@ import {viewer} from './viewer.js';
  * @returns {Promise<void>}
  */
 async function loadFiles(app, event) {
-    const files = event.target.files;
-    for (let i = 0; i < files.length; i++) {
-        const tmppath = URL.createObjectURL(files[i]);
-        const fileName = files[i].name.split('.')[0];
-        const layer = await addGeoJson(app, {
-            target: fileName,
-            url: tmppath,
-            layerName: fileName,
-            show: true,
-            table: true,
-            ableTodelete: true,
-            clampToGround: true,
-            selectable: false,
-        });
-        app.viewer.scene.camera.safeFlyToBoundingSphere(layer.boundingSphere);
-    }
+    const files = [...event.target.files];
     document.getElementById('localfiles').value = null;
+
+    const sidecars = {};
+    for (const file of files) {
+        const [, base, extension] = file.name.match(/^(.*)\.([^.]*)$/) ?? [];
+        if (SIDECAR_EXTENSIONS.includes(extension?.toLowerCase())) {
+            sidecars[base.toLowerCase()] ??= {};
+            sidecars[base.toLowerCase()][extension.toLowerCase()] = file;
+        }
+    }
+
+    for (const file of files) {
+        const fileName = file.name.split('.')[0];
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (SIDECAR_EXTENSIONS.includes(extension)) continue;
+        const sidecar =
+            sidecars[file.name.replace(/\.[^.]*$/, '').toLowerCase()] ?? {};
+
+        let layers = [];
+        try {
+            if (extension === 'csv' || extension === 'txt') {
+                showCSVDialog(app, file);
+                continue;
+            } else if (DATA_SOURCE_LOADERS[extension]) {
+                const dataSource = await DATA_SOURCE_LOADERS[extension](file);
+                layers = [await addDataSource(app, dataSource, fileName)];
+            } else if (extension === 'zip') {
+                const shapefiles = await new ShapefileReader().readZip(file);
+                for (const {name, geojson, prj} of shapefiles) {
+                    layers.push(await addLocalGeoJson(app, geojson, name, prj));
+                }
+            } else if (extension === 'shp') {
+                const geojson = new ShapefileReader().read({
+                    shp: await file.arrayBuffer(),
+                    dbf: await sidecar.dbf?.arrayBuffer(),
+                    cpg: await sidecar.cpg?.text(),
+                });
+                const prj = await sidecar.prj?.text();
+                layers = [await addLocalGeoJson(app, geojson, fileName, prj)];
+            } else {
+                const geojson = JSON.parse(await file.text());
+                const prj = await sidecar.prj?.text();
+                layers = [await addLocalGeoJson(app, geojson, fileName, prj)];
+            }
+        } catch (error) {
+            WindowFactory.createErrorGeWindow({
+                title: file.name,
+                content: i18next.t('common:upload.error', {
+                    message: error.message,
+                }),
+            }).apply(10);
+            continue;
+        }
+        const [layer] = layers.filter(defined);
+        if (layer) {
+            app.viewer.scene.camera.safeFlyToBoundingSphere(
+                layer.boundingSphere,
+            );
+        }
+    }
+}
+
+/**
+ * Determines the coordinate system of an uploaded GeoJSON object, from the sidecar .prj,
+ * the `crs` member or, for files without CRS information, from the coordinate values.
+ *
+ * @param {Object} app - The main application object/context.
+ * @param {object} geojson - The parsed GeoJSON.
+ * @param {string} [prj] - WKT of a sidecar .prj file.
+ * @returns {string|undefined} proj4 definition name or WKT, undefined for WGS84.
+ * @throws {Error} If the `crs` member names an unknown EPSG code.
+ */
+function sourceProjection(app, geojson, prj) {
+    if (prj?.trim()) {
+        return prj.trim() === ShapefileExporter.prjFromProj4(app.config.proj4)
+            ? 'COORD'
+            : prj.trim();
+    }
+
+    const epsg = new GeojsonReader().readEPSG(geojson.crs);
+    if (epsg === 4326) return undefined;
+    if (epsg !== undefined) {
+        if (epsg === Number(app.config.proj4?.epsg)) return 'COORD';
+        if (proj4.defs(`EPSG:${epsg}`)) return `EPSG:${epsg}`;
+        throw new Error(i18next.t('common:upload.unsupported-crs', {epsg}));
+    }
+
+    const geometry =
+        geojson.features?.find(f => f.geometry)?.geometry ??
+        geojson.geometry ??
+        geojson;
+    let coordinates = geometry.coordinates;
+    while (Array.isArray(coordinates?.[0])) coordinates = coordinates[0];
+    return coordinates && isProjectCoord(coordinates) ? 'COORD' : undefined;
+}
+
+/**
+ * Adds an uploaded GeoJSON object (or a read shapefile) as layer, reprojected to WGS84.
+ *
+ * @async
+ * @param {Object} app - The main application object/context.
+ * @param {object} geojson - The parsed GeoJSON.
+ * @param {string} name - Layer name shown in the table.
+ * @param {string} [prj] - WKT of a sidecar .prj file.
+ * @returns {Promise<Layer|undefined>} Undefined if a layer with this name exists.
+ */
+async function addLocalGeoJson(app, geojson, name, prj) {
+    const projection = sourceProjection(app, geojson, prj);
+    if (projection) reprojectGeoJSON(geojson, projection);
+
+    return addGeoJson(app, {
+        target: name,
+        url: geojson,
+        layerName: name,
+        show: true,
+        table: true,
+        ableTodelete: true,
+        clampToGround: true,
+        selectable: false,
+    });
+}
+
+/**
+ * Adds a loaded data source (KML/KMZ, CZML, GPX) to the viewer as layer with a table entry.
+ *
+ * @async
+ * @param {Object} app - The main application object/context.
+ * @param {DataSource} dataSource - The loaded data source.
+ * @param {string} name - Layer name shown in the table.
+ * @returns {Promise<Layer>}
+ */
+async function addDataSource(app, dataSource, name) {
+    await app.viewer.dataSources.add(dataSource);
+
+    const layer = new Layer(viewer, {
+        content: dataSource,
+        name: name,
+        type: Layer.LayerTypes.DATASOURCE,
+        show: true,
+    });
+    layerCollection.addContent(layer);
+
+    addEntryToTable('#localdataTable', name, layer.id, () => {
+        layerCollection.removeLayer(layer);
+    });
+    const cb = document.getElementById(`cb_${layer.id}`);
+    checkCheckbox(cb);
+    cb.addEventListener('change', () => {
+        return switchCheckbox(app, Variables.hideIDs, cb, layer);
+    });
+    return layer;
+}
+
+/**
+ * Creates a labelled select element for the CSV mapping dialog.
+ *
+ * @param {string} label - Translated label text.
+ * @param {Array<[string, string]>} options - Value/text pairs.
+ * @returns {{row: HTMLLabelElement, select: HTMLSelectElement}}
+ */
+function createMappingSelect(label, options) {
+    const row = document.createElement('label');
+    row.textContent = label;
+    const select = document.createElement('select');
+    select.replaceChildren(
+        ...options.map(([value, text]) => new Option(text, value)),
+    );
+    row.appendChild(select);
+    return {row, select};
+}
+
+/**
+ * Shows the import dialog for CSV point files. Built on the `<file-upload>` component,
+ * it lets the user map the coordinate columns and choose the coordinate system.
+ * On confirm, every row with valid coordinates becomes a point of a new GeoJSON layer.
+ *
+ * @param {Object} app - The main application object/context.
+ * @param {File} [file] - Preselected CSV file.
+ */
+export function showCSVDialog(app, file) {
+    const reader = new CSVReader();
+    let table;
+
+    const fileUpload = document.createElement('file-upload');
+    fileUpload.accept = '.csv,.txt';
+    fileUpload.title = i18next.t('common:upload.csv.title');
+    fileUpload.text = i18next.t('common:upload.csv.text');
+    fileUpload.confirmText = i18next.t('common:upload.csv.confirm');
+    fileUpload.cancelText = i18next.t('common:upload.csv.cancel');
+
+    const form = document.createElement('div');
+    form.classList.add('csv-mapping');
+    const x = createMappingSelect(i18next.t('common:upload.csv.x'), []);
+    const y = createMappingSelect(i18next.t('common:upload.csv.y'), []);
+    const z = createMappingSelect(i18next.t('common:upload.csv.z'), []);
+    const crs = createMappingSelect(i18next.t('common:upload.csv.crs'), [
+        ['wgs84', 'WGS84 (EPSG:4326)'],
+        [
+            'project',
+            `${app.config.proj4?.labelShort ?? ''} (EPSG:${app.config.proj4?.epsg})`,
+        ],
+    ]);
+    const message = document.createElement('p');
+    form.append(x.row, y.row, z.row, crs.row, message);
+    fileUpload.appendChild(form);
+
+    const readFile = async selected => {
+        table = undefined;
+        message.textContent = '';
+        if (!selected) return;
+        try {
+            table = reader.read(await selected.text());
+        } catch (error) {
+            message.textContent = error.message;
+            return;
+        }
+        const columns = table.columns.map((c, i) => [String(i), c]);
+        x.select.replaceChildren(...columns.map(c => new Option(c[1], c[0])));
+        y.select.replaceChildren(...columns.map(c => new Option(c[1], c[0])));
+        z.select.replaceChildren(
+            new Option('–', '-1'),
+            ...columns.map(c => new Option(c[1], c[0])),
+        );
+
+        const mapping = reader.guessMapping(table.columns);
+        x.select.value = String(Math.max(mapping.x, 0));
+        y.select.value = String(Math.max(mapping.y, 0));
+        z.select.value = String(mapping.z);
+
+        const [row] = table.rows;
+        const sample = [
+            reader.number(row[Math.max(mapping.x, 0)]),
+            reader.number(row[Math.max(mapping.y, 0)]),
+        ];
+        crs.select.value = isProjectCoord(sample) ? 'project' : 'wgs84';
+    };
+
+    if (file) fileUpload.files = [file];
+
+    const PADDING = 64;
+    document.body.appendChild(fileUpload);
+    requestAnimationFrame(async () => {
+        await readFile(file);
+        const bounds = fileUpload.getBoundingClientRect();
+        fileUpload.remove();
+
+        const win = new WinBox({
+            modal: true,
+            mount: fileUpload,
+            width: bounds.width + PADDING,
+            height: bounds.height + PADDING,
+        });
+
+        fileUpload.addEventListener('change', e => {
+            readFile(e.detail.files[0]);
+        });
+
+        fileUpload.addEventListener('confirm', async e => {
+            const [selected] = e.detail.files;
+            if (!selected || !table) return;
+
+            const geojson = reader.toGeoJSON(
+                table,
+                {
+                    x: Number(x.select.value),
+                    y: Number(y.select.value),
+                    z: Number(z.select.value),
+                },
+                crs.select.value === 'project'
+                    ? projectCoordToDegrees
+                    : undefined,
+            );
+            if (geojson.features.length === 0) {
+                message.textContent = i18next.t('common:upload.csv.empty');
+                return;
+            }
+            win.close();
+
+            const fileName = selected.name.split('.')[0];
+            const layer = await addGeoJson(app, {
+                target: fileName,
+                url: geojson,
+                layerName: fileName,
+                show: true,
+                table: true,
+                clampToGround: true,
+                selectable: true,
+                tableAttributes: Object.fromEntries(
+                    table.columns.map(c => [c, c]),
+                ),
+            });
+            if (layer) {
+                app.viewer.scene.camera.safeFlyToBoundingSphere(
+                    layer.boundingSphere,
+                );
+            }
+        });
+
+        fileUpload.addEventListener('cancel', () => {
+            win.close();
+        });
+    });
 }
 
 // Attach the GeoJSON file loader to the "localfiles" input element.
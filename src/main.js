@@ -23,16 +23,26 @@ import './Components/ge-shadow-control/ge-shadow-control.js';
 import './Components/ge-slider/ge-slider.js';
 import './Components/ge-window/ge-window.js';
 import {app} from './Core/Application.js';
-import {AddExcavationPit} from './Core/ExcavationPit.js';
+import {CommandGroup} from './Core/Commands/CommandGroup.js';
+import {
+    AddExcavationPit,
+    RemoveExcavationPit,
+    createExcavationReportCSV,
+} from './Core/ExcavationPit.js';
 import {FeatureRegistry} from './Core/FeatureRegistry.js';
 import {IntervalExecutor} from './Core/IntervalExecutor.js';
 import {layerCollection} from './Core/LayerCollection.js';
-import {HeightMeasurement} from './Core/Measurement/HeightMeasurement.js';
-import {PolygonMeasurement} from './Core/Measurement/PolygonMeasurement.js';
-import {PolylineMeasurement} from './Core/Measurement/PolylineMeasurement.js';
+import {RemoveMeasurement} from './Core/Measurement/MeasurementCommands.js';
 import './Core/SettingsManager.js';
 import {SettingsManager, settingsManager} from './Core/SettingsManager.js';
+import {
+    encodeShareGeometry,
+    restoreShareGeometry,
+} from './Core/ShareGeometry.js';
 import {StyleManager} from './Core/StyleManager.js';
+import {WindowFactory} from './Core/WindowFactory.js';
+import {createWorkspace, restoreWorkspace} from './Core/Workspace.js';
+import {DXFExporter} from './Core/Writer/DXFExporter.js';
 import {
     GeojsonFeatureCollection,
     GeojsonPolygon,
@@ -46,6 +56,7 @@ import {
 } from './Core/utilities.js';
 import './Core/utils2.js';
 import {
+    downloadFile,
     getFormattedDatetime,
     getHeading,
     getPitch,
@@ -62,23 +73,27 @@ import './WMS.js';
 import {LEFT_DOWN, LEFT_UP, MOUSE_MOVE} from './constants.js';
 import './coordinates.js';
 import {initDynamicUI} from './createDynamicUI.js';
+import {createVertexDepthButton} from './excavationDepths.js';
 import './gizmo.js';
 import './gizmoPrimitive.js';
 import {Variables} from './global.js';
 import './hide.js';
+import {i18next} from './i18n.js';
 import './inspector.js';
 import './localdata.js';
 import './measurement.js';
+import {createMeasurementsDXF} from './measurementManager.js';
 import './overview.js';
 import './pedestrian.js';
 import {movePlayer} from './pedestrian.js';
 import './searchaddress.js';
 import './singlemodels.js';
-import {deleteSingleModel} from './singlemodels.js';
+import {RemoveSingleModel} from './singlemodels.js';
 import './snapshot.js';
 import './styling.js';
 import {switchStyling} from './styling.js';
 import './treeMenu.js';
+import './units.js';
 import {viewer} from './viewer.js';
 
 /**
@@ -552,6 +567,14 @@ addEventListener('layers-loaded', () => {
     if (pedestrianMode) waitForTerrain();
 });
 
+/**
+ * On "layers-loaded", rebuilds the measurements and excavation pits carried by a shared link.
+ */
+addEventListener('layers-loaded', () => {
+    const geometry = app.urlManager.get('geometry', undefined, '');
+    if (geometry) restoreShareGeometry(app, geometry);
+});
+
 /**
  * Applies the current selected graphical profile/UI settings to the application.
  * Also synchronizes camera and layer error settings for "walking" mode.
@@ -588,24 +611,6 @@ function toggleMap() {
     }
 }
 
-/**
- * Downloads a text file with the specified filename and contents.
- *
- * @param {string} filename - The target filename for the download.
- * @param {string} data - The contents of the file.
- */
-function downloadFile(filename, data) {
-    const blob = new Blob([data], {type: 'text/plain'});
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-}
-
 /**
  * Creates an (invisible) file upload input for the specified filetype and binds the given callback.
  *
@@ -624,9 +629,18 @@ function createUploadElement(filetype, callback) {
     return upload;
 }
 
+/**
+ * Adds the per-vertex depth action to the list item of every new excavation pit.
+ */
+window.addEventListener('excavation-pit-created', ({detail}) => {
+    detail.item.appendChild(createVertexDepthButton(app, detail.item));
+});
+
 /**
  * Handles importing excavation pits from GeoJSON files, converting them to Cesium geometry,
  * transforming coordinates as needed, and adding them to the 3D scene with the correct depth.
+ * Optional properties: `Boeschung` (wall slope in m per m), `Bermenabstand` and `Bermenbreite`
+ * (berm interval and width in m) and `Tiefen` (depth per outline vertex).
  */
 const excavationImportBtn = document.getElementById('excavationImportBtn');
 excavationImportBtn.addEventListener('click', () => {
@@ -653,12 +667,21 @@ excavationImportBtn.addEventListener('click', () => {
                         cartesians = cartesians.map(c =>
                             Cartesian3.fromDegrees(...c),
                         );
-                        const command = new AddExcavationPit();
-                        command.execute(
-                            app,
-                            cartesians,
-                            feature.properties.Name,
-                            feature.properties.Tiefe,
+                        app.commandStack.execute(
+                            new AddExcavationPit(
+                                app,
+                                cartesians,
+                                feature.properties.Name,
+                                feature.properties.Tiefe,
+                                true,
+                                {
+                                    slope: feature.properties.Boeschung,
+                                    bermInterval:
+                                        feature.properties.Bermenabstand,
+                                    bermWidth: feature.properties.Bermenbreite,
+                                    vertexDepths: feature.properties.Tiefen,
+                                },
+                            ),
                         );
                     }
                 };
@@ -687,7 +710,14 @@ excavationExportBtn.addEventListener('click', e => {
             x =>
                 new GeojsonPolygon(
                     x.cartesians.map(c => cartesianToDegree(c)),
-                    {Name: x.name, Tiefe: x.depth},
+                    {
+                        Name: x.name,
+                        Tiefe: x.depth,
+                        Boeschung: x.slope,
+                        Bermenabstand: x.bermInterval,
+                        Bermenbreite: x.bermWidth,
+                        Tiefen: x.vertexDepths,
+                    },
                 ),
         ),
     );
@@ -696,17 +726,76 @@ excavationExportBtn.addEventListener('click', e => {
 });
 
 /**
- * Binds the measurement deletion button to destroy all measurements,
- * reset the state, and clear the measurements panel/list UI.
+ * Handles exporting all currently shown excavation pits as a DXF file in the project CRS,
+ * with the outline as polyline and floor and walls as 3D faces, one layer per pit.
+ */
+document
+    .getElementById('excavationExportDxfBtn')
+    ?.addEventListener('click', () => {
+        const excavationPitList = document.querySelector('#excavationPitList');
+        if (!excavationPitList) return;
+        const activeExcavations = excavationPitList.items
+            .map(item => item.obj)
+            .filter(e => e.show);
+        if (activeExcavations.length <= 0) return;
+        const data = app.exporter.export(
+            activeExcavations.map(e => ({
+                coordinates: e.cartesians,
+                name: e.name,
+                mode: 'polygon',
+                color: e.pitColor,
+                faces: e.triangles,
+            })),
+        );
+        const filename = `${getFormattedDatetime()}-Baugrube-${app.config.proj4.labelShort}.dxf`;
+        downloadFile(filename, DXFExporter.encode(data));
+    });
+
+/**
+ * Handles exporting the volume and area report of all currently shown excavation pits as a CSV file.
+ */
+document
+    .getElementById('excavationReportBtn')
+    ?.addEventListener('click', async () => {
+        const excavationPitList = document.querySelector('#excavationPitList');
+        if (!excavationPitList) return;
+        const activeExcavations = excavationPitList.items
+            .map(item => item.obj)
+            .filter(e => e.show);
+        if (activeExcavations.length <= 0) return;
+        await Promise.all(
+            activeExcavations
+                .filter(e => !e.report)
+                .map(e => e.computeReport()),
+        );
+        const filename = `${getFormattedDatetime()}-${i18next.t('common:body.tools.excavation.report.file-suffix')}.csv`;
+        downloadFile(filename, createExcavationReportCSV(activeExcavations));
+    });
+
+/**
+ * Binds the measurement deletion button to cancel the active measurement,
+ * reset the state, and remove all listed measurements as one undoable step.
  */
 document
     .getElementById('deleteMeasurementsBtn')
     .addEventListener('click', () => {
-        app.measurements.forEach(measurement => measurement.destroy());
+        app.measurements
+            .filter(measurement => !measurement.finished)
+            .forEach(measurement => measurement.destroy());
         app.applyState(STATES.information);
-        app.measurements = [];
+        app.measurements = app.measurements.filter(
+            measurement => !measurement.destroyed,
+        );
+
         const measurementList = document.querySelector('#measurementList');
-        measurementList?.clear();
+        if (!measurementList?.items.length) return;
+        app.commandStack.execute(
+            new CommandGroup(
+                measurementList.items.map(
+                    item => new RemoveMeasurement(app, item),
+                ),
+            ),
+        );
     });
 
 /**
@@ -715,7 +804,7 @@ document
 document
     .getElementById('model-container-delete')
     .addEventListener('click', () => {
-        deleteSingleModel();
+        app.commandStack.execute(new RemoveSingleModel(Temporary.pickedID));
     });
 
 /**
@@ -762,14 +851,66 @@ document.getElementById('mesh_btn')?.addEventListener('click', () => {
 
 /**
  * Adds share link creation functionality to both direct and alternative share buttons.
- * Generates a shareable link of the app's current state when clicked.
+ * Generates a shareable link of the app's current state when clicked, optionally
+ * including the visible measurements and excavation pits.
  */
-document.getElementById('share_btn')?.addEventListener('click', () => {
-    makeShareLink(app);
-});
-document.getElementById('link-share-button')?.addEventListener('click', () => {
-    makeShareLink(app);
-});
+function shareLink() {
+    const includeGeometry =
+        document.getElementById('share-geometry-cb')?.checked;
+    makeShareLink(app, {
+        geometry: includeGeometry ? encodeShareGeometry() : undefined,
+    });
+}
+document.getElementById('share_btn')?.addEventListener('click', shareLink);
+document
+    .getElementById('link-share-button')
+    ?.addEventListener('click', shareLink);
+
+/**
+ * Saves the current session (camera, layers, measurements, excavation pits,
+ * models, time and deletion list) as a workspace file.
+ */
+document
+    .getElementById('workspace-save-button')
+    ?.addEventListener('click', async () => {
+        const workspace = await createWorkspace(app);
+        const filename = `${getFormattedDatetime()}-${i18next.t('common:body.tools.workspace.file-suffix')}.json`;
+        downloadFile(filename, JSON.stringify(workspace));
+    });
+
+/**
+ * Restores a session from a workspace file. Running tools are stopped first;
+ * faulty files are reported in an error window.
+ */
+document
+    .getElementById('workspace-load-button')
+    ?.addEventListener('click', () => {
+        const upload = createUploadElement('.json', async () => {
+            const [file] = upload.files;
+            upload.remove();
+            if (!file) return;
+
+            app.measurements
+                .filter(measurement => !measurement.finished)
+                .forEach(measurement => measurement.destroy());
+            app.applyState(STATES.information);
+            app.measurements = app.measurements.filter(
+                measurement => !measurement.destroyed,
+            );
+
+            try {
+                const workspace = JSON.parse(await file.text());
+                await restoreWorkspace(app, workspace, file.name);
+            } catch (error) {
+                WindowFactory.createErrorGeWindow({
+                    title: i18next.t('error:file.title'),
+                    content: `${error}\n${i18next.t('error:file.text')}`,
+                }).apply(10);
+            }
+        });
+        upload.multiple = false;
+        upload.click();
+    });
 
 /**
  * Handles measurement export UI visibility.
@@ -795,40 +936,17 @@ measurementList.onLastItemRemoved = () => {
 const exportMeasurementsBtn = document.getElementById('exportMeasurementsBtn');
 
 exportMeasurementsBtn.addEventListener('click', () => {
-    const items = measurementList.items
-        .filter(item => item.checked)
-        .map(item => {
-            let mode;
-
-            switch (true) {
-                case item.obj instanceof PolygonMeasurement:
-                    mode = 'polygon';
-                    break;
-                case item.obj instanceof PolylineMeasurement:
-                case item.obj instanceof HeightMeasurement:
-                    mode = 'polyline';
-                    break;
-            }
-
-            return {
-                coordinates: item.obj.cartesians,
-                name: item.name,
-                mode: mode,
-            };
-        });
-
     const local = document.getElementById('exportInLocalCRS').checked;
-    const data = app.exporter.export(items, local);
-
-    const blob = new Blob([data], {type: 'text/plain'});
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${getFormattedDatetime()}-Messung-${local ? 'Lokal' : `${app.config.proj4.labelShort}`}.dxf`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const data = createMeasurementsDXF(
+        app,
+        measurementList.items.filter(item => item.checked),
+        local,
+    );
+
+    downloadFile(
+        `${getFormattedDatetime()}-Messung-${local ? 'Lokal' : `${app.config.proj4.labelShort}`}.dxf`,
+        DXFExporter.encode(data),
+    );
 });
 
 /**
@@ -839,9 +957,13 @@ const excavationDeleteAllBtn = document.getElementById(
 );
 excavationDeleteAllBtn.addEventListener('click', () => {
     const excavationPitList = document.querySelector('#excavationPitList');
-    excavationPitList?.items.forEach(item => item.obj.destroy());
+    if (!excavationPitList?.items.length) return;
 
-    excavationPitList?.clear();
+    app.commandStack.execute(
+        new CommandGroup(
+            excavationPitList.items.map(item => new RemoveExcavationPit(item)),
+        ),
+    );
 });
 
 /**
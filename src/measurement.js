@@ -1,13 +1,19 @@
 import {app} from './Core/Application.js';
 import {DefaultState} from './States/DefaultState.js';
+import {AngleMeasurementState} from './States/MeasurementStates/AngleMeasurementState.js';
 import {AreaMeasurementState} from './States/MeasurementStates/AreaMeasurementState.js';
+import {ClearanceMeasurementState} from './States/MeasurementStates/ClearanceMeasurementState.js';
+import {CoordinateMeasurementState} from './States/MeasurementStates/CoordinateMeasurementState.js';
+import {EditMeasurementState} from './States/MeasurementStates/EditMeasurementState.js';
 import {HeightMeasurementState} from './States/MeasurementStates/HeightMeasurementState.js';
 import {LineMeasurementState} from './States/MeasurementStates/LineMeasurementState.js';
 import {PolygonMeasurementState} from './States/MeasurementStates/PolygonMeasurementState.js';
+import {ProfileMeasurementState} from './States/MeasurementStates/ProfileMeasurementState.js';
 
 import {Flags} from './Flags.js';
 import {LengthMeasurementState} from './States/MeasurementStates/LengthMeasurementState';
 import {Temporary} from './Temporary.js';
+import {showMeasurementManager} from './measurementManager.js';
 import {viewer} from './viewer.js';
 
 /**
@@ -84,6 +90,63 @@ addEventListener('DOMContentLoaded', () => {
         setMeasurementBtnCallback(app, AreaMeasurementState, areaMeasureBtn);
     });
 
+    const profileMeasureBtn = document.getElementById('profileMeasureBtn');
+    profileMeasureBtn.addEventListener('click', () => {
+        setMeasurementBtnCallback(
+            app,
+            ProfileMeasurementState,
+            profileMeasureBtn,
+        );
+    });
+
+    const angleMeasureBtn = document.getElementById('angleMeasureBtn');
+    angleMeasureBtn.addEventListener('click', () => {
+        setMeasurementBtnCallback(app, AngleMeasurementState, angleMeasureBtn);
+    });
+
+    const coordinateMeasureBtn = document.getElementById(
+        'coordinateMeasureBtn',
+    );
+    coordinateMeasureBtn.addEventListener('click', () => {
+        setMeasurementBtnCallback(
+            app,
+            CoordinateMeasurementState,
+            coordinateMeasureBtn,
+        );
+    });
+
+    const clearanceMeasureBtn = document.getElementById('clearanceMeasureBtn');
+    clearanceMeasureBtn.addEventListener('click', () => {
+        setMeasurementBtnCallback(
+            app,
+            ClearanceMeasurementState,
+            clearanceMeasureBtn,
+        );
+    });
+
+    const editMeasurementBtn = document.getElementById('editMeasurementBtn');
+    editMeasurementBtn.addEventListener('click', () => {
+        setMeasurementBtnCallback(
+            app,
+            EditMeasurementState,
+            editMeasurementBtn,
+        );
+    });
+
+    document
+        .getElementById('measurementManagerBtn')
+        .addEventListener('click', () => showMeasurementManager(app));
+
+    document.getElementById('snappingCB').addEventListener('change', e => {
+        app.snapper.enabled = e.target.checked;
+    });
+
+    document
+        .getElementById('snappingAngleSelect')
+        .addEventListener('change', e => {
+            app.snapper.angleStep = Number(e.target.value);
+        });
+
     document
         .getElementById('deleteMeasurementsBtn')
         .addEventListener('click', () => {
@@ -0,0 +1,601 @@
+import {BoundingSphere, Color, Matrix4} from '@cesium/engine';
+import {AngleMeasurement} from './Core/Measurement/AngleMeasurement.js';
+import {ClearanceMeasurement} from './Core/Measurement/ClearanceMeasurement.js';
+import {CoordinateMeasurement} from './Core/Measurement/CoordinateMeasurement.js';
+import {HeightMeasurement} from './Core/Measurement/HeightMeasurement.js';
+import {MeasurementFactory} from './Core/Measurement/MeasurementFactory.js';
+import {MeasurementImporter} from './Core/Measurement/MeasurementImporter.js';
+import {PointMeasurement} from './Core/Measurement/PointMeasurement.js';
+import {PolygonMeasurement} from './Core/Measurement/PolygonMeasurement.js';
+import {PolylineMeasurement} from './Core/Measurement/PolylineMeasurement.js';
+import {WindowFactory} from './Core/WindowFactory.js';
+import {DXFExporter} from './Core/Writer/DXFExporter.js';
+import {
+    GeojsonFeatureCollection,
+    GeojsonLine,
+    GeojsonPoint,
+    GeojsonPolygon,
+} from './Core/Writer/GeojsonExporter.js';
+import {KMLExporter} from './Core/Writer/KMLExporter.js';
+import {ShapefileExporter} from './Core/Writer/ShapefileExporter.js';
+import {cartesianToDegree} from './Core/utilities.js';
+import {downloadFile, getFormattedDatetime} from './Core/utils2.js';
+import {i18next} from './i18n.js';
+import {getSingleModelsData} from './singlemodels.js';
+
+/**
+ * Smallest radius (m) the camera zooms to, so that short measurements are not zoomed too close.
+ * @type {number}
+ */
+const MIN_ZOOM_RADIUS = 20;
+
+/**
+ * Shapefile column names of the export attributes longer than the ten characters of dBASE.
+ * @type {Object<string, string>}
+ */
+const SHAPEFILE_FIELDS = {
+    FlaecheProjiziert: 'FlProj',
+    FlaecheOberflaeche: 'FlOberfl',
+};
+
+/**
+ * Opens the measurement manager: a window listing all measurements of `#measurementList`
+ * with editable name and color, visibility toggle, zoom-to, delete, and GeoJSON/DXF/KMZ/Shapefile
+ * export per measurement or for all visible measurements. The KMZ of all visible measurements also
+ * contains the visible placed models. GeoJSON is written in WGS84 or, if selected,
+ * in the project CRS.
+ * GeoJSON and DXF files can be imported as measurements. Local DXF exports store their origin;
+ * for local DXF files without one, coordinates are taken relative to the entered origin.
+ *
+ * The rows follow the measurement list, i.e. measurements added, deleted, undone or redone
+ * while the window is open appear and disappear accordingly.
+ *
+ * @export
+ * @param {any} app - The application instance.
+ *
+ * @example
+ * showMeasurementManager(app);
+ */
+export function showMeasurementManager(app) {
+    const measurementList = document.querySelector('#measurementList');
+    if (!measurementList) return;
+
+    document.getElementById('measurementManagerWindow')?.destroy();
+    const win = WindowFactory.createInformationGeWindow({
+        id: 'measurementManagerWindow',
+        title: i18next.t('common:body.measurement-manager.title'),
+        content: '',
+    });
+
+    const local = document.createElement('input');
+    local.type = 'checkbox';
+    local.id = 'measurementManagerLocalCRS';
+    const localLabel = document.createElement('label');
+    localLabel.htmlFor = local.id;
+    localLabel.textContent = i18next.t(
+        'common:body.tools.measure.export.local',
+    );
+
+    const origin = document.createElement('div');
+    origin.className = 'measurement-manager-origin';
+    origin.hidden = true;
+    origin.textContent = i18next.t('common:body.measurement-manager.origin');
+    const originInputs = ['X', 'Y', 'Z'].map(axis => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'input-field';
+        input.placeholder = axis;
+        input.value = '0';
+        origin.append(input);
+        return input;
+    });
+    local.addEventListener('change', () => (origin.hidden = !local.checked));
+
+    const crs = document.createElement('select');
+    crs.title = i18next.t('common:body.measurement-manager.crs');
+    crs.append(
+        new Option('WGS84', 'wgs84'),
+        new Option(app.config.proj4?.labelShort ?? '', 'project'),
+    );
+
+    const visibleItems = () =>
+        measurementList.items.filter(item => item.checked);
+    const toolbar = document.createElement('div');
+    toolbar.className = 'measurement-manager-toolbar';
+    toolbar.append(
+        createButton(
+            i18next.t('common:body.measurement-manager.show-all'),
+            () => {
+                measurementList.items.forEach(item => (item.checked = true));
+                update();
+            },
+        ),
+        createButton(
+            i18next.t('common:body.measurement-manager.hide-all'),
+            () => {
+                measurementList.items.forEach(item => (item.checked = false));
+                update();
+            },
+        ),
+        createButton('GeoJSON', () =>
+            exportGeoJSON(app, visibleItems(), 'Messung', crs.value),
+        ),
+        createButton('DXF', () =>
+            exportDXF(app, visibleItems(), 'Messung', local.checked),
+        ),
+        createButton('KMZ', () =>
+            exportKMZ(app, visibleItems(), 'Messung', true),
+        ),
+        createButton('SHP', () =>
+            exportShapefile(app, visibleItems(), 'Messung'),
+        ),
+        createButton(i18next.t('common:body.measurement-manager.import'), () =>
+            importFiles(
+                app,
+                local.checked
+                    ? originInputs.map(input => Number(input.value) || 0)
+                    : undefined,
+            ),
+        ),
+        crs,
+        local,
+        localLabel,
+        origin,
+    );
+
+    const table = document.createElement('div');
+    table.className = 'measurement-manager-table';
+    const update = () => {
+        if (!win.isConnected) {
+            measurementList.removeEventListener('change', update);
+            return;
+        }
+        table.replaceChildren(
+            ...measurementList.items.map(item =>
+                createRow(app, item, local, crs),
+            ),
+        );
+        if (!measurementList.items.length) {
+            table.textContent = i18next.t(
+                'common:body.measurement-manager.empty',
+            );
+        }
+    };
+    measurementList.addEventListener('change', update);
+
+    win.content.append(toolbar, table);
+    win.apply();
+    update();
+}
+
+/**
+ * Serializes measurements as GeoJSON FeatureCollection, in WGS84 unless the options select
+ * the project CRS.
+ * Polygons become Polygon features, points Point features, polylines, height, angle and
+ * clearance measurements LineString features. Coordinate measurements give a numbered Point feature
+ * per point.
+ * Properties are those of {@link measurementProperties}.
+ *
+ * @export
+ * @param {GeListItem[]} items - List items of the measurements.
+ * @param {GeojsonOptions} [options] - Output CRS and precision.
+ * @returns {string}
+ */
+export function createMeasurementsGeoJSON(items, options) {
+    return new GeojsonFeatureCollection(
+        items.flatMap(item => {
+            const measurement = item.obj;
+            const coordinates = measurement.cartesians.map(c =>
+                cartesianToDegree(c),
+            );
+            const properties = measurementProperties(item);
+            switch (geometryMode(measurement)) {
+                case 'polygon':
+                    return new GeojsonPolygon(
+                        [...coordinates, coordinates[0]],
+                        properties,
+                    );
+                case 'point':
+                    return coordinates.map(
+                        (coordinate, i) =>
+                            new GeojsonPoint(
+                                coordinate,
+                                measurement instanceof CoordinateMeasurement
+                                    ? {...properties, Nr: `P${i + 1}`}
+                                    : properties,
+                            ),
+                    );
+                default:
+                    return new GeojsonLine(coordinates, properties);
+            }
+        }),
+        options,
+    ).toString();
+}
+
+/**
+ * Serializes measurements as zip archive of shapefiles in the project CRS, one per geometry
+ * type, with the .prj taken from `app.config.proj4`.
+ * The attributes are those of {@link createMeasurementsGeoJSON}, with the column names
+ * shortened to the ten characters of dBASE.
+ *
+ * @export
+ * @async
+ * @param {any} app - The application instance.
+ * @param {GeListItem[]} items - List items of the measurements.
+ * @param {string} [name] - Base name of the shapefiles.
+ * @returns {Promise<Blob>}
+ */
+export async function createMeasurementsShapefile(app, items, name) {
+    const prj = ShapefileExporter.prjFromProj4(app.config.proj4);
+    if (!prj) {
+        console.warn(
+            'No .prj written: the proj4 definition cannot be converted to WKT, configure proj4.wkt.',
+        );
+    }
+    const features = items.flatMap(item => {
+        const measurement = item.obj;
+        const properties = Object.fromEntries(
+            Object.entries(measurementProperties(item)).map(([key, value]) => [
+                SHAPEFILE_FIELDS[key] ?? key,
+                value,
+            ]),
+        );
+        const mode = geometryMode(measurement);
+        if (mode !== 'point') {
+            return [{coordinates: measurement.cartesians, mode, properties}];
+        }
+        return measurement.cartesians.map((cartesian, i) => ({
+            coordinates: [cartesian],
+            mode: mode,
+            properties:
+                measurement instanceof CoordinateMeasurement
+                    ? {...properties, Nr: `P${i + 1}`}
+                    : properties,
+        }));
+    });
+    return new ShapefileExporter({prj}).export(features, name);
+}
+
+/**
+ * Attributes of a measurement in exports: name, type, color as CSS hex string, and the
+ * length, area, angle in degrees or clearance. Polygons carry the sloped, projected and,
+ * once sampled, the draped surface area.
+ * @param {GeListItem} item - List item of the measurement.
+ * @returns {object}
+ */
+function measurementProperties(item) {
+    const measurement = item.obj;
+    const properties = {
+        Name: item.name,
+        Typ: MeasurementFactory.typeOf(measurement),
+        Farbe: measurement.color?.toCssHexString().slice(0, 7),
+    };
+    if (measurement instanceof PolygonMeasurement) {
+        properties.Flaeche = measurement.area;
+        properties.FlaecheProjiziert = measurement.projectedArea;
+        properties.FlaecheOberflaeche = measurement.surfaceArea;
+    }
+    if (measurement instanceof PolylineMeasurement) {
+        properties.Laenge = measurement.distance;
+    }
+    if (measurement instanceof AngleMeasurement) {
+        properties.Winkel = measurement.angle;
+    }
+    if (measurement instanceof ClearanceMeasurement) {
+        properties.Typ = 'clearance';
+        properties.Abstand = measurement.distance;
+    }
+    return properties;
+}
+
+/**
+ * Serializes measurements as DXF with the app's {@link DXFExporter}, one layer per measurement
+ * in its color, with the labels as texts.
+ *
+ * @export
+ * @param {any} app - The application instance.
+ * @param {GeListItem[]} items - List items of the measurements.
+ * @param {boolean} [local=false] - Export in a local coordinate system instead of the project CRS.
+ * @returns {string}
+ */
+export function createMeasurementsDXF(app, items, local = false) {
+    return app.exporter.export(
+        items.map(item => ({
+            coordinates: item.obj.cartesians,
+            name: item.name,
+            mode: geometryMode(item.obj),
+            color: item.obj.color,
+            labels: measurementLabels(item.obj),
+        })),
+        local,
+    );
+}
+
+/**
+ * Serializes measurements as KMZ with their colors and labels, and optionally the
+ * visible placed models.
+ *
+ * @export
+ * @async
+ * @param {any} app - The application instance.
+ * @param {GeListItem[]} items - List items of the measurements.
+ * @param {boolean} [models=false] - Add the visible single models.
+ * @returns {Promise<Blob>}
+ */
+export async function createMeasurementsKMZ(app, items, models = false) {
+    const data = items.map(item => {
+        const measurement = item.obj;
+        // Numbered points are named placemarks instead of extra labels.
+        const numbered = measurement instanceof CoordinateMeasurement;
+        return {
+            coordinates: measurement.cartesians,
+            name: item.name,
+            mode: geometryMode(measurement),
+            color: measurement.color,
+            labels: numbered ? [] : measurementLabels(measurement),
+            pointNames: numbered
+                ? measurement.cartesians.map((_, i) => `P${i + 1}`)
+                : undefined,
+        };
+    });
+    const singleModels = models
+        ? (await getSingleModelsData())
+              .filter(model => model.show)
+              .map(model => ({
+                  name: model.fileName,
+                  url: model.data,
+                  modelMatrix: Matrix4.fromArray(model.modelMatrix),
+              }))
+        : [];
+    return new KMLExporter().exportKMZ(app, data, singleModels);
+}
+
+/**
+ * Visible labels of a measurement: its value, the values of its segments and point numbers.
+ * @param {Measurement} measurement
+ * @returns {Array<{text: string, position: Cesium.Cartesian3}>}
+ */
+function measurementLabels(measurement) {
+    return [
+        measurement.label,
+        ...(measurement.segments ?? []).map(segment => segment.label),
+        ...(measurement.labels ?? []),
+    ]
+        .filter(label => label?.entity && label.show && label.text)
+        .map(label => ({
+            text: label.text,
+            position: label.position.getValue(),
+        }));
+}
+
+/**
+ * Geometry type of a measurement in exports.
+ * @param {Measurement} measurement
+ * @returns {'polygon'|'polyline'|'point'|undefined}
+ */
+function geometryMode(measurement) {
+    switch (true) {
+        case measurement instanceof PolygonMeasurement:
+            return 'polygon';
+        case measurement instanceof PolylineMeasurement:
+        case measurement instanceof HeightMeasurement:
+        case measurement instanceof AngleMeasurement:
+        case measurement instanceof ClearanceMeasurement:
+            return 'polyline';
+        case measurement instanceof PointMeasurement:
+        case measurement instanceof CoordinateMeasurement:
+            return 'point';
+    }
+}
+
+/**
+ * Creates the row of a measurement: visibility, color, name, zoom, export and delete.
+ * @param {any} app
+ * @param {GeListItem} item - List item of the measurement.
+ * @param {HTMLInputElement} local - Checkbox for the local coordinate system.
+ * @param {HTMLSelectElement} crs - Output CRS of GeoJSON.
+ * @returns {HTMLElement}
+ */
+function createRow(app, item, local, crs) {
+    const measurement = item.obj;
+    const row = document.createElement('div');
+    row.className = 'measurement-manager-row';
+
+    const show = document.createElement('input');
+    show.type = 'checkbox';
+    show.checked = item.checked;
+    show.title = i18next.t('common:body.measurement-manager.show');
+    show.addEventListener('change', () => (item.checked = show.checked));
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = measurement.color?.toCssHexString().slice(0, 7) ?? '#00ff00';
+    color.title = i18next.t('common:body.measurement-manager.color');
+    color.addEventListener('input', () => {
+        measurement.color = Color.fromCssColorString(color.value).withAlpha(
+            0.8,
+        );
+        app.viewer.scene.requestRender();
+    });
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'input-field';
+    name.value = item.name;
+    name.title = i18next.t('common:body.measurement-manager.name');
+    name.addEventListener('change', () => {
+        item.name = name.value.trim() || item.name;
+        name.value = item.name;
+    });
+
+    row.append(
+        show,
+        color,
+        name,
+        createButton(
+            '',
+            () => zoomTo(app, measurement),
+            'images/common/search.svg',
+            i18next.t('common:body.measurement-manager.zoom'),
+        ),
+        createButton('GeoJSON', () =>
+            exportGeoJSON(app, [item], item.name, crs.value),
+        ),
+        createButton('DXF', () =>
+            exportDXF(app, [item], item.name, local.checked),
+        ),
+        createButton('KMZ', () => exportKMZ(app, [item], item.name)),
+        createButton('SHP', () => exportShapefile(app, [item], item.name)),
+        createButton(
+            '',
+            () => item.onDeleteCallback(),
+            'images/common/trash.svg',
+            i18next.t('common:body.measurement-manager.delete'),
+        ),
+    );
+    return row;
+}
+
+/**
+ * Flies the camera to a measurement.
+ * @param {any} app
+ * @param {Measurement} measurement
+ */
+function zoomTo(app, measurement) {
+    if (!measurement.cartesians?.length) return;
+    const sphere = BoundingSphere.fromPoints(measurement.cartesians);
+    sphere.radius = Math.max(sphere.radius, MIN_ZOOM_RADIUS);
+    app.viewer.camera.flyToBoundingSphere(sphere);
+}
+
+/**
+ * Lets the user pick GeoJSON or DXF files and imports them as measurements.
+ * Shows an error window for files that cannot be read.
+ * @param {any} app
+ * @param {number[]} [origin] - Project coordinates of the local origin of DXF files.
+ */
+function importFiles(app, origin) {
+    const upload = document.createElement('input');
+    upload.type = 'file';
+    upload.multiple = true;
+    upload.accept = '.geojson,.json,.dxf';
+    upload.addEventListener('change', async () => {
+        for (const file of upload.files) {
+            try {
+                await MeasurementImporter.importFile(app, file, origin);
+            } catch (error) {
+                WindowFactory.createErrorGeWindow({
+                    title: i18next.t('error:file.title'),
+                    content: `${error}\n${i18next.t('error:file.text')}`,
+                }).apply(10);
+            }
+        }
+    });
+    upload.click();
+}
+
+/**
+ * Downloads measurements as GeoJSON, after sampling the surface areas of polygons.
+ * @param {any} app
+ * @param {GeListItem[]} items
+ * @param {string} name - Name part of the file name.
+ * @param {'wgs84'|'project'} crs - Output CRS.
+ */
+async function exportGeoJSON(app, items, name, crs) {
+    if (!items.length) return;
+    await Promise.all(
+        items
+            .filter(item => item.obj instanceof PolygonMeasurement)
+            .map(item => item.obj.calculateSurfaceArea().catch(console.error)),
+    );
+    const project = crs === 'project';
+    downloadFile(
+        `${getFormattedDatetime()}-${fileName(name)}_${project ? app.config.proj4.labelShort : 'WGS84'}.geojson`,
+        createMeasurementsGeoJSON(items, {
+            crs: crs,
+            epsg: app.config.proj4?.epsg,
+        }),
+    );
+}
+
+/**
+ * Downloads measurements as DXF.
+ * @param {any} app
+ * @param {GeListItem[]} items
+ * @param {string} name - Name part of the file name.
+ * @param {boolean} local - Export in a local coordinate system.
+ */
+function exportDXF(app, items, name, local) {
+    if (!items.length) return;
+    downloadFile(
+        `${getFormattedDatetime()}-${fileName(name)}-${local ? 'Lokal' : app.config.proj4.labelShort}.dxf`,
+        DXFExporter.encode(createMeasurementsDXF(app, items, local)),
+    );
+}
+
+/**
+ * Downloads measurements as KMZ.
+ * @param {any} app
+ * @param {GeListItem[]} items
+ * @param {string} name - Name part of the file name.
+ * @param {boolean} [models=false] - Add the visible single models.
+ */
+async function exportKMZ(app, items, name, models = false) {
+    if (!items.length && !models) return;
+    const kmz = await createMeasurementsKMZ(app, items, models);
+    downloadFile(`${getFormattedDatetime()}-${fileName(name)}.kmz`, kmz);
+}
+
+/**
+ * Downloads measurements as zipped shapefiles, after sampling the surface areas of polygons.
+ * @param {any} app
+ * @param {GeListItem[]} items
+ * @param {string} name - Name part of the file name.
+ */
+async function exportShapefile(app, items, name) {
+    if (!items.length) return;
+    await Promise.all(
+        items
+            .filter(item => item.obj instanceof PolygonMeasurement)
+            .map(item => item.obj.calculateSurfaceArea().catch(console.error)),
+    );
+    const archive = await createMeasurementsShapefile(
+        app,
+        items,
+        fileName(name),
+    );
+    downloadFile(
+        `${getFormattedDatetime()}-${fileName(name)}_${app.config.proj4.labelShort}.zip`,
+        archive,
+    );
+}
+
+/**
+ * Replaces characters that are not allowed in file names.
+ * @param {string} name
+ * @returns {string}
+ */
+function fileName(name) {
+    return name.replace(/[\\/:*?"<>|\s]+/g, '_');
+}
+
+/**
+ * Creates a button for the manager window, with text or icon.
+ * @param {string} text
+ * @param {Function} callback - Click handler.
+ * @param {string} [src] - Icon of the button.
+ * @param {string} [title] - Tooltip of the button.
+ * @returns {HTMLElement}
+ */
+function createButton(text, callback, src, title) {
+    const button = document.createElement('ge-button');
+    button.setAttribute('shape', src ? 'square' : 'rectangle');
+    button.setAttribute('size', src ? 'extra-small' : 'small');
+    button.setAttribute('showborder', '');
+    if (src) button.setAttribute('src', src);
+    if (title) button.title = title;
+    button.textContent = text;
+    button.addEventListener('click', callback);
+    return button;
+}
@@ -0,0 +1,62 @@
+import {unitSettings} from './Core/UnitSettings.js';
+import {WindowFactory} from './Core/WindowFactory.js';
+import {i18next} from './i18n.js';
+
+/**
+ * Shows the areas of a polygon measurement in a window: the sloped area of the clicked
+ * vertices, the projected area in the project CRS, and the draped area of the terrain and
+ * 3D tiles surface, which is filled in once sampled.
+ * A previously opened area window is replaced.
+ *
+ * @export
+ * @async
+ * @param {any} app - The application instance.
+ * @param {PolygonMeasurement} measurement - A finished polygon measurement.
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await showPolygonAreas(app, measurement);
+ */
+export async function showPolygonAreas(app, measurement) {
+    if (!(measurement?.cartesians?.length >= 3)) return;
+
+    document.getElementById('polygonAreaWindow')?.destroy();
+    const win = WindowFactory.createInformationGeWindow({
+        id: 'polygonAreaWindow',
+        title: i18next.t('common:body.polygon-area.title'),
+        content: '',
+    });
+
+    const table = document.createElement('table');
+    const addRow = (label, value) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        const cell = row.insertCell();
+        cell.textContent = value;
+        return cell;
+    };
+    addRow(
+        i18next.t('common:body.polygon-area.sloped'),
+        unitSettings.formatArea(measurement.area),
+    );
+    addRow(
+        `${i18next.t('common:body.polygon-area.projected')} (${app.config.proj4?.labelShort ?? ''})`,
+        unitSettings.formatArea(measurement.projectedArea),
+    );
+    const surface = addRow(
+        i18next.t('common:body.polygon-area.surface'),
+        i18next.t('common:body.polygon-area.computing'),
+    );
+
+    win.content.append(table);
+    win.apply();
+
+    try {
+        surface.textContent = unitSettings.formatArea(
+            await measurement.calculateSurfaceArea(),
+        );
+    } catch (error) {
+        surface.textContent = '–';
+        throw error;
+    }
+}
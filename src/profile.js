@@ -0,0 +1,140 @@
+import {Color} from '@cesium/engine';
+import './Components/ge-profile-chart/ge-profile-chart.js';
+import {ElevationProfile} from './Core/Measurement/ElevationProfile.js';
+import {LENGTH_UNITS, unitSettings} from './Core/UnitSettings.js';
+import {WindowFactory} from './Core/WindowFactory.js';
+import {downloadFile, getFormattedDatetime} from './Core/utils2.js';
+import {i18next} from './i18n.js';
+
+/**
+ * Samples the elevation profile along a line measurement and shows it as a chart in a window.
+ *
+ * Hovering the chart marks the corresponding position on the map. The window offers
+ * the samples as CSV and the chart as PNG for download.
+ * A previously opened profile window is replaced.
+ *
+ * @export
+ * @async
+ * @param {any} app - The application instance.
+ * @param {PolylineMeasurement} measurement - A finished line measurement with at least two points.
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await showElevationProfile(app, measurement);
+ */
+export async function showElevationProfile(app, measurement) {
+    if (!(measurement?.cartesians?.length >= 2)) return;
+
+    // The measurement itself must not be picked up as surface.
+    const show = measurement.show;
+    measurement.show = false;
+    let profile;
+    try {
+        profile = await ElevationProfile.sample(app, measurement.cartesians);
+    } finally {
+        measurement.show = show;
+    }
+
+    document.getElementById('profileWindow')?.destroy();
+    const win = WindowFactory.createInformationGeWindow({
+        id: 'profileWindow',
+        title: i18next.t('common:body.profile.title'),
+        content: '',
+    });
+
+    const chart = document.createElement('ge-profile-chart');
+    chart.labels = {
+        distance: i18next.t('common:body.profile.distance'),
+        height: i18next.t('common:body.profile.height'),
+    };
+    chart.formatNumber = (value, decimals) =>
+        unitSettings.formatNumber(value, decimals);
+    chart.formatLength = value => unitSettings.formatLength(value);
+    const applyUnit = () => {
+        const symbol = unitSettings.lengthUnit;
+        chart.unit = {symbol, size: LENGTH_UNITS[symbol]};
+    };
+    applyUnit();
+    chart.profile = profile;
+    const redraw = () => {
+        applyUnit();
+        chart.redraw();
+    };
+    window.addEventListener('unit-settings-changed', redraw);
+
+    const highlight = app.viewer.entities.add({
+        show: false,
+        point: {
+            pixelSize: 10,
+            color: Color.RED,
+            outlineColor: Color.WHITE,
+            outlineWidth: 2,
+            disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        },
+    });
+    chart.addEventListener('hover', e => {
+        highlight.show = Boolean(e.detail);
+        if (e.detail) highlight.position = e.detail.position;
+        app.viewer.scene.requestRender();
+    });
+    chart.addEventListener('close', () => {
+        app.viewer.entities.remove(highlight);
+        window.removeEventListener('unit-settings-changed', redraw);
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'profile-buttons';
+    buttons.append(
+        createButton(i18next.t('common:body.profile.csv'), () =>
+            downloadFile(
+                fileName('csv'),
+                new Blob(
+                    [
+                        profile.toCSV([
+                            i18next.t('common:body.profile.distance'),
+                            i18next.t('common:body.profile.longitude'),
+                            i18next.t('common:body.profile.latitude'),
+                            i18next.t('common:body.profile.terrain'),
+                            i18next.t('common:body.profile.surface'),
+                        ]),
+                    ],
+                    {type: 'text/csv'},
+                ),
+            ),
+        ),
+        createButton(i18next.t('common:body.profile.png'), () =>
+            fetch(chart.toDataURL())
+                .then(response => response.blob())
+                .then(blob => downloadFile(fileName('png'), blob))
+                .catch(console.error),
+        ),
+    );
+
+    win.content.append(chart, buttons);
+    win.apply();
+}
+
+/**
+ * Creates a text button for the profile window.
+ * @param {string} text
+ * @param {Function} callback - Click handler.
+ * @returns {HTMLElement}
+ */
+function createButton(text, callback) {
+    const button = document.createElement('ge-button');
+    button.setAttribute('shape', 'rectangle');
+    button.setAttribute('size', 'medium');
+    button.setAttribute('showborder', '');
+    button.textContent = text;
+    button.addEventListener('click', callback);
+    return button;
+}
+
+/**
+ * Time stamped file name of a profile download.
+ * @param {string} extension - File extension.
+ * @returns {string}
+ */
+function fileName(extension) {
+    return `${getFormattedDatetime()}-${i18next.t('common:body.profile.file-suffix')}.${extension}`;
+}
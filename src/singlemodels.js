@@ -22,6 +22,7 @@ import {
 } from '@cesium/engine';
 import proj4 from 'proj4';
 import {app} from './Core/Application.js';
+import {Command} from './Core/Commands/Command.js';
 import {layerCollection} from './Core/LayerCollection.js';
 import {
     checkCheckbox,
@@ -43,6 +44,7 @@ import {
     dropOnTerrain,
     exitGizmoEditMode,
     gizmoLoop,
+    recordTransform,
     scaleGizmo,
 } from './gizmo.js';
 import {Variables} from './global.js';
@@ -136,12 +138,14 @@ function closemenu() {
 export function resetTranslation() {
     const index = Layers.gltf.id.indexOf(Temporary.pickedID);
     const ini = Layers.gltf.obj[index].initialMatrix;
+    const before = Matrix4.clone(Gizmo.modelMatrix);
     Matrix4.setTranslation(
         Gizmo.modelMatrix,
         Matrix4.getTranslation(ini, new Cartesian3()),
         Gizmo.modelMatrix,
     );
     gizmoLoop(Gizmo.modelMatrix);
+    recordTransform(before);
 }
 
 /**
@@ -151,12 +155,14 @@ export function resetTranslation() {
 export function resetRotation() {
     const index = Layers.gltf.id.indexOf(Temporary.pickedID);
     const ini = Layers.gltf.obj[index].initialMatrix;
+    const before = Matrix4.clone(Gizmo.modelMatrix);
     Matrix4.setRotation(
         Gizmo.modelMatrix,
         Matrix4.getRotation(ini, new Matrix3()),
         Gizmo.modelMatrix,
     );
     gizmoLoop(Gizmo.modelMatrix);
+    recordTransform(before);
 }
 
 /**
@@ -167,14 +173,17 @@ export function resetScale() {
     const index = Layers.gltf.id.indexOf(Temporary.pickedID);
     const ini = Layers.gltf.obj[index].initialMatrix;
     const scale = Matrix4.getMaximumScale(ini);
+    const before = Matrix4.clone(Gizmo.modelMatrix);
     Matrix4.setUniformScale(Gizmo.modelMatrix, scale, Gizmo.modelMatrix);
     gizmoLoop(Gizmo.modelMatrix);
+    recordTransform(before);
 }
 
 /**
  * Loads a single .glb/.gltf model file and inserts it into the Cesium scene and layerCollection,
  * handling placement, orientation, uniqueness, and editing initialization.
  * Initializes object edit mode, shows the model in the UI, and schedules camera fly-to.
+ * Placing the model is recorded as an undoable {@link AddSingleModel} command once it has loaded.
  *
  * @async
  * @export
@@ -216,6 +225,65 @@ export async function loadModels(file) {
 
     Flags.clippingPlaneSelected = false;
 
+    // Recorded once the model exists, so an early undo cannot miss it.
+    const command = new AddSingleModel({
+        url: path,
+        fileName: fileName,
+        modelMatrix: matrix,
+        heading: heading,
+    });
+    // A failed load is already logged by the command.
+    const model = await command.execute().catch(() => undefined);
+    if (!model) return;
+    app.commandStack.push(command);
+
+    Temporary.pickedID = model.id;
+    Temporary.picked = model;
+
+    model.readyEvent.addEventListener(() => {
+        const bs = model.boundingSphere;
+        app.viewer.scene.camera.safeFlyToBoundingSphere(
+            new BoundingSphere(bs.center, bs.radius * 3.5),
+        );
+    });
+
+    const index = Layers.gltf.id.indexOf(model.id);
+    //enterGizmoEditMode(index);
+    enterObjectEditMode(matrix, index);
+
+    closemenu();
+    Temporary.pickedID = model.id;
+    //document.getElementById("movemodeldiv").style.visibility = "visible";
+
+    //gizmoLoop(matrix);
+    Gizmo.set = true;
+    dropOnTerrain();
+}
+
+/**
+ * Creates a glTF model from a (blob) URL and registers it in the scene, the layerCollection,
+ * the Layers.gltf registry and the model table.
+ *
+ * @async
+ * @param {object} options
+ * @param {string} options.url - URL of the .glb/.gltf resource.
+ * @param {string} options.fileName - Display name of the model.
+ * @param {Matrix4} options.modelMatrix - Model matrix to place the model with.
+ * @param {Matrix4} [options.initialMatrix=options.modelMatrix] - Matrix used by the reset functions.
+ * @param {number} [options.heading=0] - Initial heading in radians.
+ * @param {string} [options.id=createGuid()] - Model/layer ID.
+ * @param {boolean} [options.show=true] - Initial visibility.
+ * @returns {Promise<Model>} The created model.
+ */
+async function addSingleModel({
+    url,
+    fileName,
+    modelMatrix,
+    initialMatrix = modelMatrix,
+    heading = 0,
+    id = createGuid(),
+    show = true,
+}) {
     const customShader = new CustomShader({
         fragmentShaderText: `
           void fragmentMain(FragmentInput fsInput, inout czm_modelMaterial material) {
@@ -225,10 +293,11 @@ export async function loadModels(file) {
     });
 
     const model = await Model.fromGltfAsync({
-        url: path,
-        modelMatrix: Gizmo.modelMatrix,
-        id: createGuid(),
+        url: url,
+        modelMatrix: modelMatrix,
+        id: id,
         customShader,
+        show: show,
     });
 
     model.environmentMapManager.enabled = false;
@@ -238,21 +307,13 @@ export async function loadModels(file) {
 
     app.viewer.scene.primitives.add(model);
 
-    model.initialMatrix = matrix;
-    Temporary.pickedID = model.id;
-    Temporary.picked = model;
-
-    model.readyEvent.addEventListener(() => {
-        const bs = model.boundingSphere;
-        app.viewer.scene.camera.safeFlyToBoundingSphere(
-            new BoundingSphere(bs.center, bs.radius * 3.5),
-        );
-    });
+    model.initialMatrix = initialMatrix;
 
     const layer = new Layer(viewer, {
         id: model.id,
         content: model,
         name: fileName,
+        url: url,
         type: Layer.LayerTypes.GLTF,
     });
 
@@ -264,21 +325,211 @@ export async function loadModels(file) {
     Layers.gltf.stat.push(true);
     Layers.gltf.id.push(model.id);
 
-    const index = Layers.gltf.id.indexOf(model.id);
-    //enterGizmoEditMode(index);
-    enterObjectEditMode(matrix, index);
-
     fillTable_singlemodel();
     eventsinglemodel();
     eventsinglemodel2();
-    closemenu();
     app.viewer.scene.requestRender();
-    Temporary.pickedID = model.id;
-    //document.getElementById("movemodeldiv").style.visibility = "visible";
+    return model;
+}
 
-    //gizmoLoop(matrix);
-    Gizmo.set = true;
-    dropOnTerrain();
+/**
+ * Collects everything needed to re-create a loaded model after it has been removed.
+ *
+ * @param {number} index - Index in the Layers.gltf arrays.
+ * @returns {object} Options for addSingleModel().
+ */
+function getSingleModelOptions(index) {
+    const model = Layers.gltf.obj[index];
+    return {
+        id: Layers.gltf.id[index],
+        url: layerCollection.getLayerById(Layers.gltf.id[index])?.url,
+        fileName: Layers.gltf.filename[index],
+        heading: Layers.gltf.winkel[index],
+        modelMatrix: Matrix4.clone(model.modelMatrix),
+        initialMatrix: model.initialMatrix,
+        show: model.show,
+    };
+}
+
+/**
+ * Collects all loaded models for a workspace file.
+ * The model files are embedded as data URLs, since the blob URLs they were loaded from
+ * are only valid for the lifetime of the page.
+ *
+ * @async
+ * @export
+ * @returns {Promise<object[]>} Serializable model descriptions (see restoreSingleModel()).
+ */
+export async function getSingleModelsData() {
+    return Promise.all(
+        Layers.gltf.id.map(async (id, index) => {
+            const options = getSingleModelOptions(index);
+            const blob = await (await fetch(options.url)).blob();
+            const data = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = error => reject(error);
+                reader.readAsDataURL(blob);
+            });
+            return {
+                fileName: options.fileName,
+                data: data,
+                modelMatrix: Matrix4.toArray(options.modelMatrix),
+                initialMatrix: Matrix4.toArray(options.initialMatrix),
+                heading: options.heading,
+                show: options.show,
+            };
+        }),
+    );
+}
+
+/**
+ * Re-creates a model from a description created by getSingleModelsData().
+ *
+ * @async
+ * @export
+ * @param {object} options
+ * @param {string} options.fileName - Display name of the model.
+ * @param {string} options.data - The model file as data URL.
+ * @param {number[]} options.modelMatrix - Model matrix as column-major array.
+ * @param {number[]} [options.initialMatrix=options.modelMatrix] - Matrix used by the reset functions.
+ * @param {number} [options.heading=0] - Initial heading in radians.
+ * @param {boolean} [options.show=true] - Visibility.
+ * @returns {Promise<Model>} The created model.
+ */
+export async function restoreSingleModel({
+    fileName,
+    data,
+    modelMatrix,
+    initialMatrix = modelMatrix,
+    heading = 0,
+    show = true,
+}) {
+    const blob = await (await fetch(data)).blob();
+    return addSingleModel({
+        url: URL.createObjectURL(blob),
+        fileName: fileName,
+        modelMatrix: Matrix4.fromArray(modelMatrix),
+        initialMatrix: Matrix4.fromArray(initialMatrix),
+        heading: heading,
+        show: show,
+    });
+}
+
+/**
+ * AddSingleModel – Undoable command that places a glTF model.
+ *
+ * Undo removes the model from the scene; redo re-creates it with the same ID
+ * and the matrix it had when it was removed, so later transform commands stay valid.
+ * Loading is asynchronous, so every step waits for the previous one; a failed load
+ * is logged and leaves nothing to undo.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {object} options - See addSingleModel().
+ */
+export class AddSingleModel extends Command {
+    #pending;
+
+    /**
+     * @param {object} options
+     */
+    constructor(options) {
+        super();
+        this.options = {id: createGuid(), ...options};
+        this.#pending = Promise.resolve();
+    }
+
+    /**
+     * Creates the model.
+     * @returns {Promise<Model>}
+     */
+    execute() {
+        return this.#queue(() => addSingleModel(this.options));
+    }
+
+    /**
+     * Removes the model, keeping its current state for redo.
+     * @returns {Promise<void>}
+     */
+    undo() {
+        return this.#queue(() => {
+            const index = Layers.gltf.id.indexOf(this.options.id);
+            if (index < 0) return;
+            this.options = getSingleModelOptions(index);
+            deleteSingleModel(index);
+        });
+    }
+
+    /**
+     * Runs a step after the previous one has settled.
+     * @param {Function} step
+     * @returns {Promise<any>} Result of the step.
+     */
+    #queue(step) {
+        const result = this.#pending.then(step);
+        this.#pending = result.catch(console.error);
+        return result;
+    }
+}
+
+/**
+ * RemoveSingleModel – Undoable command that deletes a loaded glTF model.
+ *
+ * Undo re-creates the model asynchronously; a redo waits until it is loaded.
+ *
+ * @class
+ * @extends Command
+ *
+ * @param {string} id - ID of the model (see Layers.gltf.id).
+ */
+export class RemoveSingleModel extends Command {
+    #pending;
+
+    /**
+     * @param {string} id
+     */
+    constructor(id) {
+        super();
+        this.id = id;
+    }
+
+    /**
+     * Deletes the model, keeping its state for undo.
+     * @returns {Promise<void>|undefined} Pending while a previous undo is still loading.
+     */
+    execute() {
+        const remove = () => {
+            const index = Layers.gltf.id.indexOf(this.id);
+            if (index < 0) return;
+            this.options = getSingleModelOptions(index);
+            deleteSingleModel(index);
+        };
+        if (!this.#pending) return remove();
+        return this.#queue(remove);
+    }
+
+    /**
+     * Re-creates the deleted model.
+     * @returns {Promise<Model|undefined>}
+     */
+    undo() {
+        return this.#queue(() => {
+            if (this.options) return addSingleModel(this.options);
+        });
+    }
+
+    /**
+     * Runs a step after the previous one has settled.
+     * @param {Function} step
+     * @returns {Promise<any>} Result of the step.
+     */
+    #queue(step) {
+        const result = (this.#pending ?? Promise.resolve()).then(step);
+        this.#pending = result.catch(console.error);
+        return result;
+    }
 }
 
 /**
@@ -332,6 +583,7 @@ export function deleteSingleModel(l) {
         Layers.gltf.id.splice(l, 1);
         Layers.gltf.obj.splice(l, 1);
         Layers.gltf.filename.splice(l, 1);
+        Layers.gltf.winkel.splice(l, 1);
         Layers.gltf.stat.splice(l, 1);
         fillTable_singlemodel();
         eventsinglemodel();
@@ -349,7 +601,9 @@ function eventsinglemodel() {
         btn[l].addEventListener(
             'click',
             () => {
-                deleteSingleModel(l);
+                app.commandStack.execute(
+                    new RemoveSingleModel(Layers.gltf.id[l]),
+                );
             },
             false,
         );
@@ -367,7 +621,7 @@ function eventsinglemodel2() {
         const layer = layerCollection.getLayerById(Layers.gltf.id[m]);
         const checkbox = document.getElementById(id);
         cb.push(checkbox);
-        checkCheckbox(checkbox);
+        checkCheckbox(checkbox, Layers.gltf.obj[m].show);
         cb[m].addEventListener(
             'change',
             function (m) {
@@ -427,7 +681,9 @@ function rotateModel(direction) {
         change,
         new Matrix4(),
     );
+    const before = Matrix4.clone(Gizmo.modelMatrix);
     gizmoLoop(modelMatrix);
+    recordTransform(before);
 }
 
 /**
@@ -482,6 +738,7 @@ async function moveDirection(direction) {
     if (!Gizmo.set) return;
     Gizmo.set = false;
     const index = Layers.gltf.id.indexOf(Temporary.pickedID);
+    const before = Matrix4.clone(Gizmo.modelMatrix);
     const position = Matrix4.getTranslation(Gizmo.modelMatrix, new Matrix4());
     const coords = ECEFtoProjectCoord(position);
 
@@ -523,6 +780,7 @@ async function moveDirection(direction) {
     if (Gizmo.clampToGround) {
         await dropOnTerrain();
     }
+    recordTransform(before);
     Gizmo.set = true;
 }
 
@@ -591,7 +849,9 @@ export function inputCoords() {
     const scale = Matrix4.getScale(Gizmo.modelMatrix, new Cartesian3());
     const trs = new TranslationRotationScale(newpos, rotation, scale);
     const matrix = Matrix4.fromTranslationRotationScale(trs, new Matrix4());
+    const before = Matrix4.clone(Gizmo.modelMatrix);
     gizmoLoop(matrix);
+    recordTransform(before);
     close_Over();
 }
 
@@ -1,9 +1,13 @@
-import {Math as CesiumMath} from '@cesium/engine';
+import {Cartesian2, Cartesian3, Math as CesiumMath} from '@cesium/engine';
 import $ from 'jquery';
-import jsPDF from 'jspdf';
 import {app} from './Core/Application.js';
 import {layerCollection} from './Core/LayerCollection.js';
-import {loadSVG, svgToCanvas} from './Core/utilities.js';
+import {encodeShareGeometry} from './Core/ShareGeometry.js';
+import {WindowFactory} from './Core/WindowFactory.js';
+import {GeoImageExporter} from './Core/Writer/GeoImageExporter.js';
+import {DEFAULT_PRINT_TEMPLATE, PDFReport} from './Core/Writer/PDFReport.js';
+import {createShareLink} from './Core/utilities.js';
+import {downloadFile} from './Core/utils2.js';
 import {Variables} from './global.js';
 import {i18next} from './i18n.js';
 
@@ -43,210 +47,130 @@ Variables.defaultResolutionScale = 1.0;
 })();
 
 /**
- * Asynchronously generates an HTMLImageElement from the given source/URL,
- * supporting either SVG (converted to canvas and rasterized) or PNG.
- *
- * @async
- * @param {string} source - The image (SVG/PNG) source path or data URL.
- * @param {number} [width=150] - Width for the generated image, for SVG sources.
- * @param {number} [height=150] - Height for the generated image, for SVG sources.
- * @returns {Promise<HTMLImageElement>} The rasterized or loaded image.
- */
-async function generateImage(source, width = 150, height = 150) {
-    if (source.endsWith('.svg')) {
-        const svg = await loadSVG(source);
-        const image = await svgToCanvas(svg, width, height);
-        return image;
-    } else if (source.endsWith('.png')) {
-        const image = new Image();
-        image.src = source;
-        return image;
-    }
-}
-
-/**
- * Handles snapshot→PDF export. Captures scene at double resolution, crops it to a square,
- * collects additional branding/assets, and uses jsPDF to create a PDF with meta info, date, and compass.
- * Restores viewer resolution after completion.
+ * Handles snapshot→PDF export. Captures the scene at double resolution and lays it out with
+ * the print template chosen in `#printTemplateSelection`, together with the legend of the
+ * visible layers, the visible measurements, the data credits and the link to the view.
+ * Restores viewer resolution after capturing.
  */
 $('#printButton')[0].addEventListener('click', async function () {
     // Set high resolution for export and re-render
     app.viewer.resolutionScale = Variables.targetResolutionScale;
     app.viewer.render();
 
-    // calculate variables for cropping the image to a square
-    const aspect =
-        app.viewer.scene.canvas.width / app.viewer.scene.canvas.height;
-    let sides = 0;
-    let cropX = 0;
-    let cropY = 0;
-    if (aspect >= 1) {
-        sides = app.viewer.scene.canvas.height;
-        cropX =
-            (app.viewer.scene.canvas.width - app.viewer.scene.canvas.height) /
-            2;
-        cropY = 0;
-    } else if (aspect < 1) {
-        sides = app.viewer.scene.canvas.width;
-        cropX = 0;
-        cropY =
-            (app.viewer.scene.canvas.height - app.viewer.scene.canvas.width) /
-            2;
-    }
-
-    // create Image from app.viewer.content (base64 encoded) and crop it to aspect 1:1
-    const dataURL = app.viewer.scene.canvas.toDataURL('image/jpeg', 0.95);
-    const cropped = new Image();
-    const temp = new Image();
-    temp.onload = start;
-    temp.src = dataURL;
-
-    function start() {
-        const croppedURL = cropPlusExport(temp, cropX, cropY, sides, sides);
-        cropped.src = croppedURL;
-    }
-
-    function cropPlusExport(temp, cropX, cropY, sides) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = sides;
-        canvas.height = sides;
-        ctx.drawImage(temp, cropX, cropY, sides, sides, 0, 0, sides, sides);
-        return canvas.toDataURL('image/jpeg', 0.95);
-    }
+    const image = new Image();
+    image.src = app.viewer.scene.canvas.toDataURL('image/jpeg', 0.95);
+    const metersPerPixel = groundResolution();
 
-    // Wait (1s) so cropped image ready before making pdf
-    setTimeout(async function () {
-        const logo = await generateImage(app.config.pdfIcon, 800, 200);
-        const compass = await generateImage(app.config.compass, 500, 500);
-
-        // Timestamp string
-        const current = new Date();
-        const datetime = `${current.getFullYear()}${`0${current.getMonth() + 1}`.slice(-2)}${`0${current.getDate()}`.slice(-2)}-${`0${current.getHours()}`.slice(-2)}h${current.getMinutes()}`;
-
-        // Correct compass math for rendering/overlay in PDF
-        const degree = Math.floor(
-            CesiumMath.toDegrees(app.viewer.camera.heading),
-        );
-        const degree2 = degree - 90;
-        const dX = 20 * Math.sin((degree / 180) * Math.PI);
-        const dY = 20 - 20 * Math.cos((degree / 180) * Math.PI);
-        const dX_2 =
-            10 *
-            (Math.cos((degree2 / 180) * Math.PI) -
-                Math.sin((degree2 / 180) * Math.PI));
-        const dY_2 =
-            10 *
-            (Math.cos((degree / 180) * Math.PI) -
-                Math.sin((degree / 180) * Math.PI));
-        const newX = 186.5 + dX - dX_2;
-        const newY = 33.5 - dY - dY_2;
-
-        // Create and compose the PDF document
-        const pdf = new jsPDF({
-            orientation: 'p',
-            unit: 'mm',
-            format: 'a4',
-            putOnlyUsedFonts: true,
-            compress: true,
-        });
-
-        // Section: add header title
-        pdf.setFont('helvetica', 'bold');
-        pdf.setFontSize(16);
-        pdf.text(i18next.t('common:body.tools.print.pdf.title'), 9, 18, {
-            align: 'left',
-            baseline: 'bottom',
-        });
-
-        // Section: blue box for snapshot image
-        pdf.setFillColor(0, 110, 167);
-        pdf.rect(9, 19, 192, 192, 'F');
-
-        // Section: snapshot
-        pdf.addImage(cropped, 'jpeg', 10, 20, 190, 190);
-        pdf.addImage(logo, 'png', 150, 274, 50, 13);
-
-        // Section: contact headline and text
-        pdf.setFontSize(12);
-        pdf.text(i18next.t('common:body.tools.print.pdf.contact'), 9, 262, {
-            align: 'left',
-            baseline: 'bottom',
-        });
-
-        // add contacts
-        pdf.setFont('helvetica', 'normal');
-        pdf.text(
-            i18next.t('common:body.tools.print.pdf.contact-content'),
-            35,
-            262,
-            {
-                align: 'left',
-                baseline: 'bottom',
-            },
-        );
+    // Reset viewer resolution to default after rendering
+    app.viewer.resolutionScale = Variables.defaultResolutionScale;
+    await image.decode();
+
+    const templates = app.config.printTemplates ?? [DEFAULT_PRINT_TEMPLATE];
+    const template =
+        templates.find(
+            t =>
+                t.id ===
+                document.getElementById('printTemplateSelection')?.value,
+        ) ?? templates[0];
+    const includeGeometry =
+        document.getElementById('share-geometry-cb')?.checked;
+
+    // Timestamp string
+    const current = new Date();
+    const datetime = `${current.getFullYear()}${`0${current.getMonth() + 1}`.slice(-2)}${`0${current.getDate()}`.slice(-2)}-${`0${current.getHours()}`.slice(-2)}h${current.getMinutes()}`;
 
-        pdf.text(
-            `${`0${current.getDate()}`.slice(-2)}.${`0${current.getMonth() + 1}`.slice(-2)}.${current.getFullYear()}`,
-            201,
-            216,
-            {align: 'right', baseline: 'bottom'},
-        );
+    const pdf = await new PDFReport().create(template, {
+        image: image,
+        metersPerPixel: metersPerPixel,
+        heading: CesiumMath.toDegrees(app.viewer.camera.heading),
+        title: document.getElementById('printTitleInput')?.value.trim(),
+        date: current,
+        internal: layerCollection
+            .getContentByTags(['internalOnly'])
+            .some(l => l.show),
+        logo: app.config.pdfIcon,
+        compass: app.config.compass,
+        legend: visibleLayerNames(),
+        measurements: visibleMeasurements(),
+        credits: currentCredits(),
+        link: createShareLink(app, {
+            geometry: includeGeometry ? encodeShareGeometry() : undefined,
+        }),
+    });
+    pdf.save(
+        `${i18next.t('common:body.tools.print.pdf.file-prefix')}${datetime}.pdf`,
+    );
+});
 
-        // Section: add compass with background
-        pdf.setFillColor(72, 72, 72);
-        pdf.setGState(new pdf.GState({opacity: 0.3}));
-        pdf.circle(186.5, 33.5, 10, 'F');
-        pdf.setGState(new pdf.GState({opacity: 1.0}));
-        pdf.addImage(
-            compass,
-            'png',
-            newX,
-            newY,
-            20,
-            20,
-            'COMPASS',
-            'NONE',
-            degree,
+/**
+ * Ground distance covered by a pixel of the canvas at the center of the view.
+ * @returns {number|undefined} Meters, undefined if the center shows no ground.
+ */
+function groundResolution() {
+    const scene = app.viewer.scene;
+    const canvas = scene.canvas;
+    const x = canvas.clientWidth / 2;
+    const y = canvas.clientHeight / 2;
+    // Pick positions use CSS pixels, a few of them apart for a stable distance.
+    const span = 10;
+    const pick = dx =>
+        scene.globe.pick(
+            scene.camera.getPickRay(new Cartesian2(x + dx, y)),
+            scene,
         );
+    const left = pick(-span / 2);
+    const right = pick(span / 2);
+    if (!left || !right) return;
+    const pixelRatio = canvas.width / canvas.clientWidth;
+    return Cartesian3.distance(left, right) / span / pixelRatio;
+}
 
-        // Section: license/information
-        pdf.setFont('helvetica', 'italic');
-        pdf.setFontSize(14);
-        pdf.setTextColor(100, 100, 100);
-
-        if (
-            layerCollection.getContentByTags(['internalOnly']).some(l => l.show)
-        ) {
-            pdf.text(
-                i18next.t('common:body.tools.print.pdf.internal-license'),
-                105,
-                236,
-                {
-                    align: 'center',
-                    baseline: 'middle',
-                },
-            );
-        } else {
-            pdf.text(
-                i18next.t('common:body.tools.print.pdf.license'),
-                105,
-                236,
-                {
-                    align: 'center',
-                    baseline: 'middle',
-                },
-            );
-        }
+/**
+ * Names of the visible layers for the legend.
+ * @returns {string[]}
+ */
+function visibleLayerNames() {
+    const ids = layerCollection.getIdsBy(
+        layer => !(layer.content instanceof Map) && layer.show && layer.name,
+    );
+    return [...new Set(ids.map(id => layerCollection.getLayerById(id).name))];
+}
 
-        pdf.save(
-            `${i18next.t('common:body.tools.print.pdf.file-prefix')}${datetime}.pdf`,
-        );
-    }, 1000);
+/**
+ * Names and label texts of the visible measurements.
+ * @returns {Array<{name: string, value: string}>}
+ */
+function visibleMeasurements() {
+    const items = document.querySelector('#measurementList')?.items ?? [];
+    return items
+        .filter(item => item.checked)
+        .map(item => ({
+            name: item.name,
+            value: [item.obj.label, ...(item.obj.labels ?? [])]
+                .map(label => label?.text)
+                .filter(Boolean)
+                .join(', '),
+        }));
+}
 
-    // Reset viewer resolution to default after rendering
-    app.viewer.resolutionScale = Variables.defaultResolutionScale;
-});
+/**
+ * Texts of the credits shown in the credit display, on screen and in its lightbox.
+ * @returns {string[]}
+ */
+function currentCredits() {
+    const creditDisplay = app.viewer.creditDisplay;
+    const elements = [
+        ...creditDisplay.container.querySelectorAll(
+            '.cesium-credit-textContainer > *',
+        ),
+        ...document.querySelectorAll('.cesium-credit-lightbox li'),
+    ];
+    const texts = elements
+        .map(element => element.textContent.trim())
+        // Screen credits are separated by delimiter elements.
+        .filter(text => text && text !== '•');
+    return [...new Set(texts)];
+}
 
 /**
  * Handles snapshot→PNG export. Captures scene at double resolution and saves PNG image at base quality.
@@ -272,3 +196,38 @@ $('#printButton2')[0].addEventListener('click', function () {
     // resolution of app.viewer.back to default
     app.viewer.resolutionScale = Variables.defaultResolutionScale;
 });
+
+/**
+ * Handles the georeferenced image export: renders the current extent from above at the chosen
+ * ground resolution and downloads it as zipped PNG/JPEG with world file and .prj, or as GeoTIFF.
+ */
+document
+    .getElementById('geoImageButton')
+    ?.addEventListener('click', async function () {
+        const info = WindowFactory.createInformationGeWindow({
+            title: i18next.t('common:body.tools.print.geo.title'),
+            content: i18next.t('common:body.tools.print.geo.rendering'),
+        });
+        info.apply();
+
+        const current = new Date();
+        const datetime = `${current.getFullYear()}${`0${current.getMonth() + 1}`.slice(-2)}${`0${current.getDate()}`.slice(-2)}-${`0${current.getHours()}`.slice(-2)}h${current.getMinutes()}`;
+        try {
+            const {blob, fileName} = await new GeoImageExporter(app).export({
+                resolution: Number(
+                    document.getElementById('geoImageResolution').value,
+                ),
+                format: document.getElementById('geoImageFormat').value,
+                crs: document.getElementById('geoImageCRS').value,
+                name: `${i18next.t('common:body.tools.print.png.file-prefix')}${datetime}`,
+            });
+            downloadFile(fileName, blob);
+        } catch (error) {
+            WindowFactory.createErrorGeWindow({
+                title: i18next.t('common:body.tools.print.geo.title'),
+                content: error.message,
+            }).apply(10);
+        } finally {
+            info.close();
+        }
+    });
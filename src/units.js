@@ -0,0 +1,44 @@
+import {app} from './Core/Application.js';
+import {unitSettings} from './Core/UnitSettings.js';
+
+/**
+ * Select elements of the unit settings by the option of {@link UnitSettings} they control.
+ * @type {Object<string, string>}
+ */
+const SELECTS = {
+    lengthUnit: 'lengthUnitSelection',
+    areaUnit: 'areaUnitSelection',
+    angleUnit: 'angleUnitSelection',
+    precision: 'precisionSelection',
+    decimalSeparator: 'separatorSelection',
+};
+
+/**
+ * Restores the unit settings from the URL and keeps the selects in the settings window,
+ * the URL and {@link unitSettings} in sync.
+ *
+ * @listens DOMContentLoaded
+ */
+addEventListener('DOMContentLoaded', () => {
+    const fromUrl = {};
+    for (const key of Object.keys(SELECTS)) {
+        const value = app.urlManager.get(key, undefined, undefined);
+        if (value !== undefined) fromUrl[key] = value;
+    }
+    if (fromUrl.precision !== undefined) {
+        fromUrl.precision = Number(fromUrl.precision);
+    }
+    unitSettings.update(fromUrl);
+
+    for (const [key, id] of Object.entries(SELECTS)) {
+        const select = document.getElementById(id);
+        if (!select) continue;
+        select.value = String(unitSettings[key]);
+        select.addEventListener('change', () => {
+            const value =
+                key === 'precision' ? Number(select.value) : select.value;
+            unitSettings.update({[key]: value});
+            app.urlManager.update({[key]: select.value});
+        });
+    }
+});